@@ -10,9 +10,9 @@ Write-Host "Organizing FeetOnFocus backup files..." -ForegroundColor Green
 Write-Host "" 
 
 # Get all FeetOnFocus backup files from Downloads
-$AutoBackups = Get-ChildItem -Path $DownloadsPath -Filter "feetonfocus_auto_*.json" -ErrorAction SilentlyContinue
-$ManualBackups = Get-ChildItem -Path $DownloadsPath -Filter "feetonfocus_manual_*.json" -ErrorAction SilentlyContinue
-$DailyBackups = Get-ChildItem -Path $DownloadsPath -Filter "feetonfocus_daily_*.json" -ErrorAction SilentlyContinue
+$AutoBackups = Get-ChildItem -Path "$DownloadsPath\*" -Include "feetonfocus_auto_*.fofbackup", "feetonfocus_auto_*.json" -ErrorAction SilentlyContinue
+$ManualBackups = Get-ChildItem -Path "$DownloadsPath\*" -Include "feetonfocus_manual_*.fofbackup", "feetonfocus_manual_*.json" -ErrorAction SilentlyContinue
+$DailyBackups = Get-ChildItem -Path "$DownloadsPath\*" -Include "feetonfocus_daily_*.fofbackup", "feetonfocus_daily_*.json" -ErrorAction SilentlyContinue
 
 # Move auto backups
 foreach ($backup in $AutoBackups) {
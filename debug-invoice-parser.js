@@ -0,0 +1,45 @@
+// Debug script to check PDF invoice line parsing against known invoice lines
+// Run this in the browser console (F12)
+
+// Lines as they come out of supplier PDFs, with how each should be read
+const INVOICE_LINE_SAMPLES = [
+    // Totals between 100 and 999.99 must stay apart from the unit price
+    { line: 'Lidocaine 2% 5 45.00 225.00', description: 'Lidocaine 2%', quantity: 5, unitPrice: 45, total: 225 },
+    { line: 'Chlorhexidine 0.5% 10 12.00 120.00', description: 'Chlorhexidine 0.5%', quantity: 10, unitPrice: 12, total: 120 },
+    // A quantity in front of a three-digit price is not a thousands group
+    { line: 'Insole size 42 2 150.00 300.00', description: 'Insole size 42', quantity: 2, unitPrice: 150, total: 300 },
+    { line: 'Scalpel blade No 15 10 3.50 35.00', description: 'Scalpel blade No 15', quantity: 10, unitPrice: 3.5, total: 35 },
+    // Thousands written with spaces
+    { line: 'Ultrasound gel 5L 2 1 234,50 2 469,00', description: 'Ultrasound gel 5L', quantity: 2, unitPrice: 1234.5, total: 2469 },
+    { line: 'Orthotic shell 1 1 250.00 1 250.00', description: 'Orthotic shell', quantity: 1, unitPrice: 1250, total: 1250 },
+    // Quantity printed before the description
+    { line: '2 x Lidocaine 2% 45.00 90.00', description: 'Lidocaine 2%', quantity: 2, unitPrice: 45, total: 90 },
+    { line: 'Gauze swabs 3 R 12.00 R 41.40', description: 'Gauze swabs', quantity: 3, unitPrice: 12, total: 41.4 }
+];
+
+function debugInvoiceLineParsing() {
+    console.log('🔍 === CHECKING INVOICE LINE PARSING ===');
+
+    let failures = 0;
+    INVOICE_LINE_SAMPLES.forEach(sample => {
+        const parsed = parseInvoiceLine(sample.line);
+        const fields = ['description', 'quantity', 'unitPrice', 'total'];
+        const wrong = parsed ? fields.filter(field => parsed[field] !== sample[field]) : fields;
+
+        if (wrong.length === 0) {
+            console.log('✅', sample.line);
+        } else {
+            failures++;
+            console.log('❌', sample.line);
+            console.log('   Expected:', sample);
+            console.log('   Parsed:', parsed);
+        }
+    });
+
+    console.log(`${INVOICE_LINE_SAMPLES.length - failures} of ${INVOICE_LINE_SAMPLES.length} lines parsed as expected`);
+}
+
+// Make functions available globally
+window.debugInvoiceLineParsing = debugInvoiceLineParsing;
+
+console.log('Debug functions loaded. Run debugInvoiceLineParsing() in console.');
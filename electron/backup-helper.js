@@ -65,6 +65,57 @@ class DesktopBackupHelper {
         }
     }
 
+    /**
+     * Get free disk space and the space used by backup files
+     */
+    static async getStorageInfo() {
+        try {
+            const result = await ipcRenderer.invoke('get-backup-storage-info');
+            if (result.success) {
+                return result;
+            } else {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Error reading backup storage info:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the retention policy for auto backup files
+     */
+    static async getRetentionPolicy() {
+        try {
+            const result = await ipcRenderer.invoke('get-backup-retention');
+            if (result.success) {
+                return result.policy;
+            } else {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Error reading backup retention policy:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the retention policy, applied after each backup file is saved
+     */
+    static async saveRetentionPolicy(policy) {
+        try {
+            const result = await ipcRenderer.invoke('save-backup-retention', policy);
+            if (result.success) {
+                return result.policy;
+            } else {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Error saving backup retention policy:', error);
+            throw error;
+        }
+    }
+
     /**
      * Read backup file content
      */
@@ -2,6 +2,8 @@ const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const { existsSync } = require('fs');
+const BackupArchive = require('../src/utils/backupArchive.js');
+const BackupRetention = require('../src/utils/backupRetention.js');
 
 let mainWindow;
 
@@ -86,13 +88,32 @@ ipcMain.handle('save-backup-file', async (event, fileName, data) => {
 
         // Write file
         const filePath = path.join(subDir, fileName);
-        await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+        try {
+            await fs.writeFile(filePath, serializeBackup(data));
+        } catch (error) {
+            // Don't leave a half-written backup behind
+            await fs.unlink(filePath).catch(() => {});
+            throw error;
+        }
 
         console.log(`Backup saved: ${filePath}`);
-        return { success: true, path: filePath };
+
+        // Auto and daily backups are pruned by the retention policy, each apart from the
+        // other since they share a folder; manual backups are kept
+        let removed = [];
+        const prefix = fileName.match(/^feetonfocus_(auto|daily)_/);
+        if (prefix) {
+            try {
+                removed = await applyRetention(subDir, prefix[0]);
+            } catch (error) {
+                console.error('Error removing old backups:', error);
+            }
+        }
+
+        return { success: true, path: filePath, removed: removed };
     } catch (error) {
         console.error('Error saving backup file:', error);
-        return { success: false, error: error.message };
+        return { success: false, error: describeWriteError(error) };
     }
 });
 
@@ -103,7 +124,9 @@ ipcMain.handle('export-backup-file', async (event, fileName, data) => {
             title: 'Export Backup',
             defaultPath: fileName,
             filters: [
-                { name: 'JSON Files', extensions: ['json'] },
+                fileName.endsWith(BackupArchive.extension) ?
+                    { name: 'FeetOnFocus Backups', extensions: [BackupArchive.extension.slice(1)] } :
+                    { name: 'JSON Files', extensions: ['json'] },
                 { name: 'All Files', extensions: ['*'] }
             ]
         });
@@ -113,13 +136,13 @@ ipcMain.handle('export-backup-file', async (event, fileName, data) => {
         }
 
         // Write file to chosen location
-        await fs.writeFile(result.filePath, JSON.stringify(data, null, 2), 'utf8');
+        await fs.writeFile(result.filePath, serializeBackup(data));
         
         console.log(`Backup exported: ${result.filePath}`);
         return { success: true, path: result.filePath };
     } catch (error) {
         console.error('Error exporting backup file:', error);
-        return { success: false, error: error.message };
+        return { success: false, error: describeWriteError(error) };
     }
 });
 
@@ -134,7 +157,7 @@ ipcMain.handle('list-backup-files', async () => {
         if (existsSync(autoDir)) {
             const autoFiles = await fs.readdir(autoDir);
             for (const file of autoFiles) {
-                if (file.endsWith('.json')) {
+                if (isBackupFile(file)) {
                     const filePath = path.join(autoDir, file);
                     const stat = await fs.stat(filePath);
                     backupFiles.push({
@@ -143,7 +166,8 @@ ipcMain.handle('list-backup-files', async () => {
                         path: filePath,
                         size: stat.size,
                         created: stat.birthtime,
-                        modified: stat.mtime
+                        modified: stat.mtime,
+                        encrypted: await isEncryptedBackupFile(filePath)
                     });
                 }
             }
@@ -154,7 +178,7 @@ ipcMain.handle('list-backup-files', async () => {
         if (existsSync(manualDir)) {
             const manualFiles = await fs.readdir(manualDir);
             for (const file of manualFiles) {
-                if (file.endsWith('.json')) {
+                if (isBackupFile(file)) {
                     const filePath = path.join(manualDir, file);
                     const stat = await fs.stat(filePath);
                     backupFiles.push({
@@ -163,7 +187,8 @@ ipcMain.handle('list-backup-files', async () => {
                         path: filePath,
                         size: stat.size,
                         created: stat.birthtime,
-                        modified: stat.mtime
+                        modified: stat.mtime,
+                        encrypted: await isEncryptedBackupFile(filePath)
                     });
                 }
             }
@@ -176,10 +201,64 @@ ipcMain.handle('list-backup-files', async () => {
     }
 });
 
+ipcMain.handle('get-backup-storage-info', async () => {
+    try {
+        const backupsDir = path.join(app.getAppPath(), 'backups');
+        await ensureDirectoryExists(backupsDir);
+
+        // Free space on the disk holding the backups folder
+        const disk = await fs.statfs(backupsDir);
+
+        let backupsSize = 0;
+        for (const subDir of ['auto', 'manual']) {
+            const dirPath = path.join(backupsDir, subDir);
+            if (!existsSync(dirPath)) continue;
+            for (const file of await fs.readdir(dirPath)) {
+                const stat = await fs.stat(path.join(dirPath, file));
+                backupsSize += stat.size;
+            }
+        }
+
+        return {
+            success: true,
+            free: disk.bavail * disk.bsize,
+            total: disk.blocks * disk.bsize,
+            backupsSize: backupsSize
+        };
+    } catch (error) {
+        console.error('Error reading backup storage info:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-backup-retention', async () => {
+    try {
+        return { success: true, policy: await readRetentionPolicy() };
+    } catch (error) {
+        console.error('Error reading backup retention policy:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('save-backup-retention', async (event, policy) => {
+    try {
+        const normalized = BackupRetention.normalizePolicy(policy);
+        await ensureDirectoryExists(app.getPath('userData'));
+        await fs.writeFile(getRetentionPolicyPath(), JSON.stringify(normalized, null, 2));
+
+        console.log('Backup retention policy saved:', normalized);
+        return { success: true, policy: normalized };
+    } catch (error) {
+        console.error('Error saving backup retention policy:', error);
+        return { success: false, error: describeWriteError(error) };
+    }
+});
+
 ipcMain.handle('read-backup-file', async (event, filePath) => {
     try {
-        const data = await fs.readFile(filePath, 'utf8');
-        return { success: true, data: JSON.parse(data) };
+        // Archives are unpacked here; encrypted ones come back still encrypted for the passphrase prompt
+        const bytes = new Uint8Array(await fs.readFile(filePath));
+        return { success: true, data: await BackupArchive.read(bytes) };
     } catch (error) {
         console.error('Error reading backup file:', error);
         return { success: false, error: error.message };
@@ -204,4 +283,100 @@ async function ensureDirectoryExists(dirPath) {
     } catch {
         await fs.mkdir(dirPath, { recursive: true });
     }
+}
+
+// The retention policy is kept with the app's settings: the app folder is read-only
+// once the app is packaged
+function getRetentionPolicyPath() {
+    return path.join(app.getPath('userData'), 'retention.json');
+}
+
+// Retention policy from retention.json, or the default policy
+async function readRetentionPolicy() {
+    const policyPath = getRetentionPolicyPath();
+    if (!existsSync(policyPath)) {
+        return BackupRetention.normalizePolicy();
+    }
+    return BackupRetention.normalizePolicy(JSON.parse(await fs.readFile(policyPath, 'utf8')));
+}
+
+// Remove the backups in a folder whose names start with a prefix (e.g. feetonfocus_auto_)
+// that the retention policy doesn't keep
+async function applyRetention(dirPath, prefix) {
+    const policy = await readRetentionPolicy();
+    const backups = [];
+
+    for (const file of await fs.readdir(dirPath)) {
+        // Only backups of the same kind; anything else put in the folder is left alone
+        if (!file.startsWith(prefix) || !isBackupFile(file)) continue;
+        const stat = await fs.stat(path.join(dirPath, file));
+        backups.push({ name: file, createdAt: getBackupDate(file, stat.mtime) });
+    }
+
+    const { remove } = BackupRetention.apply(backups, policy);
+    for (const backup of remove) {
+        await fs.unlink(path.join(dirPath, backup.name));
+        console.log(`Old backup removed: ${backup.name}`);
+    }
+    return remove.map(backup => backup.name);
+}
+
+// When a backup was made: the timestamp in its name (feetonfocus_auto_2025-10-05_21-45-30),
+// or the file's modified time for names without one
+function getBackupDate(fileName, modified) {
+    const parts = fileName.match(/_(\d{4}-\d{2}-\d{2})(?:_(\d{2})-(\d{2})-(\d{2}))?/);
+    if (!parts) {
+        return modified.toISOString();
+    }
+    const date = new Date(parts[2] ? `${parts[1]}T${parts[2]}:${parts[3]}:${parts[4]}` : `${parts[1]}T00:00:00`);
+    return isNaN(date.getTime()) ? modified.toISOString() : date.toISOString();
+}
+
+// Turn file write errors into messages the user can act on
+function describeWriteError(error) {
+    if (error.code === 'ENOSPC') {
+        return 'Not enough disk space to save the backup. Free up space or delete old backups, then try again.';
+    }
+    if (error.code === 'EACCES' || error.code === 'EPERM') {
+        return `No permission to write the backup to ${error.path || 'the backups folder'}.`;
+    }
+    return error.message;
+}
+
+// Backup files are archives; older backups are JSON
+function isBackupFile(fileName) {
+    return fileName.endsWith(BackupArchive.extension) || fileName.endsWith('.json');
+}
+
+// Read just the start of a backup file to tell whether it is encrypted: an archive
+// says so in its header, an encrypted JSON backup starts with its format marker
+async function isEncryptedBackupFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const start = Buffer.alloc(4096);
+        const { bytesRead } = await handle.read(start, 0, start.length, 0);
+        let bytes = new Uint8Array(start.buffer, start.byteOffset, bytesRead);
+
+        if (!BackupArchive.isArchive(bytes)) {
+            return new TextDecoder().decode(bytes).includes(`"${BackupArchive.encryptedFormat}"`);
+        }
+
+        const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(7, true);
+        if (11 + headerLength > bytes.length) {
+            const whole = Buffer.alloc(11 + headerLength);
+            await handle.read(whole, 0, whole.length, 0);
+            bytes = new Uint8Array(whole.buffer, whole.byteOffset, whole.length);
+        }
+        return !!BackupArchive.readHeader(bytes).header.encryption;
+    } catch (error) {
+        // An unreadable file shows up unlocked; opening it reports the real problem
+        return false;
+    } finally {
+        await handle.close();
+    }
+}
+
+// Archive bytes are written as they are, backup objects as JSON
+function serializeBackup(data) {
+    return data instanceof Uint8Array ? data : JSON.stringify(data, null, 2);
 }
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * FeetOnFocus Backup Encryption
+ * Optional passphrase encryption of backups with WebCrypto: AES-GCM with a key derived
+ * from the practice passphrase by PBKDF2
+ */
+
+class BackupEncryption {
+    constructor() {
+        this.iterations = 310000; // PBKDF2-SHA256 work factor
+        this.minimumPassphraseLength = 8;
+        this.settingId = 'encryptionKey';
+        this.key = null;
+        this.salt = null;
+    }
+
+    /**
+     * Load the practice key, if encryption is turned on
+     */
+    async init() {
+        const setting = await backupStore.getSetting(this.settingId);
+        if (setting) {
+            this.key = setting.key;
+            this.salt = setting.salt;
+        }
+    }
+
+    /**
+     * Whether new backups are encrypted
+     */
+    isEnabled() {
+        return this.key !== null;
+    }
+
+    /**
+     * Whether parsed backup data is an encrypted backup
+     * @param {Object} data - Parsed backup file
+     */
+    isEncrypted(data) {
+        return !!data && typeof data === 'object' && data.format === BackupArchive.encryptedFormat;
+    }
+
+    /**
+     * Turn on encryption, or change the passphrase. The derived key is kept (non-extractable)
+     * in backup storage so scheduled backups can be encrypted; the passphrase itself is not.
+     * Backups already made keep the passphrase they were made with.
+     * @param {string} passphrase - Practice passphrase
+     */
+    async setPassphrase(passphrase) {
+        if (!passphrase || passphrase.length < this.minimumPassphraseLength) {
+            throw new Error(`Passphrase must be at least ${this.minimumPassphraseLength} characters`);
+        }
+
+        const salt = BackupArchive.bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const key = await this.deriveKey(passphrase, salt);
+
+        await backupStore.saveSetting({
+            id: this.settingId,
+            key: key,
+            salt: salt,
+            createdAt: new Date().toISOString()
+        });
+        this.key = key;
+        this.salt = salt;
+    }
+
+    /**
+     * Turn off encryption for new backups
+     */
+    async disable() {
+        await backupStore.deleteSetting(this.settingId);
+        this.key = null;
+        this.salt = null;
+    }
+
+    /**
+     * Derive the AES-GCM key for a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {string} salt - Base64 salt
+     * @param {number} iterations - PBKDF2 iterations (older backups may use fewer)
+     */
+    async deriveKey(passphrase, salt, iterations = this.iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: BackupArchive.base64ToBytes(salt), iterations: iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Key to encrypt new backup archives with, if encryption is on
+     * @returns {Object|null} { key, salt, iterations } for BackupArchive.pack()
+     */
+    getArchiveEncryption() {
+        if (!this.isEnabled()) {
+            return null;
+        }
+        return { key: this.key, salt: this.salt, iterations: this.iterations };
+    }
+
+    /**
+     * Decrypt an encrypted backup: an encrypted archive from BackupArchive.read(), or an
+     * encrypted JSON backup (encrypted backups were JSON before backups became archives)
+     * @param {Object} envelope - Encrypted backup
+     * @param {string} passphrase - Passphrase it was made with
+     * @returns {Object} Backup data
+     */
+    async decrypt(envelope, passphrase) {
+        const { encryption } = envelope;
+        if (!encryption || encryption.algorithm !== 'AES-GCM' || encryption.kdf !== 'PBKDF2' || encryption.hash !== 'SHA-256') {
+            throw new Error('This backup uses an encryption FeetOnFocus cannot read');
+        }
+
+        const key = await this.deriveKey(passphrase, encryption.salt, encryption.iterations);
+        if (envelope.archive) {
+            return BackupArchive.unpack(envelope.archive, key);
+        }
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: BackupArchive.base64ToBytes(encryption.iv) }, key, BackupArchive.base64ToBytes(envelope.ciphertext)
+            );
+        } catch (error) {
+            // AES-GCM can't tell a wrong key from tampered data
+            throw new Error('Wrong passphrase, or the backup file is damaged');
+        }
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+}
+
+// Create global backup encryption instance
+const backupEncryption = new BackupEncryption();
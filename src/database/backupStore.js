@@ -0,0 +1,488 @@
+/**
+ * FeetOnFocus Backup Storage
+ * Keeps auto and manual backups in a durable store: a separate IndexedDB database in the
+ * browser, and files in the backups folder in the desktop app
+ */
+
+class BackupStore {
+    constructor() {
+        this.dbName = 'FeetOnFocusBackups';
+        this.dbVersion = 2; // Incremented to add settings object store
+        this.db = null;
+        this.retentionSettingId = 'retentionPolicy';
+        this.minimumFreeSpace = 5 * 1024 * 1024; // Space left over after a backup is written
+    }
+
+    /**
+     * Open the backup store and move any backups still in localStorage into it. The
+     * backup database holds backup settings in desktop mode too.
+     */
+    async init() {
+        this.db = await this.openDatabase();
+
+        if (!this.isDesktopMode()) {
+            // Ask the browser not to evict backups when the disk runs low
+            if (navigator.storage && navigator.storage.persist) {
+                try {
+                    await navigator.storage.persist();
+                } catch (error) {
+                    console.warn('Persistent storage not granted:', error);
+                }
+            }
+        }
+
+        await this.migrateLocalStorageBackups();
+    }
+
+    /**
+     * Open the backup database. Backup details and contents are kept in separate stores
+     * so listing backups doesn't load every snapshot.
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => {
+                reject(new Error('Failed to open backup storage'));
+            };
+
+            request.onsuccess = (event) => {
+                resolve(event.target.result);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('backups')) {
+                    const backupsStore = db.createObjectStore('backups', { keyPath: 'id' });
+                    backupsStore.createIndex('type', 'type', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('backupContents')) {
+                    db.createObjectStore('backupContents', { keyPath: 'id' });
+                }
+
+                // Backup settings, kept out of the inventory database so restores don't touch them
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'id' });
+                }
+            };
+        });
+    }
+
+    /**
+     * Check if running in desktop mode, where backups are files
+     */
+    isDesktopMode() {
+        return typeof DesktopBackupHelper !== 'undefined' && DesktopBackupHelper.isDesktopMode();
+    }
+
+    /**
+     * Timestamp used in backup names: YYYY-MM-DD_HH-MM-SS
+     * @param {Date} date - Backup time (default: now)
+     */
+    createTimestamp(date = new Date()) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_` +
+            `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * Work out a backup's type and time from its file name
+     * @param {string} name - e.g. feetonfocus_manual_2025-10-05_21-45-30.json
+     * @param {string} fallbackDate - Date to use when the name has no timestamp
+     * @returns {Object} { name, type, timestamp, createdAt }
+     */
+    describeBackupName(name, fallbackDate = null) {
+        const match = name.match(/^feetonfocus_(auto|backup|manual|daily)_(.+?)(\.json|\.fofbackup)?$/);
+        const type = !match ? 'auto' : match[1] === 'backup' ? 'auto' : match[1];
+        const timestamp = match ? match[2] : name;
+
+        let createdAt = fallbackDate ? new Date(fallbackDate) : null;
+        const parts = timestamp.match(/^(\d{4}-\d{2}-\d{2})(?:_(\d{2})-(\d{2})-(\d{2}))?/);
+        if (parts) {
+            createdAt = new Date(parts[2] ? `${parts[1]}T${parts[2]}:${parts[3]}:${parts[4]}` : `${parts[1]}T00:00:00`);
+        }
+
+        return {
+            name: name,
+            type: type,
+            timestamp: timestamp,
+            createdAt: createdAt && !isNaN(createdAt.getTime()) ? createdAt.toISOString() : null
+        };
+    }
+
+    /**
+     * Turn backup data into the contents of a backup file: a compressed archive, encrypted
+     * if encryption is on. Encrypted backups that were read in stay as they are.
+     * @param {Object} data - Backup data, or an encrypted backup
+     * @returns {Object} { bytes, extension }
+     */
+    async createFile(data) {
+        if (backupEncryption.isEncrypted(data)) {
+            return data.archive ?
+                { bytes: data.archive, extension: BackupArchive.extension } :
+                { bytes: new TextEncoder().encode(JSON.stringify(data)), extension: '.json' };
+        }
+
+        return {
+            bytes: await BackupArchive.pack(data, backupEncryption.getArchiveEncryption()),
+            extension: BackupArchive.extension
+        };
+    }
+
+    /**
+     * Save a backup and remove the ones of its type the retention policy no longer keeps
+     * @param {string} type - 'auto' or 'manual'
+     * @param {Object} data - Backup from inventoryDB.exportAllData()
+     * @param {string} timestamp - Backup timestamp (default: now)
+     * @returns {Object} Saved backup { id, name, type, timestamp, createdAt, size, encrypted }
+     */
+    async save(type, data, timestamp = this.createTimestamp()) {
+        const file = await this.createFile(data);
+        const backup = {
+            ...this.describeBackupName(`feetonfocus_${type}_${timestamp}${file.extension}`),
+            size: file.bytes.length,
+            encrypted: backupEncryption.isEnabled() || backupEncryption.isEncrypted(data)
+        };
+
+        await this.checkSpace(backup.size);
+
+        if (this.isDesktopMode()) {
+            try {
+                backup.id = await DesktopBackupHelper.saveBackupFile(backup.name, file.bytes, type);
+            } catch (error) {
+                if (/disk space/i.test(error.message)) {
+                    this.reportOutOfSpace(error.message);
+                }
+                throw error;
+            }
+        } else {
+            backup.id = backup.name;
+            await this.writeBackup(backup, file.bytes);
+        }
+
+        await this.pruneBackups(type);
+        await this.warnIfSpaceLow(backup.size);
+
+        return backup;
+    }
+
+    /**
+     * Write a backup's details and contents to the browser backup database in one transaction
+     */
+    writeBackup(backup, bytes) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['backups', 'backupContents'], 'readwrite');
+            transaction.objectStore('backups').put(backup);
+            transaction.objectStore('backupContents').put({ id: backup.id, bytes: bytes });
+
+            transaction.oncomplete = () => {
+                resolve(backup);
+            };
+
+            // Running out of quota aborts the transaction rather than failing a request
+            transaction.onabort = () => {
+                if (transaction.error && transaction.error.name === 'QuotaExceededError') {
+                    reject(this.reportOutOfSpace(
+                        `Not enough storage space to save the backup (${formatFileSize(backup.size)}). ` +
+                        'Delete old backups or export them to files, then try again.'
+                    ));
+                } else {
+                    reject(new Error('Failed to save backup' + (transaction.error ? ': ' + transaction.error.message : '')));
+                }
+            };
+        });
+    }
+
+    /**
+     * List all stored backups, newest first
+     * @returns {Array} { id, name, type, timestamp, createdAt, size, encrypted }
+     */
+    async list() {
+        let backups;
+
+        if (this.isDesktopMode()) {
+            const files = await DesktopBackupHelper.listBackupFiles();
+            backups = files.map(file => ({
+                ...this.describeBackupName(file.name, file.modified),
+                // Files in the manual folder are manual backups whatever their name
+                ...(file.type === 'manual' ? { type: 'manual' } : {}),
+                id: file.path,
+                size: file.size,
+                encrypted: !!file.encrypted
+            }));
+        } else {
+            backups = await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(['backups'], 'readonly');
+                const request = transaction.objectStore('backups').getAll();
+
+                request.onsuccess = () => {
+                    resolve(request.result);
+                };
+
+                request.onerror = () => {
+                    reject(new Error('Failed to list backups'));
+                };
+            });
+        }
+
+        return backups.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    }
+
+    /**
+     * Read a stored backup
+     * @param {string} id - Backup ID (file path in desktop mode)
+     * @returns {Object} Backup details with its contents as `data` (an encrypted backup if encrypted)
+     */
+    async read(id) {
+        if (this.isDesktopMode()) {
+            const data = await DesktopBackupHelper.readBackupFile(id);
+            return { ...this.describeBackupName(id.split(/[\\/]/).pop()), id: id, data: data };
+        }
+
+        const [details, contents] = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['backups', 'backupContents'], 'readonly');
+            const detailsRequest = transaction.objectStore('backups').get(id);
+            const contentsRequest = transaction.objectStore('backupContents').get(id);
+
+            transaction.oncomplete = () => {
+                if (!detailsRequest.result || !contentsRequest.result) {
+                    reject(new Error('Backup not found'));
+                    return;
+                }
+                resolve([detailsRequest.result, contentsRequest.result]);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to read backup'));
+            };
+        });
+
+        // Backups stored before archives were kept as JSON text
+        const bytes = contents.bytes || new TextEncoder().encode(contents.json);
+        return { ...details, data: await BackupArchive.read(bytes) };
+    }
+
+    /**
+     * Delete a stored backup
+     * @param {string} id - Backup ID (file path in desktop mode)
+     */
+    async remove(id) {
+        if (this.isDesktopMode()) {
+            await DesktopBackupHelper.deleteBackupFile(id);
+            return;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['backups', 'backupContents'], 'readwrite');
+            transaction.objectStore('backups').delete(id);
+            transaction.objectStore('backupContents').delete(id);
+
+            transaction.oncomplete = () => {
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to delete backup'));
+            };
+        });
+    }
+
+    /**
+     * Get a backup setting
+     * @param {string} id - Setting ID
+     * @returns {Object|null} Setting record
+     */
+    async getSetting(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readonly');
+            const request = transaction.objectStore('settings').get(id);
+
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to read backup settings'));
+            };
+        });
+    }
+
+    /**
+     * Save a backup setting
+     * @param {Object} setting - Setting record with an id
+     */
+    async saveSetting(setting) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            transaction.objectStore('settings').put(setting);
+
+            transaction.oncomplete = () => {
+                resolve(setting);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to save backup settings'));
+            };
+        });
+    }
+
+    /**
+     * Delete a backup setting
+     * @param {string} id - Setting ID
+     */
+    async deleteSetting(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            transaction.objectStore('settings').delete(id);
+
+            transaction.oncomplete = () => {
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to save backup settings'));
+            };
+        });
+    }
+
+    /**
+     * Get the retention policy: how many hourly, daily, weekly and monthly backups are kept
+     * @returns {Object} { hourly, daily, weekly, monthly }
+     */
+    async getRetentionPolicy() {
+        if (this.isDesktopMode()) {
+            return DesktopBackupHelper.getRetentionPolicy();
+        }
+
+        const setting = await this.getSetting(this.retentionSettingId);
+        return BackupRetention.normalizePolicy(setting ? setting.policy : undefined);
+    }
+
+    /**
+     * Save the retention policy. It takes effect when the next backup is saved.
+     * @param {Object} policy - { hourly, daily, weekly, monthly }
+     * @returns {Object} Saved policy
+     */
+    async saveRetentionPolicy(policy) {
+        const normalized = BackupRetention.normalizePolicy(policy);
+
+        if (this.isDesktopMode()) {
+            return DesktopBackupHelper.saveRetentionPolicy(normalized);
+        }
+
+        await this.saveSetting({ id: this.retentionSettingId, policy: normalized });
+        return normalized;
+    }
+
+    /**
+     * Remove the auto backups the retention policy no longer keeps. In desktop mode the
+     * main process does this when it saves a backup file. Manual backups are never removed.
+     * @param {string} type - 'auto' or 'manual'
+     */
+    async pruneBackups(type) {
+        if (this.isDesktopMode() || type === 'manual') return;
+
+        const backups = (await this.list())
+            .filter(backup => backup.type === type && backup.name.startsWith(`feetonfocus_${type}_`));
+        const { remove } = BackupRetention.apply(backups, await this.getRetentionPolicy());
+
+        for (const backup of remove) {
+            await this.remove(backup.id);
+            console.log('Removed old backup:', backup.name);
+        }
+    }
+
+    /**
+     * Space used by backups and space still free for them
+     * @returns {Object} { used, free, total } in bytes; free and total are null if unknown
+     */
+    async getStorageInfo() {
+        if (this.isDesktopMode()) {
+            const info = await DesktopBackupHelper.getStorageInfo();
+            return { used: info.backupsSize, free: info.free, total: info.total };
+        }
+
+        const backups = await this.list();
+        const used = backups.reduce((sum, backup) => sum + (backup.size || 0), 0);
+
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return { used: used, free: null, total: null };
+        }
+
+        const estimate = await navigator.storage.estimate();
+        return { used: used, free: Math.max(estimate.quota - estimate.usage, 0), total: estimate.quota };
+    }
+
+    /**
+     * Refuse to start a backup that won't fit, before anything is written
+     * @param {number} size - Backup size in bytes
+     */
+    async checkSpace(size) {
+        const info = await this.getStorageInfo();
+        if (info.free !== null && size + this.minimumFreeSpace > info.free) {
+            throw this.reportOutOfSpace(
+                `Not enough storage space for a backup: it needs ${formatFileSize(size + this.minimumFreeSpace)} and only ` +
+                `${formatFileSize(info.free)} is free. Delete old backups or export them to files, then try again.`
+            );
+        }
+    }
+
+    /**
+     * Warn while there's still room for only a couple more backups
+     * @param {number} size - Size of the backup just saved
+     */
+    async warnIfSpaceLow(size) {
+        const info = await this.getStorageInfo();
+        if (info.free !== null && info.free < size * 3 + this.minimumFreeSpace) {
+            console.warn('Backup storage is nearly full:', info);
+            if (typeof showToast === 'function') {
+                showToast(`Backup storage is nearly full (${formatFileSize(info.free)} free). Delete old backups or export them to files.`, 'warning', 10000);
+            }
+        }
+    }
+
+    /**
+     * Tell the user backups have stopped because space ran out. Scheduled backups fail
+     * quietly otherwise, so this is shown even when nobody is looking at the backups.
+     * @param {string} message - What went wrong
+     * @returns {Error} Error to throw
+     */
+    reportOutOfSpace(message) {
+        console.error('Backup storage full:', message);
+        if (typeof showToast === 'function') {
+            showToast(`❌ Backup failed: ${message}`, 'error', 15000);
+        }
+        return new Error(message);
+    }
+
+    /**
+     * Move backups written by earlier versions to localStorage into the backup store,
+     * freeing the localStorage quota they used
+     */
+    async migrateLocalStorageBackups() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && (key.startsWith('feetonfocus_backup_') || key.startsWith('feetonfocus_manual_'))) {
+                keys.push(key);
+            }
+        }
+
+        for (const key of keys.sort()) {
+            try {
+                const { type, timestamp } = this.describeBackupName(key);
+                await this.save(type, JSON.parse(localStorage.getItem(key)), timestamp);
+                localStorage.removeItem(key);
+                console.log('Moved backup out of localStorage:', key);
+            } catch (error) {
+                // Left in localStorage so nothing is lost; tried again next start
+                console.error('Error moving backup out of localStorage:', key, error);
+            }
+        }
+    }
+}
+
+// Create global backup store instance
+const backupStore = new BackupStore();
@@ -6,7 +6,11 @@
 class InventoryDatabase {
     constructor() {
         this.dbName = 'FeetOnFocusDB';
-        this.dbVersion = 5; // Incremented to add stockHistory object store
+        this.dbVersion = 9; // Incremented to add stocktakes object store
+        this.backupFormat = 2; // Layout of exported backups, see exportAllData()
+        this.backupSettings = ['costingMethod', 'adjustmentReasons', 'expiryWarningDays'];
+        // Stores whose records point at items by id, so they can't outlive a restore of the items
+        this.itemLinkedStores = ['purchases', 'stockHistory', 'stockLots', 'recalls', 'stocktakes', 'invoices'];
         this.db = null;
     }
 
@@ -36,6 +40,12 @@ class InventoryDatabase {
                     delete this._defaultCategoriesToInit;
                 }
                 
+                // Initialize default locations if they were marked for initialization
+                if (this._defaultLocationsToInit) {
+                    await this.initializeDefaultLocations(this._defaultLocationsToInit);
+                    delete this._defaultLocationsToInit;
+                }
+                
                 resolve(this.db);
             };
             
@@ -107,6 +117,37 @@ class InventoryDatabase {
                     stockHistoryStore.createIndex('timestamp', 'timestamp', { unique: false });
                 }
                 
+                // Create Stock Lots object store (lot number, expiry and remaining quantity per delivery)
+                if (!db.objectStoreNames.contains('stockLots')) {
+                    const stockLotsStore = db.createObjectStore('stockLots', { 
+                        keyPath: 'id', 
+                        autoIncrement: true 
+                    });
+                    
+                    stockLotsStore.createIndex('itemId', 'itemId', { unique: false });
+                    stockLotsStore.createIndex('lotNumber', 'lotNumber', { unique: false });
+                    stockLotsStore.createIndex('expiryDate', 'expiryDate', { unique: false });
+                    stockLotsStore.createIndex('status', 'status', { unique: false }); // 'active', 'depleted', 'quarantined'
+                }
+                
+                // Lots are kept per location
+                const lotsStore = event.target.transaction.objectStore('stockLots');
+                if (!lotsStore.indexNames.contains('locationId')) {
+                    lotsStore.createIndex('locationId', 'locationId', { unique: false });
+                }
+                
+                // Create Recalls object store (supplier recalls of a lot)
+                if (!db.objectStoreNames.contains('recalls')) {
+                    const recallsStore = db.createObjectStore('recalls', { 
+                        keyPath: 'id', 
+                        autoIncrement: true 
+                    });
+                    
+                    recallsStore.createIndex('itemId', 'itemId', { unique: false });
+                    recallsStore.createIndex('lotNumber', 'lotNumber', { unique: false });
+                    recallsStore.createIndex('status', 'status', { unique: false }); // 'open', 'returned', 'written_off'
+                }
+                
                 // Create Suppliers object store
                 if (!db.objectStoreNames.contains('suppliers')) {
                     const suppliersStore = db.createObjectStore('suppliers', { 
@@ -153,6 +194,39 @@ class InventoryDatabase {
                     this._defaultCategoriesToInit = defaultCategories;
                 }
                 
+                // Create Locations object store (where stock is kept)
+                if (!db.objectStoreNames.contains('locations')) {
+                    const locationsStore = db.createObjectStore('locations', { 
+                        keyPath: 'id', 
+                        autoIncrement: true 
+                    });
+                    
+                    locationsStore.createIndex('name', 'name', { unique: true });
+                    locationsStore.createIndex('code', 'code', { unique: true });
+                    
+                    // The storeroom is the main location: deliveries are booked in there
+                    const defaultLocations = [
+                        { name: 'Storeroom', code: 'storeroom', description: 'Main stock room', isDefault: true },
+                        { name: 'Treatment Room 1', code: 'room1', description: null, isDefault: false },
+                        { name: 'Treatment Room 2', code: 'room2', description: null, isDefault: false },
+                        { name: 'Mobile Kit', code: 'mobile', description: 'Home-visit bag', isDefault: false }
+                    ];
+                    
+                    // Mark for initialization after database is ready
+                    this._defaultLocationsToInit = defaultLocations;
+                }
+                
+                // Create Stocktakes object store (count sessions with their frozen snapshot)
+                if (!db.objectStoreNames.contains('stocktakes')) {
+                    const stocktakesStore = db.createObjectStore('stocktakes', { 
+                        keyPath: 'id', 
+                        autoIncrement: true 
+                    });
+                    
+                    stocktakesStore.createIndex('status', 'status', { unique: false }); // 'open', 'posted', 'cancelled'
+                    stocktakesStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+                
             };
         });
     }
@@ -266,20 +340,24 @@ class InventoryDatabase {
     }
 
     /**
-     * Update an existing item
+     * Update an existing item. Once the item's stock is held in lots its quantity is
+     * their total and can't be edited here; it changes through stock movements, with an
+     * adjustment to correct it.
      * @param {number} id - Item ID
      * @param {Object} itemData - Updated item data
      */
     async updateItem(id, itemData) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['items', 'activity'], 'readwrite');
+            const transaction = this.db.transaction(['items', 'stockLots', 'activity'], 'readwrite');
             const itemsStore = transaction.objectStore('items');
+            const lotsStore = transaction.objectStore('stockLots');
             const activityStore = transaction.objectStore('activity');
             
-            // First get the existing item
+            // First get the existing item and its lots
             const getRequest = itemsStore.get(id);
+            const lotsRequest = lotsStore.index('itemId').getAll(id);
             
-            getRequest.onsuccess = () => {
+            lotsRequest.onsuccess = () => {
                 const existingItem = getRequest.result;
                 if (!existingItem) {
                     reject(new Error('Item not found'));
@@ -293,6 +371,13 @@ class InventoryDatabase {
                     updatedAt: new Date().toISOString()
                 };
                 
+                const lots = lotsRequest.result;
+                if (lots.length > 0) {
+                    updatedItem.quantity = lots
+                        .filter(lot => lot.quantity > 0)
+                        .reduce((sum, lot) => sum + lot.quantity, 0);
+                }
+                
                 const updateRequest = itemsStore.put(updatedItem);
                 
                 updateRequest.onsuccess = () => {
@@ -311,6 +396,10 @@ class InventoryDatabase {
                     reject(new Error('Failed to update item'));
                 };
             };
+            
+            getRequest.onerror = lotsRequest.onerror = () => {
+                reject(new Error('Failed to get item'));
+            };
         });
     }
 
@@ -444,6 +533,8 @@ class InventoryDatabase {
                 this.getAllSuppliers()
             ]);
             
+            const locationStock = await this.getLocationStockSummary();
+            
             const stats = {
                 totalItems: items.length,
                 totalValue: items.reduce((sum, item) => {
@@ -459,14 +550,21 @@ class InventoryDatabase {
                     const currentQuantity = item.quantity || 0;
                     const threshold = item.lowStockThreshold || 5; // Default to 5 if not set
                     
-                    return currentQuantity < threshold;
+                    // Also low when any location is below its own threshold
+                    return currentQuantity < threshold || (locationStock[item.id] || []).some(entry => entry.isLow);
                 }).length,
                 pendingOrders: items.filter(item => item.orderStatus === 'ordered').length,
+                expiringLots: 0,
+                expiredLots: 0,
                 suppliers: [...new Set(items.map(item => item.supplier).filter(s => s))],
                 categories: [...new Set(items.map(item => item.category).filter(c => c))],
                 suppliersCount: suppliers.length
             };
             
+            const expiringLots = await this.getExpiringLots();
+            stats.expiredLots = expiringLots.filter(lot => lot.isExpired).length;
+            stats.expiringLots = expiringLots.length - stats.expiredLots;
+            
             return stats;
         } catch (error) {
             throw new Error('Failed to get statistics');
@@ -478,17 +576,26 @@ class InventoryDatabase {
      */
     async getLowStockItems() {
         try {
-            const items = await this.getAllItems();
+            const [items, locationStock] = await Promise.all([
+                this.getAllItems(),
+                this.getLocationStockSummary()
+            ]);
             
-            return items.filter(item => {
-                // Only include items that have quantity tracking (reselling and consumables)
-                if (item.itemType === 'office_equipment') return false;
-                
-                const currentQuantity = item.quantity || 0;
-                const threshold = item.lowStockThreshold || 5; // Default to 5 if not set
-                
-                return currentQuantity < threshold;
-            });
+            return items
+                .map(item => ({
+                    ...item,
+                    lowStockLocations: (locationStock[item.id] || []).filter(entry => entry.isLow)
+                }))
+                .filter(item => {
+                    // Only include items that have quantity tracking (reselling and consumables)
+                    if (item.itemType === 'office_equipment') return false;
+                    
+                    const currentQuantity = item.quantity || 0;
+                    const threshold = item.lowStockThreshold || 5; // Default to 5 if not set
+                    
+                    // Also low when any location is below its own threshold
+                    return currentQuantity < threshold || item.lowStockLocations.length > 0;
+                });
         } catch (error) {
             throw new Error('Failed to get low stock items');
         }
@@ -499,77 +606,73 @@ class InventoryDatabase {
      */
     async getPendingOrders() {
         try {
-            const items = await this.getAllItems();
+            const [items, openLines] = await Promise.all([
+                this.getAllItems(),
+                this.getOpenPurchaseLines()
+            ]);
             
-            return items.filter(item => item.orderStatus === 'ordered');
+            // One entry per item, carrying every open order line for it
+            return items
+                .map(item => {
+                    const openOrders = openLines.filter(line => line.itemId === item.id);
+                    if (openOrders.length === 0) return null;
+                    
+                    const expectedDates = openOrders.map(line => line.expectedDelivery).filter(Boolean).sort();
+                    return {
+                        ...item,
+                        openOrders: openOrders,
+                        orderedQuantity: openOrders.reduce((sum, line) => sum + line.outstanding, 0),
+                        orderDate: openOrders[0].orderDate,
+                        expectedDelivery: expectedDates[0] || null
+                    };
+                })
+                .filter(Boolean);
         } catch (error) {
             throw new Error('Failed to get pending orders');
         }
     }
 
     /**
-     * Update item order status
-     * @param {number} itemId - Item ID
-     * @param {number} orderedQuantity - Quantity ordered
-     * @param {string} orderDate - Order date
-     * @param {string} expectedDelivery - Expected delivery date (optional)
+     * Bring a purchase record into the order header + lines shape.
+     * Purchases saved before multi-line orders hold a single itemId/quantity/unitCost.
+     * @param {Object} purchase - Stored purchase record
+     * @returns {Object} Purchase with a lines array
      */
-    async updateItemOrderStatus(itemId, orderedQuantity, orderDate, expectedDelivery = null) {
-        try {
-            const item = await this.getItemById(itemId);
-            if (!item) {
-                throw new Error('Item not found');
-            }
-            
-            const orderData = {
-                orderedQuantity: orderedQuantity,
-                orderDate: orderDate,
-                expectedDelivery: expectedDelivery,
-                orderStatus: 'ordered',
-                lastOrderedAt: new Date().toISOString()
-            };
-            
-            // Update the item with order information
-            const updatedItem = await this.updateItem(itemId, orderData);
-            
-            return updatedItem;
-        } catch (error) {
-            throw new Error('Failed to update order status: ' + error.message);
+    normalizePurchase(purchase) {
+        if (!purchase || Array.isArray(purchase.lines)) {
+            return purchase;
         }
-    }
 
-    /**
-     * Mark item as received and update stock
-     * @param {number} itemId - Item ID
-     * @param {number} receivedQuantity - Quantity received
-     */
-    async markItemAsReceived(itemId, receivedQuantity) {
-        try {
-            const item = await this.getItemById(itemId);
-            if (!item) {
-                throw new Error('Item not found');
-            }
-            
-            const newQuantity = (item.quantity || 0) + receivedQuantity;
-            
-            const updateData = {
-                quantity: newQuantity,
-                orderStatus: 'received',
-                receivedDate: new Date().toISOString(),
-                receivedQuantity: receivedQuantity
-            };
-            
-            // Clear order data since item is received
-            delete updateData.orderedQuantity;
-            delete updateData.orderDate;
-            delete updateData.expectedDelivery;
-            
-            const updatedItem = await this.updateItem(itemId, updateData);
-            
-            return updatedItem;
-        } catch (error) {
-            throw new Error('Failed to mark item as received: ' + error.message);
-        }
+        const { itemId, itemName, itemSku, quantity, unitCost, actualQuantityReceived, actualUnitCost, ...header } = purchase;
+        const isReceived = purchase.status === 'received';
+        const orderedQuantity = quantity || 0;
+
+        return {
+            ...header,
+            poNumber: purchase.poNumber || null,
+            shippingCost: purchase.shippingCost || 0,
+            subtotal: orderedQuantity * (unitCost || 0),
+            totalCost: purchase.totalCost || orderedQuantity * (unitCost || 0),
+            lines: [{
+                lineId: 1,
+                itemId: itemId,
+                itemName: itemName,
+                itemSku: itemSku || null,
+                quantity: orderedQuantity,
+                unitCost: unitCost || 0,
+                totalCost: orderedQuantity * (unitCost || 0),
+                quantityReceived: isReceived ? (actualQuantityReceived ?? orderedQuantity) : 0,
+                shortClosedQuantity: 0,
+                actualUnitCost: actualUnitCost ?? null,
+                receivedDate: isReceived ? (purchase.receivedDate || null) : null,
+                backorderExpectedDelivery: null,
+                receipts: isReceived ? [{
+                    date: purchase.receivedDate || null,
+                    quantity: actualQuantityReceived ?? orderedQuantity,
+                    unitCost: actualUnitCost ?? (unitCost || 0)
+                }] : []
+            }]
+        };
     }
 
     /**
@@ -596,7 +699,7 @@ class InventoryDatabase {
                 // Log activity
                 activityStore.add({
                     type: 'purchase_created',
-                    description: `Created purchase order: ${purchase.invoiceReference || 'No reference'}`,
+                    description: `Created purchase order: ${purchase.poNumber || purchase.invoiceReference || 'No reference'}`,
                     timestamp: new Date().toISOString(),
                     purchaseId: purchaseId
                 });
@@ -610,6 +713,455 @@ class InventoryDatabase {
         });
     }
 
+    /**
+     * Build purchase order lines and totals from line input
+     * @param {Array} lines - Lines ({ lineId, itemId, itemName, itemSku, quantity, unitCost })
+     * @param {number} shippingCost - Shipping charged on the order
+     */
+    buildPurchaseOrderLines(lines, shippingCost = 0) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            throw new Error('A purchase order needs at least one line');
+        }
+
+        let nextLineId = Math.max(0, ...lines.map(line => line.lineId || 0)) + 1;
+
+        const orderLines = lines.map(line => {
+            const quantity = parseInt(line.quantity) || 0;
+            const unitCost = parseFloat(line.unitCost) || 0;
+
+            if (!line.itemId) {
+                throw new Error('Every line must have an item');
+            }
+            if (quantity <= 0) {
+                throw new Error(`Invalid quantity for ${line.itemName || 'item ' + line.itemId}`);
+            }
+
+            return {
+                lineId: line.lineId || nextLineId++,
+                itemId: line.itemId,
+                itemName: line.itemName,
+                itemSku: line.itemSku || null,
+                quantity: quantity,
+                unitCost: unitCost,
+                totalCost: Math.round(quantity * unitCost * 100) / 100,
+                quantityReceived: line.quantityReceived || 0,
+                shortClosedQuantity: line.shortClosedQuantity || 0,
+                receivedDate: line.receivedDate || null,
+                backorderExpectedDelivery: line.backorderExpectedDelivery || null,
+                receipts: line.receipts || []
+            };
+        });
+
+        const subtotal = Math.round(orderLines.reduce((sum, line) => sum + line.totalCost, 0) * 100) / 100;
+        const shipping = parseFloat(shippingCost) || 0;
+
+        return {
+            lines: orderLines,
+            shippingCost: shipping,
+            subtotal: subtotal,
+            totalCost: Math.round((subtotal + shipping) * 100) / 100
+        };
+    }
+
+    /**
+     * Suggest the next purchase order number for a date, e.g. PO20240315-002
+     * @param {string} orderDate - Order date (YYYY-MM-DD)
+     */
+    async getNextPurchaseOrderNumber(orderDate) {
+        const purchases = await this.getAllPurchases();
+        const prefix = 'PO' + orderDate.replace(/-/g, '') + '-';
+        const sameDay = purchases.filter(purchase => purchase.poNumber && purchase.poNumber.startsWith(prefix));
+        return prefix + String(sameDay.length + 1).padStart(3, '0');
+    }
+
+    /**
+     * Create a multi-line purchase order and flag its items as on order
+     * @param {Object} orderData - Header ({ poNumber, supplier, orderDate, expectedDelivery, shippingCost, invoiceReference, notes }) and lines
+     */
+    async createPurchaseOrder(orderData) {
+        try {
+            const { lines, shippingCost, subtotal, totalCost } = this.buildPurchaseOrderLines(orderData.lines, orderData.shippingCost);
+            const poNumber = orderData.poNumber || await this.getNextPurchaseOrderNumber(orderData.orderDate);
+
+            const purchase = await this.createPurchase({
+                poNumber: poNumber,
+                supplier: orderData.supplier,
+                orderDate: orderData.orderDate,
+                expectedDelivery: orderData.expectedDelivery || null,
+                invoiceReference: orderData.invoiceReference || null,
+                notes: orderData.notes || null,
+                shippingCost: shippingCost,
+                subtotal: subtotal,
+                totalCost: totalCost,
+                status: 'ordered',
+                lines: lines
+            });
+
+            await this.refreshPurchaseOrderItems(purchase.lines);
+
+            return purchase;
+        } catch (error) {
+            throw new Error('Failed to create purchase order: ' + error.message);
+        }
+    }
+
+    /**
+     * Update the header and lines of an open purchase order
+     * @param {number} purchaseId - Purchase ID
+     * @param {Object} orderData - Header fields and lines
+     */
+    async updatePurchaseOrder(purchaseId, orderData) {
+        try {
+            const purchase = await this.getPurchaseById(purchaseId);
+            if (!purchase) {
+                throw new Error('Purchase not found');
+            }
+            if (purchase.status !== 'ordered') {
+                throw new Error('Only orders with nothing received can be edited');
+            }
+            if (purchase.lines.some(line => line.quantityReceived > 0)) {
+                throw new Error('Orders with received lines cannot be edited');
+            }
+
+            const { lines, shippingCost, subtotal, totalCost } = this.buildPurchaseOrderLines(orderData.lines, orderData.shippingCost);
+
+            const updated = await this.updatePurchaseStatus(purchaseId, 'ordered', {
+                poNumber: orderData.poNumber || purchase.poNumber,
+                supplier: orderData.supplier,
+                orderDate: orderData.orderDate,
+                expectedDelivery: orderData.expectedDelivery || null,
+                invoiceReference: orderData.invoiceReference || null,
+                notes: orderData.notes || null,
+                shippingCost: shippingCost,
+                subtotal: subtotal,
+                totalCost: totalCost,
+                lines: lines
+            });
+
+            // Include items dropped from the order so they come off order
+            await this.refreshPurchaseOrderItems([...purchase.lines, ...lines]);
+
+            return updated;
+        } catch (error) {
+            throw new Error('Failed to update purchase order: ' + error.message);
+        }
+    }
+
+    /**
+     * Quantity of a purchase order line still to be delivered
+     * @param {Object} line - Purchase order line
+     */
+    getPurchaseLineOutstanding(line) {
+        return Math.max(0, (line.quantity || 0) - (line.quantityReceived || 0) - (line.shortClosedQuantity || 0));
+    }
+
+    /**
+     * Work out an open order's status from its lines
+     * @param {Array} lines - Purchase order lines
+     * @returns {string} 'ordered', 'partial' or 'received'
+     */
+    getPurchaseOrderStatus(lines) {
+        if (lines.every(line => this.getPurchaseLineOutstanding(line) === 0)) {
+            return 'received';
+        }
+        return lines.some(line => (line.quantityReceived || 0) > 0) ? 'partial' : 'ordered';
+    }
+
+    /**
+     * Receive a delivery against a purchase order. Quantities short of the
+     * outstanding amount leave the rest of the line open as a backorder.
+     * @param {number} purchaseId - Purchase ID
+     * @param {Array} receipts - Optional [{ lineId, quantity, unitCost, lotNumber, expiryDate, backorderExpectedDelivery }]; defaults to everything outstanding
+     * @param {string} notes - Optional delivery notes
+     */
+    async receivePurchaseOrder(purchaseId, receipts = null, notes = null) {
+        try {
+            const purchase = await this.getPurchaseById(purchaseId);
+            if (!purchase) {
+                throw new Error('Purchase not found');
+            }
+            if (!['ordered', 'partial'].includes(purchase.status)) {
+                throw new Error('Only open orders can be received');
+            }
+
+            const toReceive = (receipts || purchase.lines
+                .filter(line => this.getPurchaseLineOutstanding(line) > 0)
+                .map(line => ({ lineId: line.lineId, quantity: this.getPurchaseLineOutstanding(line), unitCost: line.unitCost })))
+                .filter(receipt => receipt.quantity > 0);
+
+            if (toReceive.length === 0) {
+                throw new Error('There is nothing to receive');
+            }
+
+            const lines = purchase.lines.map(line => ({ ...line, receipts: [...(line.receipts || [])] }));
+            const movements = [];
+            const lineReceipts = [];
+            const receivedDate = new Date().toISOString();
+
+            for (const receipt of toReceive) {
+                const line = lines.find(l => l.lineId === receipt.lineId);
+                if (!line) {
+                    throw new Error(`Line ${receipt.lineId} not found on this order`);
+                }
+
+                const outstanding = this.getPurchaseLineOutstanding(line);
+                if (receipt.quantity > outstanding) {
+                    throw new Error(`Only ${outstanding} of ${line.itemName} still outstanding`);
+                }
+
+                const unitCost = receipt.unitCost ?? line.unitCost;
+                movements.push({
+                    type: 'purchase',
+                    itemId: line.itemId,
+                    quantity: receipt.quantity,
+                    unitCost: unitCost,
+                    supplier: purchase.supplier,
+                    invoiceReference: purchase.invoiceReference || purchase.poNumber,
+                    purchaseLink: { purchaseId: purchase.id, lineId: line.lineId, poNumber: purchase.poNumber },
+                    lotNumber: receipt.lotNumber,
+                    expiryDate: receipt.expiryDate,
+                    locationId: receipt.locationId,
+                    notes: notes
+                });
+
+                const lineReceipt = {
+                    date: receivedDate,
+                    quantity: receipt.quantity,
+                    unitCost: unitCost,
+                    lotId: null, // Set once the lot is saved
+                    lotNumber: receipt.lotNumber || null,
+                    expiryDate: receipt.expiryDate || null,
+                    notes: notes
+                };
+                line.receipts.push(lineReceipt);
+                lineReceipts.push(lineReceipt);
+                line.quantityReceived = (line.quantityReceived || 0) + receipt.quantity;
+                if (unitCost !== line.unitCost) {
+                    line.actualUnitCost = unitCost;
+                }
+
+                if (this.getPurchaseLineOutstanding(line) === 0) {
+                    line.receivedDate = receivedDate;
+                    line.backorderExpectedDelivery = null;
+                } else if (receipt.backorderExpectedDelivery !== undefined) {
+                    line.backorderExpectedDelivery = receipt.backorderExpectedDelivery || null;
+                }
+            }
+
+            const status = this.getPurchaseOrderStatus(lines);
+            let updated = null;
+
+            // The stock and the order are saved together, so a delivery can't be booked in twice
+            const stockEntries = await this.applyStockMovements(movements, {
+                stores: ['purchases'],
+                activity: [{
+                    type: 'purchase_received',
+                    description: `Received ${toReceive.length} line(s) on purchase order ${purchase.poNumber || purchase.invoiceReference || '#' + purchase.id}` +
+                        (status === 'partial' ? ' (backorder open)' : ''),
+                    purchaseId: purchaseId
+                }],
+                beforeCommit: (transaction, entries, abort) => {
+                    entries.forEach((entry, index) => {
+                        lineReceipts[index].lotId = entry.lots[0].lotId;
+                    });
+
+                    const store = transaction.objectStore('purchases');
+                    const request = store.get(purchaseId);
+                    request.onsuccess = () => {
+                        const current = this.normalizePurchase(request.result);
+                        if (!current || current.status !== purchase.status || current.updatedAt !== purchase.updatedAt) {
+                            abort(new Error('The order was changed in the meantime, reopen it and try again'));
+                            return;
+                        }
+                        updated = {
+                            ...current,
+                            lines: lines,
+                            receivedDate: status === 'received' ? receivedDate : null,
+                            status: status,
+                            updatedAt: new Date().toISOString()
+                        };
+                        store.put(updated);
+                    };
+                }
+            });
+
+            // Whatever is still outstanding stays on order
+            await this.refreshPurchaseOrderItems(lines);
+
+            return { purchase: updated, stockEntries };
+        } catch (error) {
+            throw new Error('Failed to receive purchase order: ' + error.message);
+        }
+    }
+
+    /**
+     * Close a partly received order, writing off whatever is still outstanding
+     * @param {number} purchaseId - Purchase ID
+     * @param {string} reason - Optional reason, e.g. "Discontinued by supplier"
+     */
+    async shortClosePurchaseOrder(purchaseId, reason = null) {
+        try {
+            const purchase = await this.getPurchaseById(purchaseId);
+            if (!purchase) {
+                throw new Error('Purchase not found');
+            }
+            if (purchase.status !== 'partial') {
+                throw new Error('Only partly received orders can be short-closed');
+            }
+
+            const closedDate = new Date().toISOString();
+            const lines = purchase.lines.map(line => {
+                const outstanding = this.getPurchaseLineOutstanding(line);
+                if (outstanding === 0) return line;
+
+                return {
+                    ...line,
+                    shortClosedQuantity: (line.shortClosedQuantity || 0) + outstanding,
+                    backorderExpectedDelivery: null
+                };
+            });
+
+            const updated = await this.updatePurchaseStatus(purchaseId, 'short_closed', {
+                lines: lines,
+                shortClosedDate: closedDate,
+                shortCloseReason: reason
+            });
+
+            await this.refreshPurchaseOrderItems(purchase.lines);
+
+            await this.addActivity({
+                type: 'purchase_short_closed',
+                description: `Short-closed purchase order ${purchase.poNumber || purchase.invoiceReference || '#' + purchase.id}` +
+                    (reason ? `: ${reason}` : ''),
+                purchaseId: purchaseId
+            });
+
+            return updated;
+        } catch (error) {
+            throw new Error('Failed to short-close purchase order: ' + error.message);
+        }
+    }
+
+    /**
+     * Cancel an open purchase order and take its items off order
+     * @param {number} purchaseId - Purchase ID
+     */
+    async cancelPurchaseOrder(purchaseId) {
+        try {
+            const purchase = await this.getPurchaseById(purchaseId);
+            if (!purchase) {
+                throw new Error('Purchase not found');
+            }
+            if (purchase.status !== 'ordered') {
+                throw new Error('Only open orders can be cancelled');
+            }
+
+            const updated = await this.updatePurchaseStatus(purchaseId, 'cancelled', {
+                cancelledDate: new Date().toISOString()
+            });
+
+            await this.refreshPurchaseOrderItems(purchase.lines);
+
+            await this.addActivity({
+                type: 'purchase_cancelled',
+                description: `Cancelled purchase order ${purchase.poNumber || purchase.invoiceReference || '#' + purchase.id}`,
+                purchaseId: purchaseId
+            });
+
+            return updated;
+        } catch (error) {
+            throw new Error('Failed to cancel purchase order: ' + error.message);
+        }
+    }
+
+    /**
+     * Get every purchase order line still waiting for stock
+     * @param {number} itemId - Optional item ID to limit the lines to
+     * @returns {Array} Open lines ({ purchaseId, poNumber, supplier, orderDate, expectedDelivery, lineId, itemId, itemName, quantity, quantityReceived, outstanding, unitCost })
+     */
+    async getOpenPurchaseLines(itemId = null) {
+        const purchases = await this.getAllPurchases();
+        const openLines = [];
+
+        purchases
+            .filter(purchase => purchase.status === 'ordered' || purchase.status === 'partial')
+            .forEach(purchase => {
+                purchase.lines.forEach(line => {
+                    const outstanding = this.getPurchaseLineOutstanding(line);
+                    if (outstanding === 0 || (itemId !== null && line.itemId !== itemId)) return;
+
+                    openLines.push({
+                        purchaseId: purchase.id,
+                        poNumber: purchase.poNumber,
+                        supplier: purchase.supplier,
+                        orderDate: purchase.orderDate,
+                        expectedDelivery: line.backorderExpectedDelivery || purchase.expectedDelivery || null,
+                        lineId: line.lineId,
+                        itemId: line.itemId,
+                        itemName: line.itemName,
+                        quantity: line.quantity,
+                        quantityReceived: line.quantityReceived || 0,
+                        outstanding: outstanding,
+                        unitCost: line.unitCost || 0
+                    });
+                });
+            });
+
+        // Oldest orders first - they are usually received first
+        return openLines.sort((a, b) => new Date(a.orderDate) - new Date(b.orderDate) || a.purchaseId - b.purchaseId);
+    }
+
+    /**
+     * Recalculate an item's on-order summary from its open purchase orders.
+     * orderedQuantity, orderDate and expectedDelivery on the item are a cached
+     * summary; the purchase orders are the record of what is on order.
+     * @param {number} itemId - Item ID
+     */
+    async refreshItemOrderStatus(itemId) {
+        const item = await this.getItemById(itemId);
+        if (!item) {
+            return null;
+        }
+
+        const openLines = await this.getOpenPurchaseLines(itemId);
+
+        if (openLines.length === 0) {
+            if (item.orderStatus !== 'ordered') {
+                return item;
+            }
+
+            return await this.updateItem(itemId, {
+                orderedQuantity: 0,
+                openOrderCount: 0,
+                orderDate: null,
+                expectedDelivery: null,
+                orderStatus: null
+            });
+        }
+
+        const expectedDates = openLines.map(line => line.expectedDelivery).filter(Boolean).sort();
+
+        return await this.updateItem(itemId, {
+            orderedQuantity: openLines.reduce((sum, line) => sum + line.outstanding, 0),
+            openOrderCount: new Set(openLines.map(line => line.purchaseId)).size,
+            orderDate: openLines[0].orderDate,
+            expectedDelivery: expectedDates[0] || null,
+            orderStatus: 'ordered',
+            lastOrderedAt: item.orderStatus === 'ordered' ? item.lastOrderedAt : new Date().toISOString()
+        });
+    }
+
+    /**
+     * Refresh the on-order summary of every item on a set of order lines
+     * @param {Array} lines - Purchase order lines
+     */
+    async refreshPurchaseOrderItems(lines) {
+        const itemIds = [...new Set(lines.map(line => line.itemId))];
+        for (const itemId of itemIds) {
+            await this.refreshItemOrderStatus(itemId);
+        }
+    }
+
     /**
      * Get all purchases
      */
@@ -621,9 +1173,9 @@ class InventoryDatabase {
             
             request.onsuccess = () => {
                 // Sort by order date, newest first
-                const purchases = request.result.sort((a, b) => 
-                    new Date(b.orderDate) - new Date(a.orderDate)
-                );
+                const purchases = request.result
+                    .map(purchase => this.normalizePurchase(purchase))
+                    .sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
                 resolve(purchases);
             };
             
@@ -634,25 +1186,45 @@ class InventoryDatabase {
     }
 
     /**
-     * Get purchases by supplier
-     * @param {string} supplierCode - Supplier code
+     * Get a purchase by ID
+     * @param {number} id - Purchase ID
      */
-    async getPurchasesBySupplier(supplierCode) {
+    async getPurchaseById(id) {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['purchases'], 'readonly');
             const store = transaction.objectStore('purchases');
-            const index = store.index('supplier');
-            const request = index.getAll(supplierCode);
-            
+            const request = store.get(id);
+
             request.onsuccess = () => {
-                const purchases = request.result.sort((a, b) => 
-                    new Date(b.orderDate) - new Date(a.orderDate)
-                );
-                resolve(purchases);
+                resolve(this.normalizePurchase(request.result));
             };
-            
+
             request.onerror = () => {
-                reject(new Error('Failed to get purchases by supplier'));
+                reject(new Error('Failed to get purchase'));
+            };
+        });
+    }
+
+    /**
+     * Get purchases by supplier
+     * @param {string} supplierCode - Supplier code
+     */
+    async getPurchasesBySupplier(supplierCode) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['purchases'], 'readonly');
+            const store = transaction.objectStore('purchases');
+            const index = store.index('supplier');
+            const request = index.getAll(supplierCode);
+            
+            request.onsuccess = () => {
+                const purchases = request.result
+                    .map(purchase => this.normalizePurchase(purchase))
+                    .sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
+                resolve(purchases);
+            };
+            
+            request.onerror = () => {
+                reject(new Error('Failed to get purchases by supplier'));
             };
         });
     }
@@ -669,7 +1241,7 @@ class InventoryDatabase {
             const request = index.getAll(invoiceReference);
             
             request.onsuccess = () => {
-                resolve(request.result);
+                resolve(request.result.map(purchase => this.normalizePurchase(purchase)));
             };
             
             request.onerror = () => {
@@ -692,7 +1264,7 @@ class InventoryDatabase {
             const getRequest = store.get(purchaseId);
             
             getRequest.onsuccess = () => {
-                const purchase = getRequest.result;
+                const purchase = this.normalizePurchase(getRequest.result);
                 if (!purchase) {
                     reject(new Error('Purchase not found'));
                     return;
@@ -769,43 +1341,68 @@ class InventoryDatabase {
         });
     }
 
+    /**
+     * Get the stock history of all items
+     */
+    async getAllStockHistory() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockHistory'], 'readonly');
+            const store = transaction.objectStore('stockHistory');
+            const request = store.getAll();
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(new Error('Failed to get stock history'));
+            };
+        });
+    }
+
+    /**
+     * Get the stock history entries of one type, e.g. all adjustments
+     * @param {string} type - Entry type
+     */
+    async getStockHistoryByType(type) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockHistory'], 'readonly');
+            const store = transaction.objectStore('stockHistory');
+            const index = store.index('type');
+            const request = index.getAll(type);
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(new Error('Failed to get stock history'));
+            };
+        });
+    }
+
     /**
      * Record stock sale (for reselling items)
      * @param {number} itemId - Item ID
      * @param {number} quantity - Quantity sold
      * @param {number} salePrice - Price per unit sold
      * @param {string} notes - Optional notes
+     * @param {string} invoiceRef - Sale invoice number (optional)
+     * @param {number} lotId - Lot to sell from (optional)
+     * @param {number} locationId - Location the stock is taken from (optional, otherwise any location)
      */
-    async recordStockSale(itemId, quantity, salePrice, notes = null) {
+    async recordStockSale(itemId, quantity, salePrice, notes = null, invoiceRef = null, lotId = null, locationId = null) {
         try {
-            const item = await this.getItemById(itemId);
-            if (!item) {
-                throw new Error('Item not found');
-            }
-            
-            if (item.quantity < quantity) {
-                throw new Error('Insufficient stock for sale');
-            }
-            
-            const newQuantity = item.quantity - quantity;
-            
-            // Update item quantity
-            await this.updateItem(itemId, { quantity: newQuantity });
-            
-            // Add stock history entry
-            const stockEntry = {
-                itemId: itemId,
+            const [stockEntry] = await this.applyStockMovements([{
                 type: 'sale',
-                date: new Date().toISOString().split('T')[0],
-                quantityChange: -quantity,
-                unitPrice: salePrice,
-                totalValue: salePrice * quantity,
-                newQuantity: newQuantity,
+                itemId: itemId,
+                quantity: quantity,
+                salePrice: salePrice,
                 notes: notes,
-                description: `Sold ${quantity} units at ${formatCurrency(salePrice)} each`
-            };
-            
-            await this.addStockHistory(stockEntry);
+                invoiceReference: invoiceRef,
+                lotId: lotId,
+                locationId: locationId
+            }]);
             
             return { item: await this.getItemById(itemId), stockEntry };
             
@@ -819,37 +1416,19 @@ class InventoryDatabase {
      * @param {number} itemId - Item ID
      * @param {number} quantity - Quantity used
      * @param {string} notes - Optional notes
+     * @param {number} lotId - Lot to use from (optional)
+     * @param {number} locationId - Location the stock is taken from (optional, otherwise any location)
      */
-    async recordStockUsage(itemId, quantity, notes = null) {
+    async recordStockUsage(itemId, quantity, notes = null, lotId = null, locationId = null) {
         try {
-            const item = await this.getItemById(itemId);
-            if (!item) {
-                throw new Error('Item not found');
-            }
-            
-            if (item.quantity < quantity) {
-                throw new Error('Insufficient stock for usage');
-            }
-            
-            const newQuantity = item.quantity - quantity;
-            
-            // Update item quantity
-            await this.updateItem(itemId, { quantity: newQuantity });
-            
-            // Add stock history entry
-            const stockEntry = {
-                itemId: itemId,
+            const [stockEntry] = await this.applyStockMovements([{
                 type: 'usage',
-                date: new Date().toISOString().split('T')[0],
-                quantityChange: -quantity,
-                unitPrice: item.costPrice || 0,
-                totalValue: (item.costPrice || 0) * quantity,
-                newQuantity: newQuantity,
+                itemId: itemId,
+                quantity: quantity,
                 notes: notes,
-                description: `Used ${quantity} units`
-            };
-            
-            await this.addStockHistory(stockEntry);
+                lotId: lotId,
+                locationId: locationId
+            }]);
             
             return { item: await this.getItemById(itemId), stockEntry };
             
@@ -865,46 +1444,23 @@ class InventoryDatabase {
      * @param {number} unitCost - Cost per unit
      * @param {string} supplier - Supplier code
      * @param {string} invoiceRef - Invoice reference
+     * @param {Object} purchaseLink - Purchase order line being received ({ purchaseId, lineId, poNumber }), optional
+     * @param {Object} lotDetails - Lot number, expiry date and location of the delivery ({ lotNumber, expiryDate, locationId }), optional
+     * @param {string} notes - Delivery notes (optional)
      */
-    async recordStockPurchase(itemId, quantity, unitCost, supplier, invoiceRef = null) {
+    async recordStockPurchase(itemId, quantity, unitCost, supplier, invoiceRef = null, purchaseLink = null, lotDetails = null, notes = null) {
         try {
-            const item = await this.getItemById(itemId);
-            if (!item) {
-                throw new Error('Item not found');
-            }
-            
-            const newQuantity = (item.quantity || 0) + quantity;
-            
-            // Update item with new quantity and potentially new cost
-            const updateData = {
-                quantity: newQuantity,
-                orderStatus: 'received',
-                receivedDate: new Date().toISOString()
-            };
-            
-            // Update cost price if different
-            if (unitCost !== item.costPrice) {
-                updateData.costPrice = unitCost;
-                updateData.price = unitCost; // Legacy compatibility
-            }
-            
-            await this.updateItem(itemId, updateData);
-            
-            // Add stock history entry
-            const stockEntry = {
-                itemId: itemId,
+            const [stockEntry] = await this.applyStockMovements([{
                 type: 'purchase',
-                date: new Date().toISOString().split('T')[0],
-                quantityChange: quantity,
-                unitPrice: unitCost,
-                totalValue: unitCost * quantity,
-                newQuantity: newQuantity,
+                itemId: itemId,
+                quantity: quantity,
+                unitCost: unitCost,
                 supplier: supplier,
                 invoiceReference: invoiceRef,
-                description: `Purchased ${quantity} units at ${formatCurrency(unitCost)} each from ${supplier}`
-            };
-            
-            await this.addStockHistory(stockEntry);
+                purchaseLink: purchaseLink,
+                notes: notes,
+                ...(lotDetails || {})
+            }]);
             
             return { item: await this.getItemById(itemId), stockEntry };
             
@@ -913,489 +1469,4107 @@ class InventoryDatabase {
         }
     }
 
+    // STOCK MOVEMENT METHODS
+
     /**
-     * Bulk import items
-     * @param {Array} items - Array of item objects
+     * Apply stock movements in a single readwrite transaction. Items, lots and stock
+     * history are read, checked and written inside the transaction, so either every
+     * movement is saved or none is, and no movement is booked against a quantity that
+     * another window (or a second click) has already changed.
+     * @param {Array} movements - Movements in the order they happen, see planStockMovements()
+     * @param {Object} options - Optional { stores, activity, beforeCommit }: extra stores to open,
+     *   activity entries to log instead of one per movement, and a callback
+     *   (transaction, entries, abort) that writes related records in the same transaction
+     * @returns {Array} Stock history entries written, one per movement (two for a transfer)
      */
-    async bulkImportItems(items) {
+    async applyStockMovements(movements, options = {}) {
+        for (const movement of movements) {
+            // Reversals take their quantity from the entry they reverse, reconciliations from the
+            // history, recalls from the lot and opening balances from the item
+            if (['reversal', 'reconciliation', 'recall', 'recall_close', 'opening_balance'].includes(movement.type)) continue;
+            if (movement.type === 'adjustment' ? !movement.quantity : !(movement.quantity > 0)) {
+                throw new Error('Quantity must be greater than zero');
+            }
+        }
+
+        const itemIds = [...new Set(movements.map(movement => movement.itemId))];
+        const storeNames = [...new Set(['items', 'stockLots', 'stockHistory', 'activity', 'locations', ...(options.stores || [])])];
+
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['items', 'activity'], 'readwrite');
+            const transaction = this.db.transaction(storeNames, 'readwrite');
             const itemsStore = transaction.objectStore('items');
+            const lotsStore = transaction.objectStore('stockLots');
+            const historyStore = transaction.objectStore('stockHistory');
             const activityStore = transaction.objectStore('activity');
-            
-            const results = [];
-            let completed = 0;
-            
-            items.forEach((itemData, index) => {
-                const item = {
-                    ...itemData,
-                    createdAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                };
-                
-                const addRequest = itemsStore.add(item);
-                
-                addRequest.onsuccess = (event) => {
-                    results.push({ success: true, id: event.target.result, index });
-                    completed++;
-                    
-                    if (completed === items.length) {
-                        // Log bulk import activity
-                        activityStore.add({
-                            type: 'bulk_import',
-                            description: `Bulk imported ${items.length} items`,
-                            timestamp: new Date().toISOString()
-                        });
-                        
-                        resolve(results);
+            const now = new Date().toISOString();
+            const states = new Map(itemIds.map(itemId => [itemId, { item: null, lots: [], history: [] }]));
+            let locations = [];
+            let pendingReads = itemIds.length * 3 + 1;
+            let failure = null;
+            let entries = [];
+
+            const abort = (error) => {
+                if (failure) return;
+                failure = error;
+                transaction.abort();
+            };
+
+            // Records are written once the new lots have their IDs, which the history entries refer to
+            const writeRecords = (plan) => {
+                try {
+                    // Lots split off a lot saved in this transaction refer to it now it has an ID
+                    plan.splitLots.forEach((originLot, lot) => {
+                        lot.originLotId = originLot.id;
+                        plan.changedLots.push(lot);
+                    });
+                    plan.changedLots.forEach(lot => lotsStore.put(lot));
+                    plan.items.forEach(item => itemsStore.put(item));
+
+                    // Opening balances are written first, so they come before the movements in the history
+                    for (const entry of [...plan.openingEntries, ...plan.entries]) {
+                        entry.lots = entry.lots.map(({ lot, ...lotEntry }) => ({ lotId: lot.id, ...lotEntry }));
+                        historyStore.add(entry).onsuccess = (event) => {
+                            entry.id = event.target.result;
+
+                            // A reversed entry stays in the history, linked to its reversal
+                            const original = plan.reversedEntries.get(entry);
+                            if (original) {
+                                historyStore.put({ ...original, reversedBy: entry.id });
+                            }
+
+                            // Both sides of a transfer carry the ID of the entry the stock left with,
+                            // which is saved first
+                            const transferOut = plan.transferPairs.get(entry);
+                            if (transferOut) {
+                                transferOut.transferId = entry.transferId = transferOut.id;
+                                historyStore.put(transferOut);
+                                historyStore.put(entry);
+                            }
+                        };
                     }
-                };
-                
-                addRequest.onerror = () => {
-                    results.push({ success: false, error: 'Failed to add item', index });
-                    completed++;
-                    
-                    if (completed === items.length) {
-                        resolve(results);
+
+                    for (const activity of options.activity || plan.activity) {
+                        activityStore.add({ ...activity, timestamp: now });
                     }
-                };
-            });
-        });
-    }
 
-    /**
-     * Initialize default suppliers
-     * @param {Array} suppliers - Array of default supplier objects
-     */
-    async initializeDefaultSuppliers(suppliers) {
-        try {
-            const existingSuppliers = await this.getAllSuppliers();
-            
-            // Only add defaults if no suppliers exist
-            if (existingSuppliers.length === 0) {
-                for (const supplier of suppliers) {
-                    await this.addSupplier({
-                        ...supplier,
-                        createdAt: new Date().toISOString(),
-                        updatedAt: new Date().toISOString()
-                    });
+                    if (options.beforeCommit) {
+                        options.beforeCommit(transaction, plan.entries, abort);
+                    }
+                } catch (error) {
+                    abort(error);
                 }
-                console.log('Default suppliers initialized');
+            };
+
+            const applyMovements = () => {
+                let plan;
+                try {
+                    plan = this.planStockMovements(movements, states, locations, now);
+                } catch (error) {
+                    abort(error);
+                    return;
+                }
+                entries = plan.entries;
+
+                let pendingLots = plan.newLots.length;
+                if (pendingLots === 0) {
+                    writeRecords(plan);
+                    return;
+                }
+                for (const lot of plan.newLots) {
+                    lotsStore.add(lot).onsuccess = (event) => {
+                        lot.id = event.target.result;
+                        if (--pendingLots === 0) {
+                            writeRecords(plan);
+                        }
+                    };
+                }
+            };
+
+            const loaded = () => {
+                if (--pendingReads === 0) {
+                    applyMovements();
+                }
+            };
+
+            for (const itemId of itemIds) {
+                const state = states.get(itemId);
+
+                const itemRequest = itemsStore.get(itemId);
+                itemRequest.onsuccess = () => {
+                    state.item = itemRequest.result || null;
+                    loaded();
+                };
+
+                const lotsRequest = lotsStore.index('itemId').getAll(itemId);
+                lotsRequest.onsuccess = () => {
+                    state.lots = lotsRequest.result;
+                    loaded();
+                };
+
+                const historyRequest = historyStore.index('itemId').getAll(itemId);
+                historyRequest.onsuccess = () => {
+                    state.history = historyRequest.result;
+                    loaded();
+                };
             }
-        } catch (error) {
-            console.error('Error initializing default suppliers:', error);
-        }
-    }
 
-    /**
-     * Get all suppliers
-     */
-    async getAllSuppliers() {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['suppliers'], 'readonly');
-            const store = transaction.objectStore('suppliers');
-            const request = store.getAll();
-            
-            request.onsuccess = () => {
-                resolve(request.result);
+            const locationsRequest = transaction.objectStore('locations').getAll();
+            locationsRequest.onsuccess = () => {
+                locations = locationsRequest.result;
+                loaded();
             };
-            
-            request.onerror = () => {
-                reject(new Error('Failed to get suppliers'));
+
+            transaction.oncomplete = () => {
+                resolve(entries);
+            };
+
+            transaction.onabort = () => {
+                reject(failure || new Error('Stock movement was cancelled'));
+            };
+
+            transaction.onerror = () => {
+                failure = failure || new Error('Failed to save stock movement');
             };
         });
     }
 
     /**
-     * Add a new supplier
-     * @param {Object} supplierData - Supplier data object
+     * Work out the lots, items and stock history entries that a list of movements
+     * changes. Runs on the records read by applyStockMovements() and throws if a
+     * movement can't be made. Movements:
+     *   sale - { itemId, quantity, salePrice, notes, invoiceReference, lotId, locationId }
+     *   usage - { itemId, quantity, notes, lotId, locationId }
+     *   purchase - { itemId, quantity, unitCost, supplier, invoiceReference, purchaseLink, lotNumber, expiryDate, locationId, notes }
+     *   adjustment - { itemId, quantity (+/-), locationId, lotId (of losses), unitCost (of gains), reason, notes, description,
+     *     details (extra entry fields), lotDetails (extra fields of a gained lot), partial (take what is held) }
+     *   reversal - { itemId, entryId, reason }
+     *   reconciliation - { itemId, notes }
+     *   transfer - { itemId, quantity, fromLocationId, toLocationId, lotId, notes }
+     *   recall - { itemId, lotNumber, reference, reason }
+     *   recall_close - { itemId, recallId, lotIds, notes, description }
+     *   opening_balance - { itemId } (only puts stock held from before lots were kept into a lot)
+     * @param {Array} movements - Stock movements
+     * @param {Map} states - Records read per item ID ({ item, lots, history })
+     * @param {Array} locations - All locations
+     * @param {string} now - Time of the movements
+     * @returns {Object} { entries, openingEntries, items, newLots, changedLots, splitLots, reversedEntries, transferPairs, activity }
      */
-    async addSupplier(supplierData) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['suppliers', 'activity'], 'readwrite');
-            const suppliersStore = transaction.objectStore('suppliers');
-            const activityStore = transaction.objectStore('activity');
-            
-            const supplier = {
-                ...supplierData,
-                createdAt: supplierData.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
+    planStockMovements(movements, states, locations, now) {
+        const mainLocation = locations.find(location => location.isDefault) || locations[0] || null;
+        const date = now.split('T')[0];
+        const items = [];
+        const newLots = [];
+        const changedLots = new Set();
+        const splitLots = new Map();
+        const entries = [];
+        const openingEntries = [];
+        const reversedEntries = new Map();
+        const transferPairs = new Map();
+        const activity = [];
+
+        const addLot = (state, lotData) => {
+            const lot = {
+                lotNumber: null,
+                expiryDate: null,
+                ...lotData,
+                initialQuantity: lotData.quantity,
+                createdAt: now
             };
-            
-            const addRequest = suppliersStore.add(supplier);
-            
-            addRequest.onsuccess = (event) => {
-                const supplierId = event.target.result;
-                
-                // Log activity if not a default supplier initialization
-                if (!supplierData.isDefault || supplierData.isDefault === false) {
-                    activityStore.add({
-                        type: 'supplier_added',
-                        description: `Added supplier: ${supplier.name}`,
-                        timestamp: new Date().toISOString(),
-                        supplierId: supplierId
+            state.lots.push(lot);
+            newLots.push(lot);
+            return lot;
+        };
+
+        const heldQuantity = (state) => state.lots
+            .filter(lot => lot.quantity > 0)
+            .reduce((sum, lot) => sum + lot.quantity, 0);
+
+        for (const movement of movements) {
+            const state = states.get(movement.itemId);
+            const item = state.item;
+            if (!item) {
+                throw new Error('Item not found');
+            }
+
+            if (!items.includes(item)) {
+                const openingLot = this.getOpeningLot(item, state.lots, mainLocation);
+                if (openingLot) {
+                    // Stock held from before lots were kept is put into a lot, on the record
+                    const lot = addLot(state, openingLot);
+                    openingEntries.push({
+                        itemId: item.id,
+                        type: 'adjustment',
+                        date: date,
+                        quantityChange: 0,
+                        unitPrice: lot.unitCost,
+                        totalValue: 0,
+                        unitCost: lot.unitCost,
+                        newQuantity: item.quantity || 0,
+                        reason: 'Opening balance',
+                        reasonCode: 'opening_balance',
+                        notes: null,
+                        locationId: lot.locationId,
+                        lots: [{ lot: lot, lotNumber: null, expiryDate: null, locationId: lot.locationId, quantity: lot.quantity }],
+                        description: `Opening balance of ${lot.quantity} units put into a lot`,
+                        timestamp: now
                     });
                 }
-                
-                resolve({ id: supplierId, ...supplier });
-            };
-            
-            addRequest.onerror = () => {
-                reject(new Error('Failed to add supplier - name or code may already exist'));
-            };
-        });
-    }
+                // Once stock is held in lots the item's quantity is their total
+                item.quantity = heldQuantity(state);
+                items.push(item);
+            }
 
-    /**
+            if (movement.type === 'opening_balance') {
+                continue;
+            }
+
+            const costing = this.calculateItemCosting(item, state.history);
+            const location = movement.locationId ? locations.find(l => l.id === movement.locationId) : null;
+            let entry;
+            let pairedEntry = null;
+
+            if (movement.type === 'sale' || movement.type === 'usage') {
+                if ((item.quantity || 0) < movement.quantity) {
+                    throw new Error(`Insufficient stock for ${movement.type}`);
+                }
+
+                // Cost of the units is worked out before they leave
+                const cost = this.calculateIssueCost(costing, movement.quantity);
+                const lots = this.takeFromLots(state.lots, movement.quantity, movement.lotId, movement.locationId);
+                lots.forEach(lotEntry => changedLots.add(lotEntry.lot));
+                item.quantity = heldQuantity(state);
+
+                entry = movement.type === 'sale' ? {
+                    itemId: item.id,
+                    type: 'sale',
+                    date: date,
+                    quantityChange: -movement.quantity,
+                    unitPrice: movement.salePrice,
+                    totalValue: movement.salePrice * movement.quantity,
+                    unitCost: cost.unitCost,
+                    costValue: cost.totalCost,
+                    costMethod: cost.method,
+                    newQuantity: item.quantity,
+                    notes: movement.notes || null,
+                    invoiceReference: movement.invoiceReference || null,
+                    lots: lots,
+                    locationId: movement.locationId || null,
+                    description: `Sold ${movement.quantity} units at ${formatCurrency(movement.salePrice)} each` +
+                        (location ? ` from ${location.name}` : '') + ` (${this.describeLots(lots)})`
+                } : {
+                    itemId: item.id,
+                    type: 'usage',
+                    date: date,
+                    quantityChange: -movement.quantity,
+                    unitPrice: cost.unitCost,
+                    totalValue: cost.totalCost,
+                    unitCost: cost.unitCost,
+                    costMethod: cost.method,
+                    newQuantity: item.quantity,
+                    notes: movement.notes || null,
+                    lots: lots,
+                    locationId: movement.locationId || null,
+                    description: `Used ${movement.quantity} units` +
+                        (location ? ` in ${location.name}` : '') + ` (${this.describeLots(lots)})`
+                };
+
+            } else if (movement.type === 'purchase') {
+                // Deliveries go to the main location unless another one is given
+                const locationId = movement.locationId || (mainLocation ? mainLocation.id : null);
+                const purchaseLink = movement.purchaseLink || null;
+                const lot = addLot(state, {
+                    itemId: item.id,
+                    lotNumber: movement.lotNumber || null,
+                    expiryDate: movement.expiryDate || null,
+                    quantity: movement.quantity,
+                    receivedDate: now,
+                    unitCost: movement.unitCost,
+                    supplier: movement.supplier,
+                    purchaseId: purchaseLink ? purchaseLink.purchaseId : null,
+                    purchaseLineId: purchaseLink ? purchaseLink.lineId : null,
+                    locationId: locationId
+                });
+
+                // The delivery price is kept as the last purchase cost; the cost price is
+                // revalued from the stock history below.
+                // Order status follows the purchase order, see receivePurchaseOrder()
+                item.quantity = heldQuantity(state);
+                item.receivedDate = now;
+                item.lastPurchaseCost = movement.unitCost;
+
+                entry = {
+                    itemId: item.id,
+                    type: 'purchase',
+                    date: date,
+                    quantityChange: movement.quantity,
+                    unitPrice: movement.unitCost,
+                    totalValue: movement.unitCost * movement.quantity,
+                    newQuantity: item.quantity,
+                    supplier: movement.supplier,
+                    invoiceReference: movement.invoiceReference || null,
+                    purchaseId: purchaseLink ? purchaseLink.purchaseId : null,
+                    purchaseLineId: purchaseLink ? purchaseLink.lineId : null,
+                    poNumber: purchaseLink ? purchaseLink.poNumber || null : null,
+                    notes: movement.notes || null,
+                    lots: [{ lot: lot, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, locationId: locationId, quantity: movement.quantity }],
+                    locationId: locationId,
+                    description: `Purchased ${movement.quantity} units at ${formatCurrency(movement.unitCost)} each from ${movement.supplier}` +
+                        (lot.lotNumber ? ` (lot ${lot.lotNumber})` : '')
+                };
+
+            } else if (movement.type === 'adjustment') {
+                let lots;
+                let unitCost;
+
+                if (movement.quantity > 0) {
+                    // Extra stock becomes an unnumbered lot, at the main location unless another one is given
+                    const locationId = movement.locationId || (mainLocation ? mainLocation.id : null);
+                    unitCost = movement.unitCost ?? this.roundCost(costing.averageCost);
+                    const lot = addLot(state, {
+                        itemId: item.id,
+                        locationId: locationId,
+                        quantity: movement.quantity,
+                        receivedDate: now,
+                        unitCost: unitCost,
+                        supplier: item.supplier || null,
+                        ...(movement.lotDetails || {})
+                    });
+                    lots = [{ lot: lot, lotNumber: null, expiryDate: null, locationId: locationId, quantity: movement.quantity }];
+                } else {
+                    // Expired lots go first - they are what's most likely to have been thrown out
+                    const held = this.sortLotsForConsumption(state.lots.filter(lot =>
+                        lot.quantity > 0 &&
+                        (!movement.locationId || lot.locationId === movement.locationId) &&
+                        (!movement.lotId || lot.id === movement.lotId)
+                    ));
+                    const available = held.reduce((sum, lot) => sum + lot.quantity, 0);
+                    if (available < -movement.quantity && !movement.partial) {
+                        throw new Error(movement.lotId ?
+                            `Only ${available} left in the selected lot` :
+                            `Only ${available} units are held` + (location ? ` in ${location.name}` : ''));
+                    }
+                    lots = this.consumeLots(held, Math.min(available, -movement.quantity));
+                    lots.forEach(lotEntry => changedLots.add(lotEntry.lot));
+                }
+
+                const units = lots.reduce((sum, lotEntry) => sum + lotEntry.quantity, 0);
+                const applied = movement.quantity > 0 ? units : 0 - units;
+                if (applied < 0) {
+                    // Shortfalls go out at their cost under the costing method
+                    unitCost = this.calculateIssueCost(costing, -applied).unitCost;
+                }
+                item.quantity = heldQuantity(state);
+
+                entry = {
+                    itemId: item.id,
+                    type: 'adjustment',
+                    date: date,
+                    quantityChange: applied,
+                    unitPrice: unitCost || 0,
+                    totalValue: (unitCost || 0) * applied,
+                    unitCost: unitCost || 0,
+                    newQuantity: item.quantity,
+                    reason: movement.reason || null,
+                    notes: movement.notes || null,
+                    ...(movement.details || {}),
+                    locationId: movement.locationId || null,
+                    lots: lots,
+                    description: movement.description ||
+                        `Adjusted by ${applied > 0 ? '+' : ''}${applied} units` + (location ? ` in ${location.name}` : '')
+                };
+
+            } else if (movement.type === 'reversal') {
+                const original = state.history.find(e => e.id === movement.entryId);
+                if (!original) {
+                    throw new Error('Stock history entry not found');
+                }
+                const blocked = this.getReverseBlockReason(original);
+                if (blocked) {
+                    throw new Error(blocked);
+                }
+
+                const change = -original.quantityChange;
+                const lots = [];
+
+                if (change > 0) {
+                    // Units go back into the lots they came out of
+                    for (const lotEntry of original.lots || []) {
+                        let lot = state.lots.find(l => l.id === lotEntry.lotId);
+                        if (lot && lot.status === 'quarantined') {
+                            throw new Error(`Lot ${lot.lotNumber || ''} has been quarantined for a recall`);
+                        }
+                        if (lot) {
+                            lot.quantity += lotEntry.quantity;
+                            changedLots.add(lot);
+                        } else {
+                            lot = addLot(state, {
+                                itemId: item.id,
+                                lotNumber: lotEntry.lotNumber || null,
+                                expiryDate: lotEntry.expiryDate || null,
+                                locationId: lotEntry.locationId || original.locationId || (mainLocation ? mainLocation.id : null),
+                                quantity: lotEntry.quantity,
+                                receivedDate: now,
+                                unitCost: original.unitCost ?? this.roundCost(costing.averageCost),
+                                supplier: item.supplier || null
+                            });
+                        }
+                        lots.push({ lot: lot, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, locationId: lot.locationId, quantity: lotEntry.quantity });
+                    }
+                    if (lots.length === 0) {
+                        // Entries from before lots were kept go back as unnumbered stock
+                        const lot = addLot(state, {
+                            itemId: item.id,
+                            locationId: original.locationId || (mainLocation ? mainLocation.id : null),
+                            quantity: change,
+                            receivedDate: now,
+                            unitCost: original.unitCost ?? this.roundCost(costing.averageCost),
+                            supplier: item.supplier || null
+                        });
+                        lots.push({ lot: lot, lotNumber: null, expiryDate: null, locationId: lot.locationId, quantity: change });
+                    }
+                } else {
+                    // Units come back out of the lot they went into, wherever they have been moved to since
+                    for (const lotEntry of original.lots || []) {
+                        const held = this.sortLotsForConsumption(state.lots.filter(lot =>
+                            lot.quantity > 0 && (lot.id === lotEntry.lotId || lot.originLotId === lotEntry.lotId)
+                        ));
+                        const available = held.reduce((sum, lot) => sum + lot.quantity, 0);
+                        if (available < lotEntry.quantity) {
+                            throw new Error(`Only ${available} of the ${lotEntry.quantity} units it added are still in stock`);
+                        }
+                        lots.push(...this.consumeLots(held, lotEntry.quantity));
+
+                        const deliveredLot = state.lots.find(l => l.id === lotEntry.lotId);
+                        if (deliveredLot) {
+                            deliveredLot.reversedQuantity = (deliveredLot.reversedQuantity || 0) + lotEntry.quantity;
+                            changedLots.add(deliveredLot);
+                        }
+                    }
+                    if (!original.lots || original.lots.length === 0) {
+                        lots.push(...this.takeFromLots(state.lots, -change));
+                    }
+                    lots.forEach(lotEntry => changedLots.add(lotEntry.lot));
+                }
+
+                item.quantity = heldQuantity(state);
+
+                entry = {
+                    itemId: item.id,
+                    type: 'reversal',
+                    date: date,
+                    quantityChange: change,
+                    unitPrice: original.unitPrice || 0,
+                    totalValue: -(original.totalValue || 0),
+                    unitCost: original.unitCost ?? original.unitPrice ?? 0,
+                    ...(original.costValue !== undefined ? { costValue: -original.costValue } : {}),
+                    newQuantity: item.quantity,
+                    reversalOf: original.id,
+                    reversedType: original.type,
+                    reason: movement.reason || null,
+                    invoiceReference: original.invoiceReference || null,
+                    purchaseId: original.purchaseId || null,
+                    purchaseLineId: original.purchaseLineId || null,
+                    poNumber: original.poNumber || null,
+                    locationId: original.locationId || null,
+                    lots: lots,
+                    description: `Reversed ${original.type} of ${original.date}: ${original.description}`
+                };
+
+                // Neither the original nor its reversal counts towards costs from here on
+                original.reversedAt = now;
+                reversedEntries.set(entry, original);
+
+            } else if (movement.type === 'reconciliation') {
+                const replay = this.replayItemQuantity(item, state.history);
+                if (replay.discrepancies.length === 0) {
+                    throw new Error('The stock history already adds up');
+                }
+
+                // Books what changed outside the history; the stock itself stays as it is
+                const change = replay.difference;
+                const unitCost = this.roundCost(costing.averageCost);
+
+                entry = {
+                    itemId: item.id,
+                    type: 'adjustment',
+                    date: date,
+                    quantityChange: change,
+                    unitPrice: unitCost,
+                    totalValue: unitCost * change,
+                    unitCost: unitCost,
+                    newQuantity: item.quantity || 0,
+                    reason: 'Quantity reconciliation',
+                    reconciliation: true,
+                    notes: movement.notes || null,
+                    locationId: null,
+                    lots: [],
+                    description: change ?
+                        `Booked ${change > 0 ? '+' : ''}${change} units changed outside the stock history` :
+                        'Checked the recorded balances in the stock history'
+                };
+
+            } else if (movement.type === 'transfer') {
+                const fromLocation = locations.find(l => l.id === movement.fromLocationId);
+                const toLocation = locations.find(l => l.id === movement.toLocationId);
+                if (!fromLocation || !toLocation) {
+                    throw new Error('Location not found');
+                }
+                if (fromLocation === toLocation) {
+                    throw new Error('Source and destination are the same location');
+                }
+
+                const held = this.sortLotsForConsumption(state.lots.filter(lot =>
+                    lot.locationId === fromLocation.id && lot.quantity > 0 && (!movement.lotId || lot.id === movement.lotId)
+                ));
+                const available = held.reduce((sum, lot) => sum + lot.quantity, 0);
+                if (available < movement.quantity) {
+                    throw new Error(`Only ${available} units ${movement.lotId ? 'of this lot ' : ''}are held in ${fromLocation.name}`);
+                }
+
+                const lots = this.consumeLots(held, movement.quantity);
+                for (const lotEntry of lots) {
+                    changedLots.add(lotEntry.lot);
+
+                    // Top up the part of the same delivery already at the destination, or split off a new lot
+                    const originLotId = lotEntry.lot.originLotId || lotEntry.lot.id;
+                    const existing = originLotId && state.lots.find(l =>
+                        l.locationId === toLocation.id && (l.originLotId || l.id) === originLotId && l.status !== 'quarantined'
+                    );
+                    if (existing) {
+                        existing.quantity += lotEntry.quantity;
+                        changedLots.add(existing);
+                    } else {
+                        // Only what identifies the delivery goes along - quarantine and reversals stay with the source lot
+                        const { itemId, lotNumber, expiryDate, unitCost, receivedDate } = lotEntry.lot;
+                        const lot = addLot(state, {
+                            itemId, lotNumber, expiryDate, unitCost, receivedDate,
+                            locationId: toLocation.id,
+                            originLotId: originLotId || null,
+                            quantity: lotEntry.quantity
+                        });
+                        if (!originLotId) {
+                            // Split off an opening balance lot that is only being saved now
+                            splitLots.set(lot, lotEntry.lot);
+                        }
+                    }
+                }
+
+                // Paired entries: stock leaves the source and arrives at the destination
+                const baseEntry = {
+                    itemId: item.id,
+                    type: 'transfer',
+                    date: date,
+                    unitPrice: item.costPrice || 0,
+                    totalValue: (item.costPrice || 0) * movement.quantity,
+                    newQuantity: item.quantity || 0, // Moving stock doesn't change the total
+                    transferId: null, // The ID of the entry the stock leaves with, set once it is saved
+                    fromLocationId: fromLocation.id,
+                    fromLocationName: fromLocation.name,
+                    toLocationId: toLocation.id,
+                    toLocationName: toLocation.name,
+                    lots: lots,
+                    notes: movement.notes || null
+                };
+                entry = {
+                    ...baseEntry,
+                    quantityChange: -movement.quantity,
+                    locationId: fromLocation.id,
+                    description: `Moved ${movement.quantity} units from ${fromLocation.name} to ${toLocation.name}`
+                };
+                pairedEntry = {
+                    ...baseEntry,
+                    quantityChange: movement.quantity,
+                    locationId: toLocation.id,
+                    description: `Received ${movement.quantity} units in ${toLocation.name} from ${fromLocation.name}`
+                };
+                transferPairs.set(pairedEntry, entry);
+
+            } else if (movement.type === 'recall') {
+                const recalledLots = state.lots.filter(lot => this.isSameLotNumber(lot.lotNumber, movement.lotNumber));
+                if (recalledLots.length === 0) {
+                    throw new Error(`Lot ${movement.lotNumber} has never been received for this item`);
+                }
+                const lotNumber = recalledLots[0].lotNumber;
+
+                // The remaining stock of the lot goes into quarantine, at its cost under the costing method
+                const held = recalledLots.filter(lot => lot.quantity > 0);
+                const quarantined = held.reduce((sum, lot) => sum + lot.quantity, 0);
+                const cost = this.calculateIssueCost(costing, quarantined);
+                const lots = held.map(lot => {
+                    const lotEntry = { lot: lot, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, locationId: lot.locationId, quantity: lot.quantity };
+                    lot.quarantinedQuantity = (lot.quarantinedQuantity || 0) + lot.quantity;
+                    lot.quantity = 0;
+                    changedLots.add(lot);
+                    return lotEntry;
+                });
+                item.quantity = heldQuantity(state);
+
+                entry = {
+                    itemId: item.id,
+                    type: 'recall',
+                    date: date,
+                    quantityChange: -quarantined,
+                    unitPrice: cost.unitCost,
+                    totalValue: cost.totalCost,
+                    unitCost: cost.unitCost,
+                    costMethod: cost.method,
+                    newQuantity: item.quantity,
+                    lotNumber: lotNumber,
+                    recallId: null, // Set once the recall is saved
+                    lots: lots,
+                    notes: movement.reason || null,
+                    description: (quarantined ?
+                        `Quarantined ${quarantined} units of lot ${lotNumber} for recall` :
+                        `Recall opened for lot ${lotNumber}, none of it left in stock`) +
+                        (movement.reference ? ` ${movement.reference}` : '')
+                };
+
+            } else if (movement.type === 'recall_close') {
+                // The quarantined units leave the lots; they already left the stock when quarantined
+                for (const lot of state.lots.filter(l => movement.lotIds.includes(l.id) && l.status === 'quarantined')) {
+                    lot.quarantinedQuantity = 0;
+                    changedLots.add(lot);
+                }
+
+                entry = {
+                    itemId: item.id,
+                    type: 'recall',
+                    date: date,
+                    quantityChange: 0,
+                    unitPrice: 0,
+                    totalValue: 0,
+                    newQuantity: item.quantity || 0,
+                    recallId: movement.recallId,
+                    lots: [],
+                    notes: movement.notes || null,
+                    description: movement.description
+                };
+
+            } else {
+                throw new Error(`Unknown stock movement "${movement.type}"`);
+            }
+
+            entry.timestamp = now;
+            state.history.push(entry);
+            entries.push(entry);
+            if (pairedEntry) {
+                pairedEntry.timestamp = now;
+                state.history.push(pairedEntry);
+                entries.push(pairedEntry);
+            }
+            activity.push({
+                type: `stock_${movement.type}`,
+                description: `${item.name}: ${entry.description}`,
+                itemId: item.id
+            });
+        }
+
+        // Cost prices are revalued once every movement of the item is in its history
+        for (const item of items) {
+            const state = states.get(item.id);
+            Object.assign(item, this.getItemCostingUpdate(item, this.calculateItemCosting(item, state.history)), { updatedAt: now });
+        }
+
+        for (const lot of [...newLots, ...changedLots]) {
+            lot.status = lot.quantity > 0 ? 'active' : lot.quarantinedQuantity > 0 ? 'quarantined' : 'depleted';
+            lot.updatedAt = now;
+        }
+
+        return {
+            entries: entries,
+            openingEntries: openingEntries,
+            items: items,
+            newLots: newLots,
+            changedLots: [...changedLots].filter(lot => !newLots.includes(lot)),
+            splitLots: splitLots,
+            reversedEntries: reversedEntries,
+            transferPairs: transferPairs,
+            activity: activity
+        };
+    }
+
+    /**
+     * Why a stock history entry can't be reversed
+     * @param {Object} entry - Stock history entry
+     * @returns {string|null} Reason, or null if the entry can be reversed
+     */
+    getReverseBlockReason(entry) {
+        if (entry.reversedAt) {
+            return 'This entry has already been reversed';
+        }
+        if (entry.type === 'reversal') {
+            return 'A reversal can\'t be reversed';
+        }
+        if (entry.type === 'transfer') {
+            return 'Transfers are undone by moving the stock back';
+        }
+        if (entry.type === 'recall') {
+            return 'Recalled stock is released by resolving the recall';
+        }
+        if (entry.reconciliation) {
+            return 'A reconciliation can\'t be reversed, adjust the stock instead';
+        }
+        if (!['sale', 'usage', 'purchase', 'adjustment'].includes(entry.type)) {
+            return `${entry.type} entries can't be reversed`;
+        }
+        if (!entry.quantityChange) {
+            return 'This entry didn\'t change the stock';
+        }
+        return null;
+    }
+
+    /**
+     * Whether a stock history entry was reversed, or reverses another. Neither
+     * counts towards stock totals or costs.
+     * @param {Object} entry - Stock history entry
+     */
+    isReversedOrReversal(entry) {
+        return Boolean(entry.reversedAt || entry.reversalOf);
+    }
+
+    /**
+     * Reverse a mistyped stock history entry with a compensating entry linked to it.
+     * The original stays in the history, marked as reversed. Stock goes back into the
+     * lots it came out of, or comes back out of the lot it was received into, and a
+     * reversed purchase order receipt reopens its line.
+     * @param {number} itemId - Item ID
+     * @param {number} entryId - Stock history entry ID
+     * @param {string} reason - Why the entry is reversed, e.g. "Wrong quantity typed"
+     */
+    async reverseStockEntry(itemId, entryId, reason) {
+        try {
+            if (!reason) {
+                throw new Error('A reason is required');
+            }
+
+            const original = (await this.getItemStockHistory(itemId)).find(entry => entry.id === entryId);
+            if (!original) {
+                throw new Error('Stock history entry not found');
+            }
+            const reopensOrder = original.type === 'purchase' && Boolean(original.purchaseId);
+
+            const [reversal] = await this.applyStockMovements([{
+                type: 'reversal',
+                itemId: itemId,
+                entryId: entryId,
+                reason: reason
+            }], reopensOrder ? {
+                stores: ['purchases'],
+                beforeCommit: (transaction, entries, abort) => {
+                    this.reopenPurchaseReceipt(transaction, original, abort);
+                }
+            } : {});
+
+            // The item goes back on order if its line is outstanding again
+            if (reopensOrder) {
+                await this.refreshItemOrderStatus(itemId);
+            }
+
+            return reversal;
+        } catch (error) {
+            throw new Error('Failed to reverse entry: ' + error.message);
+        }
+    }
+
+    /**
+     * Take a reversed receipt off its purchase order line, inside a stock movement transaction
+     * @param {IDBTransaction} transaction - Transaction with the purchases store
+     * @param {Object} entry - The purchase stock history entry being reversed
+     * @param {Function} abort - Aborts the transaction with an error
+     */
+    reopenPurchaseReceipt(transaction, entry, abort) {
+        const store = transaction.objectStore('purchases');
+        const request = store.get(entry.purchaseId);
+
+        request.onsuccess = () => {
+            const purchase = this.normalizePurchase(request.result);
+            if (!purchase) return; // Order deleted since, nothing to reopen
+
+            if (!['ordered', 'partial', 'received'].includes(purchase.status)) {
+                abort(new Error(`Purchase order ${purchase.poNumber || '#' + purchase.id} has been ${purchase.status.replace('_', '-')}`));
+                return;
+            }
+
+            const lotId = entry.lots && entry.lots.length ? entry.lots[0].lotId : null;
+            const lines = purchase.lines.map(line => {
+                if (line.lineId !== entry.purchaseLineId) return line;
+
+                // The receipt stays on the line, marked as reversed
+                let marked = false;
+                const receipts = (line.receipts || []).map(receipt => {
+                    if (marked || receipt.reversed || receipt.quantity !== entry.quantityChange || (lotId && receipt.lotId !== lotId)) {
+                        return receipt;
+                    }
+                    marked = true;
+                    return { ...receipt, reversed: true };
+                });
+
+                return {
+                    ...line,
+                    receipts: receipts,
+                    quantityReceived: Math.max(0, (line.quantityReceived || 0) - entry.quantityChange),
+                    receivedDate: null
+                };
+            });
+
+            const status = this.getPurchaseOrderStatus(lines);
+            store.put({
+                ...purchase,
+                lines: lines,
+                status: status,
+                receivedDate: status === 'received' ? purchase.receivedDate : null,
+                updatedAt: new Date().toISOString()
+            });
+        };
+    }
+
+    // STOCK ADJUSTMENT METHODS
+
+    /**
+     * Reason codes offered when adjusting stock. The direction says whether a reason
+     * removes stock ('out'), adds it ('in') or can do either ('both').
+     * @returns {Array} [{ code, label, direction }]
+     */
+    getAdjustmentReasons() {
+        const saved = localStorage.getItem('adjustmentReasons');
+        if (saved) {
+            try {
+                return JSON.parse(saved);
+            } catch (error) {
+                console.warn('Ignoring unreadable adjustment reasons:', error);
+            }
+        }
+
+        return [
+            { code: 'damaged', label: 'Damaged', direction: 'out' },
+            { code: 'expired', label: 'Expired', direction: 'out' },
+            { code: 'found', label: 'Found', direction: 'in' },
+            { code: 'sample', label: 'Sample given', direction: 'out' },
+            { code: 'theft', label: 'Theft', direction: 'out' },
+            { code: 'count_correction', label: 'Count correction', direction: 'both' }
+        ];
+    }
+
+    /**
+     * Save the reason codes offered when adjusting stock. Reasons without a code get
+     * one made from their label; codes already used in the stock history are kept.
+     * @param {Array} reasons - [{ code, label, direction }]
+     */
+    setAdjustmentReasons(reasons) {
+        const saved = [];
+        for (const reason of reasons) {
+            const label = (reason.label || '').trim();
+            if (!label) {
+                throw new Error('Every reason needs a name');
+            }
+            if (!['in', 'out', 'both'].includes(reason.direction)) {
+                throw new Error(`Choose whether "${label}" adds or removes stock`);
+            }
+
+            const code = reason.code || label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+            if (saved.some(r => r.code === code || r.label.toLowerCase() === label.toLowerCase())) {
+                throw new Error(`"${label}" is listed twice`);
+            }
+            saved.push({ code: code, label: label, direction: reason.direction });
+        }
+        if (saved.length === 0) {
+            throw new Error('Keep at least one reason');
+        }
+
+        localStorage.setItem('adjustmentReasons', JSON.stringify(saved));
+        return saved;
+    }
+
+    /**
+     * Add or remove stock outside of purchases, sales and usage - write-offs, samples,
+     * stock that turns up - recording why
+     * @param {number} itemId - Item ID
+     * @param {number} quantity - Units added (positive) or removed (negative)
+     * @param {string} reasonCode - Adjustment reason code, see getAdjustmentReasons()
+     * @param {string} notes - Optional notes
+     * @param {number} locationId - Location the stock is added to or removed from (optional)
+     * @param {number} lotId - Lot the stock is removed from (optional, otherwise earliest expiry first)
+     */
+    async recordStockAdjustment(itemId, quantity, reasonCode, notes = null, locationId = null, lotId = null) {
+        try {
+            const reason = this.getAdjustmentReasons().find(r => r.code === reasonCode);
+            if (!reason) {
+                throw new Error('Choose a reason for the adjustment');
+            }
+            if ((reason.direction === 'out' && quantity > 0) || (reason.direction === 'in' && quantity < 0)) {
+                throw new Error(`"${reason.label}" can only ${reason.direction === 'out' ? 'remove' : 'add'} stock`);
+            }
+
+            const location = locationId ? await this.getLocationById(locationId) : null;
+            const units = Math.abs(quantity);
+
+            const [stockEntry] = await this.applyStockMovements([{
+                type: 'adjustment',
+                itemId: itemId,
+                quantity: quantity,
+                locationId: locationId,
+                lotId: lotId,
+                reason: reason.label,
+                notes: notes,
+                details: { reasonCode: reason.code },
+                description: (quantity > 0 ? `Added ${units} units` : `Wrote off ${units} units`) +
+                    (location ? (quantity > 0 ? ` in ${location.name}` : ` from ${location.name}`) : '') +
+                    ` - ${reason.label}`
+            }]);
+
+            return { item: await this.getItemById(itemId), stockEntry };
+        } catch (error) {
+            throw new Error('Failed to adjust stock: ' + error.message);
+        }
+    }
+
+    /**
+     * Get stock adjustments totalled by reason over a period. Stocktake variances
+     * are grouped together; reversed adjustments are left out.
+     * @param {string} fromDate - First day (YYYY-MM-DD, optional)
+     * @param {string} toDate - Last day (YYYY-MM-DD, optional)
+     * @returns {Object} { adjustments, byReason: [{ label, count, unitsAdded, unitsRemoved, valueAdded, valueRemoved, netValue }], totals }
+     */
+    async getAdjustmentsReport(fromDate = null, toDate = null) {
+        try {
+            const [entries, items, locations] = await Promise.all([
+                this.getStockHistoryByType('adjustment'),
+                this.getAllItems(),
+                this.getAllLocations()
+            ]);
+            const reasons = this.getAdjustmentReasons();
+
+            const adjustments = entries
+                // Delivery notes used to be kept as adjustments that don't change the stock
+                .filter(entry => entry.quantityChange && !this.isReversedOrReversal(entry))
+                .filter(entry => (!fromDate || entry.date >= fromDate) && (!toDate || entry.date <= toDate))
+                .map(entry => {
+                    const item = items.find(i => i.id === entry.itemId);
+                    const reason = reasons.find(r => r.code === entry.reasonCode);
+                    const location = locations.find(l => l.id === entry.locationId);
+                    return {
+                        ...entry,
+                        itemName: item ? item.name : 'Deleted item',
+                        itemSku: item ? item.sku || null : null,
+                        locationName: location ? location.name : null,
+                        reasonLabel: reason ? reason.label : (entry.stocktakeId ? 'Stocktake variance' : (entry.reason || 'Other'))
+                    };
+                })
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+            const addTo = (totals, entry) => {
+                const value = entry.totalValue || 0;
+                totals.count++;
+                if (entry.quantityChange > 0) {
+                    totals.unitsAdded += entry.quantityChange;
+                    totals.valueAdded += value;
+                } else {
+                    totals.unitsRemoved -= entry.quantityChange;
+                    totals.valueRemoved -= value;
+                }
+                totals.netValue += value;
+            };
+            const emptyTotals = () => ({ count: 0, unitsAdded: 0, unitsRemoved: 0, valueAdded: 0, valueRemoved: 0, netValue: 0 });
+
+            const byReason = new Map();
+            const totals = emptyTotals();
+            for (const entry of adjustments) {
+                if (!byReason.has(entry.reasonLabel)) {
+                    byReason.set(entry.reasonLabel, { label: entry.reasonLabel, ...emptyTotals() });
+                }
+                addTo(byReason.get(entry.reasonLabel), entry);
+                addTo(totals, entry);
+            }
+
+            return {
+                adjustments: adjustments,
+                byReason: [...byReason.values()].sort((a, b) => b.valueRemoved - a.valueRemoved || a.label.localeCompare(b.label)),
+                totals: totals
+            };
+        } catch (error) {
+            throw new Error('Failed to get adjustments: ' + error.message);
+        }
+    }
+
+    // QUANTITY RECONCILIATION METHODS
+
+    /**
+     * Replay an item's stock history and compare the running balance with the quantity
+     * each entry recorded and with the item's quantity now. A quantity edited on the item
+     * form shows up as a jump between entries. The history starts from the quantity before
+     * its first entry, and a reconciliation books every jump before it.
+     * @param {Object} item - Item record
+     * @param {Array} history - The item's stock history entries
+     * @returns {Object} { openingQuantity, ledgerQuantity, quantity, difference, discrepancies: [{ entry, expected, recorded, difference }] }
+     *   entry is null for a change made after the last entry
+     */
+    replayItemQuantity(item, history) {
+        const entries = [...history]
+            // Transfers move stock between locations without changing the item's total
+            .filter(entry => entry.type !== 'transfer')
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || (a.id || 0) - (b.id || 0));
+
+        let openingQuantity = null;
+        let balance = 0;
+        let drift = 0;
+        let discrepancies = [];
+
+        for (const entry of entries) {
+            const change = entry.quantityChange || 0;
+            const recorded = typeof entry.newQuantity === 'number' ? entry.newQuantity : null;
+            if (openingQuantity === null) {
+                openingQuantity = recorded !== null ? recorded - change : 0;
+                balance = openingQuantity;
+            }
+            balance += change;
+
+            if (entry.reconciliation) {
+                discrepancies = [];
+                drift = recorded !== null ? recorded - balance : drift;
+                continue;
+            }
+            if (recorded !== null && recorded - balance !== drift) {
+                discrepancies.push({ entry: entry, expected: balance + drift, recorded: recorded, difference: recorded - balance - drift });
+                drift = recorded - balance;
+            }
+        }
+
+        const quantity = item.quantity || 0;
+        if (openingQuantity === null) {
+            // Nothing recorded yet - whatever is on hand is the opening stock
+            openingQuantity = quantity;
+            balance = quantity;
+        }
+        if (quantity - balance !== drift) {
+            discrepancies.push({ entry: null, expected: balance + drift, recorded: quantity, difference: quantity - balance - drift });
+        }
+
+        return {
+            openingQuantity: openingQuantity,
+            ledgerQuantity: balance,
+            quantity: quantity,
+            difference: quantity - balance,
+            discrepancies: discrepancies
+        };
+    }
+
+    /**
+     * Find the items whose stock history doesn't add up to their quantity
+     * @returns {Object} { checked, items: [{ item, openingQuantity, ledgerQuantity, quantity, difference, discrepancies }] }
+     */
+    async getQuantityReconciliation() {
+        try {
+            const [items, history] = await Promise.all([
+                this.getAllItems(),
+                this.getAllStockHistory()
+            ]);
+
+            const historyByItem = new Map();
+            for (const entry of history) {
+                if (!historyByItem.has(entry.itemId)) {
+                    historyByItem.set(entry.itemId, []);
+                }
+                historyByItem.get(entry.itemId).push(entry);
+            }
+
+            const stocked = items.filter(item => item.itemType !== 'office_equipment');
+            return {
+                checked: stocked.length,
+                items: stocked
+                    .map(item => ({ item, ...this.replayItemQuantity(item, historyByItem.get(item.id) || []) }))
+                    .filter(row => row.discrepancies.length > 0)
+                    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference) || (a.item.name || '').localeCompare(b.item.name || ''))
+            };
+        } catch (error) {
+            throw new Error('Failed to reconcile quantities: ' + error.message);
+        }
+    }
+
+    /**
+     * Book the quantity changes an item's stock history is missing as a correcting
+     * adjustment, so the history adds up to the quantity on hand. The quantity itself
+     * isn't changed - count the item if it's wrong.
+     * @param {number} itemId - Item ID
+     * @param {string} notes - Optional notes
+     */
+    async postQuantityCorrection(itemId, notes = null) {
+        try {
+            const [stockEntry] = await this.applyStockMovements([{
+                type: 'reconciliation',
+                itemId: itemId,
+                notes: notes
+            }]);
+            return stockEntry;
+        } catch (error) {
+            throw new Error('Failed to post correction: ' + error.message);
+        }
+    }
+
+    // STOCK COSTING METHODS
+
+    /**
+     * Costing method used to value stock and cost usage and sales: 'average' or 'fifo'
+     */
+    getCostingMethod() {
+        return localStorage.getItem('costingMethod') || 'average';
+    }
+
+    /**
+     * Set the costing method and revalue every item with it
+     * @param {string} method - 'average' or 'fifo'
+     */
+    async setCostingMethod(method) {
+        if (!['average', 'fifo'].includes(method)) {
+            throw new Error('Unknown costing method');
+        }
+        localStorage.setItem('costingMethod', method);
+
+        const items = await this.getAllItems();
+        for (const item of items.filter(i => i.itemType !== 'office_equipment')) {
+            await this.updateItemCosting(item.id);
+        }
+    }
+
+    /**
+     * Value an item's stock by replaying its stock history, oldest first. Purchases are
+     * averaged in and open a FIFO cost layer; stock going out is costed at the running
+     * average and taken off the oldest layers. Quantity changes that were never recorded
+     * (e.g. edited on the item form) come in or go out at the running average, so the
+     * replay always ends at the item's quantity.
+     * @param {Object} item - Item record
+     * @param {Array} history - The item's stock history entries
+     * @returns {Object} { quantity, averageCost, averageValue, fifoLayers, fifoValue, fifoUnitCost }
+     */
+    calculateItemCosting(item, history) {
+        let quantity = 0;
+        let averageCost = item.openingCost ?? item.costPrice ?? item.price ?? 0;
+        let layers = [];
+
+        const addStock = (units, unitCost) => {
+            if (units <= 0) return;
+            averageCost = quantity > 0 ?
+                (quantity * averageCost + units * unitCost) / (quantity + units) :
+                unitCost;
+            quantity += units;
+            layers.push({ quantity: units, unitCost: unitCost });
+        };
+
+        const takeStock = (units) => {
+            quantity -= units;
+            let remaining = units;
+            while (remaining > 0 && layers.length) {
+                const taken = Math.min(layers[0].quantity, remaining);
+                layers[0].quantity -= taken;
+                remaining -= taken;
+                if (layers[0].quantity === 0) layers.shift();
+            }
+        };
+
+        const catchUp = (expected) => {
+            if (expected > quantity) {
+                addStock(expected - quantity, averageCost);
+            } else if (expected < quantity) {
+                takeStock(quantity - expected);
+            }
+        };
+
+        const entries = [...history]
+            // Transfers move stock between locations without changing the item's total,
+            // a reversed entry cancels out with its reversal and a reconciliation only
+            // books changes already caught up with below
+            .filter(entry => entry.type !== 'transfer' && !this.isReversedOrReversal(entry) && !entry.reconciliation)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || (a.id || 0) - (b.id || 0));
+
+        for (const entry of entries) {
+            const change = entry.quantityChange || 0;
+            if (typeof entry.newQuantity === 'number') {
+                catchUp(entry.newQuantity - change);
+            }
+
+            if (change > 0) {
+                const unitCost = entry.type === 'purchase' ? entry.unitPrice : (entry.unitCost ?? averageCost);
+                addStock(change, unitCost || 0);
+            } else if (change < 0) {
+                takeStock(-change);
+            }
+        }
+        catchUp(item.quantity || 0);
+
+        layers = layers.filter(layer => layer.quantity > 0);
+        const fifoValue = layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+
+        return {
+            quantity: quantity,
+            averageCost: averageCost,
+            averageValue: Math.max(quantity, 0) * averageCost,
+            fifoLayers: layers,
+            fifoValue: fifoValue,
+            fifoUnitCost: quantity > 0 ? fifoValue / quantity : averageCost
+        };
+    }
+
+    /**
+     * Get an item's costing from its stock history
+     * @param {number} itemId - Item ID
+     */
+    async getItemCosting(itemId) {
+        const [item, history] = await Promise.all([
+            this.getItemById(itemId),
+            this.getItemStockHistory(itemId)
+        ]);
+        if (!item) {
+            throw new Error('Item not found');
+        }
+        return { item, ...this.calculateItemCosting(item, history) };
+    }
+
+    /**
+     * Cost of taking units out of stock now, under the current costing method
+     * @param {number} itemId - Item ID
+     * @param {number} quantity - Units going out
+     * @returns {Object} { unitCost, totalCost, method }
+     */
+    async getIssueCost(itemId, quantity) {
+        return this.calculateIssueCost(await this.getItemCosting(itemId), quantity);
+    }
+
+    /**
+     * Cost of taking units out of stock, from an item's costing
+     * @param {Object} costing - Result of calculateItemCosting()
+     * @param {number} quantity - Units going out
+     * @returns {Object} { unitCost, totalCost, method }
+     */
+    calculateIssueCost(costing, quantity) {
+        const method = this.getCostingMethod();
+        let totalCost = quantity * costing.averageCost;
+
+        if (method === 'fifo') {
+            totalCost = 0;
+            let remaining = quantity;
+            for (const layer of costing.fifoLayers) {
+                if (remaining === 0) break;
+                const taken = Math.min(layer.quantity, remaining);
+                totalCost += taken * layer.unitCost;
+                remaining -= taken;
+            }
+            // Anything beyond the recorded layers goes out at the average
+            totalCost += remaining * costing.averageCost;
+        }
+
+        return {
+            unitCost: quantity > 0 ? this.roundCost(totalCost / quantity) : 0,
+            totalCost: this.roundCost(totalCost),
+            method: method
+        };
+    }
+
+    /**
+     * Round a cost to 4 decimals so float noise doesn't build up in stored values
+     * @param {number} value - Cost
+     */
+    roundCost(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    /**
+     * Store an item's current unit cost under the costing method as its cost price.
+     * The cost price typed in before any costing becomes the opening cost of stock
+     * that was on hand before its history starts.
+     * @param {number} itemId - Item ID
+     */
+    async updateItemCosting(itemId) {
+        const costing = await this.getItemCosting(itemId);
+        const updateData = this.getItemCostingUpdate(costing.item, costing);
+
+        await this.updateItem(itemId, updateData);
+        return { ...costing, unitCost: updateData.costPrice };
+    }
+
+    /**
+     * Cost fields to store on an item for its costing
+     * @param {Object} item - Item record
+     * @param {Object} costing - Result of calculateItemCosting()
+     * @returns {Object} { averageCost, costPrice, price, openingCost }
+     */
+    getItemCostingUpdate(item, costing) {
+        const unitCost = this.roundCost(this.getCostingMethod() === 'fifo' ? costing.fifoUnitCost : costing.averageCost);
+
+        const updateData = {
+            averageCost: this.roundCost(costing.averageCost),
+            costPrice: unitCost,
+            price: unitCost // Legacy compatibility
+        };
+        if (item.openingCost === undefined) {
+            updateData.openingCost = item.costPrice ?? item.price ?? 0;
+        }
+        return updateData;
+    }
+
+    /**
+     * Value all stock under both costing methods
+     * @returns {Array} One row per stocked item ({ item, quantity, averageCost, averageValue, fifoValue, lastPurchaseCost })
+     */
+    async getStockValuation() {
+        try {
+            const [items, history] = await Promise.all([
+                this.getAllItems(),
+                this.getAllStockHistory()
+            ]);
+
+            return items
+                .filter(item => item.itemType !== 'office_equipment')
+                .map(item => {
+                    const costing = this.calculateItemCosting(item, history.filter(entry => entry.itemId === item.id));
+                    return {
+                        item: item,
+                        quantity: item.quantity || 0,
+                        averageCost: costing.averageCost,
+                        averageValue: costing.averageValue,
+                        fifoUnitCost: costing.fifoUnitCost,
+                        fifoValue: costing.fifoValue,
+                        lastPurchaseCost: item.lastPurchaseCost ?? null
+                    };
+                })
+                .sort((a, b) => (a.item.name || '').localeCompare(b.item.name || ''));
+        } catch (error) {
+            throw new Error('Failed to value stock: ' + error.message);
+        }
+    }
+
+    // STOCK LOT METHODS
+
+    /**
+     * Get the lots of an item, oldest received first
+     * @param {number} itemId - Item ID
+     * @param {boolean} activeOnly - Only return lots with stock left
+     */
+    async getItemLots(itemId, activeOnly = false) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockLots'], 'readonly');
+            const store = transaction.objectStore('stockLots');
+            const index = store.index('itemId');
+            const request = index.getAll(itemId);
+
+            request.onsuccess = () => {
+                const lots = request.result
+                    .filter(lot => !activeOnly || lot.quantity > 0)
+                    .sort((a, b) => new Date(a.receivedDate) - new Date(b.receivedDate) || a.id - b.id);
+                resolve(lots);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get stock lots'));
+            };
+        });
+    }
+
+    /**
+     * Get all stock lots
+     */
+    async getAllLots() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockLots'], 'readonly');
+            const store = transaction.objectStore('stockLots');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get stock lots'));
+            };
+        });
+    }
+
+    /**
+     * Get a stock lot by ID
+     * @param {number} id - Lot ID
+     */
+    async getLotById(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockLots'], 'readonly');
+            const store = transaction.objectStore('stockLots');
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get stock lot'));
+            };
+        });
+    }
+
+    /**
+     * Add a stock lot
+     * @param {Object} lotData - Lot data ({ itemId, lotNumber, expiryDate, quantity, receivedDate, unitCost, supplier })
+     */
+    async addStockLot(lotData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockLots'], 'readwrite');
+            const store = transaction.objectStore('stockLots');
+
+            const lot = {
+                lotNumber: null,
+                expiryDate: null,
+                ...lotData,
+                initialQuantity: lotData.initialQuantity ?? lotData.quantity,
+                status: lotData.quantity > 0 ? 'active' : 'depleted',
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            const addRequest = store.add(lot);
+
+            addRequest.onsuccess = (event) => {
+                resolve({ id: event.target.result, ...lot });
+            };
+
+            addRequest.onerror = () => {
+                reject(new Error('Failed to add stock lot'));
+            };
+        });
+    }
+
+    /**
+     * Update a stock lot
+     * @param {number} id - Lot ID
+     * @param {Object} lotData - Fields to update
+     */
+    async updateStockLot(id, lotData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockLots'], 'readwrite');
+            const store = transaction.objectStore('stockLots');
+
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = () => {
+                const lot = getRequest.result;
+                if (!lot) {
+                    reject(new Error('Stock lot not found'));
+                    return;
+                }
+
+                const updatedLot = {
+                    ...lot,
+                    ...lotData,
+                    updatedAt: new Date().toISOString()
+                };
+                if (lotData.quantity !== undefined && lotData.status === undefined) {
+                    updatedLot.status = lotData.quantity > 0 ? 'active' : 'depleted';
+                }
+
+                const updateRequest = store.put(updatedLot);
+
+                updateRequest.onsuccess = () => {
+                    resolve(updatedLot);
+                };
+
+                updateRequest.onerror = () => {
+                    reject(new Error('Failed to update stock lot'));
+                };
+            };
+
+            getRequest.onerror = () => {
+                reject(new Error('Failed to get stock lot'));
+            };
+        });
+    }
+
+    /**
+     * Put stock held from before lots were kept into an opening balance lot, recorded in
+     * the item's stock history. Items that already have lots are left as they are.
+     * @param {Object} item - Item record
+     * @returns {Array} Active lots of the item
+     */
+    async openItemLots(item) {
+        const lots = await this.getItemLots(item.id);
+        if (lots.length === 0 && (item.quantity || 0) > 0) {
+            await this.applyStockMovements([{ type: 'opening_balance', itemId: item.id }]);
+        }
+        return this.getItemLots(item.id, true);
+    }
+
+    /**
+     * The opening balance lot for an item's quantity, if its stock isn't held in lots yet.
+     * Once an item has lots its quantity is their total and only changes through stock
+     * movements, so nothing is balanced against it.
+     * @param {Object} item - Item record
+     * @param {Array} lots - All lots of the item
+     * @param {Object} mainLocation - Main location
+     * @returns {Object|null} Lot data, or null if there is nothing to put in a lot
+     */
+    getOpeningLot(item, lots, mainLocation) {
+        if (lots.length > 0 || !((item.quantity || 0) > 0)) {
+            return null;
+        }
+
+        return {
+            itemId: item.id,
+            locationId: mainLocation ? mainLocation.id : null,
+            quantity: item.quantity,
+            receivedDate: item.receivedDate || item.createdAt || new Date().toISOString(),
+            unitCost: item.costPrice || 0,
+            supplier: item.supplier || null,
+            isOpeningBalance: true
+        };
+    }
+
+    /**
+     * Order lots in the sequence they should be consumed: earliest expiry first,
+     * then lots without an expiry date, oldest received first
+     * @param {Array} lots - Active lots
+     */
+    sortLotsForConsumption(lots) {
+        return [...lots].sort((a, b) => {
+            if (a.expiryDate && b.expiryDate && a.expiryDate !== b.expiryDate) {
+                return a.expiryDate < b.expiryDate ? -1 : 1;
+            }
+            if (!a.expiryDate !== !b.expiryDate) {
+                return a.expiryDate ? -1 : 1;
+            }
+            return new Date(a.receivedDate) - new Date(b.receivedDate) || a.id - b.id;
+        });
+    }
+
+    /**
+     * Days until a lot expires; negative once it has expired
+     * @param {Object} lot - Stock lot
+     * @returns {number|null} Days left, or null if the lot has no expiry date
+     */
+    getLotDaysToExpiry(lot) {
+        if (!lot.expiryDate) return null;
+        
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const expiry = new Date(lot.expiryDate + 'T00:00:00');
+        return Math.round((expiry - today) / (1000 * 60 * 60 * 24));
+    }
+
+    /**
+     * Number of days ahead that lots count as expiring soon
+     */
+    getExpiryWarningDays() {
+        return parseInt(localStorage.getItem('expiryWarningDays')) || 60;
+    }
+
+    /**
+     * Set the number of days ahead that lots count as expiring soon
+     * @param {number} days - Warning window in days
+     */
+    setExpiryWarningDays(days) {
+        localStorage.setItem('expiryWarningDays', String(days));
+    }
+
+    /**
+     * Get lots in stock that have expired or expire within the warning window, earliest first
+     * @param {number} withinDays - Warning window in days (defaults to the saved setting)
+     */
+    async getExpiringLots(withinDays = null) {
+        try {
+            const days = withinDays ?? this.getExpiryWarningDays();
+            const [lots, items] = await Promise.all([
+                this.getAllLots(),
+                this.getAllItems()
+            ]);
+            
+            return lots
+                .filter(lot => lot.quantity > 0 && lot.expiryDate)
+                .map(lot => {
+                    const item = items.find(i => i.id === lot.itemId);
+                    const daysToExpiry = this.getLotDaysToExpiry(lot);
+                    return {
+                        ...lot,
+                        itemName: item ? item.name : 'Unknown item',
+                        itemSku: item ? item.sku : null,
+                        itemType: item ? item.itemType : null,
+                        value: lot.quantity * (lot.unitCost || 0),
+                        daysToExpiry: daysToExpiry,
+                        isExpired: daysToExpiry < 0
+                    };
+                })
+                .filter(lot => lot.daysToExpiry <= days)
+                .sort((a, b) => a.daysToExpiry - b.daysToExpiry);
+        } catch (error) {
+            throw new Error('Failed to get expiring lots: ' + error.message);
+        }
+    }
+
+    /**
+     * Take a quantity out of an item's lots, lowering the lot quantities in place
+     * @param {Array} lots - Lots of the item
+     * @param {number} quantity - Quantity to take
+     * @param {number} lotId - Lot to take it from (optional, otherwise earliest expiry first)
+     * @param {number} locationId - Only take stock held at this location (optional)
+     * @returns {Array} Lots taken from ({ lot, lotNumber, expiryDate, locationId, quantity })
+     */
+    takeFromLots(lots, quantity, lotId = null, locationId = null) {
+        const held = lots.filter(lot => lot.quantity > 0 && (!locationId || lot.locationId === locationId));
+        // Expired lots are never picked automatically, only when chosen explicitly
+        const candidates = lotId ?
+            held.filter(lot => lot.id === lotId) :
+            this.sortLotsForConsumption(held.filter(lot => !(this.getLotDaysToExpiry(lot) < 0)));
+
+        if (lotId && candidates.length === 0) {
+            throw new Error(locationId ? 'Selected lot has no stock left at this location' : 'Selected lot has no stock left');
+        }
+
+        const available = candidates.reduce((sum, lot) => sum + lot.quantity, 0);
+        if (available < quantity) {
+            if (lotId) {
+                throw new Error(`Only ${available} left in the selected lot`);
+            }
+            const heldTotal = held.reduce((sum, lot) => sum + lot.quantity, 0);
+            if (available < heldTotal) {
+                throw new Error(`Only ${available} units are in date, the rest has expired`);
+            }
+            throw new Error(locationId ? `Only ${heldTotal} units are held at this location` : 'Insufficient stock in lots');
+        }
+
+        return this.consumeLots(candidates, quantity);
+    }
+
+    /**
+     * Take a quantity out of lots in the order given, lowering their quantities in place
+     * @param {Array} lots - Lots in the order they are consumed
+     * @param {number} quantity - Quantity to take
+     * @returns {Array} Lots taken from ({ lot, lotNumber, expiryDate, locationId, quantity })
+     */
+    consumeLots(lots, quantity) {
+        const taken = [];
+        let remaining = quantity;
+        for (const lot of lots) {
+            if (remaining === 0) break;
+            const units = Math.min(lot.quantity, remaining);
+            lot.quantity -= units;
+            taken.push({ lot: lot, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, locationId: lot.locationId, quantity: units });
+            remaining -= units;
+        }
+        return taken;
+    }
+
+    /**
+     * Set an item's quantity to the total of its lots
+     * @param {number} itemId - Item ID
+     * @returns {number} New quantity
+     */
+    async syncItemQuantityFromLots(itemId) {
+        const lots = await this.getItemLots(itemId, true);
+        const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+        await this.updateItem(itemId, { quantity: quantity });
+        return quantity;
+    }
+
+    /**
+     * Describe the lots on a stock movement, e.g. "lot A123 (exp 2025-06-30) x 2"
+     * @param {Array} lots - Lots on a stock history entry
+     */
+    describeLots(lots) {
+        return lots
+            .map(lot => `${lot.lotNumber ? 'lot ' + lot.lotNumber : 'unnumbered stock'}` +
+                `${lot.expiryDate ? ' (exp ' + lot.expiryDate + ')' : ''} x ${lot.quantity}`)
+            .join(', ');
+    }
+
+    // PRODUCT RECALL METHODS
+
+    /**
+     * Get all recalls, newest first
+     */
+    async getAllRecalls() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['recalls'], 'readonly');
+            const store = transaction.objectStore('recalls');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get recalls'));
+            };
+        });
+    }
+
+    /**
+     * Get a recall by ID
+     * @param {number} id - Recall ID
+     */
+    async getRecallById(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['recalls'], 'readonly');
+            const store = transaction.objectStore('recalls');
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get recall'));
+            };
+        });
+    }
+
+    /**
+     * Add a recall record
+     * @param {Object} recallData - Recall data
+     */
+    async addRecall(recallData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['recalls'], 'readwrite');
+            const store = transaction.objectStore('recalls');
+
+            const recall = {
+                ...recallData,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            const addRequest = store.add(recall);
+
+            addRequest.onsuccess = (event) => {
+                resolve({ id: event.target.result, ...recall });
+            };
+
+            addRequest.onerror = () => {
+                reject(new Error('Failed to add recall'));
+            };
+        });
+    }
+
+    /**
+     * Update a recall record
+     * @param {number} id - Recall ID
+     * @param {Object} recallData - Fields to update
+     */
+    async updateRecall(id, recallData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['recalls'], 'readwrite');
+            const store = transaction.objectStore('recalls');
+
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = () => {
+                const recall = getRequest.result;
+                if (!recall) {
+                    reject(new Error('Recall not found'));
+                    return;
+                }
+
+                const updatedRecall = {
+                    ...recall,
+                    ...recallData,
+                    updatedAt: new Date().toISOString()
+                };
+
+                const updateRequest = store.put(updatedRecall);
+
+                updateRequest.onsuccess = () => {
+                    resolve(updatedRecall);
+                };
+
+                updateRequest.onerror = () => {
+                    reject(new Error('Failed to update recall'));
+                };
+            };
+
+            getRequest.onerror = () => {
+                reject(new Error('Failed to get recall'));
+            };
+        });
+    }
+
+    /**
+     * Compare lot numbers the way people type them: case and surrounding spaces don't matter
+     * @param {string} a - Lot number
+     * @param {string} b - Lot number
+     */
+    isSameLotNumber(a, b) {
+        return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+    }
+
+    /**
+     * Trace a lot of an item: what was received, what is left, what is quarantined
+     * and every sale or usage that consumed it
+     * @param {number} itemId - Item ID
+     * @param {string} lotNumber - Lot / batch number
+     */
+    async traceLot(itemId, lotNumber) {
+        try {
+            const [item, lots, history, recalls] = await Promise.all([
+                this.getItemById(itemId),
+                this.getItemLots(itemId),
+                this.getItemStockHistory(itemId),
+                this.getAllRecalls()
+            ]);
+            if (!item) {
+                throw new Error('Item not found');
+            }
+
+            const matchingLots = lots.filter(lot => this.isSameLotNumber(lot.lotNumber, lotNumber));
+            const lotIds = matchingLots.map(lot => lot.id);
+            const lotQuantity = entry => (entry.lots || [])
+                .filter(lot => lotIds.includes(lot.lotId))
+                .reduce((sum, lot) => sum + lot.quantity, 0);
+            const entries = history
+                .filter(entry => lotQuantity(entry) > 0 && !this.isReversedOrReversal(entry))
+                .map(entry => ({ ...entry, lotQuantity: lotQuantity(entry) }));
+
+            return {
+                item: item,
+                lotNumber: matchingLots.length ? matchingLots[0].lotNumber : lotNumber.trim(),
+                lots: matchingLots,
+                received: matchingLots
+                    .filter(lot => !lot.originLotId) // Lots split off by a transfer were counted when delivered
+                    .reduce((sum, lot) => sum + (lot.initialQuantity || 0) - (lot.reversedQuantity || 0), 0),
+                onShelf: matchingLots.reduce((sum, lot) => sum + lot.quantity, 0),
+                quarantined: matchingLots.reduce((sum, lot) => sum + (lot.quarantinedQuantity || 0), 0),
+                receipts: entries.filter(entry => entry.type === 'purchase'),
+                consumption: entries.filter(entry => entry.type === 'sale' || entry.type === 'usage'),
+                recalls: recalls.filter(recall => recall.itemId === itemId && this.isSameLotNumber(recall.lotNumber, lotNumber))
+            };
+        } catch (error) {
+            throw new Error('Failed to trace lot: ' + error.message);
+        }
+    }
+
+    /**
+     * Record a supplier recall and quarantine whatever is left of the lot,
+     * so it can't be used or sold until it is returned or written off. The lots,
+     * item, stock history and recall are saved in one transaction.
+     * @param {Object} recallData - Recall data ({ itemId, lotNumber, reference, reason })
+     */
+    async createRecall(recallData) {
+        try {
+            const trace = await this.traceLot(recallData.itemId, recallData.lotNumber);
+            if (trace.lots.length === 0) {
+                throw new Error(`Lot ${recallData.lotNumber} has never been received for this item`);
+            }
+            if (trace.recalls.some(recall => recall.status === 'open')) {
+                throw new Error(`Lot ${trace.lotNumber} already has an open recall`);
+            }
+
+            let recall = null;
+            await this.applyStockMovements([{
+                type: 'recall',
+                itemId: trace.item.id,
+                lotNumber: trace.lotNumber,
+                reference: recallData.reference || null,
+                reason: recallData.reason || null
+            }], {
+                stores: ['recalls'],
+                activity: [], // Logged below, with the recall ID
+                beforeCommit: (transaction, entries, abort) => {
+                    const [entry] = entries;
+                    const now = new Date().toISOString();
+                    const recallsStore = transaction.objectStore('recalls');
+                    const recallsRequest = recallsStore.index('itemId').getAll(trace.item.id);
+                    const lotsRequest = transaction.objectStore('stockLots').index('itemId').getAll(trace.item.id);
+
+                    lotsRequest.onsuccess = () => {
+                        // Checked again here so two quick clicks can't open the recall twice
+                        if (recallsRequest.result.some(r => r.status === 'open' && this.isSameLotNumber(r.lotNumber, entry.lotNumber))) {
+                            abort(new Error(`Lot ${entry.lotNumber} already has an open recall`));
+                            return;
+                        }
+
+                        recall = {
+                            itemId: trace.item.id,
+                            itemName: trace.item.name,
+                            lotNumber: entry.lotNumber,
+                            lotIds: lotsRequest.result.filter(lot => this.isSameLotNumber(lot.lotNumber, entry.lotNumber)).map(lot => lot.id),
+                            supplier: trace.lots[0].supplier || trace.item.supplier || null,
+                            reference: recallData.reference || null,
+                            reason: recallData.reason || null,
+                            quarantinedQuantity: -entry.quantityChange,
+                            consumedQuantity: trace.consumption.reduce((sum, e) => sum + e.lotQuantity, 0),
+                            status: 'open',
+                            resolution: null,
+                            resolvedAt: null,
+                            createdAt: now,
+                            updatedAt: now
+                        };
+                        recallsStore.add(recall).onsuccess = (event) => {
+                            recall.id = event.target.result;
+                            entry.recallId = recall.id;
+                            transaction.objectStore('stockHistory').put(entry);
+                            transaction.objectStore('activity').add({
+                                type: 'recall_created',
+                                description: `Recall opened for ${trace.item.name} lot ${entry.lotNumber} (${recall.quarantinedQuantity} units quarantined)`,
+                                itemId: trace.item.id,
+                                recallId: recall.id,
+                                timestamp: now
+                            });
+                        };
+                    };
+                }
+            });
+
+            return recall;
+        } catch (error) {
+            throw new Error('Failed to create recall: ' + error.message);
+        }
+    }
+
+    /**
+     * Close a recall once the quarantined stock has been returned to the supplier or written off
+     * @param {number} recallId - Recall ID
+     * @param {string} resolution - 'returned' or 'written_off'
+     * @param {string} notes - Optional notes, e.g. a credit note number
+     */
+    async resolveRecall(recallId, resolution, notes = null) {
+        try {
+            if (!['returned', 'written_off'].includes(resolution)) {
+                throw new Error('Recalls are closed by returning or writing off the stock');
+            }
+
+            const recall = await this.getRecallById(recallId);
+            if (!recall) {
+                throw new Error('Recall not found');
+            }
+            if (recall.status !== 'open') {
+                throw new Error('This recall is already closed');
+            }
+
+            const action = resolution === 'returned' ? 'returned to supplier' : 'written off';
+            let updated = null;
+            await this.applyStockMovements([{
+                type: 'recall_close',
+                itemId: recall.itemId,
+                recallId: recallId,
+                lotIds: recall.lotIds,
+                notes: notes,
+                description: `Recall of lot ${recall.lotNumber} closed: ${recall.quarantinedQuantity} units ${action}`
+            }], {
+                stores: ['recalls'],
+                activity: [{
+                    type: 'recall_resolved',
+                    description: `Recall closed for ${recall.itemName} lot ${recall.lotNumber}: ${recall.quarantinedQuantity} units ${action}`,
+                    itemId: recall.itemId,
+                    recallId: recallId
+                }],
+                beforeCommit: (transaction, entries, abort) => {
+                    const store = transaction.objectStore('recalls');
+                    const request = store.get(recallId);
+                    request.onsuccess = () => {
+                        if (!request.result || request.result.status !== 'open') {
+                            abort(new Error('This recall is already closed'));
+                            return;
+                        }
+                        updated = {
+                            ...request.result,
+                            status: resolution,
+                            resolution: resolution,
+                            resolutionNotes: notes,
+                            resolvedAt: new Date().toISOString(),
+                            updatedAt: new Date().toISOString()
+                        };
+                        store.put(updated);
+                    };
+                }
+            });
+
+            return updated;
+        } catch (error) {
+            throw new Error('Failed to close recall: ' + error.message);
+        }
+    }
+
+    /**
+     * Bulk import items
+     * @param {Array} items - Array of item objects
+     */
+    async bulkImportItems(items) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['items', 'activity'], 'readwrite');
+            const itemsStore = transaction.objectStore('items');
+            const activityStore = transaction.objectStore('activity');
+            
+            const results = [];
+            let completed = 0;
+            
+            items.forEach((itemData, index) => {
+                const item = {
+                    ...itemData,
+                    createdAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                };
+                
+                const addRequest = itemsStore.add(item);
+                
+                addRequest.onsuccess = (event) => {
+                    results.push({ success: true, id: event.target.result, index });
+                    completed++;
+                    
+                    if (completed === items.length) {
+                        // Log bulk import activity
+                        activityStore.add({
+                            type: 'bulk_import',
+                            description: `Bulk imported ${items.length} items`,
+                            timestamp: new Date().toISOString()
+                        });
+                        
+                        resolve(results);
+                    }
+                };
+                
+                addRequest.onerror = () => {
+                    results.push({ success: false, error: 'Failed to add item', index });
+                    completed++;
+                    
+                    if (completed === items.length) {
+                        resolve(results);
+                    }
+                };
+            });
+        });
+    }
+
+    /**
+     * Initialize default suppliers
+     * @param {Array} suppliers - Array of default supplier objects
+     */
+    async initializeDefaultSuppliers(suppliers) {
+        try {
+            const existingSuppliers = await this.getAllSuppliers();
+            
+            // Only add defaults if no suppliers exist
+            if (existingSuppliers.length === 0) {
+                for (const supplier of suppliers) {
+                    await this.addSupplier({
+                        ...supplier,
+                        createdAt: new Date().toISOString(),
+                        updatedAt: new Date().toISOString()
+                    });
+                }
+                console.log('Default suppliers initialized');
+            }
+        } catch (error) {
+            console.error('Error initializing default suppliers:', error);
+        }
+    }
+
+    /**
+     * Get all suppliers
+     */
+    async getAllSuppliers() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['suppliers'], 'readonly');
+            const store = transaction.objectStore('suppliers');
+            const request = store.getAll();
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(new Error('Failed to get suppliers'));
+            };
+        });
+    }
+
+    /**
+     * Add a new supplier
+     * @param {Object} supplierData - Supplier data object
+     */
+    async addSupplier(supplierData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['suppliers', 'activity'], 'readwrite');
+            const suppliersStore = transaction.objectStore('suppliers');
+            const activityStore = transaction.objectStore('activity');
+            
+            const supplier = {
+                ...supplierData,
+                createdAt: supplierData.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            
+            const addRequest = suppliersStore.add(supplier);
+            
+            addRequest.onsuccess = (event) => {
+                const supplierId = event.target.result;
+                
+                // Log activity if not a default supplier initialization
+                if (!supplierData.isDefault || supplierData.isDefault === false) {
+                    activityStore.add({
+                        type: 'supplier_added',
+                        description: `Added supplier: ${supplier.name}`,
+                        timestamp: new Date().toISOString(),
+                        supplierId: supplierId
+                    });
+                }
+                
+                resolve({ id: supplierId, ...supplier });
+            };
+            
+            addRequest.onerror = () => {
+                reject(new Error('Failed to add supplier - name or code may already exist'));
+            };
+        });
+    }
+
+    /**
      * Update an existing supplier
      * @param {number} id - Supplier ID
      * @param {Object} supplierData - Updated supplier data
      */
-    async updateSupplier(id, supplierData) {
+    async updateSupplier(id, supplierData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['suppliers', 'activity'], 'readwrite');
+            const suppliersStore = transaction.objectStore('suppliers');
+            const activityStore = transaction.objectStore('activity');
+            
+            const getRequest = suppliersStore.get(id);
+            
+            getRequest.onsuccess = () => {
+                const existingSupplier = getRequest.result;
+                if (!existingSupplier) {
+                    reject(new Error('Supplier not found'));
+                    return;
+                }
+                
+                const updatedSupplier = {
+                    ...existingSupplier,
+                    ...supplierData,
+                    updatedAt: new Date().toISOString()
+                };
+                
+                const updateRequest = suppliersStore.put(updatedSupplier);
+                
+                updateRequest.onsuccess = () => {
+                    activityStore.add({
+                        type: 'supplier_updated',
+                        description: `Updated supplier: ${updatedSupplier.name}`,
+                        timestamp: new Date().toISOString(),
+                        supplierId: id
+                    });
+                    
+                    resolve(updatedSupplier);
+                };
+                
+                updateRequest.onerror = () => {
+                    reject(new Error('Failed to update supplier'));
+                };
+            };
+        });
+    }
+
+    /**
+     * Delete a supplier
+     * @param {number} id - Supplier ID
+     */
+    async deleteSupplier(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['suppliers', 'activity'], 'readwrite');
+            const suppliersStore = transaction.objectStore('suppliers');
+            const activityStore = transaction.objectStore('activity');
+            
+            const getRequest = suppliersStore.get(id);
+            
+            getRequest.onsuccess = () => {
+                const supplier = getRequest.result;
+                if (!supplier) {
+                    reject(new Error('Supplier not found'));
+                    return;
+                }
+                
+                // Prevent deletion of default suppliers
+                if (supplier.isDefault) {
+                    reject(new Error('Cannot delete default supplier'));
+                    return;
+                }
+                
+                const deleteRequest = suppliersStore.delete(id);
+                
+                deleteRequest.onsuccess = () => {
+                    activityStore.add({
+                        type: 'supplier_deleted',
+                        description: `Deleted supplier: ${supplier.name}`,
+                        timestamp: new Date().toISOString(),
+                        supplierId: id
+                    });
+                    
+                    resolve(true);
+                };
+                
+                deleteRequest.onerror = () => {
+                    reject(new Error('Failed to delete supplier'));
+                };
+            };
+        });
+    }
+
+    /**
+     * Get supplier by code
+     * @param {string} code - Supplier code
+     */
+    async getSupplierByCode(code) {
+        return new Promise((resolve, reject) => {
+            // Handle null/undefined/empty codes
+            if (!code || code === null || code === undefined || code === '') {
+                resolve(null);
+                return;
+            }
+            
+            const transaction = this.db.transaction(['suppliers'], 'readonly');
+            const store = transaction.objectStore('suppliers');
+            const index = store.index('code');
+            const request = index.get(code);
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(new Error('Failed to get supplier'));
+            };
+        });
+    }
+
+    // LOCATION MANAGEMENT METHODS
+
+    /**
+     * Initialize default locations and move stock held before locations existed into the main one
+     * @param {Array} locations - Array of default location objects
+     */
+    async initializeDefaultLocations(locations) {
+        try {
+            const existingLocations = await this.getAllLocations();
+
+            // Only add defaults if no locations exist
+            if (existingLocations.length === 0) {
+                for (const location of locations) {
+                    await this.addLocation(location);
+                }
+                console.log('Default locations initialized');
+            }
+
+            const mainLocation = await this.getDefaultLocation();
+            const lots = await this.getAllLots();
+            for (const lot of lots.filter(l => !l.locationId)) {
+                await this.updateStockLot(lot.id, { locationId: mainLocation.id });
+            }
+        } catch (error) {
+            console.error('Error initializing default locations:', error);
+        }
+    }
+
+    /**
+     * Get all locations, the main location first
+     */
+    async getAllLocations() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['locations'], 'readonly');
+            const store = transaction.objectStore('locations');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result.sort((a, b) => (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0) || a.name.localeCompare(b.name)));
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get locations'));
+            };
+        });
+    }
+
+    /**
+     * Get a location by ID
+     * @param {number} id - Location ID
+     */
+    async getLocationById(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['locations'], 'readonly');
+            const store = transaction.objectStore('locations');
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get location'));
+            };
+        });
+    }
+
+    /**
+     * Get the main location, where deliveries and opening stock are booked in
+     */
+    async getDefaultLocation() {
+        const locations = await this.getAllLocations();
+        return locations.find(location => location.isDefault) || locations[0] || null;
+    }
+
+    /**
+     * Add a new location
+     * @param {Object} locationData - Location data object ({ name, code, description })
+     */
+    async addLocation(locationData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['locations', 'activity'], 'readwrite');
+            const locationsStore = transaction.objectStore('locations');
+            const activityStore = transaction.objectStore('activity');
+
+            const location = {
+                ...locationData,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            const addRequest = locationsStore.add(location);
+
+            addRequest.onsuccess = (event) => {
+                const locationId = event.target.result;
+
+                activityStore.add({
+                    type: 'location_added',
+                    description: `Added location: ${location.name}`,
+                    timestamp: new Date().toISOString(),
+                    locationId: locationId
+                });
+
+                resolve({ id: locationId, ...location });
+            };
+
+            addRequest.onerror = () => {
+                reject(new Error('Failed to add location - name or code may already exist'));
+            };
+        });
+    }
+
+    /**
+     * Update an existing location
+     * @param {number} id - Location ID
+     * @param {Object} locationData - Updated location data
+     */
+    async updateLocation(id, locationData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['locations', 'activity'], 'readwrite');
+            const locationsStore = transaction.objectStore('locations');
+            const activityStore = transaction.objectStore('activity');
+
+            const getRequest = locationsStore.get(id);
+
+            getRequest.onsuccess = () => {
+                const existingLocation = getRequest.result;
+                if (!existingLocation) {
+                    reject(new Error('Location not found'));
+                    return;
+                }
+
+                const updatedLocation = {
+                    ...existingLocation,
+                    ...locationData,
+                    updatedAt: new Date().toISOString()
+                };
+
+                const updateRequest = locationsStore.put(updatedLocation);
+
+                updateRequest.onsuccess = () => {
+                    activityStore.add({
+                        type: 'location_updated',
+                        description: `Updated location: ${updatedLocation.name}`,
+                        timestamp: new Date().toISOString(),
+                        locationId: id
+                    });
+
+                    resolve(updatedLocation);
+                };
+
+                updateRequest.onerror = () => {
+                    reject(new Error('Failed to update location - name or code may already exist'));
+                };
+            };
+        });
+    }
+
+    /**
+     * Delete a location. Locations that still hold stock can't be deleted.
+     * @param {number} id - Location ID
+     */
+    async deleteLocation(id) {
+        const lots = await this.getAllLots();
+        const heldHere = lots.filter(lot => lot.locationId === id)
+            .reduce((sum, lot) => sum + lot.quantity + (lot.quarantinedQuantity || 0), 0);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['locations', 'activity'], 'readwrite');
+            const locationsStore = transaction.objectStore('locations');
+            const activityStore = transaction.objectStore('activity');
+
+            const getRequest = locationsStore.get(id);
+
+            getRequest.onsuccess = () => {
+                const location = getRequest.result;
+                if (!location) {
+                    reject(new Error('Location not found'));
+                    return;
+                }
+
+                // The main location receives all deliveries
+                if (location.isDefault) {
+                    reject(new Error('Cannot delete the main location'));
+                    return;
+                }
+
+                if (heldHere > 0) {
+                    reject(new Error(`${heldHere} units are still stored in ${location.name}`));
+                    return;
+                }
+
+                const deleteRequest = locationsStore.delete(id);
+
+                deleteRequest.onsuccess = () => {
+                    activityStore.add({
+                        type: 'location_deleted',
+                        description: `Deleted location: ${location.name}`,
+                        timestamp: new Date().toISOString(),
+                        locationId: id
+                    });
+
+                    resolve(true);
+                };
+
+                deleteRequest.onerror = () => {
+                    reject(new Error('Failed to delete location'));
+                };
+            };
+        });
+    }
+
+    /**
+     * Break an item's stock down by location
+     * @param {Object} item - Item record
+     * @param {Array} lots - Lots of the item (or all lots)
+     * @param {Array} locations - All locations
+     * @returns {Array} [{ locationId, locationName, quantity, threshold, isLow }] for locations holding
+     *                  stock or with a threshold set
+     */
+    getItemLocationBreakdown(item, lots, locations) {
+        const thresholds = item.locationThresholds || {};
+
+        return locations
+            .map(location => {
+                const quantity = lots
+                    .filter(lot => lot.itemId === item.id && lot.locationId === location.id)
+                    .reduce((sum, lot) => sum + lot.quantity, 0);
+                const threshold = thresholds[location.id] ?? null;
+
+                return {
+                    locationId: location.id,
+                    locationName: location.name,
+                    quantity: quantity,
+                    threshold: threshold,
+                    isLow: threshold !== null && quantity < threshold
+                };
+            })
+            .filter(entry => entry.quantity > 0 || entry.threshold !== null);
+    }
+
+    /**
+     * Stock of every item broken down by location
+     * @returns {Object} Item ID => breakdown from getItemLocationBreakdown()
+     */
+    async getLocationStockSummary() {
+        try {
+            const [items, lots, locations] = await Promise.all([
+                this.getAllItems(),
+                this.getAllLots(),
+                this.getAllLocations()
+            ]);
+            const activeLots = lots.filter(lot => lot.quantity > 0);
+
+            const summary = {};
+            for (const item of items) {
+                summary[item.id] = this.getItemLocationBreakdown(item, activeLots, locations);
+            }
+            return summary;
+        } catch (error) {
+            throw new Error('Failed to get stock by location: ' + error.message);
+        }
+    }
+
+    /**
+     * Save an item's low stock thresholds per location
+     * @param {number} itemId - Item ID
+     * @param {Object} thresholds - Location ID => threshold (empty locations are left out)
+     */
+    async updateItemLocationThresholds(itemId, thresholds) {
+        try {
+            return await this.updateItem(itemId, { locationThresholds: thresholds });
+        } catch (error) {
+            throw new Error('Failed to save location thresholds: ' + error.message);
+        }
+    }
+
+    /**
+     * Move stock of an item from one location to another. Lots keep their lot number and
+     * expiry at the destination. The lots, both history entries and the activity are
+     * written in one transaction, so a failed transfer leaves nothing half-moved.
+     * @param {number} itemId - Item ID
+     * @param {number} quantity - Quantity to move
+     * @param {number} fromLocationId - Source location ID
+     * @param {number} toLocationId - Destination location ID
+     * @param {string} notes - Optional notes
+     * @param {number} lotId - Lot to move (optional, otherwise earliest expiry first)
+     * @returns {Object} { transferId, lots, entries }
+     */
+    async transferStock(itemId, quantity, fromLocationId, toLocationId, notes = null, lotId = null) {
+        try {
+            const entries = await this.applyStockMovements([{
+                type: 'transfer',
+                itemId: itemId,
+                quantity: quantity,
+                fromLocationId: fromLocationId,
+                toLocationId: toLocationId,
+                lotId: lotId,
+                notes: notes
+            }]);
+
+            return { transferId: entries[0].transferId, lots: entries[0].lots, entries: entries };
+        } catch (error) {
+            throw new Error('Failed to transfer stock: ' + error.message);
+        }
+    }
+
+    /**
+     * Get transfers between locations, newest first. Each transfer is returned once.
+     * @param {number} locationId - Only transfers into or out of this location (optional)
+     */
+    async getTransfers(locationId = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockHistory'], 'readonly');
+            const store = transaction.objectStore('stockHistory');
+            const index = store.index('type');
+            const request = index.getAll('transfer');
+
+            request.onsuccess = () => {
+                const transfers = request.result
+                    .filter(entry => entry.quantityChange < 0)
+                    .filter(entry => !locationId || entry.fromLocationId === locationId || entry.toLocationId === locationId)
+                    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+                resolve(transfers);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get transfers'));
+            };
+        });
+    }
+
+    // STOCKTAKE METHODS
+
+    /**
+     * Get all stocktakes, newest first
+     */
+    async getAllStocktakes() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stocktakes'], 'readonly');
+            const store = transaction.objectStore('stocktakes');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get stocktakes'));
+            };
+        });
+    }
+
+    /**
+     * Get a stocktake by ID
+     * @param {number} id - Stocktake ID
+     */
+    async getStocktakeById(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stocktakes'], 'readonly');
+            const store = transaction.objectStore('stocktakes');
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get stocktake'));
+            };
+        });
+    }
+
+    /**
+     * Add a stocktake record
+     * @param {Object} stocktakeData - Stocktake data
+     */
+    async addStocktake(stocktakeData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stocktakes'], 'readwrite');
+            const store = transaction.objectStore('stocktakes');
+
+            const stocktake = {
+                ...stocktakeData,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            const addRequest = store.add(stocktake);
+
+            addRequest.onsuccess = (event) => {
+                resolve({ id: event.target.result, ...stocktake });
+            };
+
+            addRequest.onerror = () => {
+                reject(new Error('Failed to add stocktake'));
+            };
+        });
+    }
+
+    /**
+     * Update a stocktake record
+     * @param {number} id - Stocktake ID
+     * @param {Object} stocktakeData - Fields to update
+     */
+    async updateStocktake(id, stocktakeData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stocktakes'], 'readwrite');
+            const store = transaction.objectStore('stocktakes');
+
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = () => {
+                const stocktake = getRequest.result;
+                if (!stocktake) {
+                    reject(new Error('Stocktake not found'));
+                    return;
+                }
+
+                const updatedStocktake = {
+                    ...stocktake,
+                    ...stocktakeData,
+                    updatedAt: new Date().toISOString()
+                };
+
+                const updateRequest = store.put(updatedStocktake);
+
+                updateRequest.onsuccess = () => {
+                    resolve(updatedStocktake);
+                };
+
+                updateRequest.onerror = () => {
+                    reject(new Error('Failed to update stocktake'));
+                };
+            };
+
+            getRequest.onerror = () => {
+                reject(new Error('Failed to get stocktake'));
+            };
+        });
+    }
+
+    /**
+     * Build a stocktake line for an item at a location
+     * @param {Object} item - Item record
+     * @param {Object} location - Location record
+     * @param {number} expected - Quantity on record at the location
+     */
+    createStocktakeLine(item, location, expected) {
+        return {
+            key: `I${item.id}-L${location.id}`,
+            itemId: item.id,
+            itemName: item.name,
+            sku: item.sku || null,
+            unit: item.unit || null,
+            category: item.category || null,
+            locationId: location.id,
+            locationName: location.name,
+            expected: expected,
+            counted: null,
+            unitCost: item.costPrice || 0
+        };
+    }
+
+    /**
+     * Start a stocktake: freeze the quantities on record so counts can be entered against them
+     * @param {Object} stocktakeData - { name, scope: 'full' | 'category' | 'location', scopeValue }
+     *                                 scopeValue is a category code or location ID
+     */
+    async createStocktake(stocktakeData) {
+        try {
+            const { scope = 'full', scopeValue = null } = stocktakeData;
+            const [items, locations, categories] = await Promise.all([
+                this.getAllItems(),
+                this.getAllLocations(),
+                this.getAllCategories()
+            ]);
+
+            let scopeLabel = 'Full count';
+            let scopeLocations = locations;
+            if (scope === 'location') {
+                scopeLocations = locations.filter(location => location.id === scopeValue);
+                if (!scopeLocations.length) {
+                    throw new Error('Location not found');
+                }
+                scopeLabel = scopeLocations[0].name;
+            } else if (scope === 'category') {
+                const category = categories.find(c => c.code === scopeValue);
+                if (!category) {
+                    throw new Error('Category not found');
+                }
+                scopeLabel = category.name;
+            }
+
+            const mainLocation = locations.find(location => location.isDefault) || locations[0];
+            const countedItems = items
+                .filter(item => item.itemType !== 'office_equipment')
+                .filter(item => scope !== 'category' || item.category === scopeValue)
+                .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+            const lines = [];
+            for (const item of countedItems) {
+                // Stock from before lots were kept has to be in a lot before it can be split by location
+                const lots = await this.openItemLots(item);
+                const itemLines = this.getItemLocationBreakdown(item, lots, scopeLocations)
+                    .map(entry => this.createStocktakeLine(item, scopeLocations.find(l => l.id === entry.locationId), entry.quantity));
+
+                // Items that are out of stock everywhere are still counted in the main location
+                if (!itemLines.length && scope !== 'location' && mainLocation) {
+                    itemLines.push(this.createStocktakeLine(item, mainLocation, 0));
+                }
+                lines.push(...itemLines);
+            }
+
+            if (!lines.length) {
+                throw new Error('There is nothing to count in this selection');
+            }
+
+            const stocktake = await this.addStocktake({
+                name: stocktakeData.name || `Stocktake ${new Date().toISOString().split('T')[0]}`,
+                scope: scope,
+                scopeValue: scopeValue,
+                scopeLabel: scopeLabel,
+                status: 'open',
+                lines: lines,
+                reason: null,
+                postedAt: null
+            });
+
+            await this.addActivity({
+                type: 'stocktake_started',
+                description: `Started stocktake "${stocktake.name}" (${scopeLabel}, ${lines.length} lines)`,
+                stocktakeId: stocktake.id
+            });
+
+            return stocktake;
+        } catch (error) {
+            throw new Error('Failed to start stocktake: ' + error.message);
+        }
+    }
+
+    /**
+     * Add a line for an item found somewhere it wasn't expected
+     * @param {number} stocktakeId - Stocktake ID
+     * @param {number} itemId - Item ID
+     * @param {number} locationId - Location ID
+     */
+    async addStocktakeLine(stocktakeId, itemId, locationId) {
+        try {
+            const [stocktake, item, location] = await Promise.all([
+                this.getStocktakeById(stocktakeId),
+                this.getItemById(itemId),
+                this.getLocationById(locationId)
+            ]);
+            if (!stocktake || stocktake.status !== 'open') {
+                throw new Error('Stocktake is not open');
+            }
+            if (!item || !location) {
+                throw new Error('Item or location not found');
+            }
+            if (stocktake.lines.some(line => line.key === `I${itemId}-L${locationId}`)) {
+                throw new Error(`${item.name} is already on the count for ${location.name}`);
+            }
+
+            // The line is expected to hold nothing, so whatever is counted is a gain
+            const line = this.createStocktakeLine(item, location, 0);
+            return await this.updateStocktake(stocktakeId, { lines: [...stocktake.lines, line] });
+        } catch (error) {
+            throw new Error('Failed to add stocktake line: ' + error.message);
+        }
+    }
+
+    /**
+     * Save counted quantities
+     * @param {number} stocktakeId - Stocktake ID
+     * @param {Object} counts - Line key => counted quantity (null when not counted yet)
+     */
+    async saveStocktakeCounts(stocktakeId, counts) {
+        try {
+            const stocktake = await this.getStocktakeById(stocktakeId);
+            if (!stocktake || stocktake.status !== 'open') {
+                throw new Error('Stocktake is not open');
+            }
+
+            const lines = stocktake.lines.map(line =>
+                counts[line.key] === undefined ? line : { ...line, counted: counts[line.key] }
+            );
+            return await this.updateStocktake(stocktakeId, { lines: lines });
+        } catch (error) {
+            throw new Error('Failed to save counts: ' + error.message);
+        }
+    }
+
+    /**
+     * Work out the variances of a stocktake and their cost value
+     * @param {Object} stocktake - Stocktake record
+     * @returns {Object} { lines (with variance and varianceValue), counted, uncounted, varianceLines, gainValue, lossValue, netValue }
+     */
+    getStocktakeSummary(stocktake) {
+        const lines = stocktake.lines.map(line => {
+            const variance = line.counted === null ? null : line.counted - line.expected;
+            return {
+                ...line,
+                variance: variance,
+                varianceValue: variance === null ? 0 : variance * (line.unitCost || 0)
+            };
+        });
+        const varianceLines = lines.filter(line => line.variance);
+
+        return {
+            lines: lines,
+            counted: lines.filter(line => line.counted !== null).length,
+            uncounted: lines.filter(line => line.counted === null).length,
+            varianceLines: varianceLines,
+            gainValue: varianceLines.filter(line => line.variance > 0).reduce((sum, line) => sum + line.varianceValue, 0),
+            lossValue: varianceLines.filter(line => line.variance < 0).reduce((sum, line) => sum - line.varianceValue, 0),
+            netValue: varianceLines.reduce((sum, line) => sum + line.varianceValue, 0)
+        };
+    }
+
+    /**
+     * Post the variances of a stocktake as adjustments. Each variance is applied to the
+     * stock held now, so movements recorded since the count started are kept.
+     * Lines that weren't counted are left alone.
+     * @param {number} stocktakeId - Stocktake ID
+     * @param {string} reason - Reason recorded on every adjustment, e.g. "Quarterly count"
+     */
+    async postStocktake(stocktakeId, reason) {
+        try {
+            const stocktake = await this.getStocktakeById(stocktakeId);
+            if (!stocktake || stocktake.status !== 'open') {
+                throw new Error('Stocktake is not open');
+            }
+            if (!reason) {
+                throw new Error('A reason is required');
+            }
+
+            const summary = this.getStocktakeSummary(stocktake);
+            const itemIds = (await this.getAllItems()).map(item => item.id);
+
+            // Shortfalls come off the lots at the location and go out at their cost under the
+            // costing method; gains come in as a new lot at the cost counted against
+            const movements = summary.varianceLines
+                .filter(line => itemIds.includes(line.itemId))
+                .map(line => ({
+                    type: 'adjustment',
+                    itemId: line.itemId,
+                    quantity: line.variance,
+                    locationId: line.locationId,
+                    unitCost: line.unitCost,
+                    partial: true,
+                    reason: reason,
+                    details: { stocktakeId: stocktake.id },
+                    lotDetails: { isCountGain: true },
+                    description: `Stocktake "${stocktake.name}": counted ${line.counted} in ${line.locationName}, ` +
+                        `${line.expected} on record (${line.variance > 0 ? '+' : ''}${line.variance})`
+                }));
+
+            let posted = null;
+            await this.applyStockMovements(movements, {
+                stores: ['stocktakes'],
+                activity: [{
+                    type: 'stocktake_posted',
+                    description: `Posted stocktake "${stocktake.name}": ${summary.varianceLines.length} variances, ` +
+                        `net ${formatCurrency(summary.netValue)}`,
+                    stocktakeId: stocktake.id
+                }],
+                beforeCommit: (transaction, entries, abort) => {
+                    const store = transaction.objectStore('stocktakes');
+                    const request = store.get(stocktakeId);
+                    request.onsuccess = () => {
+                        // Posting twice would apply the variances twice
+                        if (!request.result || request.result.status !== 'open') {
+                            abort(new Error('Stocktake is not open'));
+                            return;
+                        }
+                        posted = {
+                            ...request.result,
+                            status: 'posted',
+                            reason: reason,
+                            postedAt: new Date().toISOString(),
+                            gainValue: summary.gainValue,
+                            lossValue: summary.lossValue,
+                            netValue: summary.netValue,
+                            updatedAt: new Date().toISOString()
+                        };
+                        store.put(posted);
+                    };
+                }
+            });
+
+            return posted;
+        } catch (error) {
+            throw new Error('Failed to post stocktake: ' + error.message);
+        }
+    }
+
+    /**
+     * Abandon an open stocktake without changing any stock
+     * @param {number} stocktakeId - Stocktake ID
+     */
+    async cancelStocktake(stocktakeId) {
+        try {
+            const stocktake = await this.getStocktakeById(stocktakeId);
+            if (!stocktake || stocktake.status !== 'open') {
+                throw new Error('Stocktake is not open');
+            }
+
+            return await this.updateStocktake(stocktakeId, { status: 'cancelled' });
+        } catch (error) {
+            throw new Error('Failed to cancel stocktake: ' + error.message);
+        }
+    }
+
+    // CATEGORY MANAGEMENT METHODS
+    
+    /**
+     * Initialize default categories
+     * @param {Array} categories - Array of default category objects
+     */
+    async initializeDefaultCategories(categories) {
+        try {
+            const existingCategories = await this.getAllCategories();
+            
+            // Only add defaults if no categories exist
+            if (existingCategories.length === 0) {
+                for (const category of categories) {
+                    await this.addCategory({
+                        ...category,
+                        createdAt: new Date().toISOString(),
+                        updatedAt: new Date().toISOString()
+                    });
+                }
+                console.log('Default categories initialized');
+            }
+        } catch (error) {
+            console.error('Error initializing default categories:', error);
+        }
+    }
+
+    /**
+     * Get all categories
+     */
+    async getAllCategories() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['categories'], 'readonly');
+            const store = transaction.objectStore('categories');
+            const request = store.getAll();
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(new Error('Failed to get categories'));
+            };
+        });
+    }
+
+    /**
+     * Add a new category
+     * @param {Object} categoryData - Category data object
+     */
+    async addCategory(categoryData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['categories', 'activity'], 'readwrite');
+            const categoriesStore = transaction.objectStore('categories');
+            const activityStore = transaction.objectStore('activity');
+            
+            const category = {
+                ...categoryData,
+                createdAt: categoryData.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            
+            const addRequest = categoriesStore.add(category);
+            
+            addRequest.onsuccess = (event) => {
+                const categoryId = event.target.result;
+                
+                // Log activity if not a default category initialization
+                if (!categoryData.isDefault || categoryData.isDefault === false) {
+                    activityStore.add({
+                        type: 'category_added',
+                        description: `Added category: ${category.name}`,
+                        timestamp: new Date().toISOString(),
+                        categoryId: categoryId
+                    });
+                }
+                
+                resolve({ id: categoryId, ...category });
+            };
+            
+            addRequest.onerror = () => {
+                reject(new Error('Failed to add category - name or code may already exist'));
+            };
+        });
+    }
+
+    /**
+     * Update an existing category
+     * @param {number} id - Category ID
+     * @param {Object} categoryData - Updated category data
+     */
+    async updateCategory(id, categoryData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['categories', 'activity'], 'readwrite');
+            const categoriesStore = transaction.objectStore('categories');
+            const activityStore = transaction.objectStore('activity');
+            
+            const getRequest = categoriesStore.get(id);
+            
+            getRequest.onsuccess = () => {
+                const existingCategory = getRequest.result;
+                if (!existingCategory) {
+                    reject(new Error('Category not found'));
+                    return;
+                }
+                
+                const updatedCategory = {
+                    ...existingCategory,
+                    ...categoryData,
+                    updatedAt: new Date().toISOString()
+                };
+                
+                const updateRequest = categoriesStore.put(updatedCategory);
+                
+                updateRequest.onsuccess = () => {
+                    activityStore.add({
+                        type: 'category_updated',
+                        description: `Updated category: ${updatedCategory.name}`,
+                        timestamp: new Date().toISOString(),
+                        categoryId: id
+                    });
+                    
+                    resolve(updatedCategory);
+                };
+                
+                updateRequest.onerror = () => {
+                    reject(new Error('Failed to update category'));
+                };
+            };
+        });
+    }
+
+    /**
+     * Delete a category
+     * @param {number} id - Category ID
+     */
+    async deleteCategory(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['categories', 'activity'], 'readwrite');
+            const categoriesStore = transaction.objectStore('categories');
+            const activityStore = transaction.objectStore('activity');
+            
+            const getRequest = categoriesStore.get(id);
+            
+            getRequest.onsuccess = () => {
+                const category = getRequest.result;
+                if (!category) {
+                    reject(new Error('Category not found'));
+                    return;
+                }
+                
+                // Prevent deletion of default categories
+                if (category.isDefault) {
+                    reject(new Error('Cannot delete default category'));
+                    return;
+                }
+                
+                const deleteRequest = categoriesStore.delete(id);
+                
+                deleteRequest.onsuccess = () => {
+                    activityStore.add({
+                        type: 'category_deleted',
+                        description: `Deleted category: ${category.name}`,
+                        timestamp: new Date().toISOString(),
+                        categoryId: id
+                    });
+                    
+                    resolve(true);
+                };
+                
+                deleteRequest.onerror = () => {
+                    reject(new Error('Failed to delete category'));
+                };
+            };
+        });
+    }
+
+    /**
+     * Get category by code
+     * @param {string} code - Category code
+     */
+    async getCategoryByCode(code) {
+        // Validate code parameter to prevent IndexedDB errors
+        if (code === null || code === undefined || code === '') {
+            return null;
+        }
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['categories'], 'readonly');
+            const store = transaction.objectStore('categories');
+            const index = store.index('code');
+            const request = index.get(code);
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(new Error('Failed to get category'));
+            };
+        });
+    }
+
+    // INVOICE MANAGEMENT METHODS
+
+    /**
+     * Create an invoice record
+     * @param {Object} invoiceData - Invoice header and line items
+     */
+    async createInvoice(invoiceData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['invoices', 'activity'], 'readwrite');
+            const invoicesStore = transaction.objectStore('invoices');
+            const activityStore = transaction.objectStore('activity');
+            
+            const invoice = {
+                status: 'draft',
+                lines: [],
+                ...invoiceData,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            
+            const addRequest = invoicesStore.add(invoice);
+            
+            addRequest.onsuccess = (event) => {
+                const invoiceId = event.target.result;
+                
+                // Log activity
+                activityStore.add({
+                    type: 'invoice_created',
+                    description: `Captured ${invoice.type} invoice: ${invoice.invoiceNumber || 'No number'}`,
+                    timestamp: new Date().toISOString(),
+                    invoiceId: invoiceId
+                });
+                
+                resolve({ id: invoiceId, ...invoice });
+            };
+            
+            addRequest.onerror = () => {
+                reject(new Error('Failed to create invoice'));
+            };
+        });
+    }
+
+    /**
+     * Get all invoices
+     */
+    async getAllInvoices() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['invoices'], 'readonly');
+            const store = transaction.objectStore('invoices');
+            const request = store.getAll();
+            
+            request.onsuccess = () => {
+                // Sort by invoice date, newest first
+                const invoices = request.result.sort((a, b) => 
+                    new Date(b.date) - new Date(a.date)
+                );
+                resolve(invoices);
+            };
+            
+            request.onerror = () => {
+                reject(new Error('Failed to get invoices'));
+            };
+        });
+    }
+
+    /**
+     * Get invoice by ID
+     * @param {number} id - Invoice ID
+     */
+    async getInvoiceById(id) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['suppliers', 'activity'], 'readwrite');
-            const suppliersStore = transaction.objectStore('suppliers');
-            const activityStore = transaction.objectStore('activity');
+            const transaction = this.db.transaction(['invoices'], 'readonly');
+            const store = transaction.objectStore('invoices');
+            const request = store.get(id);
             
-            const getRequest = suppliersStore.get(id);
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(new Error('Failed to get invoice'));
+            };
+        });
+    }
+
+    /**
+     * Update an existing invoice (drafts only - an approved invoice's stock is already booked)
+     * @param {number} id - Invoice ID
+     * @param {Object} invoiceData - Updated invoice data
+     */
+    async updateInvoice(id, invoiceData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['invoices'], 'readwrite');
+            const store = transaction.objectStore('invoices');
+            
+            const getRequest = store.get(id);
             
             getRequest.onsuccess = () => {
-                const existingSupplier = getRequest.result;
-                if (!existingSupplier) {
-                    reject(new Error('Supplier not found'));
+                const invoice = getRequest.result;
+                if (!invoice) {
+                    reject(new Error('Invoice not found'));
                     return;
                 }
                 
-                const updatedSupplier = {
-                    ...existingSupplier,
-                    ...supplierData,
+                if (invoice.status !== 'draft') {
+                    reject(new Error('Only draft invoices can be edited'));
+                    return;
+                }
+                
+                const updatedInvoice = {
+                    ...invoice,
+                    ...invoiceData,
                     updatedAt: new Date().toISOString()
                 };
                 
-                const updateRequest = suppliersStore.put(updatedSupplier);
+                const updateRequest = store.put(updatedInvoice);
                 
                 updateRequest.onsuccess = () => {
-                    activityStore.add({
-                        type: 'supplier_updated',
-                        description: `Updated supplier: ${updatedSupplier.name}`,
-                        timestamp: new Date().toISOString(),
-                        supplierId: id
-                    });
-                    
-                    resolve(updatedSupplier);
+                    resolve(updatedInvoice);
                 };
                 
                 updateRequest.onerror = () => {
-                    reject(new Error('Failed to update supplier'));
+                    reject(new Error('Failed to update invoice'));
                 };
             };
+            
+            getRequest.onerror = () => {
+                reject(new Error('Failed to get invoice'));
+            };
         });
     }
 
     /**
-     * Delete a supplier
-     * @param {number} id - Supplier ID
+     * Delete an invoice (drafts only)
+     * @param {number} id - Invoice ID
      */
-    async deleteSupplier(id) {
+    async deleteInvoice(id) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['suppliers', 'activity'], 'readwrite');
-            const suppliersStore = transaction.objectStore('suppliers');
+            const transaction = this.db.transaction(['invoices', 'activity'], 'readwrite');
+            const invoicesStore = transaction.objectStore('invoices');
             const activityStore = transaction.objectStore('activity');
             
-            const getRequest = suppliersStore.get(id);
+            const getRequest = invoicesStore.get(id);
             
             getRequest.onsuccess = () => {
-                const supplier = getRequest.result;
-                if (!supplier) {
-                    reject(new Error('Supplier not found'));
+                const invoice = getRequest.result;
+                if (!invoice) {
+                    reject(new Error('Invoice not found'));
                     return;
                 }
                 
-                // Prevent deletion of default suppliers
-                if (supplier.isDefault) {
-                    reject(new Error('Cannot delete default supplier'));
+                if (invoice.status !== 'draft') {
+                    reject(new Error('Only draft invoices can be deleted'));
                     return;
                 }
                 
-                const deleteRequest = suppliersStore.delete(id);
+                const deleteRequest = invoicesStore.delete(id);
                 
                 deleteRequest.onsuccess = () => {
+                    // Log activity
                     activityStore.add({
-                        type: 'supplier_deleted',
-                        description: `Deleted supplier: ${supplier.name}`,
+                        type: 'invoice_deleted',
+                        description: `Deleted draft invoice: ${invoice.invoiceNumber || 'No number'}`,
                         timestamp: new Date().toISOString(),
-                        supplierId: id
+                        invoiceId: id
                     });
                     
                     resolve(true);
                 };
                 
                 deleteRequest.onerror = () => {
-                    reject(new Error('Failed to delete supplier'));
+                    reject(new Error('Failed to delete invoice'));
                 };
             };
         });
     }
 
     /**
-     * Get supplier by code
-     * @param {string} code - Supplier code
+     * Approve a purchase invoice and book every matched line into stock
+     * @param {number} invoiceId - Invoice ID
      */
-    async getSupplierByCode(code) {
-        return new Promise((resolve, reject) => {
-            // Handle null/undefined/empty codes
-            if (!code || code === null || code === undefined || code === '') {
-                resolve(null);
-                return;
+    async approvePurchaseInvoice(invoiceId) {
+        try {
+            const invoice = await this.getInvoiceById(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
             }
             
-            const transaction = this.db.transaction(['suppliers'], 'readonly');
-            const store = transaction.objectStore('suppliers');
-            const index = store.index('code');
-            const request = index.get(code);
+            if (invoice.type !== 'purchase') {
+                throw new Error('Only purchase invoices can be approved');
+            }
             
-            request.onsuccess = () => {
-                resolve(request.result);
+            if (invoice.status !== 'draft') {
+                throw new Error('Invoice has already been processed');
+            }
+            
+            // Lines marked as skipped (delivery fees, discounts etc.) are not stock
+            const stockLines = (invoice.lines || []).filter(line => !line.skip);
+            if (stockLines.length === 0) {
+                throw new Error('Invoice has no stock lines to approve');
+            }
+            
+            const unmatchedLines = stockLines.filter(line => !line.itemId);
+            if (unmatchedLines.length > 0) {
+                throw new Error(`${unmatchedLines.length} line(s) are not matched to an item`);
+            }
+            
+            // Make sure every matched item still exists before booking anything
+            for (const line of stockLines) {
+                const item = await this.getItemById(line.itemId);
+                if (!item) {
+                    throw new Error(`Matched item for "${line.description}" no longer exists`);
+                }
+                if (!(line.quantity > 0)) {
+                    throw new Error(`Invalid quantity for "${line.description}"`);
+                }
+            }
+            
+            // Every line and the approval are saved together, so an invoice can't be booked in twice
+            let approvedInvoice = null;
+            const stockEntries = await this.applyStockMovements(stockLines.map(line => ({
+                type: 'purchase',
+                itemId: line.itemId,
+                quantity: line.quantity,
+                unitCost: line.unitCost || 0,
+                supplier: invoice.supplier,
+                invoiceReference: invoice.invoiceNumber
+            })), {
+                stores: ['invoices'],
+                activity: [{
+                    type: 'invoice_approved',
+                    description: `Approved purchase invoice ${invoice.invoiceNumber || ''} (${stockLines.length} lines)`,
+                    invoiceId: invoiceId
+                }],
+                beforeCommit: (transaction, entries, abort) => {
+                    const store = transaction.objectStore('invoices');
+                    const request = store.get(invoiceId);
+                    request.onsuccess = () => {
+                        if (!request.result || request.result.status !== 'draft') {
+                            abort(new Error('Invoice has already been processed'));
+                            return;
+                        }
+                        approvedInvoice = {
+                            ...request.result,
+                            status: 'approved',
+                            approvedAt: new Date().toISOString(),
+                            updatedAt: new Date().toISOString()
+                        };
+                        store.put(approvedInvoice);
+                    };
+                }
+            });
+            
+            // Remember the supplier's wording so future invoices match automatically
+            for (const line of stockLines) {
+                if (line.description) {
+                    await this.learnItemAlias(line.itemId, line.description);
+                }
+            }
+            
+            return { invoice: approvedInvoice, stockEntries };
+            
+        } catch (error) {
+            throw new Error('Failed to approve invoice: ' + error.message);
+        }
+    }
+
+    /**
+     * Save supplier wording as an alternative name of an item (learned alias)
+     * @param {number} itemId - Item ID
+     * @param {string} text - Wording confirmed as referring to the item
+     * @returns {boolean} True if a new alias was added
+     */
+    async learnItemAlias(itemId, text) {
+        const alias = (text || '').replace(/\s+/g, ' ').trim();
+        if (!alias) return false;
+        
+        const item = await this.getItemById(itemId);
+        if (!item) {
+            throw new Error('Item not found');
+        }
+        
+        const known = [item.name, item.listingName, ...(item.alternativeNames || [])]
+            .filter(name => name)
+            .map(name => name.toLowerCase().trim());
+        
+        if (known.includes(alias.toLowerCase())) {
+            return false;
+        }
+        
+        await this.updateItem(itemId, {
+            alternativeNames: [...(item.alternativeNames || []), alias]
+        });
+        
+        return true;
+    }
+
+    /**
+     * Record a multi-line sale invoice, booking every line out of stock
+     * @param {Object} invoiceData - Invoice header (customer, number, date) and line items
+     */
+    async recordSaleInvoice(invoiceData) {
+        try {
+            const lines = invoiceData.lines || [];
+            if (lines.length === 0) {
+                throw new Error('Invoice has no lines');
+            }
+            
+            // Validate every line against current stock before booking anything,
+            // adding up lines that repeat the same item
+            const requiredByItem = new Map();
+            for (const line of lines) {
+                if (!line.itemId) {
+                    throw new Error('Every line must have an item');
+                }
+                if (!(line.quantity > 0)) {
+                    throw new Error(`Invalid quantity for "${line.itemName || line.itemId}"`);
+                }
+                requiredByItem.set(line.itemId, (requiredByItem.get(line.itemId) || 0) + line.quantity);
+            }
+            
+            for (const [itemId, required] of requiredByItem) {
+                const item = await this.getItemById(itemId);
+                if (!item) {
+                    throw new Error('Item not found');
+                }
+                if (item.itemType !== 'reselling') {
+                    throw new Error(`${item.name} is not a reselling item`);
+                }
+                if ((item.quantity || 0) < required) {
+                    throw new Error(`Insufficient stock for ${item.name} (${item.quantity || 0} available, ${required} required)`);
+                }
+            }
+            
+            const notes = invoiceData.customer ? `Invoice ${invoiceData.invoiceNumber} - ${invoiceData.customer}` : `Invoice ${invoiceData.invoiceNumber}`;
+            const invoice = {
+                lines: [],
+                ...invoiceData,
+                type: 'sale',
+                status: 'completed',
+                completedAt: new Date().toISOString(),
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
             };
             
-            request.onerror = () => {
-                reject(new Error('Failed to get supplier'));
+            // Every line and the invoice itself are saved together, or nothing is
+            const stockEntries = await this.applyStockMovements(lines.map(line => ({
+                type: 'sale',
+                itemId: line.itemId,
+                quantity: line.quantity,
+                salePrice: line.unitPrice || 0,
+                notes: notes,
+                invoiceReference: invoiceData.invoiceNumber
+            })), {
+                stores: ['invoices'],
+                activity: [],
+                beforeCommit: (transaction) => {
+                    const request = transaction.objectStore('invoices').add(invoice);
+                    request.onsuccess = (event) => {
+                        invoice.id = event.target.result;
+                        transaction.objectStore('activity').add({
+                            type: 'invoice_created',
+                            description: `Captured sale invoice: ${invoice.invoiceNumber || 'No number'}`,
+                            timestamp: new Date().toISOString(),
+                            invoiceId: invoice.id
+                        });
+                    };
+                }
+            });
+            
+            return { invoice, stockEntries };
+            
+        } catch (error) {
+            throw new Error('Failed to record sale invoice: ' + error.message);
+        }
+    }
+
+    /**
+     * Add an activity log entry
+     * @param {Object} activityData - Activity data (type, description and references)
+     */
+    async addActivity(activityData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['activity'], 'readwrite');
+            const store = transaction.objectStore('activity');
+            
+            const activity = {
+                ...activityData,
+                timestamp: new Date().toISOString()
+            };
+            
+            const addRequest = store.add(activity);
+            
+            addRequest.onsuccess = (event) => {
+                resolve({ id: event.target.result, ...activity });
+            };
+            
+            addRequest.onerror = () => {
+                reject(new Error('Failed to add activity'));
             };
         });
     }
 
-    // CATEGORY MANAGEMENT METHODS
-    
+    // DIAGNOSTICS METHODS
+
     /**
-     * Initialize default categories
-     * @param {Array} categories - Array of default category objects
+     * Scan all stores for records that don't hang together: history, lots and order
+     * lines of deleted items, codes of deleted suppliers and categories, duplicate or
+     * missing SKUs, stale order flags and malformed items. Each finding comes with a
+     * suggested fix for applyDiagnosticFix().
+     * @returns {Array} [{ check, severity ('error', 'warning' or 'info'), title, detail, records, fix: { label, action, ... } }]
      */
-    async initializeDefaultCategories(categories) {
+    async runDiagnostics() {
         try {
-            const existingCategories = await this.getAllCategories();
-            
-            // Only add defaults if no categories exist
-            if (existingCategories.length === 0) {
-                for (const category of categories) {
-                    await this.addCategory({
-                        ...category,
-                        createdAt: new Date().toISOString(),
-                        updatedAt: new Date().toISOString()
+            const [items, suppliers, categories, history, lots, purchases, activity] = await Promise.all([
+                this.getAllItems(),
+                this.getAllSuppliers(),
+                this.getAllCategories(),
+                this.getAllStockHistory(),
+                this.getAllLots(),
+                this.getAllPurchases(),
+                this.getAllActivity()
+            ]);
+            const findings = [];
+            const itemIds = new Set(items.map(item => item.id));
+            const itemLabel = (item) => this.isNamedItem(item) ? item.name : `Unnamed item #${item.id}`;
+            const count = (n, singular, plural) => `${n} ${n === 1 ? singular : plural}`;
+
+            // Names of deleted items are only left in the activity log
+            const deletedNames = new Map(activity
+                .filter(entry => entry.type === 'item_deleted' && entry.itemId)
+                .map(entry => [entry.itemId, entry.description.replace(/^Deleted item: /, '')]));
+            const deletedLabel = (itemId) => `#${itemId}` + (deletedNames.has(itemId) ? ` (${deletedNames.get(itemId)})` : '');
+
+            // Records of deleted items
+            const orphanedHistory = history.filter(entry => !itemIds.has(entry.itemId));
+            if (orphanedHistory.length) {
+                const deleted = [...new Set(orphanedHistory.map(entry => entry.itemId))];
+                findings.push({
+                    check: 'orphaned_history',
+                    severity: 'warning',
+                    title: `${count(orphanedHistory.length, 'stock history entry belongs', 'stock history entries belong')} to deleted items`,
+                    detail: 'They no longer show anywhere but are still counted in reports that read all history.',
+                    records: deleted.map(itemId => `Item ${deletedLabel(itemId)}: ${count(orphanedHistory.filter(entry => entry.itemId === itemId).length, 'entry', 'entries')}`),
+                    fix: { label: `Delete ${orphanedHistory.length === 1 ? 'it' : 'them'}`, action: 'deleteRecords', storeName: 'stockHistory', ids: orphanedHistory.map(entry => entry.id) }
+                });
+            }
+
+            const orphanedLots = lots.filter(lot => !itemIds.has(lot.itemId));
+            if (orphanedLots.length) {
+                findings.push({
+                    check: 'orphaned_lots',
+                    severity: 'warning',
+                    title: `${count(orphanedLots.length, 'stock lot belongs', 'stock lots belong')} to deleted items`,
+                    detail: 'They are still listed among expiring lots and counted in location totals.',
+                    records: orphanedLots.map(lot => `Item ${deletedLabel(lot.itemId)}: ${lot.lotNumber ? 'lot ' + lot.lotNumber : 'unnumbered stock'} x ${lot.quantity}`),
+                    fix: { label: `Delete ${orphanedLots.length === 1 ? 'it' : 'them'}`, action: 'deleteRecords', storeName: 'stockLots', ids: orphanedLots.map(lot => lot.id) }
+                });
+            }
+
+            for (const purchase of purchases) {
+                const orphanedLines = purchase.lines.filter(line => !itemIds.has(line.itemId));
+                if (!orphanedLines.length) continue;
+
+                const whole = orphanedLines.length === purchase.lines.length;
+                findings.push({
+                    check: 'orphaned_purchase_lines',
+                    severity: 'warning',
+                    title: `Purchase order ${purchase.poNumber || '#' + purchase.id} has ${count(orphanedLines.length, 'line', 'lines')} for deleted items`,
+                    detail: whole ?
+                        'None of the items on the order exist any more.' :
+                        'The lines can\'t be received or opened from the item.',
+                    records: orphanedLines.map(line => `${line.itemName ? `${line.itemName} (#${line.itemId})` : `Item ${deletedLabel(line.itemId)}`}: ` +
+                        `${line.quantity} ordered, ${line.quantityReceived || 0} received`),
+                    fix: whole ?
+                        { label: 'Delete the order', action: 'deleteRecords', storeName: 'purchases', ids: [purchase.id] } :
+                        { label: `Remove ${orphanedLines.length === 1 ? 'the line' : 'the lines'}`, action: 'removePurchaseLines', purchaseId: purchase.id, lineIds: orphanedLines.map(line => line.lineId) }
+                });
+            }
+
+            // Codes of deleted suppliers and categories
+            const missingCodes = (field, known) => {
+                const codes = new Map();
+                for (const item of items) {
+                    const code = item[field];
+                    if (!code || known.has(code)) continue;
+                    if (!codes.has(code)) codes.set(code, []);
+                    codes.get(code).push(item);
+                }
+                return codes;
+            };
+            const codeName = (code) => String(code).replace(/[_-]+/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+            for (const [code, codeItems] of missingCodes('supplier', new Set(suppliers.map(supplier => supplier.code)))) {
+                findings.push({
+                    check: 'missing_supplier',
+                    severity: 'warning',
+                    title: `${count(codeItems.length, 'item uses', 'items use')} supplier "${code}", which doesn't exist`,
+                    detail: 'The supplier was deleted or came in with an import. The items can\'t be filtered or ordered by supplier.',
+                    records: codeItems.map(itemLabel),
+                    fix: { label: `Add supplier "${codeName(code)}"`, action: 'addSupplier', code: code, name: codeName(code) }
+                });
+            }
+
+            for (const [code, codeItems] of missingCodes('category', new Set(categories.map(category => category.code)))) {
+                findings.push({
+                    check: 'missing_category',
+                    severity: 'warning',
+                    title: `${count(codeItems.length, 'item uses', 'items use')} category "${code}", which doesn't exist`,
+                    detail: 'The category was deleted or came in with an import. The items don\'t show under any category filter.',
+                    records: codeItems.map(itemLabel),
+                    fix: { label: `Add category "${codeName(code)}"`, action: 'addCategory', code: code, name: codeName(code) }
+                });
+            }
+
+            // SKUs that only differ in case or spaces, and items without one
+            const normalizeSku = (sku) => typeof sku === 'string' ? sku.trim().toLowerCase() : '';
+            const hasSku = (item) => !['', 'null', 'undefined'].includes(normalizeSku(item.sku));
+            const takenSkus = new Set(items.filter(hasSku).map(item => normalizeSku(item.sku)));
+            const uniqueSku = (base) => {
+                let sku = base;
+                for (let n = 2; takenSkus.has(normalizeSku(sku)); n++) {
+                    sku = `${base}-${n}`;
+                }
+                takenSkus.add(normalizeSku(sku));
+                return sku;
+            };
+
+            const skuGroups = new Map();
+            for (const item of items.filter(hasSku)) {
+                const sku = normalizeSku(item.sku);
+                if (!skuGroups.has(sku)) skuGroups.set(sku, []);
+                skuGroups.get(sku).push(item);
+            }
+            for (const group of skuGroups.values()) {
+                if (group.length < 2) continue;
+
+                // The oldest item keeps its SKU
+                const [kept, ...renamed] = group.sort((a, b) => a.id - b.id);
+                const changes = renamed.map(item => ({ itemId: item.id, data: { sku: uniqueSku(kept.sku.trim()) } }));
+                findings.push({
+                    check: 'duplicate_sku',
+                    severity: 'error',
+                    title: `${group.length} items share SKU "${kept.sku.trim()}"`,
+                    detail: 'Imports and invoice matching can pick the wrong item.',
+                    records: group.map(item => `${itemLabel(item)}: "${item.sku}"`),
+                    fix: { label: `Renumber all but ${itemLabel(kept)} (${changes.map(change => change.data.sku).join(', ')})`, action: 'updateItems', changes: changes }
+                });
+            }
+
+            const withoutSku = items.filter(item => !hasSku(item));
+            if (withoutSku.length) {
+                const changes = withoutSku.map(item => ({ itemId: item.id, data: { sku: uniqueSku(`FOF-${String(item.id).padStart(5, '0')}`) } }));
+                findings.push({
+                    check: 'missing_sku',
+                    severity: 'info',
+                    title: `${count(withoutSku.length, 'item has', 'items have')} no SKU`,
+                    detail: 'Exports for SimplyBlu and backups restored into another copy match items by SKU.',
+                    records: withoutSku.map(itemLabel),
+                    fix: { label: `Give ${withoutSku.length === 1 ? 'it a generated SKU' : 'them generated SKUs'} (${changes[0].data.sku}${changes.length > 1 ? '...' : ''})`, action: 'updateItems', changes: changes }
+                });
+            }
+
+            // On-order flags left behind by orders that were received, closed or deleted
+            const openItemIds = new Set();
+            purchases
+                .filter(purchase => purchase.status === 'ordered' || purchase.status === 'partial')
+                .forEach(purchase => purchase.lines
+                    .filter(line => this.getPurchaseLineOutstanding(line) > 0)
+                    .forEach(line => openItemIds.add(line.itemId)));
+            const staleOrders = items.filter(item => item.orderStatus === 'ordered' && !openItemIds.has(item.id));
+            if (staleOrders.length) {
+                findings.push({
+                    check: 'stale_order_status',
+                    severity: 'warning',
+                    title: `${count(staleOrders.length, 'item is', 'items are')} marked as on order without an open purchase order`,
+                    detail: 'They show in Pending Orders and can\'t be received.',
+                    records: staleOrders.map(item => `${itemLabel(item)}: ${item.orderedQuantity || 0} on order`),
+                    fix: { label: `Take ${staleOrders.length === 1 ? 'it' : 'them'} off order`, action: 'refreshOrderStatus', itemIds: staleOrders.map(item => item.id) }
+                });
+            }
+
+            // Malformed items
+            const historyByItem = new Map();
+            for (const entry of history) {
+                if (!historyByItem.has(entry.itemId)) historyByItem.set(entry.itemId, []);
+                historyByItem.get(entry.itemId).push(entry);
+            }
+
+            for (const item of items) {
+                const itemHistory = historyByItem.get(item.id) || [];
+
+                if (!this.isNamedItem(item)) {
+                    const inUse = itemHistory.length > 0 || lots.some(lot => lot.itemId === item.id && lot.quantity > 0);
+                    findings.push({
+                        check: 'nameless_item',
+                        severity: 'error',
+                        title: `Item #${item.id} has no name`,
+                        detail: `Its name is ${JSON.stringify(item.name ?? null)}. Nameless items are left out of the item lists.`,
+                        records: [`SKU: ${item.sku || '-'}, type: ${item.itemType || '-'}, quantity: ${item.quantity ?? '-'}, added ${item.createdAt || 'unknown'}`],
+                        fix: inUse ?
+                            { label: `Rename to "Unnamed item #${item.id}"`, action: 'updateItems', changes: [{ itemId: item.id, data: { name: `Unnamed item #${item.id}` } }] } :
+                            { label: 'Delete the item', action: 'deleteItem', itemId: item.id }
                     });
                 }
-                console.log('Default categories initialized');
+
+                if (!['reselling', 'consumable', 'office_equipment'].includes(item.itemType)) {
+                    findings.push({
+                        check: 'invalid_item_type',
+                        severity: 'warning',
+                        title: `${itemLabel(item)} has no valid item type`,
+                        detail: `Its type is ${JSON.stringify(item.itemType ?? null)}. It is shown as a reselling item.`,
+                        records: [],
+                        fix: { label: 'Make it a reselling item', action: 'updateItems', changes: [{ itemId: item.id, data: { itemType: 'reselling' } }] }
+                    });
+                }
+
+                if (typeof item.quantity !== 'number' || !Number.isFinite(item.quantity) || item.quantity < 0) {
+                    // A number saved as text is kept, anything else is taken from the lots
+                    const typed = typeof item.quantity === 'string' && item.quantity.trim() !== '' ? Number(item.quantity) : NaN;
+                    findings.push({
+                        check: 'invalid_quantity',
+                        severity: 'error',
+                        title: `${itemLabel(item)} has an invalid quantity`,
+                        detail: `Its quantity is ${JSON.stringify(item.quantity ?? null)}.`,
+                        records: [],
+                        fix: Number.isInteger(typed) && typed >= 0 ?
+                            { label: `Store it as the number ${typed}`, action: 'updateItems', changes: [{ itemId: item.id, data: { quantity: typed } }] } :
+                            { label: 'Set it to the stock held in its lots', action: 'syncQuantityFromLots', itemId: item.id }
+                    });
+                    continue;
+                }
+
+                if (item.itemType !== 'office_equipment' && this.replayItemQuantity(item, itemHistory).discrepancies.length) {
+                    findings.push({
+                        check: 'quantity_mismatch',
+                        severity: 'info',
+                        title: `The stock history of ${itemLabel(item)} doesn't add up to its quantity`,
+                        detail: 'The quantity was changed on the item form. See Settings > Check Stock Quantities for where.',
+                        records: [],
+                        fix: { label: 'Post a correcting adjustment', action: 'postQuantityCorrection', itemId: item.id }
+                    });
+                }
+            }
+
+            const severityOrder = { error: 0, warning: 1, info: 2 };
+            return findings.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+        } catch (error) {
+            throw new Error('Failed to check the database: ' + error.message);
+        }
+    }
+
+    /**
+     * Whether an item has a usable name (items saved with "null" as their name have turned up)
+     * @param {Object} item - Item record
+     */
+    isNamedItem(item) {
+        return typeof item.name === 'string' && !['', 'null', 'undefined'].includes(item.name.trim());
+    }
+
+    /**
+     * Apply the suggested fix of a runDiagnostics() finding
+     * @param {Object} fix - The finding's fix
+     */
+    async applyDiagnosticFix(fix) {
+        try {
+            switch (fix.action) {
+                case 'deleteRecords':
+                    await this.deleteRecords(fix.storeName, fix.ids);
+                    break;
+
+                case 'removePurchaseLines': {
+                    const purchase = await this.getPurchaseById(fix.purchaseId);
+                    if (!purchase) {
+                        throw new Error('Purchase not found');
+                    }
+                    const lines = purchase.lines.filter(line => !fix.lineIds.includes(line.lineId));
+                    const subtotal = lines.reduce((sum, line) => sum + (line.totalCost ?? (line.quantity || 0) * (line.unitCost || 0)), 0);
+                    const status = ['ordered', 'partial'].includes(purchase.status) ? this.getPurchaseOrderStatus(lines) : purchase.status;
+                    await this.updatePurchaseStatus(fix.purchaseId, status, {
+                        lines: lines,
+                        subtotal: subtotal,
+                        totalCost: subtotal + (purchase.shippingCost || 0)
+                    });
+                    break;
+                }
+
+                case 'addSupplier':
+                    await this.addSupplier({ name: fix.name, code: fix.code, color: '#6c757d', isDefault: false });
+                    break;
+
+                case 'addCategory':
+                    await this.addCategory({ name: fix.name, code: fix.code, color: '#6c757d', description: null, isDefault: false });
+                    break;
+
+                case 'updateItems':
+                    for (const change of fix.changes) {
+                        await this.updateItem(change.itemId, change.data);
+                    }
+                    break;
+
+                case 'deleteItem':
+                    await this.deleteItem(fix.itemId);
+                    break;
+
+                case 'refreshOrderStatus':
+                    for (const itemId of fix.itemIds) {
+                        await this.refreshItemOrderStatus(itemId);
+                    }
+                    break;
+
+                case 'syncQuantityFromLots':
+                    await this.syncItemQuantityFromLots(fix.itemId);
+                    break;
+
+                case 'postQuantityCorrection':
+                    await this.postQuantityCorrection(fix.itemId, 'Database check');
+                    break;
+
+                default:
+                    throw new Error(`Unknown fix "${fix.action}"`);
             }
+
+            await this.addActivity({
+                type: 'database_fixed',
+                description: `Database check: ${fix.label}`
+            });
         } catch (error) {
-            console.error('Error initializing default categories:', error);
+            throw new Error('Failed to apply fix: ' + error.message);
         }
     }
 
     /**
-     * Get all categories
+     * Delete records from a store in one transaction
+     * @param {string} storeName - Object store name
+     * @param {Array} ids - Record IDs
      */
-    async getAllCategories() {
+    async deleteRecords(storeName, ids) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['categories'], 'readonly');
-            const store = transaction.objectStore('categories');
-            const request = store.getAll();
-            
-            request.onsuccess = () => {
-                resolve(request.result);
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            ids.forEach(id => store.delete(id));
+
+            transaction.oncomplete = () => {
+                resolve(ids.length);
             };
-            
-            request.onerror = () => {
-                reject(new Error('Failed to get categories'));
+
+            transaction.onerror = () => {
+                reject(new Error(`Failed to delete from ${storeName}`));
             };
         });
     }
 
+    // DATA BACKUP AND RESTORE METHODS
+
     /**
-     * Add a new category
-     * @param {Object} categoryData - Category data object
+     * Export all data for backup. Format 2 holds every object store's records under
+     * `stores`, keyed by store name, plus the settings kept in localStorage.
      */
-    async addCategory(categoryData) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['categories', 'activity'], 'readwrite');
-            const categoriesStore = transaction.objectStore('categories');
-            const activityStore = transaction.objectStore('activity');
-            
-            const category = {
-                ...categoryData,
-                createdAt: categoryData.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-            
-            const addRequest = categoriesStore.add(category);
-            
-            addRequest.onsuccess = (event) => {
-                const categoryId = event.target.result;
-                
-                // Log activity if not a default category initialization
-                if (!categoryData.isDefault || categoryData.isDefault === false) {
-                    activityStore.add({
-                        type: 'category_added',
-                        description: `Added category: ${category.name}`,
-                        timestamp: new Date().toISOString(),
-                        categoryId: categoryId
-                    });
-                }
-                
-                resolve({ id: categoryId, ...category });
+    async exportAllData() {
+        try {
+            const stores = {};
+            for (const storeName of Array.from(this.db.objectStoreNames)) {
+                stores[storeName] = await this.getAllRecords(storeName);
+            }
+
+            const settings = {};
+            this.backupSettings.forEach(key => {
+                const value = localStorage.getItem(key);
+                if (value !== null) settings[key] = value;
+            });
+
+            const data = {
+                backupFormat: this.backupFormat,
+                exportDate: new Date().toISOString(),
+                version: this.dbVersion,
+                stores: stores,
+                settings: settings
             };
             
-            addRequest.onerror = () => {
-                reject(new Error('Failed to add category - name or code may already exist'));
-            };
-        });
+            return data;
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            throw error;
+        }
     }
 
     /**
-     * Update an existing category
-     * @param {number} id - Category ID
-     * @param {Object} categoryData - Updated category data
+     * Get every record in an object store
+     * @param {string} storeName - Object store name
      */
-    async updateCategory(id, categoryData) {
+    async getAllRecords(storeName) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['categories', 'activity'], 'readwrite');
-            const categoriesStore = transaction.objectStore('categories');
-            const activityStore = transaction.objectStore('activity');
-            
-            const getRequest = categoriesStore.get(id);
-            
-            getRequest.onsuccess = () => {
-                const existingCategory = getRequest.result;
-                if (!existingCategory) {
-                    reject(new Error('Category not found'));
-                    return;
-                }
-                
-                const updatedCategory = {
-                    ...existingCategory,
-                    ...categoryData,
-                    updatedAt: new Date().toISOString()
-                };
-                
-                const updateRequest = categoriesStore.put(updatedCategory);
-                
-                updateRequest.onsuccess = () => {
-                    activityStore.add({
-                        type: 'category_updated',
-                        description: `Updated category: ${updatedCategory.name}`,
-                        timestamp: new Date().toISOString(),
-                        categoryId: id
-                    });
-                    
-                    resolve(updatedCategory);
-                };
-                
-                updateRequest.onerror = () => {
-                    reject(new Error('Failed to update category'));
-                };
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result);
             };
-        });
-    }
 
-    /**
-     * Delete a category
-     * @param {number} id - Category ID
-     */
-    async deleteCategory(id) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['categories', 'activity'], 'readwrite');
-            const categoriesStore = transaction.objectStore('categories');
-            const activityStore = transaction.objectStore('activity');
-            
-            const getRequest = categoriesStore.get(id);
-            
-            getRequest.onsuccess = () => {
-                const category = getRequest.result;
-                if (!category) {
-                    reject(new Error('Category not found'));
-                    return;
-                }
-                
-                // Prevent deletion of default categories
-                if (category.isDefault) {
-                    reject(new Error('Cannot delete default category'));
-                    return;
-                }
-                
-                const deleteRequest = categoriesStore.delete(id);
-                
-                deleteRequest.onsuccess = () => {
-                    activityStore.add({
-                        type: 'category_deleted',
-                        description: `Deleted category: ${category.name}`,
-                        timestamp: new Date().toISOString(),
-                        categoryId: id
-                    });
-                    
-                    resolve(true);
-                };
-                
-                deleteRequest.onerror = () => {
-                    reject(new Error('Failed to delete category'));
-                };
+            request.onerror = () => {
+                reject(new Error(`Failed to read ${storeName}`));
             };
         });
     }
 
     /**
-     * Get category by code
-     * @param {string} code - Category code
+     * Read a backup file of any format into the current layout. Format 1 backups (no
+     * backupFormat, e.g. the files in backups/auto and backups/manual) only hold items,
+     * suppliers, categories and activity at the top level; the other stores are left out
+     * of `stores`. A restore keeps what's in those, except the ones pointing at items
+     * (clearedStores), which are emptied with the items they belonged to.
+     * @param {Object} data - Parsed backup file
+     * @returns {Object} { backupFormat, exportDate, version, stores, settings, missingStores, clearedStores }
      */
-    async getCategoryByCode(code) {
-        // Validate code parameter to prevent IndexedDB errors
-        if (code === null || code === undefined || code === '') {
-            return null;
+    readBackup(data) {
+        if (!data || typeof data !== 'object' || !data.exportDate) {
+            throw new Error('Not a FeetOnFocus backup');
         }
-        
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['categories'], 'readonly');
-            const store = transaction.objectStore('categories');
-            const index = store.index('code');
-            const request = index.get(code);
-            
-            request.onsuccess = () => {
-                resolve(request.result);
+
+        let backup;
+        if (data.backupFormat === undefined) {
+            const stores = {};
+            ['items', 'suppliers', 'categories', 'activity'].forEach(storeName => {
+                if (Array.isArray(data[storeName])) stores[storeName] = data[storeName];
+            });
+            backup = {
+                backupFormat: 1,
+                exportDate: data.exportDate,
+                version: data.version,
+                stores: stores,
+                settings: {}
             };
-            
-            request.onerror = () => {
-                reject(new Error('Failed to get category'));
+        } else if (data.backupFormat > this.backupFormat) {
+            throw new Error('This backup was made by a newer version of FeetOnFocus');
+        } else {
+            if (!data.stores || typeof data.stores !== 'object' ||
+                Object.values(data.stores).some(records => !Array.isArray(records))) {
+                throw new Error('Backup is damaged - its stores are missing or unreadable');
+            }
+            backup = {
+                backupFormat: data.backupFormat,
+                exportDate: data.exportDate,
+                version: data.version,
+                stores: data.stores,
+                settings: data.settings || {}
             };
-        });
-    }
+        }
 
-    // DATA BACKUP AND RESTORE METHODS
+        if (!['items', 'suppliers', 'categories'].every(storeName => backup.stores[storeName])) {
+            throw new Error('Not a FeetOnFocus backup');
+        }
+
+        backup.missingStores = Array.from(this.db.objectStoreNames).filter(storeName => !backup.stores[storeName]);
+        backup.clearedStores = backup.missingStores.filter(storeName => this.itemLinkedStores.includes(storeName));
+        return backup;
+    }
 
     /**
-     * Export all data for backup
+     * Replace the contents of every store in a backup with its records, in one transaction:
+     * either the whole backup is restored or nothing changes. Records keep their ids so the
+     * links between them (stock history and lots to items, purchase lines to items, reversals
+     * to the entries they undo) still hold. Stores the backup doesn't cover are left alone,
+     * apart from those pointing at items: their records would refer to items that are gone
+     * or are now other items, so they are emptied.
+     * @param {Object} backup - Backup from readBackup()
+     * @returns {Object} Number of records restored per store
      */
-    async exportAllData() {
-        try {
-            const data = {
-                exportDate: new Date().toISOString(),
-                version: this.dbVersion,
-                items: await this.getAllItems(),
-                suppliers: await this.getAllSuppliers(),
-                categories: await this.getAllCategories(),
-                activity: await this.getAllActivity()
+    async restoreBackup(backup) {
+        const storeNames = Object.keys(backup.stores).filter(storeName => this.db.objectStoreNames.contains(storeName));
+        const clearedStores = backup.clearedStores || [];
+
+        const restored = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...storeNames, ...clearedStores], 'readwrite');
+            const counts = {};
+            let failure = null;
+
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                store.clear();
+                backup.stores[storeName].forEach(record => store.put(record));
+                counts[storeName] = backup.stores[storeName].length;
+            });
+            clearedStores.forEach(storeName => {
+                transaction.objectStore(storeName).clear();
+                counts[storeName] = 0;
+            });
+
+            transaction.oncomplete = () => {
+                resolve(counts);
             };
-            
-            return data;
-        } catch (error) {
-            console.error('Error exporting data:', error);
-            throw error;
-        }
+
+            transaction.onerror = (event) => {
+                failure = failure || (event.target.error ? event.target.error.message : null);
+            };
+
+            // Quota and constraint failures abort the transaction, sometimes without an error event
+            transaction.onabort = () => {
+                const reason = failure || (transaction.error ? transaction.error.message : 'unknown error');
+                reject(new Error('Backup could not be restored, nothing was changed: ' + reason));
+            };
+        });
+
+        Object.entries(backup.settings).forEach(([key, value]) => {
+            if (this.backupSettings.includes(key)) {
+                localStorage.setItem(key, value);
+            }
+        });
+
+        return restored;
     }
 
     /**
-     * Import data from backup with different merge strategies
-     * @param {Object} data - Exported data object
+     * Import data from backup with different merge strategies. A full restore (clearFirst)
+     * brings back every store in the backup as it was; merging and replacing only match
+     * up suppliers, categories and items with the ones already here.
+     * @param {Object} data - Exported data object, any backup format
      * @param {Object} options - Import options
      */
     async importData(data, options = { preserveExisting: true }) {
         try {
+            const backup = this.readBackup(data);
             let imported = {
                 items: 0,
                 suppliers: 0,
@@ -1407,21 +5581,19 @@ class InventoryDatabase {
 
             // Handle clear and replace mode
             if (options.replaceExisting && options.clearFirst) {
-                console.log('Clearing all existing data before restore...');
-                // Clear all existing data first
-                await this.clearAllData();
+                console.log('Replacing existing data with the backup...');
+                imported.restored = await this.restoreBackup(backup);
+                imported.items = imported.restored.items;
+                imported.suppliers = imported.restored.suppliers;
+                imported.categories = imported.restored.categories;
+                return imported;
             }
 
             // Import suppliers first (needed for items)
-            if (data.suppliers && data.suppliers.length > 0) {
-                for (const supplier of data.suppliers) {
+            if (backup.stores.suppliers && backup.stores.suppliers.length > 0) {
+                for (const supplier of backup.stores.suppliers) {
                     try {
-                        let existing = null;
-                        
-                        // Only check for existing if we're not doing a full clear/restore
-                        if (!options.clearFirst) {
-                            existing = await this.getSupplierByCode(supplier.code);
-                        }
+                        const existing = await this.getSupplierByCode(supplier.code);
                         
                         if (existing) {
                             if (options.preserveExisting) {
@@ -1447,15 +5619,10 @@ class InventoryDatabase {
             }
 
             // Import categories
-            if (data.categories && data.categories.length > 0) {
-                for (const category of data.categories) {
+            if (backup.stores.categories && backup.stores.categories.length > 0) {
+                for (const category of backup.stores.categories) {
                     try {
-                        let existing = null;
-                        
-                        // Only check for existing if we're not doing a full clear/restore
-                        if (!options.clearFirst) {
-                            existing = await this.getCategoryByCode(category.code);
-                        }
+                        const existing = await this.getCategoryByCode(category.code);
                         
                         if (existing) {
                             if (options.preserveExisting) {
@@ -1481,21 +5648,18 @@ class InventoryDatabase {
             }
 
             // Import items last
-            if (data.items && data.items.length > 0) {
-                for (const item of data.items) {
+            if (backup.stores.items && backup.stores.items.length > 0) {
+                for (const item of backup.stores.items) {
                     try {
                         let existing = null;
                         
-                        // Only check for existing if we're not doing a full clear/restore
-                        if (!options.clearFirst) {
-                            // Check if item already exists (by SKU or name)
-                            if (item.sku) {
-                                existing = await this.getItemBySKU(item.sku);
-                            } else {
-                                // If no SKU, try to find by name
-                                const allItems = await this.getAllItems();
-                                existing = allItems.find(i => i.name.toLowerCase() === item.name.toLowerCase());
-                            }
+                        // Check if item already exists (by SKU or name)
+                        if (item.sku) {
+                            existing = await this.getItemBySKU(item.sku);
+                        } else {
+                            // If no SKU, try to find by name
+                            const allItems = await this.getAllItems();
+                            existing = allItems.find(i => i.name.toLowerCase() === item.name.toLowerCase());
                         }
                         
                         if (existing) {
@@ -1530,38 +5694,15 @@ class InventoryDatabase {
     }
 
     /**
-     * Create automatic backup to localStorage with timestamp
+     * Create automatic backup in the backup store
      */
     async createAutoBackup() {
         try {
             const data = await this.exportAllData();
-            const now = new Date();
-            // Create timestamp format: YYYY-MM-DD_HH-MM-SS for more granular backups
-            const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
-            const backupKey = `feetonfocus_backup_${timestamp}`;
-            
-            // Keep only last 10 auto backups
-            const existingBackups = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith('feetonfocus_backup_')) {
-                    existingBackups.push(key);
-                }
-            }
-            
-            // Sort by timestamp (newest first)
-            existingBackups.sort().reverse();
-            
-            // Remove old backups (keep 9, add 1 new = 10 total)
-            for (let i = 9; i < existingBackups.length; i++) {
-                localStorage.removeItem(existingBackups[i]);
-                console.log('Removed old auto backup:', existingBackups[i]);
-            }
-            
-            localStorage.setItem(backupKey, JSON.stringify(data));
-            console.log('Auto-backup created:', backupKey);
+            const backup = await backupStore.save('auto', data);
+            console.log('Auto-backup created:', backup.name);
             
-            return backupKey;
+            return backup.name;
         } catch (error) {
             console.error('Error creating auto-backup:', error);
             throw error; // Re-throw for error handling
@@ -1572,79 +5713,38 @@ class InventoryDatabase {
      * Clear all data from the database (use with caution!)
      */
     async clearAllData() {
-        try {
-            const transaction = this.db.transaction(['items', 'suppliers', 'categories', 'activity'], 'readwrite');
-            
-            // Clear all object stores
-            const itemsStore = transaction.objectStore('items');
-            const suppliersStore = transaction.objectStore('suppliers');
-            const categoriesStore = transaction.objectStore('categories');
-            const activityStore = transaction.objectStore('activity');
-            
-            await Promise.all([
-                new Promise((resolve, reject) => {
-                    const request = itemsStore.clear();
-                    request.onsuccess = () => resolve();
-                    request.onerror = () => reject(request.error);
-                }),
-                new Promise((resolve, reject) => {
-                    const request = suppliersStore.clear();
-                    request.onsuccess = () => resolve();
-                    request.onerror = () => reject(request.error);
-                }),
-                new Promise((resolve, reject) => {
-                    const request = categoriesStore.clear();
-                    request.onsuccess = () => resolve();
-                    request.onerror = () => reject(request.error);
-                }),
-                new Promise((resolve, reject) => {
-                    const request = activityStore.clear();
-                    request.onsuccess = () => resolve();
-                    request.onerror = () => reject(request.error);
-                })
-            ]);
-            
-            console.log('All data cleared from database');
-        } catch (error) {
-            console.error('Error clearing database:', error);
-            throw error;
-        }
+        return new Promise((resolve, reject) => {
+            const storeNames = Array.from(this.db.objectStoreNames);
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+
+            storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+
+            transaction.oncomplete = () => {
+                console.log('All data cleared from database');
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to clear database'));
+            };
+        });
     }
 
     /**
-     * Create manual backup to localStorage with timestamp
+     * Create manual backup in the backup store
      */
     async createManualBackup() {
         try {
             const data = await this.exportAllData();
-            const now = new Date();
-            // Create a simpler timestamp format: YYYY-MM-DD_HH-MM-SS
-            const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
-            const backupKey = `feetonfocus_manual_${timestamp}`;
-            
-            // Clean up old manual backups (keep only last 10)
-            const existingManualBackups = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith('feetonfocus_manual_')) {
-                    existingManualBackups.push(key);
-                }
-            }
+            const backup = await backupStore.save('manual', data);
+            console.log('Manual backup created:', backup.name);
             
-            existingManualBackups.sort().reverse();
-            
-            // Remove old manual backups (keep 9, add 1 new = 10 total)
-            for (let i = 9; i < existingManualBackups.length; i++) {
-                localStorage.removeItem(existingManualBackups[i]);
+            // In the browser, also download a file copy (desktop backups already are files)
+            if (!backupStore.isDesktopMode()) {
+                await this.createFileSystemBackup(data, backup.timestamp, 'manual');
             }
             
-            localStorage.setItem(backupKey, JSON.stringify(data));
-            console.log('Manual backup created:', backupKey);
-            
-            // Also create file system backup for manual backups
-            await this.createFileSystemBackup(data, timestamp, 'manual');
-            
-            return backupKey;
+            return backup.name;
         } catch (error) {
             console.error('Error creating manual backup:', error);
             throw error; // Re-throw for UI error handling
@@ -1688,12 +5788,13 @@ class InventoryDatabase {
      */
     async createFileSystemBackup(data, timestamp, type = 'auto') {
         try {
-            const fileName = `feetonfocus_${type}_${timestamp}.json`;
+            const file = await backupStore.createFile(data);
+            const fileName = `feetonfocus_${type}_${timestamp}${file.extension}`;
             
             // Check if we're running in desktop mode (Electron)
             if (typeof DesktopBackupHelper !== 'undefined' && DesktopBackupHelper.isDesktopMode()) {
                 console.log('🖥️ Desktop mode: Saving backup directly to file system');
-                const filePath = await DesktopBackupHelper.saveBackupFile(fileName, data, type);
+                const filePath = await DesktopBackupHelper.saveBackupFile(fileName, file.bytes, type);
                 
                 // Show success notification
                 if (typeof showToast === 'function') {
@@ -1704,10 +5805,8 @@ class InventoryDatabase {
             } else {
                 // Browser mode: Use download approach
                 console.log('🌐 Browser mode: Downloading backup file');
-                const dataStr = JSON.stringify(data, null, 2);
-                
                 // Create downloadable blob
-                const dataBlob = new Blob([dataStr], { type: 'application/json' });
+                const dataBlob = new Blob([file.bytes], { type: 'application/octet-stream' });
                 const url = URL.createObjectURL(dataBlob);
                 
                 // Create temporary download link
@@ -1778,32 +5877,27 @@ class InventoryDatabase {
     }
 
     /**
-     * Export localStorage backup to file
+     * Export a stored backup to file
+     * @param {string} backupId - Backup ID from backupStore.list()
      */
-    async exportLocalStorageBackupToFile(backupKey) {
+    async exportStoredBackupToFile(backupId) {
         try {
-            const backupData = localStorage.getItem(backupKey);
-            if (!backupData) {
-                throw new Error('Backup not found in localStorage');
-            }
-            
-            const data = JSON.parse(backupData);
-            const timestamp = backupKey.replace(/^feetonfocus_(backup_|manual_)/, '');
-            const type = backupKey.includes('manual_') ? 'manual' : 'auto';
-            const fileName = `feetonfocus_${type}_${timestamp}.json`;
+            const backup = await backupStore.read(backupId);
             
             // Check if we're running in desktop mode (Electron)
             if (typeof DesktopBackupHelper !== 'undefined' && DesktopBackupHelper.isDesktopMode()) {
                 console.log('🖥️ Desktop mode: Using save dialog for export');
-                const filePath = await DesktopBackupHelper.exportBackupFile(fileName, data);
+                const file = await backupStore.createFile(backup.data);
+                const fileName = `feetonfocus_${backup.type}_${backup.timestamp}${file.extension}`;
+                const filePath = await DesktopBackupHelper.exportBackupFile(fileName, file.bytes);
                 return filePath;
             } else {
                 // Browser mode: Use existing download method
-                const result = await this.createFileSystemBackup(data, timestamp, type);
+                const result = await this.createFileSystemBackup(backup.data, backup.timestamp, backup.type);
                 return result;
             }
         } catch (error) {
-            console.error('Error exporting localStorage backup to file:', error);
+            console.error('Error exporting stored backup to file:', error);
             throw error;
         }
     }
@@ -25,15 +25,23 @@ class FeetOnFocusApp {
             
             const moduleChecks = [
                 { name: 'inventoryDB', check: () => typeof inventoryDB !== 'undefined' },
+                { name: 'backupStore', check: () => typeof backupStore !== 'undefined' },
+                { name: 'backupEncryption', check: () => typeof backupEncryption !== 'undefined' },
                 { name: 'dashboard', check: () => typeof dashboard !== 'undefined' },
                 { name: 'itemsManager', check: () => typeof itemsManager !== 'undefined' },
                 { name: 'suppliersManager', check: () => typeof suppliersManager !== 'undefined' },
                 { name: 'categoriesManager', check: () => typeof categoriesManager !== 'undefined' },
+                { name: 'locationsManager', check: () => typeof locationsManager !== 'undefined' },
                 { name: 'dataManager', check: () => typeof dataManager !== 'undefined' },
                 { name: 'reportsManager', check: () => typeof reportsManager !== 'undefined' },
                 { name: 'purchaseManager', check: () => typeof purchaseManager !== 'undefined' },
                 { name: 'stockManager', check: () => typeof stockManager !== 'undefined' },
-                { name: 'bulkImportManager', check: () => typeof bulkImportManager !== 'undefined' }
+                { name: 'bulkImportManager', check: () => typeof bulkImportManager !== 'undefined' },
+                { name: 'invoiceManager', check: () => typeof invoiceManager !== 'undefined' },
+                { name: 'recallManager', check: () => typeof recallManager !== 'undefined' },
+                { name: 'stocktakeManager', check: () => typeof stocktakeManager !== 'undefined' },
+                { name: 'reconciliationManager', check: () => typeof reconciliationManager !== 'undefined' },
+                { name: 'diagnosticsManager', check: () => typeof diagnosticsManager !== 'undefined' }
             ];
             
             const missingModules = [];
@@ -63,6 +71,15 @@ class FeetOnFocusApp {
             await inventoryDB.init();
             console.log('✓ Database initialized successfully');
             
+            // Open backup storage (moves backups out of localStorage on first run)
+            try {
+                await backupStore.init();
+                await backupEncryption.init();
+                console.log('✓ Backup storage initialized');
+            } catch (error) {
+                console.error('Backup storage failed to open:', error.message);
+            }
+            
             // Create automatic backup after successful initialization
             try {
                 console.log('Creating automatic backup...');
@@ -80,11 +97,17 @@ class FeetOnFocusApp {
                 itemsManager,
                 suppliersManager,
                 categoriesManager,
+                locationsManager,
                 dataManager,
                 reportsManager,
                 purchaseManager,
                 stockManager,
-                bulkImportManager
+                bulkImportManager,
+                invoiceManager,
+                recallManager,
+                stocktakeManager,
+                reconciliationManager,
+                diagnosticsManager
             };
             
             for (const [name, manager] of Object.entries(managers)) {
@@ -207,7 +230,7 @@ class FeetOnFocusApp {
                     await itemsManager.loadItems();
                     break;
                 case 'invoices':
-                    // Future implementation for Phase 2
+                    await invoiceManager.loadInvoices();
                     break;
                 case 'reports':
                     // Reports are initialized when the manager is created
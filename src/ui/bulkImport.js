@@ -801,6 +801,23 @@ class BulkImportManager {
                             (item.name && item.name.toLowerCase() === itemData.name.toLowerCase()) ||
                             (item.sku && itemData.sku && item.sku.toLowerCase() === itemData.sku.toLowerCase())
                         );
+                        
+                        // Fall back to the matching engine, but only trust near-certain matches
+                        if (!existingItem) {
+                            const [bestMatch] = matchItems(
+                                [itemData.sku, itemData.name].filter(Boolean).join(' '),
+                                allItems,
+                                { supplier: itemData.supplier, limit: 1, minScore: 0.95 }
+                            );
+                            existingItem = bestMatch ? bestMatch.item : null;
+                            
+                            if (existingItem) {
+                                // Keep the item's own name and remember the imported wording instead
+                                await inventoryDB.learnItemAlias(existingItem.id, itemData.name);
+                                itemData.name = existingItem.name;
+                                delete itemData.alternativeNames;
+                            }
+                        }
                     }
 
                     if (existingItem) {
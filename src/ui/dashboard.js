@@ -7,6 +7,7 @@ class Dashboard {
         this.stats = null;
         this.lowStockItems = [];
         this.pendingOrders = [];
+        this.expiringLots = [];
     }
 
     async init() {
@@ -33,6 +34,22 @@ class Dashboard {
             });
         }
 
+        // Make expiring lots card clickable
+        const expiringLotsCard = document.getElementById('expiringLotsCard');
+        if (expiringLotsCard) {
+            expiringLotsCard.addEventListener('click', () => {
+                this.showExpiringLotsModal();
+            });
+        }
+
+        // Expiry warning window in the expiring lots modal
+        const expiryWarningDays = document.getElementById('expiryWarningDays');
+        if (expiryWarningDays) {
+            expiryWarningDays.addEventListener('change', () => {
+                this.updateExpiryWarningDays();
+            });
+        }
+
         // Order item button in low stock modal
         document.addEventListener('click', (e) => {
             if (e.target.classList.contains('order-item-btn')) {
@@ -107,6 +124,16 @@ class Dashboard {
         if (pendingOrdersEl) {
             pendingOrdersEl.textContent = this.stats.pendingOrders.toLocaleString();
         }
+        
+        // Update expiring lots count, with already expired lots underneath
+        const expiringLotsEl = document.getElementById('expiringLots');
+        if (expiringLotsEl) {
+            expiringLotsEl.textContent = this.stats.expiringLots.toLocaleString();
+        }
+        const expiredLotsEl = document.getElementById('expiredLots');
+        if (expiredLotsEl) {
+            expiredLotsEl.textContent = this.stats.expiredLots > 0 ? `${this.stats.expiredLots} expired` : '';
+        }
     }
 
     async loadRecentActivity() {
@@ -147,7 +174,27 @@ class Dashboard {
             'item_added': 'success',
             'item_updated': 'warning',
             'item_deleted': 'danger',
-            'bulk_import': 'info'
+            'bulk_import': 'info',
+            'invoice_created': 'info',
+            'invoice_approved': 'success',
+            'invoice_deleted': 'danger',
+            'purchase_created': 'info',
+            'purchase_received': 'success',
+            'purchase_short_closed': 'warning',
+            'purchase_cancelled': 'danger',
+            'recall_created': 'danger',
+            'recall_resolved': 'secondary',
+            'stock_sale': 'success',
+            'stock_usage': 'info',
+            'stock_purchase': 'success',
+            'stock_adjustment': 'warning',
+            'stock_reversal': 'secondary',
+            'stock_reconciliation': 'warning',
+            'stock_transfer': 'info',
+            'database_fixed': 'secondary',
+            'stock_transferred': 'info',
+            'stocktake_started': 'info',
+            'stocktake_posted': 'warning'
         };
         return colorMap[type] || 'secondary';
     }
@@ -207,6 +254,106 @@ class Dashboard {
         }
     }
 
+    async showExpiringLotsModal() {
+        try {
+            this.expiringLots = await inventoryDB.getExpiringLots();
+            
+            if (this.expiringLots.length === 0) {
+                showToast(`No stock expires in the next ${inventoryDB.getExpiryWarningDays()} days`, 'success');
+                return;
+            }
+
+            document.getElementById('expiryWarningDays').value = inventoryDB.getExpiryWarningDays();
+
+            // Show the modal
+            const modal = new bootstrap.Modal(document.getElementById('expiringLotsModal'));
+            modal.show();
+
+            // Render the expiring lots table
+            this.renderExpiringLotsTable();
+
+        } catch (error) {
+            console.error('Error loading expiring lots:', error);
+            showToast('Error loading expiring stock', 'error');
+        }
+    }
+
+    async updateExpiryWarningDays() {
+        const days = parseInt(document.getElementById('expiryWarningDays').value);
+        if (!(days > 0)) {
+            showToast('Enter a number of days greater than zero', 'warning');
+            return;
+        }
+
+        try {
+            inventoryDB.setExpiryWarningDays(days);
+            this.expiringLots = await inventoryDB.getExpiringLots();
+            this.renderExpiringLotsTable();
+            await this.refreshStats();
+        } catch (error) {
+            console.error('Error updating expiry window:', error);
+            showToast('Error updating expiry window', 'error');
+        }
+    }
+
+    renderExpiringLotsTable() {
+        const container = document.getElementById('expiringLotsTable');
+        
+        if (!this.expiringLots.length) {
+            container.innerHTML = '<p class="text-muted text-center">No stock expires within this window.</p>';
+            return;
+        }
+
+        const tableHtml = `
+            <div class="table-responsive">
+                <table class="table table-striped table-hover">
+                    <thead class="table-dark">
+                        <tr>
+                            <th>Item</th>
+                            <th>Lot / Batch</th>
+                            <th>Expiry Date</th>
+                            <th>Status</th>
+                            <th>Quantity</th>
+                            <th>Value</th>
+                            <th>Received</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.expiringLots.map(lot => this.renderExpiringLotRow(lot)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.innerHTML = tableHtml;
+    }
+
+    renderExpiringLotRow(lot) {
+        let statusBadge;
+        if (lot.isExpired) {
+            statusBadge = `<span class="badge bg-danger">Expired ${-lot.daysToExpiry} day(s) ago</span>`;
+        } else if (lot.daysToExpiry === 0) {
+            statusBadge = '<span class="badge bg-danger">Expires today</span>';
+        } else {
+            statusBadge = `<span class="badge ${lot.daysToExpiry <= 30 ? 'bg-warning text-dark' : 'bg-info'}">${lot.daysToExpiry} day(s) left</span>`;
+        }
+
+        return `
+            <tr class="${lot.isExpired ? 'table-danger' : ''}">
+                <td>
+                    <a href="#" class="item-name-link" data-item-id="${lot.itemId}">${escapeHtml(lot.itemName)}</a>
+                    ${lot.itemSku ? `<br><small class="text-muted">SKU: ${escapeHtml(lot.itemSku)}</small>` : ''}
+                </td>
+                <td>${lot.lotNumber ? `<code>${escapeHtml(lot.lotNumber)}</code>` : '<span class="text-muted">Not recorded</span>'}</td>
+                <td>${formatDate(lot.expiryDate)}</td>
+                <td>${statusBadge}</td>
+                <td><span class="badge bg-secondary">${lot.quantity}</span></td>
+                <td>${formatCurrency(lot.value)}</td>
+                <td>${formatDate(lot.receivedDate)}</td>
+            </tr>
+        `;
+    }
+
     async renderLowStockTable() {
         const container = document.getElementById('lowStockItemsTable');
         
@@ -273,6 +420,9 @@ class Dashboard {
                     <span class="badge ${item.quantity === 0 ? 'bg-danger' : item.quantity <= item.lowStockThreshold ? 'bg-warning' : 'bg-success'}">
                         ${item.quantity || 0}
                     </span>
+                    ${(item.lowStockLocations || []).map(entry => `
+                        <small class="d-block text-danger">${escapeHtml(entry.locationName)}: ${entry.quantity} / ${entry.threshold}</small>
+                    `).join('')}
                 </td>
                 <td>
                     <span class="badge bg-secondary">${item.lowStockThreshold || 5}</span>
@@ -320,8 +470,8 @@ class Dashboard {
             document.getElementById('expectedDelivery').value = '';
             document.getElementById('orderInvoiceReference').value = '';
             
-            // Set unit cost from item's current cost price
-            document.getElementById('orderUnitCost').value = item.costPrice || item.price || 0;
+            // Set unit cost from what was last paid, falling back to the item's cost price
+            document.getElementById('orderUnitCost').value = item.lastPurchaseCost ?? (item.costPrice || item.price || 0);
 
             // Populate supplier dropdown
             await this.populateSupplierDropdown(item.supplier);
@@ -383,34 +533,20 @@ class Dashboard {
                 throw new Error('Item not found');
             }
 
-            // Create purchase record
-            const purchaseData = {
-                itemId: itemId,
-                itemName: item.name,
-                itemSku: item.sku,
+            // Create a single-line purchase order; this also flags the item as on order
+            await inventoryDB.createPurchaseOrder({
                 supplier: supplier,
-                quantity: quantity,
-                unitCost: unitCost,
-                totalCost: unitCost * quantity,
                 orderDate: orderDate,
                 expectedDelivery: expectedDelivery,
                 invoiceReference: invoiceReference,
-                status: 'ordered'
-            };
-
-            await inventoryDB.createPurchase(purchaseData);
-
-            // Update item order status (with selected supplier)
-            const orderUpdateData = {
-                orderedQuantity: quantity,
-                orderDate: orderDate,
-                expectedDelivery: expectedDelivery,
-                orderStatus: 'ordered',
-                lastOrderedAt: new Date().toISOString(),
-                supplier: supplier // Update supplier if different from default
-            };
-
-            await inventoryDB.updateItem(itemId, orderUpdateData);
+                lines: [{
+                    itemId: itemId,
+                    itemName: item.name,
+                    itemSku: item.sku,
+                    quantity: quantity,
+                    unitCost: unitCost
+                }]
+            });
 
             // Close modal
             bootstrap.Modal.getInstance(document.getElementById('orderItemModal')).hide();
@@ -450,36 +586,15 @@ class Dashboard {
 
     async markItemReceivedFromDashboard(itemId) {
         try {
-            const item = this.lowStockItems.find(i => i.id === parseInt(itemId));
-            if (!item) {
-                showToast('Item not found', 'error');
-                return;
-            }
-
             // Close the low stock modal temporarily
             const lowStockModal = bootstrap.Modal.getInstance(document.getElementById('lowStockItemsModal'));
             if (lowStockModal) {
                 lowStockModal.hide();
             }
 
-            // Show enhanced item details with the mark received functionality
-            if (window.stockManager) {
-                await stockManager.showEnhancedItemDetails(itemId);
-                // The stock manager will show the appropriate Mark Received button
-            } else {
-                // Fallback: show a simple confirmation
-                if (confirm(`Mark ${item.orderedQuantity || 0} units of "${item.name}" as received?`)) {
-                    await inventoryDB.recordStockPurchase(
-                        itemId,
-                        item.orderedQuantity || 0,
-                        item.costPrice || 0,
-                        item.supplier
-                    );
-                    
-                    await this.refreshStats();
-                    showToast(`${item.name} marked as received`, 'success');
-                }
-            }
+            // Receiving goes through the item's open purchase orders in the stock details,
+            // so stock is booked against the order and the order is closed off
+            await stockManager.showEnhancedItemDetails(parseInt(itemId));
 
         } catch (error) {
             console.error('Error marking item as received:', error);
@@ -506,7 +621,8 @@ class Dashboard {
                             <th>Item</th>
                             <th>Type</th>
                             <th>Supplier</th>
-                            <th>Ordered Qty</th>
+                            <th>Purchase Orders</th>
+                            <th>Outstanding Qty</th>
                             <th>Unit Cost</th>
                             <th>Total Cost</th>
                             <th>Order Date</th>
@@ -525,8 +641,9 @@ class Dashboard {
     }
 
     renderPendingOrderRow(item, suppliers) {
-        const supplier = suppliers.find(s => s.code === item.supplier);
-        const supplierName = supplier ? supplier.name : item.supplier || 'Unknown';
+        const supplierCode = item.openOrders[0].supplier || item.supplier;
+        const supplier = suppliers.find(s => s.code === supplierCode);
+        const supplierName = supplier ? supplier.name : supplierCode || 'Unknown';
         const supplierColor = supplier ? supplier.color : '#6c757d';
 
         return `
@@ -542,11 +659,16 @@ class Dashboard {
                         '<span class="badge bg-secondary">No Supplier</span>'
                     }
                 </td>
+                <td>
+                    ${item.openOrders.map(line => `
+                        <small class="d-block"><code>${line.poNumber || '#' + line.purchaseId}</code> (${line.outstanding})</small>
+                    `).join('')}
+                </td>
                 <td>
                     <span class="badge bg-warning">${item.orderedQuantity || 0}</span>
                 </td>
-                <td>${formatCurrency(item.costPrice || 0)}</td>
-                <td>${formatCurrency((item.costPrice || 0) * (item.orderedQuantity || 0))}</td>
+                <td>${formatCurrency(item.openOrders[0].unitCost)}</td>
+                <td>${formatCurrency(item.openOrders.reduce((sum, line) => sum + line.unitCost * line.outstanding, 0))}</td>
                 <td>${item.orderDate ? formatDate(item.orderDate) : 'N/A'}</td>
                 <td>${item.expectedDelivery ? formatDate(item.expectedDelivery) : 'N/A'}</td>
                 <td>
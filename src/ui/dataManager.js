@@ -5,6 +5,23 @@
 class DataManager {
     constructor() {
         this.importData = null;
+        this.importFileName = null;
+        this.lowSpaceWarning = 50 * 1024 * 1024; // Warn when backup storage has less free space than this
+
+        // How each object store is described when listing a backup's contents
+        this.storeLabels = {
+            items: 'items',
+            suppliers: 'suppliers',
+            categories: 'categories',
+            locations: 'locations',
+            purchases: 'purchase orders',
+            stockHistory: 'stock history entries',
+            stockLots: 'stock lots',
+            recalls: 'recalls',
+            stocktakes: 'stocktakes',
+            invoices: 'invoices',
+            activity: 'activity log entries'
+        };
     }
 
     async init() {
@@ -46,6 +63,22 @@ class DataManager {
         document.getElementById('openBackupsFolderBtn').addEventListener('click', () => {
             this.showBackupsFolderInstructions();
         });
+
+        // Backup encryption buttons
+        const savePassphraseBtn = document.getElementById('saveBackupPassphraseBtn');
+        savePassphraseBtn.addEventListener('click', () => {
+            runWithButtonLocked(savePassphraseBtn, () => this.saveBackupPassphrase());
+        });
+
+        document.getElementById('disableBackupEncryptionBtn').addEventListener('click', () => {
+            this.disableBackupEncryption();
+        });
+
+        // Backup retention button
+        const saveRetentionBtn = document.getElementById('saveBackupRetentionBtn');
+        saveRetentionBtn.addEventListener('click', () => {
+            runWithButtonLocked(saveRetentionBtn, () => this.saveBackupRetention());
+        });
     }
 
     async showDataManagementModal() {
@@ -54,6 +87,8 @@ class DataManager {
         // Load data statistics and backup list
         await this.loadDataStats();
         await this.loadAutoBackups();
+        this.loadEncryptionStatus();
+        await this.loadRetentionPolicy();
         
         modal.show();
     }
@@ -77,7 +112,7 @@ class DataManager {
             stats.categories = categories.length;
             stats.totalValue = items.reduce((sum, item) => sum + ((item.price || 0) * (item.quantity || 0)), 0);
 
-            const lastBackup = this.getLastBackupDate();
+            const lastBackup = await this.getLastBackupDate();
 
             const statsHtml = `
                 <div class="row">
@@ -103,64 +138,34 @@ class DataManager {
 
     async loadAutoBackups() {
         try {
-            const allBackups = [];
-            
-            // Find all backup keys in localStorage (both auto and manual)
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith('feetonfocus_backup_')) {
-                    const timestamp = key.replace('feetonfocus_backup_', '');
-                    allBackups.push({ 
-                        key, 
-                        date: timestamp, 
-                        type: 'auto',
-                        displayDate: this.formatAutoTimestamp(timestamp)
-                    });
-                } else if (key && key.startsWith('feetonfocus_manual_')) {
-                    const timestamp = key.replace('feetonfocus_manual_', '');
-                    allBackups.push({ 
-                        key, 
-                        date: timestamp, 
-                        type: 'manual',
-                        displayDate: this.formatManualTimestamp(timestamp)
-                    });
-                }
-            }
-
-            // Sort by date (newest first)
-            allBackups.sort((a, b) => {
-                try {
-                    let dateA, dateB;
-                    
-                    // Both auto and manual now use the same format: 2024-10-05_19-30-15
-                    const parseTimestamp = (timestamp) => {
-                        const parts = timestamp.split('_');
-                        if (parts.length === 2) {
-                            return new Date(`${parts[0]}T${parts[1].replace(/-/g, ':')}`);
-                        } else {
-                            // Fallback for old date-only format
-                            return new Date(timestamp);
-                        }
-                    };
-                    
-                    dateA = parseTimestamp(a.date);
-                    dateB = parseTimestamp(b.date);
-                    
-                    return dateB - dateA;
-                } catch (error) {
-                    console.error('Error sorting backups:', error);
-                    return 0;
-                }
-            });
+            const [allBackups, storage] = await Promise.all([
+                backupStore.list(),
+                backupStore.getStorageInfo()
+            ]);
+
+            const lowOnSpace = storage.free !== null && storage.free < this.lowSpaceWarning;
+            const storageHtml = `
+                <div class="small mb-2 ${lowOnSpace ? 'text-danger' : 'text-muted'}">
+                    <i class="fas fa-hdd"></i> Backups use ${formatFileSize(storage.used)}
+                    ${storage.free !== null ? `- ${formatFileSize(storage.free)} free` : ''}
+                    ${lowOnSpace ? '<br><strong>Storage is nearly full.</strong> Delete old backups or export them to files.' : ''}
+                </div>
+            `;
 
             if (allBackups.length === 0) {
-                document.getElementById('autoBackupsList').innerHTML = '<p class="text-muted">No backups found</p>';
+                document.getElementById('autoBackupsList').innerHTML = storageHtml + '<p class="text-muted">No backups found</p>';
                 return;
             }
 
+            const badges = {
+                auto: { badgeClass: 'bg-info', badgeText: 'Auto' },
+                manual: { badgeClass: 'bg-warning', badgeText: 'Manual' },
+                daily: { badgeClass: 'bg-secondary', badgeText: 'Daily' }
+            };
+
             const backupsHtml = allBackups.map(backup => {
-                const badgeClass = backup.type === 'manual' ? 'bg-warning' : 'bg-info';
-                const badgeText = backup.type === 'manual' ? 'Manual' : 'Auto';
+                const { badgeClass, badgeText } = badges[backup.type] || badges.auto;
+                const backupId = escapeHtml(backup.id);
                 
                 return `
                     <div class="mb-3 p-3 border rounded">
@@ -168,35 +173,34 @@ class DataManager {
                             <div class="flex-grow-1">
                                 <div class="d-flex align-items-center gap-2 mb-1">
                                     <span class="badge ${badgeClass}">${badgeText}</span>
-                                    <strong>${backup.displayDate}</strong>
+                                    ${backup.encrypted ? '<i class="fas fa-lock text-muted" title="Encrypted"></i>' : ''}
+                                    <strong>${backup.createdAt ? formatDate(backup.createdAt) : escapeHtml(backup.timestamp)}</strong>
                                 </div>
-                                <small class="text-muted">${backup.key}</small>
+                                <small class="text-muted">${escapeHtml(backup.name)} (${formatFileSize(backup.size)})</small>
                             </div>
                         </div>
                         <div class="d-flex flex-wrap gap-1 mt-2">
-                            <button class="btn btn-sm btn-outline-primary" onclick="dataManager.restoreFromBackup('${backup.key}')" title="Restore this backup">
+                            <button class="btn btn-sm btn-outline-primary" data-backup-id="${backupId}" onclick="dataManager.restoreFromBackup(this.dataset.backupId)" title="Restore this backup">
                                 <i class="fas fa-undo"></i> Restore
                             </button>
-                            <button class="btn btn-sm btn-outline-success" onclick="dataManager.exportBackupToFile('${backup.key}')" title="Download this backup as a file">
+                            <button class="btn btn-sm btn-outline-success" data-backup-id="${backupId}" onclick="dataManager.exportBackupToFile(this.dataset.backupId)" title="Download this backup as a file">
                                 <i class="fas fa-download"></i> Export
                             </button>
-                            <button class="btn btn-sm btn-outline-info" onclick="dataManager.inspectBackup('${backup.key}')" title="Inspect backup contents">
+                            <button class="btn btn-sm btn-outline-info" data-backup-id="${backupId}" onclick="dataManager.inspectBackup(this.dataset.backupId)" title="Inspect backup contents">
                                 <i class="fas fa-search"></i> Inspect
                             </button>
-                            <button class="btn btn-sm btn-outline-warning" onclick="dataManager.emergencyRestore('${backup.key}')" title="Force restore all items">
+                            <button class="btn btn-sm btn-outline-warning" data-backup-id="${backupId}" onclick="dataManager.emergencyRestore(this.dataset.backupId)" title="Force restore all items">
                                 <i class="fas fa-exclamation-triangle"></i> Emergency
                             </button>
-                            ${backup.type === 'manual' ? `
-                                <button class="btn btn-sm btn-outline-danger" onclick="dataManager.deleteBackup('${backup.key}')" title="Delete this backup">
-                                    <i class="fas fa-trash"></i> Delete
-                                </button>
-                            ` : ''}
+                            <button class="btn btn-sm btn-outline-danger" data-backup-id="${backupId}" onclick="dataManager.deleteBackup(this.dataset.backupId)" title="Delete this backup">
+                                <i class="fas fa-trash"></i> Delete
+                            </button>
                         </div>
                     </div>
                 `;
             }).join('');
 
-            document.getElementById('autoBackupsList').innerHTML = backupsHtml;
+            document.getElementById('autoBackupsList').innerHTML = storageHtml + backupsHtml;
         } catch (error) {
             console.error('Error loading backups:', error);
             document.getElementById('autoBackupsList').innerHTML = '<p class="text-danger">Error loading backups</p>';
@@ -209,14 +213,14 @@ class DataManager {
             
             const data = await inventoryDB.exportAllData();
             
-            // Create downloadable file
-            const dataStr = JSON.stringify(data, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
+            // Create downloadable file (compressed archive, encrypted if encryption is on)
+            const file = await backupStore.createFile(data);
+            const dataBlob = new Blob([file.bytes], { type: 'application/octet-stream' });
             
             const url = URL.createObjectURL(dataBlob);
             const link = document.createElement('a');
             link.href = url;
-            link.download = `feetonfocus_backup_${new Date().toISOString().split('T')[0]}.json`;
+            link.download = `feetonfocus_backup_${new Date().toISOString().split('T')[0]}${file.extension}`;
             
             document.body.appendChild(link);
             link.click();
@@ -241,17 +245,25 @@ class DataManager {
             return;
         }
 
-        if (!file.name.endsWith('.json')) {
-            showToast('Please select a JSON file', 'error');
+        if (!file.name.endsWith('.json') && !file.name.endsWith(BackupArchive.extension)) {
+            showToast(`Please select a backup file (${BackupArchive.extension} or .json)`, 'error');
             document.getElementById('importDataBtn').disabled = true;
             this.importData = null;
             return;
         }
 
         const reader = new FileReader();
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
             try {
-                this.importData = JSON.parse(e.target.result);
+                const data = await BackupArchive.read(new Uint8Array(e.target.result));
+                this.importData = await this.unlockBackup(data, file.name);
+                this.importFileName = file.name;
+                if (!this.importData) {
+                    // Passphrase prompt cancelled
+                    document.getElementById('importDataBtn').disabled = true;
+                    event.target.value = '';
+                    return;
+                }
                 
                 // Validate the data structure
                 if (!this.validateImportData(this.importData)) {
@@ -270,18 +282,57 @@ class DataManager {
             }
         };
         
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
     }
 
     validateImportData(data) {
-        // Check if the data has the expected structure
-        return data && 
-               typeof data === 'object' && 
-               data.exportDate && 
-               data.version && 
-               Array.isArray(data.items) && 
-               Array.isArray(data.suppliers) && 
-               Array.isArray(data.categories);
+        // Check if the data has the expected structure (any backup format)
+        try {
+            inventoryDB.readBackup(data);
+            return true;
+        } catch (error) {
+            console.error('Invalid backup:', error);
+            return false;
+        }
+    }
+
+    describeBackupContents(backup) {
+        return Object.entries(backup.stores)
+            .map(([storeName, records]) => `${records.length} ${this.storeLabels[storeName] || storeName}`);
+    }
+
+    getImportOptions(restoreOption) {
+        return {
+            preserveExisting: restoreOption === 'merge',
+            replaceExisting: restoreOption === 'replace' || restoreOption === 'clear',
+            clearFirst: restoreOption === 'clear'
+        };
+    }
+
+    formatImportResult(heading, result) {
+        let message = `${heading}:\n`;
+
+        // A full restore reports every store it brought back
+        if (result.restored) {
+            Object.entries(result.restored).forEach(([storeName, count]) => {
+                message += `• Restored ${count} ${this.storeLabels[storeName] || storeName}\n`;
+            });
+            return message;
+        }
+
+        message += `• Added ${result.suppliers} suppliers\n`;
+        message += `• Added ${result.categories} categories\n`;
+        message += `• Added ${result.items} items\n`;
+        if (result.skipped > 0) {
+            message += `• Skipped ${result.skipped} existing records\n`;
+        }
+        if (result.updated > 0) {
+            message += `• Updated ${result.updated} existing records\n`;
+        }
+        if (result.errors.length > 0) {
+            message += `\nErrors:\n${result.errors.join('\n')}`;
+        }
+        return message;
     }
 
     async importDataFromFile() {
@@ -290,33 +341,17 @@ class DataManager {
             return;
         }
 
-        const confirmMessage = `This will import:\n` +
-                              `• ${this.importData.items.length} items\n` +
-                              `• ${this.importData.suppliers.length} suppliers\n` +
-                              `• ${this.importData.categories.length} categories\n\n` +
-                              `Existing data with the same codes will be preserved.\nProceed with import?`;
-
-        if (!confirm(confirmMessage)) {
-            return;
+        // Show restore options
+        const restoreOption = await this.showRestoreOptionsDialog(this.importFileName, this.importData);
+        if (!restoreOption) {
+            return; // User cancelled
         }
 
         try {
             showLoading('importDataBtn');
             
-            const result = await inventoryDB.importData(this.importData, { preserveExisting: true });
-            
-            let message = `Import completed:\n`;
-            message += `• Added ${result.suppliers} suppliers\n`;
-            message += `• Added ${result.categories} categories\n`;
-            message += `• Added ${result.items} items\n`;
-            if (result.skipped > 0) {
-                message += `• Skipped ${result.skipped} existing records\n`;
-            }
-            if (result.errors.length > 0) {
-                message += `\nErrors:\n${result.errors.join('\n')}`;
-            }
-
-            alert(message);
+            const result = await inventoryDB.importData(this.importData, this.getImportOptions(restoreOption));
+            alert(this.formatImportResult('Import completed', result));
             
             // Comprehensive UI refresh
             await this.refreshAllUIComponents();
@@ -331,44 +366,33 @@ class DataManager {
         }
     }
 
-    async restoreFromBackup(backupKey) {
-        const backupData = localStorage.getItem(backupKey);
-        if (!backupData) {
-            showToast('Backup not found', 'error');
+    async restoreFromBackup(backupId) {
+        let backup;
+        try {
+            backup = await backupStore.read(backupId);
+        } catch (error) {
+            showToast('Error reading backup: ' + error.message, 'error');
             return;
         }
 
-        const data = JSON.parse(backupData);
+        const data = await this.unlockBackup(backup.data, backup.name);
+        if (!data) {
+            return; // User cancelled
+        }
         if (!this.validateImportData(data)) {
             showToast('Invalid backup data', 'error');
             return;
         }
 
         // Show restore options
-        const restoreOption = await this.showRestoreOptionsDialog(backupKey, data);
+        const restoreOption = await this.showRestoreOptionsDialog(backup.name, data);
         if (!restoreOption) {
             return; // User cancelled
         }
 
         try {
-            const result = await inventoryDB.importData(data, { 
-                preserveExisting: restoreOption === 'merge',
-                replaceExisting: restoreOption === 'replace' || restoreOption === 'clear',
-                clearFirst: restoreOption === 'clear'
-            });
-            
-            let message = `Restore completed:\n`;
-            message += `• Added ${result.suppliers} suppliers\n`;
-            message += `• Added ${result.categories} categories\n`;
-            message += `• Added ${result.items} items\n`;
-            if (result.skipped > 0) {
-                message += `• Skipped ${result.skipped} existing records\n`;
-            }
-            if (result.updated > 0) {
-                message += `• Updated ${result.updated} existing records\n`;
-            }
-
-            alert(message);
+            const result = await inventoryDB.importData(data, this.getImportOptions(restoreOption));
+            alert(this.formatImportResult('Restore completed', result));
             
             // Comprehensive UI refresh
             await this.refreshAllUIComponents();
@@ -380,7 +404,9 @@ class DataManager {
         }
     }
 
-    showRestoreOptionsDialog(backupKey, data) {
+    showRestoreOptionsDialog(backupName, data) {
+        const backup = inventoryDB.readBackup(data);
+
         return new Promise((resolve) => {
             const modal = document.createElement('div');
             modal.className = 'modal fade';
@@ -393,11 +419,20 @@ class DataManager {
                         </div>
                         <div class="modal-body">
                             <div class="alert alert-info">
-                                <strong>Backup contains:</strong><br>
-                                • ${data.items ? data.items.length : 0} items<br>
-                                • ${data.suppliers ? data.suppliers.length : 0} suppliers<br>
-                                • ${data.categories ? data.categories.length : 0} categories
+                                <strong>${escapeHtml(backupName || 'Backup')} contains:</strong><br>
+                                ${this.describeBackupContents(backup).map(line => `• ${line}`).join('<br>')}
                             </div>
+                            ${backup.missingStores.length > 0 ? `
+                                <div class="alert alert-warning">
+                                    This backup was made before everything was backed up. It has no
+                                    ${backup.missingStores.map(storeName => this.storeLabels[storeName] || storeName).join(', ')}.
+                                    ${backup.clearedStores.length > 0 ? `
+                                        A full restore deletes the
+                                        ${backup.clearedStores.map(storeName => this.storeLabels[storeName] || storeName).join(', ')}
+                                        you have now, as they belong to the items being replaced${backup.clearedStores.length < backup.missingStores.length ? ', and keeps the rest' : ''}.
+                                    ` : 'A full restore keeps the ones you have now.'}
+                                </div>
+                            ` : ''}
                             
                             <p><strong>Choose how to handle existing data:</strong></p>
                             
@@ -405,7 +440,7 @@ class DataManager {
                                 <input class="form-check-input" type="radio" name="restoreOption" id="mergeOption" value="merge" checked>
                                 <label class="form-check-label" for="mergeOption">
                                     <strong>Merge (Recommended)</strong><br>
-                                    <small class="text-muted">Add new data from backup, keep existing data unchanged. Safe option that won't lose current data.</small>
+                                    <small class="text-muted">Add new items, suppliers and categories from backup, keep existing data unchanged. Safe option that won't lose current data. Purchases, stock history and other records only come back with a full restore.</small>
                                 </label>
                             </div>
                             
@@ -413,7 +448,7 @@ class DataManager {
                                 <input class="form-check-input" type="radio" name="restoreOption" id="replaceOption" value="replace">
                                 <label class="form-check-label" for="replaceOption">
                                     <strong>Replace Existing</strong><br>
-                                    <small class="text-muted">Update existing records with backup data. This will overwrite current data where conflicts exist.</small>
+                                    <small class="text-muted">Update existing items, suppliers and categories with backup data. This will overwrite current data where conflicts exist.</small>
                                 </label>
                             </div>
                             
@@ -421,7 +456,7 @@ class DataManager {
                                 <input class="form-check-input" type="radio" name="restoreOption" id="clearOption" value="clear">
                                 <label class="form-check-label" for="clearOption">
                                     <strong>Full Restore (Clear & Replace)</strong><br>
-                                    <small class="text-danger">⚠️ This will delete all current data and restore only the backup data. Use with caution!</small>
+                                    <small class="text-danger">⚠️ This will delete all current data and restore everything in the backup, including purchases and stock history. Use with caution!</small>
                                 </label>
                             </div>
                         </div>
@@ -444,12 +479,159 @@ class DataManager {
             
             modal.addEventListener('hidden.bs.modal', () => {
                 document.body.removeChild(modal);
+                resolve(null); // Closed without choosing (no-op after a choice)
             });
             
             bsModal.show();
         });
     }
 
+    async unlockBackup(data, backupName) {
+        // Ask until the passphrase fits or the user gives up
+        while (backupEncryption.isEncrypted(data)) {
+            const passphrase = await this.promptForPassphrase(backupName);
+            if (passphrase === null) {
+                return null;
+            }
+            try {
+                return await backupEncryption.decrypt(data, passphrase);
+            } catch (error) {
+                showToast(error.message, 'error');
+            }
+        }
+        return data;
+    }
+
+    promptForPassphrase(backupName) {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal fade';
+            modal.innerHTML = `
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title"><i class="fas fa-lock"></i> Encrypted Backup</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <p><strong>${escapeHtml(backupName || 'This backup')}</strong> is encrypted. Enter the passphrase it was made with.</p>
+                            <input type="password" class="form-control" id="unlockPassphrase" autocomplete="off">
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="button" class="btn btn-primary" id="confirmPassphraseBtn">Unlock</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            
+            document.body.appendChild(modal);
+            const bsModal = new bootstrap.Modal(modal);
+            const input = modal.querySelector('#unlockPassphrase');
+            
+            const unlock = () => {
+                const passphrase = input.value;
+                bsModal.hide();
+                resolve(passphrase);
+            };
+            modal.querySelector('#confirmPassphraseBtn').addEventListener('click', unlock);
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') unlock();
+            });
+            
+            modal.addEventListener('shown.bs.modal', () => input.focus());
+            modal.addEventListener('hidden.bs.modal', () => {
+                document.body.removeChild(modal);
+                resolve(null); // Closed without a passphrase (no-op after Unlock)
+            });
+            
+            bsModal.show();
+        });
+    }
+
+    loadEncryptionStatus() {
+        const enabled = backupEncryption.isEnabled();
+
+        document.getElementById('backupEncryptionStatus').innerHTML = enabled ?
+            '<span class="text-success"><i class="fas fa-lock"></i> New backups are encrypted.</span>' :
+            '<span class="text-muted"><i class="fas fa-lock-open"></i> Backups are not encrypted. Set a passphrase to encrypt them.</span>';
+        document.getElementById('saveBackupPassphraseBtn').innerHTML = enabled ?
+            '<i class="fas fa-key"></i> Change Passphrase' :
+            '<i class="fas fa-key"></i> Encrypt Backups';
+        document.getElementById('disableBackupEncryptionBtn').classList.toggle('d-none', !enabled);
+    }
+
+    async saveBackupPassphrase() {
+        const passphraseInput = document.getElementById('backupPassphrase');
+        const confirmInput = document.getElementById('backupPassphraseConfirm');
+
+        if (passphraseInput.value !== confirmInput.value) {
+            showToast('The passphrases do not match', 'error');
+            return;
+        }
+
+        const changing = backupEncryption.isEnabled();
+        try {
+            await backupEncryption.setPassphrase(passphraseInput.value);
+            passphraseInput.value = '';
+            confirmInput.value = '';
+            this.loadEncryptionStatus();
+            showToast(changing ?
+                'Passphrase changed. Backups made before keep their old passphrase.' :
+                'Backups will be encrypted from now on', 'success');
+        } catch (error) {
+            console.error('Error setting backup passphrase:', error);
+            showToast('Error setting passphrase: ' + error.message, 'error');
+        }
+    }
+
+    async disableBackupEncryption() {
+        if (!confirm('Stop encrypting new backups? Backups already encrypted still need their passphrase.')) {
+            return;
+        }
+
+        try {
+            await backupEncryption.disable();
+            this.loadEncryptionStatus();
+            showToast('New backups will not be encrypted', 'success');
+        } catch (error) {
+            console.error('Error turning off backup encryption:', error);
+            showToast('Error turning off encryption: ' + error.message, 'error');
+        }
+    }
+
+    async loadRetentionPolicy() {
+        try {
+            const policy = await backupStore.getRetentionPolicy();
+            for (const tier of BackupRetention.tiers) {
+                document.getElementById(this.getRetentionInputId(tier)).value = policy[tier];
+            }
+        } catch (error) {
+            console.error('Error loading backup retention policy:', error);
+            showToast('Error loading backup retention: ' + error.message, 'error');
+        }
+    }
+
+    async saveBackupRetention() {
+        const policy = {};
+        for (const tier of BackupRetention.tiers) {
+            policy[tier] = document.getElementById(this.getRetentionInputId(tier)).value.trim();
+        }
+
+        try {
+            const saved = await backupStore.saveRetentionPolicy(policy);
+            showToast(`Keeping ${saved.hourly} hourly, ${saved.daily} daily, ${saved.weekly} weekly and ${saved.monthly} monthly backups`, 'success');
+            await this.loadRetentionPolicy();
+        } catch (error) {
+            console.error('Error saving backup retention policy:', error);
+            showToast('Error saving backup retention: ' + error.message, 'error');
+        }
+    }
+
+    getRetentionInputId(tier) {
+        return 'retention' + tier.charAt(0).toUpperCase() + tier.slice(1);
+    }
+
     async createManualBackup() {
         try {
             const button = document.getElementById('createManualBackupBtn');
@@ -520,103 +702,10 @@ class DataManager {
         }
     }
 
-    formatAutoTimestamp(timestamp) {
-        try {
-            // Handle new format: 2024-10-05_19-30-15 (same as manual backups now)
-            if (timestamp.includes('_')) {
-                const parts = timestamp.split('_');
-                if (parts.length === 2) {
-                    const datePart = parts[0]; // 2024-10-05
-                    const timePart = parts[1].replace(/-/g, ':'); // 19:30:15
-                    
-                    const dateObj = new Date(`${datePart}T${timePart}`);
-                    if (!isNaN(dateObj.getTime())) {
-                        // Format as DD/MM/YYYY at HH:MM:SS
-                        const day = String(dateObj.getDate()).padStart(2, '0');
-                        const month = String(dateObj.getMonth() + 1).padStart(2, '0');
-                        const year = dateObj.getFullYear();
-                        const time = dateObj.toLocaleTimeString('en-GB', { hour12: false });
-                        return `${day}/${month}/${year} at ${time}`;
-                    }
-                }
-                
-                // Fallback for underscore format
-                return timestamp.replace('_', ' at ').replace(/-/g, ':');
-            }
-            
-            // Handle legacy date-only format: 2024-10-05
-            if (timestamp.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                const date = new Date(timestamp);
-                if (!isNaN(date.getTime())) {
-                    const day = String(date.getDate()).padStart(2, '0');
-                    const month = String(date.getMonth() + 1).padStart(2, '0');
-                    const year = date.getFullYear();
-                    return `${day}/${month}/${year}`;
-                }
-            }
-            
-            // Final fallback
-            return timestamp.replace(/-/g, ':').replace('_', ' at ');
-        } catch (error) {
-            console.error('Error parsing auto timestamp:', timestamp, error);
-            return timestamp;
-        }
-    }
-
-    formatManualTimestamp(timestamp) {
-        try {
-            // Handle new format: 2024-10-05_19-30-15
-            if (timestamp.includes('_')) {
-                const parts = timestamp.split('_');
-                if (parts.length === 2) {
-                    const datePart = parts[0]; // 2024-10-05
-                    const timePart = parts[1].replace(/-/g, ':'); // 19:30:15
-                    
-                    const dateObj = new Date(`${datePart}T${timePart}`);
-                    if (!isNaN(dateObj.getTime())) {
-                        // Format as DD/MM/YYYY at HH:MM:SS
-                        const day = String(dateObj.getDate()).padStart(2, '0');
-                        const month = String(dateObj.getMonth() + 1).padStart(2, '0');
-                        const year = dateObj.getFullYear();
-                        const time = dateObj.toLocaleTimeString('en-GB', { hour12: false });
-                        return `${day}/${month}/${year} at ${time}`;
-                    }
-                }
-                
-                // Fallback for underscore format
-                return timestamp.replace('_', ' at ').replace(/-/g, ':');
-            }
-            
-            // Handle legacy format: 2025-10-05T19-40-572Z
-            if (timestamp.includes('T') && timestamp.includes('Z')) {
-                let isoString = timestamp;
-                
-                // Fix the format: 2025-10-05T19-40-572Z -> 2025-10-05T19:40:57.2Z
-                isoString = isoString.replace(/T(\d{2})-(\d{2})-(\d+)Z$/, 'T$1:$2:$3Z');
-                isoString = isoString.replace(/(\d{2}:\d{2}:\d{2})(\d+)Z$/, '$1.$2Z');
-                
-                const date = new Date(isoString);
-                if (!isNaN(date.getTime())) {
-                    const day = String(date.getDate()).padStart(2, '0');
-                    const month = String(date.getMonth() + 1).padStart(2, '0');
-                    const year = date.getFullYear();
-                    const time = date.toLocaleTimeString('en-GB', { hour12: false });
-                    return `${day}/${month}/${year} at ${time}`;
-                }
-            }
-            
-            // Final fallback
-            return timestamp.replace(/-/g, ':').replace('T', ' at ').replace('Z', '');
-        } catch (error) {
-            console.error('Error parsing manual timestamp:', timestamp, error);
-            return timestamp;
-        }
-    }
-
-    async exportBackupToFile(backupKey) {
+    async exportBackupToFile(backupId) {
         try {
-            console.log('Exporting backup to file:', backupKey);
-            const fileName = await inventoryDB.exportLocalStorageBackupToFile(backupKey);
+            console.log('Exporting backup to file:', backupId);
+            const fileName = await inventoryDB.exportStoredBackupToFile(backupId);
             if (fileName) {
                 showToast(`Backup exported as ${fileName}`, 'success');
             } else {
@@ -628,10 +717,10 @@ class DataManager {
         }
     }
 
-    async deleteBackup(backupKey) {
+    async deleteBackup(backupId) {
         try {
             if (confirm('Are you sure you want to delete this backup? This action cannot be undone.')) {
-                localStorage.removeItem(backupKey);
+                await backupStore.remove(backupId);
                 showToast('Backup deleted successfully', 'success');
                 
                 // Refresh the backups list
@@ -644,26 +733,22 @@ class DataManager {
         }
     }
 
-    async inspectBackup(backupKey) {
+    async inspectBackup(backupId) {
         try {
-            const backupData = localStorage.getItem(backupKey);
-            if (!backupData) {
-                showToast('Backup not found', 'error');
-                return;
-            }
-
-            const data = JSON.parse(backupData);
-            console.log('Backup inspection for:', backupKey);
+            const stored = await backupStore.read(backupId);
+            const data = await this.unlockBackup(stored.data, stored.name);
+            if (!data) return;
+            const backup = inventoryDB.readBackup(data);
+            console.log('Backup inspection for:', backupId);
             console.log('Backup data:', data);
-            console.log('Items in backup:', data.items?.length || 0);
-            console.log('Suppliers in backup:', data.suppliers?.length || 0);
-            console.log('Categories in backup:', data.categories?.length || 0);
+            console.log('Backup format:', backup.backupFormat);
+            this.describeBackupContents(backup).forEach(line => console.log('In backup:', line));
             
-            if (data.items && data.items.length > 0) {
-                console.log('Sample items:', data.items.slice(0, 3));
+            if (backup.stores.items.length > 0) {
+                console.log('Sample items:', backup.stores.items.slice(0, 3));
             }
             
-            alert(`Backup Analysis:\n\nItems: ${data.items?.length || 0}\nSuppliers: ${data.suppliers?.length || 0}\nCategories: ${data.categories?.length || 0}\n\nCheck console for detailed data.`);
+            alert(`Backup Analysis (format ${backup.backupFormat}):\n\n${this.describeBackupContents(backup).join('\n')}\n\nCheck console for detailed data.`);
             
         } catch (error) {
             console.error('Error inspecting backup:', error);
@@ -671,15 +756,12 @@ class DataManager {
         }
     }
 
-    async emergencyRestore(backupKey) {
+    async emergencyRestore(backupId) {
         try {
-            const backupData = localStorage.getItem(backupKey);
-            if (!backupData) {
-                showToast('Backup not found', 'error');
-                return;
-            }
-
-            const data = JSON.parse(backupData);
+            const stored = await backupStore.read(backupId);
+            const unlocked = await this.unlockBackup(stored.data, stored.name);
+            if (!unlocked) return;
+            const data = inventoryDB.readBackup(unlocked).stores;
             
             if (confirm(`Emergency Restore:\n\nThis will force-add all items from the backup without checking for duplicates.\n\nBackup contains ${data.items?.length || 0} items.\n\nProceed?`)) {
                 let restored = 0;
@@ -825,26 +907,11 @@ class DataManager {
         }
     }
     
-    getLastBackupDate() {
+    async getLastBackupDate() {
         try {
-            const backupKeys = [];
-            // Check both auto and manual backups
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && (key.startsWith('feetonfocus_backup_') || key.startsWith('feetonfocus_manual_'))) {
-                    if (key.startsWith('feetonfocus_backup_')) {
-                        backupKeys.push(key.replace('feetonfocus_backup_', ''));
-                    } else {
-                        const timestamp = key.replace('feetonfocus_manual_', '');
-                        backupKeys.push(timestamp);
-                    }
-                }
-            }
-            
-            if (backupKeys.length === 0) return null;
-            
-            backupKeys.sort();
-            return backupKeys[backupKeys.length - 1]; // Most recent
+            // Backups are listed newest first
+            const backups = await backupStore.list();
+            return backups.length > 0 ? backups[0].createdAt : null;
         } catch (error) {
             return null;
         }
@@ -0,0 +1,136 @@
+/**
+ * Database Diagnostics UI
+ * Lists records that don't hang together and applies the suggested fixes
+ */
+
+class DiagnosticsManager {
+    constructor() {
+        this.findings = [];
+    }
+
+    async init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Check database button (from settings menu)
+        const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+        if (diagnosticsBtn) {
+            diagnosticsBtn.addEventListener('click', () => {
+                this.showDiagnosticsModal();
+            });
+        }
+
+        document.getElementById('refreshDiagnosticsBtn').addEventListener('click', () => {
+            this.runDiagnostics();
+        });
+
+        // Apply a finding's fix
+        document.getElementById('diagnosticsResults').addEventListener('click', (e) => {
+            const btn = e.target.closest('.apply-fix-btn');
+            if (btn) {
+                runWithButtonLocked(btn, () => this.applyFix(parseInt(btn.getAttribute('data-index'))));
+            }
+        });
+    }
+
+    async showDiagnosticsModal() {
+        const modal = new bootstrap.Modal(document.getElementById('diagnosticsModal'));
+        modal.show();
+        await this.runDiagnostics();
+    }
+
+    async runDiagnostics() {
+        try {
+            showLoading('diagnosticsResults');
+            this.findings = await inventoryDB.runDiagnostics();
+            this.renderFindings();
+        } catch (error) {
+            console.error('Error checking database:', error);
+            showToast('Error checking database: ' + error.message, 'error');
+            document.getElementById('diagnosticsResults').innerHTML = '<p class="text-muted">Error checking database</p>';
+        }
+    }
+
+    renderFindings() {
+        const container = document.getElementById('diagnosticsResults');
+
+        if (this.findings.length === 0) {
+            container.innerHTML = `
+                <div class="alert alert-success mb-0">
+                    <i class="fas fa-check-circle"></i> No problems found.
+                </div>
+            `;
+            return;
+        }
+
+        const severityStyles = {
+            error: { badge: 'bg-danger', icon: 'fa-times-circle', label: 'Error' },
+            warning: { badge: 'bg-warning text-dark', icon: 'fa-exclamation-triangle', label: 'Warning' },
+            info: { badge: 'bg-info text-dark', icon: 'fa-info-circle', label: 'Info' }
+        };
+
+        container.innerHTML = `
+            <div class="list-group">
+                ${this.findings.map((finding, index) => {
+                    const style = severityStyles[finding.severity];
+                    return `
+                        <div class="list-group-item">
+                            <div class="d-flex justify-content-between align-items-start gap-3">
+                                <div>
+                                    <span class="badge ${style.badge} me-1"><i class="fas ${style.icon}"></i> ${style.label}</span>
+                                    <strong>${escapeHtml(finding.title)}</strong>
+                                    <div class="small text-muted">${escapeHtml(finding.detail)}</div>
+                                    ${finding.records.length ? `
+                                        <ul class="small mb-0 mt-1">
+                                            ${finding.records.slice(0, 10).map(record => `<li>${escapeHtml(record)}</li>`).join('')}
+                                            ${finding.records.length > 10 ? `<li class="text-muted">and ${finding.records.length - 10} more</li>` : ''}
+                                        </ul>
+                                    ` : ''}
+                                </div>
+                                <button class="btn btn-sm btn-outline-primary text-nowrap apply-fix-btn" data-index="${index}">
+                                    <i class="fas fa-wrench"></i> ${escapeHtml(finding.fix.label)}
+                                </button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    async applyFix(index) {
+        const finding = this.findings[index];
+        if (!finding) return;
+
+        const deletes = ['deleteRecords', 'deleteItem'].includes(finding.fix.action);
+        if (deletes && !confirm(`${finding.title}\n\n${finding.fix.label}? This can't be undone.`)) {
+            return;
+        }
+
+        try {
+            await inventoryDB.applyDiagnosticFix(finding.fix);
+            showToast(`Fixed: ${finding.fix.label}`, 'success');
+
+            // Suppliers, categories and items may all have changed
+            if (window.itemsManager) {
+                await itemsManager.refreshSupplierOptions();
+                await itemsManager.refreshCategoryOptions();
+                await itemsManager.loadItems();
+            }
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+
+        } catch (error) {
+            console.error('Error applying fix:', error);
+            showToast('Error applying fix: ' + error.message, 'error');
+        }
+
+        // Fixing one problem can resolve or change others
+        await this.runDiagnostics();
+    }
+}
+
+// Create global instance
+const diagnosticsManager = new DiagnosticsManager();
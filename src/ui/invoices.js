@@ -0,0 +1,1074 @@
+/**
+ * Invoice Management UI
+ */
+
+class InvoiceManager {
+    constructor() {
+        this.invoices = [];
+        this.filteredInvoices = [];
+        this.suppliers = [];
+        this.items = [];
+        this.invoiceLines = [];
+        this.saleLines = [];
+        this.pdfSource = null;
+    }
+
+    async init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // New purchase invoice button
+        document.getElementById('newPurchaseInvoiceBtn').addEventListener('click', () => {
+            this.showPurchaseInvoiceModal();
+        });
+
+        // PDF invoice upload (button, file input and drop zone)
+        const pdfInput = document.getElementById('invoicePdfInput');
+        document.getElementById('uploadInvoiceBtn').addEventListener('click', () => {
+            pdfInput.click();
+        });
+        pdfInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.handleInvoicePdf(file);
+            }
+            pdfInput.value = '';
+        });
+
+        const dropZone = document.getElementById('invoiceDropZone');
+        dropZone.addEventListener('click', () => {
+            pdfInput.click();
+        });
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.handleInvoicePdf(file);
+            }
+        });
+
+        // New sale invoice button
+        document.getElementById('newSaleInvoiceBtn').addEventListener('click', () => {
+            this.showSaleInvoiceModal();
+        });
+
+        // Filters
+        document.getElementById('invoiceTypeFilter').addEventListener('change', () => {
+            this.filterInvoices();
+        });
+        document.getElementById('invoiceStatusFilter').addEventListener('change', () => {
+            this.filterInvoices();
+        });
+        document.getElementById('invoiceSearchInput').addEventListener('input',
+            debounce(() => this.filterInvoices(), 300)
+        );
+
+        // Invoice modal line management
+        document.getElementById('addInvoiceLineBtn').addEventListener('click', () => {
+            this.addInvoiceLine();
+        });
+
+        const linesBody = document.getElementById('invoiceLinesBody');
+        linesBody.addEventListener('input', (e) => {
+            this.updateInvoiceLineFromInput(e.target, e.type);
+        });
+        linesBody.addEventListener('change', (e) => {
+            this.updateInvoiceLineFromInput(e.target, e.type);
+        });
+        linesBody.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.remove-invoice-line-btn');
+            if (removeBtn) {
+                this.removeInvoiceLine(parseInt(removeBtn.getAttribute('data-index')));
+            }
+            const suggestionBtn = e.target.closest('.invoice-match-suggestion');
+            if (suggestionBtn) {
+                this.selectLineItem(
+                    parseInt(suggestionBtn.getAttribute('data-index')),
+                    parseInt(suggestionBtn.getAttribute('data-item-id'))
+                );
+            }
+        });
+
+        document.getElementById('invoiceTax').addEventListener('input', () => {
+            this.updateInvoiceTotals();
+        });
+
+        // Save buttons
+        document.getElementById('saveInvoiceDraftBtn').addEventListener('click', () => {
+            this.savePurchaseInvoice(false);
+        });
+        document.getElementById('saveAndApproveInvoiceBtn').addEventListener('click', (e) => {
+            runWithButtonLocked(e.currentTarget, () => this.savePurchaseInvoice(true));
+        });
+
+        // Sale invoice modal line management
+        document.getElementById('addSaleLineBtn').addEventListener('click', () => {
+            this.addSaleLine();
+        });
+
+        const saleLinesBody = document.getElementById('saleInvoiceLinesBody');
+        saleLinesBody.addEventListener('input', (e) => {
+            this.updateSaleLineFromInput(e.target);
+        });
+        saleLinesBody.addEventListener('change', (e) => {
+            this.updateSaleLineFromInput(e.target);
+        });
+        saleLinesBody.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.remove-sale-line-btn');
+            if (removeBtn) {
+                this.removeSaleLine(parseInt(removeBtn.getAttribute('data-index')));
+            }
+        });
+
+        document.getElementById('confirmSaleInvoiceBtn').addEventListener('click', (e) => {
+            runWithButtonLocked(e.currentTarget, () => this.confirmSaleInvoice());
+        });
+
+        // Invoice row actions
+        document.addEventListener('click', (e) => {
+            const viewBtn = e.target.closest('.view-invoice-btn');
+            if (viewBtn) {
+                this.showInvoiceDetails(parseInt(viewBtn.getAttribute('data-invoice-id')));
+            }
+        });
+    }
+
+    async loadInvoices() {
+        try {
+            const [invoices, suppliers] = await Promise.all([
+                inventoryDB.getAllInvoices(),
+                inventoryDB.getAllSuppliers()
+            ]);
+
+            this.invoices = invoices;
+            this.suppliers = suppliers;
+            this.filterInvoices();
+        } catch (error) {
+            console.error('Error loading invoices:', error);
+            showToast('Error loading invoices', 'error');
+        }
+    }
+
+    filterInvoices() {
+        const typeFilter = document.getElementById('invoiceTypeFilter').value;
+        const statusFilter = document.getElementById('invoiceStatusFilter').value;
+        const search = document.getElementById('invoiceSearchInput').value.toLowerCase().trim();
+
+        this.filteredInvoices = this.invoices.filter(invoice => {
+            const matchesType = !typeFilter || invoice.type === typeFilter;
+            const matchesStatus = !statusFilter || invoice.status === statusFilter;
+            const matchesSearch = !search ||
+                (invoice.invoiceNumber && invoice.invoiceNumber.toLowerCase().includes(search)) ||
+                this.getSupplierName(invoice.supplier).toLowerCase().includes(search) ||
+                (invoice.customer && invoice.customer.toLowerCase().includes(search)) ||
+                (invoice.lines || []).some(line =>
+                    (line.description && line.description.toLowerCase().includes(search)) ||
+                    (line.itemName && line.itemName.toLowerCase().includes(search))
+                );
+
+            return matchesType && matchesStatus && matchesSearch;
+        });
+
+        this.renderInvoicesTable();
+    }
+
+    renderInvoicesTable() {
+        const container = document.getElementById('invoicesTable');
+
+        if (!this.filteredInvoices.length) {
+            container.innerHTML = `
+                <div class="text-center py-5">
+                    <i class="fas fa-file-invoice fa-3x text-muted mb-3"></i>
+                    <h5>No Invoices Found</h5>
+                    <p class="text-muted">Capture a supplier invoice to book its lines into stock.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-hover">
+                    <thead class="table-dark">
+                        <tr>
+                            <th>Date</th>
+                            <th>Invoice #</th>
+                            <th>Type</th>
+                            <th>Supplier / Customer</th>
+                            <th>Lines</th>
+                            <th>Total</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.filteredInvoices.map(invoice => this.renderInvoiceRow(invoice)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="text-muted mb-0">Showing ${this.filteredInvoices.length} of ${this.invoices.length} invoices</p>
+        `;
+    }
+
+    renderInvoiceRow(invoice) {
+        const supplier = this.suppliers.find(s => s.code === invoice.supplier);
+        const supplierColor = supplier ? supplier.color : '#6c757d';
+        const typeBadgeClass = invoice.type === 'sale' ? 'bg-primary' : 'bg-info';
+
+        return `
+            <tr>
+                <td>${this.formatInvoiceDate(invoice.date)}</td>
+                <td><code>${escapeHtml(invoice.invoiceNumber || '-')}</code></td>
+                <td><span class="badge ${typeBadgeClass}">${this.capitalize(invoice.type)}</span></td>
+                <td>
+                    ${invoice.type === 'sale' ?
+                        `<i class="fas fa-user text-muted"></i> ${escapeHtml(invoice.customer || 'Walk-in')}` :
+                        `<span class="badge" style="background-color: ${supplierColor}; color: white;">
+                            ${this.getSupplierName(invoice.supplier)}
+                        </span>`
+                    }
+                </td>
+                <td>${(invoice.lines || []).length}</td>
+                <td><strong>${formatCurrency(invoice.total || 0)}</strong></td>
+                <td>${this.getStatusBadge(invoice.status)}</td>
+                <td>
+                    <button class="btn btn-sm btn-outline-primary view-invoice-btn" data-invoice-id="${invoice.id}" title="View Invoice">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    getStatusBadge(status) {
+        const badgeClass = {
+            'draft': 'bg-warning text-dark',
+            'approved': 'bg-success',
+            'completed': 'bg-success'
+        }[status] || 'bg-secondary';
+
+        return `<span class="badge ${badgeClass}">${this.capitalize(status || 'unknown')}</span>`;
+    }
+
+    getSupplierName(supplierCode) {
+        const supplier = this.suppliers.find(s => s.code === supplierCode);
+        return supplier ? supplier.name : (supplierCode || 'Unknown');
+    }
+
+    capitalize(value) {
+        return value ? value.charAt(0).toUpperCase() + value.slice(1) : '';
+    }
+
+    formatInvoiceDate(date) {
+        if (!date) return '';
+        return new Date(date).toLocaleDateString('en-ZA', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Read a supplier PDF invoice and open it as a new purchase invoice
+     * @param {File} file - PDF file
+     */
+    async handleInvoicePdf(file) {
+        if (!file.name.toLowerCase().endsWith('.pdf') && file.type !== 'application/pdf') {
+            showToast('Please select a PDF file', 'error');
+            return;
+        }
+
+        try {
+            showToast(`Reading ${file.name}...`, 'info');
+
+            const text = await extractPdfText(file);
+            if (!text.trim()) {
+                showToast('No text found in this PDF. Scanned invoices need to be captured manually.', 'warning');
+                return;
+            }
+
+            const parsed = parseInvoiceText(text);
+            const suppliers = await inventoryDB.getAllSuppliers();
+            const lowerText = text.toLowerCase();
+            const supplier = suppliers.find(s => s.code !== 'other' && lowerText.includes(s.name.toLowerCase()));
+
+            await this.showPurchaseInvoiceModal(null, {
+                fileName: file.name,
+                text: text,
+                supplier: supplier ? supplier.code : '',
+                invoiceNumber: parsed.invoiceNumber || '',
+                date: parsed.date,
+                tax: parsed.tax || 0,
+                lines: parsed.lines.map(line => ({
+                    ...this.createEmptyLine(),
+                    description: line.description,
+                    quantity: line.quantity,
+                    unitCost: line.unitPrice,
+                    // Keep the printed line total (the unit price is rounded when it had to be inferred),
+                    // unless it includes VAT - lines are captured excluding VAT like their unit cost
+                    total: line.total != null && !line.totalIncludesVat ?
+                        line.total :
+                        Math.round(line.quantity * line.unitPrice * 100) / 100,
+                    parseConfidence: line.confidence
+                }))
+            });
+
+            if (parsed.lines.length === 0) {
+                showToast('No line items could be recognised - please add them manually', 'warning');
+            } else {
+                const matched = this.invoiceLines.filter(line => line.itemId).length;
+                showToast(`Found ${parsed.lines.length} line(s), ${matched} matched to items. Please check before approving.`, 'success');
+            }
+
+        } catch (error) {
+            console.error('Error reading PDF invoice:', error);
+            showToast('Error reading PDF: ' + error.message, 'error');
+        }
+    }
+
+    async showPurchaseInvoiceModal(invoiceId = null, prefill = null) {
+        try {
+            const [suppliers, items] = await Promise.all([
+                inventoryDB.getAllSuppliers(),
+                inventoryDB.getAllItems()
+            ]);
+            this.suppliers = suppliers;
+            this.items = items.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+            const form = document.getElementById('purchaseInvoiceForm');
+            form.reset();
+            clearFormValidation(form);
+
+            const supplierSelect = document.getElementById('invoiceSupplier');
+            supplierSelect.innerHTML = '<option value="">Select Supplier</option>' +
+                this.suppliers.map(supplier =>
+                    `<option value="${supplier.code}">${supplier.name}</option>`
+                ).join('');
+
+            if (invoiceId) {
+                const invoice = await inventoryDB.getInvoiceById(invoiceId);
+                if (!invoice) {
+                    showToast('Invoice not found', 'error');
+                    return;
+                }
+                document.getElementById('purchaseInvoiceModalTitle').textContent = 'Edit Purchase Invoice';
+                document.getElementById('invoiceId').value = invoice.id;
+                supplierSelect.value = invoice.supplier || '';
+                document.getElementById('invoiceNumber').value = invoice.invoiceNumber || '';
+                document.getElementById('invoiceDate').value = invoice.date || '';
+                document.getElementById('invoiceTax').value = invoice.tax || 0;
+                document.getElementById('invoiceNotes').value = invoice.notes || '';
+                this.invoiceLines = (invoice.lines || []).map(line => ({ ...line }));
+                this.invoiceLines
+                    .filter(line => !line.itemId && !line.skip)
+                    .forEach(line => this.refreshLineMatches(line));
+            } else {
+                document.getElementById('purchaseInvoiceModalTitle').textContent = 'New Purchase Invoice';
+                document.getElementById('invoiceId').value = '';
+                document.getElementById('invoiceDate').value = new Date().toISOString().split('T')[0];
+                document.getElementById('invoiceTax').value = 0;
+                this.invoiceLines = [];
+            }
+
+            // Pre-fill from a parsed PDF invoice
+            this.pdfSource = prefill ? { fileName: prefill.fileName } : null;
+            if (prefill) {
+                supplierSelect.value = prefill.supplier || '';
+                document.getElementById('invoiceNumber').value = prefill.invoiceNumber || '';
+                if (prefill.date) {
+                    document.getElementById('invoiceDate').value = prefill.date;
+                }
+                document.getElementById('invoiceTax').value = prefill.tax || 0;
+                this.invoiceLines = prefill.lines.map(line => {
+                    this.refreshLineMatches(line);
+                    return line;
+                });
+            }
+
+            document.getElementById('invoiceExtractedTextSection').classList.toggle('d-none', !prefill);
+            document.getElementById('invoiceSourceFileName').textContent = prefill ? prefill.fileName : '';
+            document.getElementById('invoiceExtractedTextContent').textContent = prefill ? prefill.text : '';
+
+            if (this.invoiceLines.length === 0) {
+                this.invoiceLines.push(this.createEmptyLine());
+            }
+
+            this.renderInvoiceLines();
+
+            const modal = new bootstrap.Modal(document.getElementById('purchaseInvoiceModal'));
+            modal.show();
+
+        } catch (error) {
+            console.error('Error showing invoice modal:', error);
+            showToast('Error opening invoice: ' + error.message, 'error');
+        }
+    }
+
+    createEmptyLine() {
+        return {
+            description: '',
+            itemId: null,
+            itemName: '',
+            quantity: 1,
+            unitCost: 0,
+            total: 0,
+            skip: false
+        };
+    }
+
+    addInvoiceLine(line = null) {
+        this.invoiceLines.push(line || this.createEmptyLine());
+        this.renderInvoiceLines();
+    }
+
+    removeInvoiceLine(index) {
+        this.invoiceLines.splice(index, 1);
+        if (this.invoiceLines.length === 0) {
+            this.invoiceLines.push(this.createEmptyLine());
+        }
+        this.renderInvoiceLines();
+    }
+
+    renderInvoiceLines() {
+        const tbody = document.getElementById('invoiceLinesBody');
+        tbody.innerHTML = this.invoiceLines.map((line, index) => this.renderInvoiceLineRow(line, index)).join('');
+        this.updateInvoiceTotals();
+    }
+
+    renderInvoiceLineRow(line, index) {
+        const itemOptions = this.items.map(item => `
+            <option value="${item.id}" ${item.id === line.itemId ? 'selected' : ''}>
+                ${escapeHtml(item.name || 'Unnamed item')}${item.sku ? ` (${escapeHtml(item.sku)})` : ''}
+            </option>
+        `).join('');
+
+        const confidenceBadge = {
+            'high': 'bg-success',
+            'medium': 'bg-warning text-dark',
+            'low': 'bg-danger'
+        };
+        const matchInfo = line.itemId && line.matchScore ? `
+            <span class="badge ${confidenceBadge[getMatchConfidence(line.matchScore)]}" title="Automatic match - please check">
+                ${Math.round(line.matchScore * 100)}% match
+            </span>
+        ` : '';
+        const suggestions = !line.skip ? (line.matchCandidates || [])
+            .filter(candidate => candidate.itemId !== line.itemId)
+            .map(candidate => `
+                <button type="button" class="btn btn-link btn-sm p-0 me-2 invoice-match-suggestion"
+                        data-index="${index}" data-item-id="${candidate.itemId}">
+                    ${escapeHtml(candidate.name)} (${Math.round(candidate.score * 100)}%)
+                </button>
+            `).join('') : '';
+
+        return `
+            <tr class="${line.skip ? 'table-secondary' : (!line.itemId ? 'table-warning' : '')}">
+                <td>
+                    <input type="text" class="form-control form-control-sm" data-index="${index}" data-field="description"
+                           value="${escapeHtml(line.description || '')}" placeholder="As printed on the invoice">
+                    ${line.parseConfidence === 'low' ? '<small class="text-warning"><i class="fas fa-exclamation-triangle"></i> Unit price was inferred - please check</small>' : ''}
+                </td>
+                <td>
+                    <select class="form-select form-select-sm" data-index="${index}" data-field="itemId" ${line.skip ? 'disabled' : ''}>
+                        <option value="">-- Not matched --</option>
+                        ${itemOptions}
+                    </select>
+                    <div class="form-check form-check-inline mt-1">
+                        <input class="form-check-input" type="checkbox" id="invoiceLineSkip${index}"
+                               data-index="${index}" data-field="skip" ${line.skip ? 'checked' : ''}>
+                        <label class="form-check-label small" for="invoiceLineSkip${index}">Not a stock line</label>
+                    </div>
+                    ${matchInfo}
+                    ${suggestions ? `<div class="small"><span class="text-muted">Suggestions:</span> ${suggestions}</div>` : ''}
+                </td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" data-index="${index}" data-field="quantity"
+                           value="${line.quantity}" min="1" step="1">
+                </td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" data-index="${index}" data-field="unitCost"
+                           value="${line.unitCost}" min="0" step="0.01">
+                </td>
+                <td class="invoice-line-total" data-index="${index}">${formatCurrency(line.total || 0)}</td>
+                <td class="text-end">
+                    <button type="button" class="btn btn-sm btn-outline-danger remove-invoice-line-btn" data-index="${index}" title="Remove line">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    updateInvoiceLineFromInput(input, eventType = 'input') {
+        const index = parseInt(input.getAttribute('data-index'));
+        const field = input.getAttribute('data-field');
+        if (isNaN(index) || !field || !this.invoiceLines[index]) return;
+
+        const line = this.invoiceLines[index];
+
+        switch (field) {
+            case 'description':
+                line.description = input.value;
+                // Look for matches once the user leaves the field, never overriding their choice
+                if (eventType === 'change' && !line.skip) {
+                    this.refreshLineMatches(line);
+                    this.renderInvoiceLines();
+                }
+                return;
+            case 'itemId':
+                this.selectLineItem(index, parseInt(input.value));
+                return;
+            case 'skip':
+                line.skip = input.checked;
+                this.renderInvoiceLines();
+                return;
+            case 'quantity':
+                line.quantity = parseInt(input.value) || 0;
+                break;
+            case 'unitCost':
+                line.unitCost = parseFloat(input.value) || 0;
+                break;
+        }
+
+        line.total = Math.round(line.quantity * line.unitCost * 100) / 100;
+        const totalCell = document.querySelector(`#invoiceLinesBody .invoice-line-total[data-index="${index}"]`);
+        if (totalCell) {
+            totalCell.textContent = formatCurrency(line.total);
+        }
+        this.updateInvoiceTotals();
+    }
+
+    /**
+     * Rank items for a line's description and auto-match confident hits
+     * @param {Object} line - Invoice line
+     */
+    refreshLineMatches(line) {
+        const supplier = document.getElementById('invoiceSupplier').value || null;
+        const description = (line.description || '').trim();
+        const candidates = description.length >= 3 ?
+            matchItems(description, this.items, { supplier, limit: 3 }) : [];
+
+        line.matchCandidates = candidates.map(candidate => ({
+            itemId: candidate.item.id,
+            name: candidate.item.name,
+            score: candidate.score
+        }));
+
+        if (!line.itemId && candidates.length && getMatchConfidence(candidates[0].score) === 'high') {
+            line.itemId = candidates[0].item.id;
+            line.itemName = candidates[0].item.name;
+            line.matchScore = candidates[0].score;
+        }
+    }
+
+    /**
+     * Match a line to an item chosen by the user
+     * @param {number} index - Line index
+     * @param {number} itemId - Item ID (NaN to clear the match)
+     */
+    selectLineItem(index, itemId) {
+        const line = this.invoiceLines[index];
+        if (!line) return;
+
+        const item = this.items.find(i => i.id === itemId);
+        line.itemId = item ? item.id : null;
+        line.itemName = item ? item.name : '';
+        line.matchScore = null;
+        if (item && !line.description) {
+            line.description = item.name;
+        }
+        this.renderInvoiceLines();
+    }
+
+    calculateInvoiceTotals() {
+        const subtotal = this.invoiceLines.reduce((sum, line) => sum + (line.total || 0), 0);
+        const tax = parseFloat(document.getElementById('invoiceTax').value) || 0;
+
+        return {
+            subtotal: Math.round(subtotal * 100) / 100,
+            tax: tax,
+            total: Math.round((subtotal + tax) * 100) / 100
+        };
+    }
+
+    updateInvoiceTotals() {
+        const totals = this.calculateInvoiceTotals();
+        document.getElementById('invoiceSubtotalDisplay').textContent = formatCurrency(totals.subtotal);
+        document.getElementById('invoiceTaxDisplay').textContent = formatCurrency(totals.tax);
+        document.getElementById('invoiceTotalDisplay').textContent = formatCurrency(totals.total);
+    }
+
+    async savePurchaseInvoice(approve = false) {
+        const form = document.getElementById('purchaseInvoiceForm');
+        if (!validateForm(form)) {
+            showToast('Please fill in all required fields', 'error');
+            return;
+        }
+
+        // Drop completely empty lines before validating
+        const lines = this.invoiceLines.filter(line => line.description.trim() || line.itemId);
+        if (lines.length === 0) {
+            showToast('Please add at least one line item', 'error');
+            return;
+        }
+
+        const invalidLine = lines.find(line => !line.skip && !(line.quantity > 0));
+        if (invalidLine) {
+            showToast(`Invalid quantity for "${invalidLine.description || invalidLine.itemName}"`, 'error');
+            return;
+        }
+
+        if (approve) {
+            const unmatched = lines.filter(line => !line.skip && !line.itemId);
+            if (unmatched.length > 0) {
+                showToast(`${unmatched.length} line(s) still need to be matched to an item or marked as not stock`, 'warning');
+                return;
+            }
+        }
+
+        const totals = this.calculateInvoiceTotals();
+        const invoiceData = {
+            type: 'purchase',
+            supplier: document.getElementById('invoiceSupplier').value,
+            invoiceNumber: document.getElementById('invoiceNumber').value.trim(),
+            date: document.getElementById('invoiceDate').value,
+            notes: document.getElementById('invoiceNotes').value.trim(),
+            lines: lines.map(line => {
+                const { matchCandidates, ...saved } = line;
+                return { ...saved, description: line.description.trim() };
+            }),
+            subtotal: totals.subtotal,
+            tax: totals.tax,
+            total: totals.total
+        };
+
+        if (this.pdfSource) {
+            invoiceData.sourceFileName = this.pdfSource.fileName;
+        }
+
+        try {
+            const invoiceIdValue = document.getElementById('invoiceId').value;
+            let invoice;
+
+            if (invoiceIdValue) {
+                invoice = await inventoryDB.updateInvoice(parseInt(invoiceIdValue), invoiceData);
+            } else {
+                invoice = await inventoryDB.createInvoice({ ...invoiceData, status: 'draft' });
+            }
+
+            bootstrap.Modal.getInstance(document.getElementById('purchaseInvoiceModal')).hide();
+
+            if (approve) {
+                await this.approveInvoice(invoice.id, false);
+            } else {
+                showToast('Invoice saved as draft', 'success');
+                await this.loadInvoices();
+            }
+
+        } catch (error) {
+            console.error('Error saving invoice:', error);
+            showToast('Error saving invoice: ' + error.message, 'error');
+        }
+    }
+
+    async approveInvoice(invoiceId, askConfirmation = true) {
+        try {
+            const invoice = await inventoryDB.getInvoiceById(invoiceId);
+            if (!invoice) {
+                showToast('Invoice not found', 'error');
+                return;
+            }
+
+            const stockLines = (invoice.lines || []).filter(line => !line.skip);
+            if (askConfirmation && !confirm(`Approve invoice ${invoice.invoiceNumber} and add ${stockLines.length} line(s) to stock?`)) {
+                return;
+            }
+
+            await inventoryDB.approvePurchaseInvoice(invoiceId);
+
+            showToast(`Invoice ${invoice.invoiceNumber} approved - ${stockLines.length} line(s) booked into stock`, 'success');
+
+            const detailsModal = document.getElementById('invoiceDetailsModal');
+            if (detailsModal) {
+                bootstrap.Modal.getInstance(detailsModal)?.hide();
+            }
+
+            await this.loadInvoices();
+
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+
+        } catch (error) {
+            console.error('Error approving invoice:', error);
+            showToast('Error approving invoice: ' + error.message, 'error');
+            await this.loadInvoices();
+        }
+    }
+
+    async deleteInvoice(invoiceId) {
+        if (!confirm('Delete this draft invoice? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await inventoryDB.deleteInvoice(invoiceId);
+            showToast('Draft invoice deleted', 'success');
+
+            const detailsModal = document.getElementById('invoiceDetailsModal');
+            if (detailsModal) {
+                bootstrap.Modal.getInstance(detailsModal)?.hide();
+            }
+
+            await this.loadInvoices();
+        } catch (error) {
+            console.error('Error deleting invoice:', error);
+            showToast('Error deleting invoice: ' + error.message, 'error');
+        }
+    }
+
+    editInvoice(invoiceId) {
+        const detailsModal = document.getElementById('invoiceDetailsModal');
+        if (detailsModal) {
+            bootstrap.Modal.getInstance(detailsModal)?.hide();
+        }
+        this.showPurchaseInvoiceModal(invoiceId);
+    }
+
+    async showSaleInvoiceModal() {
+        try {
+            const [items, invoices] = await Promise.all([
+                inventoryDB.getAllItems(),
+                inventoryDB.getAllInvoices()
+            ]);
+            this.items = items
+                .filter(item => item.itemType === 'reselling')
+                .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+            if (this.items.length === 0) {
+                showToast('There are no reselling items to sell', 'warning');
+                return;
+            }
+
+            const form = document.getElementById('saleInvoiceForm');
+            form.reset();
+            clearFormValidation(form);
+
+            const today = new Date().toISOString().split('T')[0];
+            document.getElementById('saleInvoiceDate').value = today;
+            document.getElementById('saleInvoiceNumber').value = this.generateSaleInvoiceNumber(invoices, today);
+
+            this.saleLines = [this.createEmptySaleLine()];
+            this.renderSaleLines();
+
+            const modal = new bootstrap.Modal(document.getElementById('saleInvoiceModal'));
+            modal.show();
+
+        } catch (error) {
+            console.error('Error showing sale invoice modal:', error);
+            showToast('Error opening sale invoice: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Suggest the next sale invoice number for a date, e.g. S20240315-002
+     * @param {Array} invoices - Existing invoices
+     * @param {string} date - Invoice date (YYYY-MM-DD)
+     * @returns {string} Invoice number
+     */
+    generateSaleInvoiceNumber(invoices, date) {
+        const prefix = 'S' + date.replace(/-/g, '') + '-';
+        const sameDay = invoices.filter(invoice =>
+            invoice.type === 'sale' && invoice.invoiceNumber && invoice.invoiceNumber.startsWith(prefix)
+        );
+        return prefix + String(sameDay.length + 1).padStart(3, '0');
+    }
+
+    createEmptySaleLine() {
+        return {
+            itemId: null,
+            itemName: '',
+            quantity: 1,
+            unitPrice: 0,
+            total: 0
+        };
+    }
+
+    addSaleLine() {
+        this.saleLines.push(this.createEmptySaleLine());
+        this.renderSaleLines();
+    }
+
+    removeSaleLine(index) {
+        this.saleLines.splice(index, 1);
+        if (this.saleLines.length === 0) {
+            this.saleLines.push(this.createEmptySaleLine());
+        }
+        this.renderSaleLines();
+    }
+
+    renderSaleLines() {
+        const tbody = document.getElementById('saleInvoiceLinesBody');
+        tbody.innerHTML = this.saleLines.map((line, index) => this.renderSaleLineRow(line, index)).join('');
+        this.updateSaleTotal();
+    }
+
+    renderSaleLineRow(line, index) {
+        const item = this.items.find(i => i.id === line.itemId);
+        const itemOptions = this.items.map(i => `
+            <option value="${i.id}" ${i.id === line.itemId ? 'selected' : ''} ${(i.quantity || 0) <= 0 ? 'disabled' : ''}>
+                ${escapeHtml(i.name || 'Unnamed item')}${i.sku ? ` (${escapeHtml(i.sku)})` : ''}
+            </option>
+        `).join('');
+
+        return `
+            <tr>
+                <td>
+                    <select class="form-select form-select-sm" data-index="${index}" data-field="itemId">
+                        <option value="">-- Select item --</option>
+                        ${itemOptions}
+                    </select>
+                </td>
+                <td>${item ? `<span class="badge ${(item.quantity || 0) < line.quantity ? 'bg-danger' : 'bg-secondary'}">${item.quantity || 0}</span>` : '-'}</td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" data-index="${index}" data-field="quantity"
+                           value="${line.quantity}" min="1" step="1">
+                </td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" data-index="${index}" data-field="unitPrice"
+                           value="${line.unitPrice}" min="0" step="0.01">
+                </td>
+                <td class="sale-line-total" data-index="${index}">${formatCurrency(line.total || 0)}</td>
+                <td class="text-end">
+                    <button type="button" class="btn btn-sm btn-outline-danger remove-sale-line-btn" data-index="${index}" title="Remove line">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    updateSaleLineFromInput(input) {
+        const index = parseInt(input.getAttribute('data-index'));
+        const field = input.getAttribute('data-field');
+        if (isNaN(index) || !field || !this.saleLines[index]) return;
+
+        const line = this.saleLines[index];
+
+        switch (field) {
+            case 'itemId': {
+                const item = this.items.find(i => i.id === parseInt(input.value));
+                line.itemId = item ? item.id : null;
+                line.itemName = item ? item.name : '';
+                line.unitPrice = item ? (item.sellingPrice || 0) : 0;
+                line.total = Math.round(line.quantity * line.unitPrice * 100) / 100;
+                this.renderSaleLines();
+                return;
+            }
+            case 'quantity':
+                line.quantity = parseInt(input.value) || 0;
+                break;
+            case 'unitPrice':
+                line.unitPrice = parseFloat(input.value) || 0;
+                break;
+        }
+
+        line.total = Math.round(line.quantity * line.unitPrice * 100) / 100;
+        const totalCell = document.querySelector(`#saleInvoiceLinesBody .sale-line-total[data-index="${index}"]`);
+        if (totalCell) {
+            totalCell.textContent = formatCurrency(line.total);
+        }
+        this.updateSaleTotal();
+    }
+
+    updateSaleTotal() {
+        const total = this.saleLines.reduce((sum, line) => sum + (line.total || 0), 0);
+        document.getElementById('saleInvoiceTotalDisplay').textContent = formatCurrency(total);
+    }
+
+    async confirmSaleInvoice() {
+        const form = document.getElementById('saleInvoiceForm');
+        if (!validateForm(form)) {
+            showToast('Please fill in all required fields', 'error');
+            return;
+        }
+
+        const lines = this.saleLines.filter(line => line.itemId);
+        if (lines.length === 0) {
+            showToast('Please add at least one item', 'error');
+            return;
+        }
+
+        const invalidLine = lines.find(line => !(line.quantity > 0));
+        if (invalidLine) {
+            showToast(`Invalid quantity for ${invalidLine.itemName}`, 'error');
+            return;
+        }
+
+        const total = Math.round(lines.reduce((sum, line) => sum + line.total, 0) * 100) / 100;
+        const invoiceData = {
+            customer: document.getElementById('saleInvoiceCustomer').value.trim(),
+            invoiceNumber: document.getElementById('saleInvoiceNumber').value.trim(),
+            date: document.getElementById('saleInvoiceDate').value,
+            notes: document.getElementById('saleInvoiceNotes').value.trim(),
+            lines: lines.map(line => ({ ...line })),
+            subtotal: total,
+            tax: 0,
+            total: total
+        };
+
+        try {
+            await inventoryDB.recordSaleInvoice(invoiceData);
+
+            bootstrap.Modal.getInstance(document.getElementById('saleInvoiceModal')).hide();
+            showToast(`Sale ${invoiceData.invoiceNumber} recorded - ${lines.length} line(s) booked out of stock`, 'success');
+
+            await this.loadInvoices();
+
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+
+        } catch (error) {
+            console.error('Error recording sale invoice:', error);
+            showToast('Error recording sale: ' + error.message, 'error');
+        }
+    }
+
+    async showInvoiceDetails(invoiceId) {
+        try {
+            const invoice = await inventoryDB.getInvoiceById(invoiceId);
+            if (!invoice) {
+                showToast('Invoice not found', 'error');
+                return;
+            }
+
+            const isSale = invoice.type === 'sale';
+            const linesHtml = isSale ? (invoice.lines || []).map(line => `
+                <tr>
+                    <td colspan="2">${escapeHtml(line.itemName || '')}</td>
+                    <td>${line.quantity}</td>
+                    <td>${formatCurrency(line.unitPrice || 0)}</td>
+                    <td>${formatCurrency(line.total || 0)}</td>
+                </tr>
+            `).join('') : (invoice.lines || []).map(line => `
+                <tr class="${line.skip ? 'text-muted' : ''}">
+                    <td>${escapeHtml(line.description || '')}</td>
+                    <td>${line.skip ? '<span class="badge bg-secondary">Not stock</span>' :
+                        (line.itemId ? escapeHtml(line.itemName || '') : '<span class="badge bg-warning text-dark">Not matched</span>')}</td>
+                    <td>${line.quantity}</td>
+                    <td>${formatCurrency(line.unitCost || 0)}</td>
+                    <td>${formatCurrency(line.total || 0)}</td>
+                </tr>
+            `).join('');
+
+            const isDraft = invoice.status === 'draft';
+
+            const modalHtml = `
+                <div class="modal fade" id="invoiceDetailsModal" tabindex="-1">
+                    <div class="modal-dialog modal-lg">
+                        <div class="modal-content">
+                            <div class="modal-header">
+                                <h5 class="modal-title">
+                                    <i class="fas fa-file-invoice"></i> Invoice ${escapeHtml(invoice.invoiceNumber || '')}
+                                    ${this.getStatusBadge(invoice.status)}
+                                </h5>
+                                <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                            </div>
+                            <div class="modal-body">
+                                <div class="row">
+                                    <div class="col-md-6">
+                                        <table class="table table-borderless">
+                                            <tr><th>Type:</th><td>${this.capitalize(invoice.type)}</td></tr>
+                                            ${isSale ?
+                                                `<tr><th>Customer:</th><td>${escapeHtml(invoice.customer || 'Walk-in')}</td></tr>` :
+                                                `<tr><th>Supplier:</th><td>${this.getSupplierName(invoice.supplier)}</td></tr>`
+                                            }
+                                            <tr><th>Invoice Date:</th><td>${this.formatInvoiceDate(invoice.date)}</td></tr>
+                                            ${invoice.sourceFileName ? `<tr><th>Source:</th><td><i class="fas fa-file-pdf text-danger"></i> ${escapeHtml(invoice.sourceFileName)}</td></tr>` : ''}
+                                        </table>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <table class="table table-borderless">
+                                            ${isSale ? '' : `
+                                                <tr><th>Subtotal:</th><td>${formatCurrency(invoice.subtotal || 0)}</td></tr>
+                                                <tr><th>VAT:</th><td>${formatCurrency(invoice.tax || 0)}</td></tr>
+                                            `}
+                                            <tr><th>Total:</th><td><strong>${formatCurrency(invoice.total || 0)}</strong></td></tr>
+                                        </table>
+                                    </div>
+                                </div>
+                                <div class="table-responsive">
+                                    <table class="table table-sm">
+                                        <thead class="table-dark">
+                                            <tr>
+                                                <th>Description</th>
+                                                <th>Item</th>
+                                                <th>Qty</th>
+                                                <th>${isSale ? 'Unit Price' : 'Unit Cost'}</th>
+                                                <th>Total</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>${linesHtml}</tbody>
+                                    </table>
+                                </div>
+                                ${invoice.notes ? `<p><strong>Notes:</strong> ${escapeHtml(invoice.notes)}</p>` : ''}
+                                <small class="text-muted">
+                                    Created: ${formatDate(invoice.createdAt)}
+                                    ${invoice.approvedAt ? ` | Approved: ${formatDate(invoice.approvedAt)}` : ''}
+                                    ${invoice.completedAt ? ` | Stock booked out: ${formatDate(invoice.completedAt)}` : ''}
+                                </small>
+                            </div>
+                            <div class="modal-footer">
+                                ${isDraft ? `
+                                    <button type="button" class="btn btn-outline-danger me-auto" onclick="invoiceManager.deleteInvoice(${invoice.id})">
+                                        <i class="fas fa-trash"></i> Delete Draft
+                                    </button>
+                                    <button type="button" class="btn btn-warning" onclick="invoiceManager.editInvoice(${invoice.id})">
+                                        <i class="fas fa-edit"></i> Edit
+                                    </button>
+                                    <button type="button" class="btn btn-success" onclick="invoiceManager.approveInvoice(${invoice.id})">
+                                        <i class="fas fa-check"></i> Approve
+                                    </button>
+                                ` : ''}
+                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            // Remove existing modal if any
+            const existingModal = document.getElementById('invoiceDetailsModal');
+            if (existingModal) {
+                existingModal.remove();
+            }
+
+            document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+            const modal = new bootstrap.Modal(document.getElementById('invoiceDetailsModal'));
+            modal.show();
+
+            // Remove modal from DOM after it's hidden
+            document.getElementById('invoiceDetailsModal').addEventListener('hidden.bs.modal', function() {
+                this.remove();
+            });
+
+        } catch (error) {
+            console.error('Error showing invoice details:', error);
+            showToast('Error loading invoice details', 'error');
+        }
+    }
+}
+
+// Global invoice manager instance
+const invoiceManager = new InvoiceManager();
@@ -6,6 +6,7 @@ class ItemsManager {
     constructor() {
         this.items = [];
         this.filteredItems = [];
+        this.locationStock = {};
         this.currentImageData = null;
         this.editImageData = null;
     }
@@ -237,6 +238,7 @@ class ItemsManager {
         try {
             showLoading('itemsTable');
             this.items = await inventoryDB.getAllItems();
+            this.locationStock = await inventoryDB.getLocationStockSummary();
             this.filteredItems = [...this.items];
             this.renderItemsTable();
         } catch (error) {
@@ -411,7 +413,8 @@ class ItemsManager {
         switch (itemType) {
             case 'reselling':
             case 'consumable':
-                return `<span class="badge ${quantity < 5 ? 'bg-warning' : 'bg-success'}">${quantity}</span>`;
+                return `<span class="badge ${quantity < 5 ? 'bg-warning' : 'bg-success'}">${quantity}</span>` +
+                    this.getLocationBreakdownDisplay(item);
             case 'office_equipment':
                 return `<span class="badge bg-secondary">${quantity}</span>`;
             default:
@@ -419,6 +422,15 @@ class ItemsManager {
         }
     }
     
+    getLocationBreakdownDisplay(item) {
+        const breakdown = this.locationStock[item.id] || [];
+        return breakdown.map(entry => `
+            <small class="d-block text-nowrap ${entry.isLow ? 'text-danger' : 'text-muted'}">
+                ${escapeHtml(entry.locationName)}: ${entry.quantity}${entry.isLow ? ` <i class="fas fa-exclamation-triangle" title="Below ${entry.threshold}"></i>` : ''}
+            </small>
+        `).join('');
+    }
+    
     getDetailedPricingInfo(item, itemType) {
         const costPrice = item.costPrice || item.price || 0;
         
@@ -493,6 +505,7 @@ class ItemsManager {
             const itemData = {
                 name: itemName,
                 sku: document.getElementById('itemSKU').value.trim() || null,
+                nappiCode: document.getElementById('itemNappiCode').value.trim() || null,
                 itemType: itemType,
                 category: document.getElementById('itemCategory').value || null,
                 costPrice: parseFloat(document.getElementById('itemCostPrice').value) || 0,
@@ -513,9 +526,11 @@ class ItemsManager {
             if (itemType === 'reselling') {
                 itemData.sellingPrice = parseFloat(document.getElementById('itemSellingPrice').value) || 0;
                 itemData.quantity = parseInt(document.getElementById('itemQuantity').value) || 0;
+                itemData.unit = document.getElementById('itemUnit').value.trim() || null;
                 itemData.lowStockThreshold = parseInt(document.getElementById('itemLowStockThreshold').value) || 5;
             } else if (itemType === 'consumable') {
                 itemData.quantity = parseInt(document.getElementById('itemQuantity').value) || 0;
+                itemData.unit = document.getElementById('itemUnit').value.trim() || null;
                 itemData.lowStockThreshold = parseInt(document.getElementById('itemLowStockThreshold').value) || 5;
             } else if (itemType === 'office_equipment') {
                 itemData.purchaseDate = document.getElementById('itemPurchaseDate').value || null;
@@ -617,6 +632,7 @@ class ItemsManager {
                                     <table class="table table-borderless">
                                         <tr><th>Item Type:</th><td>${itemTypeBadge}</td></tr>
                                         <tr><th>SKU:</th><td>${item.sku || 'N/A'}</td></tr>
+                                        ${item.nappiCode ? `<tr><th>NAPPI Code:</th><td>${item.nappiCode}</td></tr>` : ''}
                                         <tr><th>Category:</th><td>${item.category || 'N/A'}</td></tr>
                                         ${pricingDetails}
                                         ${itemType !== 'office_equipment' ? `<tr><th>Quantity:</th><td>${item.quantity || 0}</td></tr>` : ''}
@@ -766,16 +782,25 @@ class ItemsManager {
         document.getElementById('editItemId').value = item.id;
         document.getElementById('editItemName').value = item.name || '';
         document.getElementById('editItemSKU').value = item.sku || '';
+        document.getElementById('editItemNappiCode').value = item.nappiCode || '';
         document.getElementById('editItemType').value = item.itemType || 'reselling'; // Default to reselling for legacy items
         document.getElementById('editItemCostPrice').value = item.costPrice || item.price || '';
         document.getElementById('editItemSellingPrice').value = item.sellingPrice || '';
         document.getElementById('editItemQuantity').value = item.quantity || 0;
+        document.getElementById('editItemUnit').value = item.unit || '';
         document.getElementById('editItemPurchaseDate').value = item.purchaseDate || '';
         document.getElementById('editItemSeller').value = item.seller || '';
         document.getElementById('editItemListingName').value = item.listingName || '';
         document.getElementById('editItemAltNames').value = item.alternativeNames ? item.alternativeNames.join(', ') : '';
         document.getElementById('editItemDescription').value = item.description || '';
         
+        // Stock held in lots only changes through stock movements
+        const hasLots = (await inventoryDB.getItemLots(item.id)).length > 0;
+        document.getElementById('editItemQuantity').readOnly = hasLots;
+        document.getElementById('editItemQuantityHelp').textContent = hasLots ?
+            'Total of the item\'s lots - record a stock adjustment to correct it' :
+            'Current stock level and the unit it is counted in';
+        
         // Set low stock threshold if available
         const lowStockThresholdInput = document.getElementById('editItemLowStockThreshold');
         if (lowStockThresholdInput) {
@@ -892,6 +917,7 @@ class ItemsManager {
             const itemData = {
                 name: itemName,
                 sku: itemSKU || null,
+                nappiCode: document.getElementById('editItemNappiCode').value.trim() || null,
                 itemType: itemType,
                 category: document.getElementById('editItemCategory').value || null,
                 costPrice: parseFloat(document.getElementById('editItemCostPrice').value) || 0,
@@ -910,9 +936,11 @@ class ItemsManager {
             if (itemType === 'reselling') {
                 itemData.sellingPrice = parseFloat(document.getElementById('editItemSellingPrice').value) || 0;
                 itemData.quantity = parseInt(document.getElementById('editItemQuantity').value) || 0;
+                itemData.unit = document.getElementById('editItemUnit').value.trim() || null;
                 itemData.lowStockThreshold = parseInt(document.getElementById('editItemLowStockThreshold').value) || 5;
             } else if (itemType === 'consumable') {
                 itemData.quantity = parseInt(document.getElementById('editItemQuantity').value) || 0;
+                itemData.unit = document.getElementById('editItemUnit').value.trim() || null;
                 itemData.lowStockThreshold = parseInt(document.getElementById('editItemLowStockThreshold').value) || 5;
             } else if (itemType === 'office_equipment') {
                 itemData.purchaseDate = document.getElementById('editItemPurchaseDate').value || null;
@@ -1217,6 +1245,7 @@ class ItemsManager {
             this.currentViewType = itemType;
             showLoading(this.getTableId(itemType));
             this.items = await inventoryDB.getAllItems();
+            this.locationStock = await inventoryDB.getLocationStockSummary();
             
             // Filter items by type
             this.filteredItems = this.items.filter(item => {
@@ -1624,7 +1653,10 @@ class ItemsManager {
                         <td>${formatCurrency(costPrice)}</td>
                         <td>${formatCurrency(sellingPrice)}</td>
                         <td class="${profit >= 0 ? 'text-success' : 'text-danger'}">${margin}%</td>
-                        <td><span class="badge ${(item.quantity || 0) < 5 ? 'bg-warning' : 'bg-success'}">${item.quantity || 0}</span></td>
+                        <td>
+                            <span class="badge ${(item.quantity || 0) < 5 ? 'bg-warning' : 'bg-success'}">${item.quantity || 0}</span>
+                            ${this.getLocationBreakdownDisplay(item)}
+                        </td>
                         <td>${formatCurrency(totalValue)}</td>
                         ${actionsColumn}
                     </tr>
@@ -1636,7 +1668,10 @@ class ItemsManager {
                     <tr>
                         ${baseColumns}
                         <td>${formatCurrency(costPrice)}</td>
-                        <td><span class="badge ${(item.quantity || 0) < 5 ? 'bg-warning' : 'bg-success'}">${item.quantity || 0}</span></td>
+                        <td>
+                            <span class="badge ${(item.quantity || 0) < 5 ? 'bg-warning' : 'bg-success'}">${item.quantity || 0}</span>
+                            ${this.getLocationBreakdownDisplay(item)}
+                        </td>
                         <td>${formatCurrency(consumableValue)}</td>
                         ${actionsColumn}
                     </tr>
@@ -0,0 +1,310 @@
+/**
+ * Locations UI Management
+ */
+
+class LocationsManager {
+    constructor() {
+        this.locations = [];
+        this.filteredLocations = [];
+        this.lots = [];
+    }
+
+    async init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Manage locations button (from settings menu)
+        document.getElementById('manageLocationsBtn').addEventListener('click', () => {
+            this.showManageLocationsModal();
+        });
+
+        // Add location button (in manage modal)
+        document.getElementById('addLocationModalBtn').addEventListener('click', () => {
+            this.showAddLocationModal();
+        });
+
+        // Save location button
+        document.getElementById('saveLocationBtn').addEventListener('click', () => {
+            this.saveLocation();
+        });
+
+        // Update location button
+        document.getElementById('updateLocationBtn').addEventListener('click', () => {
+            this.updateLocation();
+        });
+
+        // Search locations in modal
+        const searchInput = document.getElementById('locationModalSearch');
+        if (searchInput) {
+            const debouncedSearch = debounce(() => this.filterLocations(), 300);
+            searchInput.addEventListener('input', debouncedSearch);
+        }
+
+        // Location code validation
+        ['locationCode', 'editLocationCode'].forEach(id => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                // Convert to lowercase and remove spaces
+                e.target.value = e.target.value.toLowerCase().replace(/\s+/g, '');
+            });
+        });
+    }
+
+    async showManageLocationsModal() {
+        const modal = new bootstrap.Modal(document.getElementById('manageLocationsModal'));
+
+        // Load locations
+        await this.loadLocations();
+
+        modal.show();
+    }
+
+    async loadLocations() {
+        try {
+            showLoading('locationsModalTable');
+            const [locations, lots] = await Promise.all([
+                inventoryDB.getAllLocations(),
+                inventoryDB.getAllLots()
+            ]);
+            this.locations = locations;
+            this.lots = lots.filter(lot => lot.quantity > 0);
+            this.filteredLocations = [...this.locations];
+            this.renderLocationsTable();
+        } catch (error) {
+            console.error('Error loading locations:', error);
+            showToast('Error loading locations', 'error');
+            document.getElementById('locationsModalTable').innerHTML =
+                '<p class="text-muted">Error loading locations</p>';
+        }
+    }
+
+    filterLocations() {
+        const searchQuery = document.getElementById('locationModalSearch').value.toLowerCase();
+
+        if (!searchQuery) {
+            this.filteredLocations = [...this.locations];
+        } else {
+            this.filteredLocations = this.locations.filter(location =>
+                location.name.toLowerCase().includes(searchQuery) ||
+                location.code.toLowerCase().includes(searchQuery) ||
+                (location.description && location.description.toLowerCase().includes(searchQuery))
+            );
+        }
+
+        this.renderLocationsTable();
+    }
+
+    renderLocationsTable() {
+        const container = document.getElementById('locationsModalTable');
+
+        if (!this.filteredLocations.length) {
+            container.innerHTML = '<p class="text-muted">No locations found</p>';
+            return;
+        }
+
+        const tableHtml = `
+            <div class="table-responsive">
+                <table class="table table-striped">
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Code</th>
+                            <th>Description</th>
+                            <th>Stock Held</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.filteredLocations.map(location => this.renderLocationRow(location)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.innerHTML = tableHtml;
+    }
+
+    renderLocationRow(location) {
+        const stock = this.getLocationStock(location.id);
+
+        return `
+            <tr>
+                <td>
+                    <div class="fw-bold">${escapeHtml(location.name)}</div>
+                    ${location.isDefault ? '<small class="text-muted">Main location - deliveries are booked in here</small>' : ''}
+                </td>
+                <td><code>${escapeHtml(location.code)}</code></td>
+                <td>${location.description ? escapeHtml(location.description) : '<span class="text-muted">No description</span>'}</td>
+                <td>
+                    <span class="badge bg-info">${stock.items} items</span>
+                    <span class="badge bg-secondary">${stock.units} units</span>
+                </td>
+                <td>
+                    <div class="btn-group btn-group-sm" role="group">
+                        <button type="button" class="btn btn-outline-warning" onclick="locationsManager.editLocation(${location.id})" title="Edit Location">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        ${!location.isDefault ?
+                            `<button type="button" class="btn btn-outline-danger" onclick="locationsManager.deleteLocation(${location.id})" title="Delete Location">
+                                <i class="fas fa-trash"></i>
+                            </button>` : ''
+                        }
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    getLocationStock(locationId) {
+        const lots = this.lots.filter(lot => lot.locationId === locationId);
+        return {
+            items: new Set(lots.map(lot => lot.itemId)).size,
+            units: lots.reduce((sum, lot) => sum + lot.quantity, 0)
+        };
+    }
+
+    showAddLocationModal() {
+        const modal = new bootstrap.Modal(document.getElementById('addLocationModal'));
+        const form = document.getElementById('addLocationForm');
+
+        // Reset form
+        resetForm(form);
+
+        modal.show();
+    }
+
+    isDuplicate(name, code, excludeId = null) {
+        return this.locations.some(l =>
+            l.id !== excludeId && (
+                l.name.toLowerCase() === name.toLowerCase() ||
+                l.code.toLowerCase() === code.toLowerCase()
+            )
+        );
+    }
+
+    async saveLocation() {
+        const form = document.getElementById('addLocationForm');
+
+        if (!validateForm(form)) {
+            showToast('Please fill in all required fields', 'error');
+            return;
+        }
+
+        const locationName = document.getElementById('locationName').value.trim();
+        const locationCode = document.getElementById('locationCode').value.trim();
+
+        // Validate unique name and code
+        if (this.isDuplicate(locationName, locationCode)) {
+            showToast('Location name or code already exists', 'error');
+            return;
+        }
+
+        try {
+            await inventoryDB.addLocation({
+                name: locationName,
+                code: locationCode,
+                description: document.getElementById('locationDescription').value.trim() || null,
+                isDefault: false
+            });
+
+            // Close modal
+            bootstrap.Modal.getInstance(document.getElementById('addLocationModal')).hide();
+
+            // Refresh locations list
+            await this.loadLocations();
+
+            showToast('Location added successfully', 'success');
+
+        } catch (error) {
+            console.error('Error saving location:', error);
+            showToast('Error saving location: ' + error.message, 'error');
+        }
+    }
+
+    async editLocation(locationId) {
+        const location = this.locations.find(l => l.id === locationId);
+        if (!location) {
+            showToast('Location not found', 'error');
+            return;
+        }
+
+        const modal = new bootstrap.Modal(document.getElementById('editLocationModal'));
+        const form = document.getElementById('editLocationForm');
+
+        // Reset form validation
+        clearFormValidation(form);
+
+        // Populate form with current location data
+        document.getElementById('editLocationId').value = location.id;
+        document.getElementById('editLocationName').value = location.name;
+        document.getElementById('editLocationCode').value = location.code;
+        document.getElementById('editLocationDescription').value = location.description || '';
+
+        modal.show();
+    }
+
+    async updateLocation() {
+        const form = document.getElementById('editLocationForm');
+
+        if (!validateForm(form)) {
+            showToast('Please fill in all required fields', 'error');
+            return;
+        }
+
+        const locationId = parseInt(document.getElementById('editLocationId').value);
+        const locationName = document.getElementById('editLocationName').value.trim();
+        const locationCode = document.getElementById('editLocationCode').value.trim();
+
+        // Validate unique name and code (excluding current location)
+        if (this.isDuplicate(locationName, locationCode, locationId)) {
+            showToast('Location name or code already exists', 'error');
+            return;
+        }
+
+        try {
+            await inventoryDB.updateLocation(locationId, {
+                name: locationName,
+                code: locationCode,
+                description: document.getElementById('editLocationDescription').value.trim() || null
+            });
+
+            // Close modal
+            bootstrap.Modal.getInstance(document.getElementById('editLocationModal')).hide();
+
+            // Refresh locations list
+            await this.loadLocations();
+
+            showToast('Location updated successfully', 'success');
+
+        } catch (error) {
+            console.error('Error updating location:', error);
+            showToast('Error updating location: ' + error.message, 'error');
+        }
+    }
+
+    async deleteLocation(locationId) {
+        const location = this.locations.find(l => l.id === locationId);
+        if (!location) {
+            showToast('Location not found', 'error');
+            return;
+        }
+
+        if (!confirm(`Are you sure you want to delete the location "${location.name}"?`)) {
+            return;
+        }
+
+        try {
+            await inventoryDB.deleteLocation(locationId);
+            await this.loadLocations();
+
+            showToast('Location deleted successfully', 'success');
+
+        } catch (error) {
+            console.error('Error deleting location:', error);
+            showToast('Error deleting location: ' + error.message, 'error');
+        }
+    }
+}
+
+// Create global locations manager instance
+const locationsManager = new LocationsManager();
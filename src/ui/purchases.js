@@ -7,6 +7,8 @@ class PurchaseManager {
         this.purchases = [];
         this.filteredPurchases = [];
         this.suppliers = [];
+        this.items = [];
+        this.orderLines = [];
     }
 
     async init() {
@@ -44,18 +46,28 @@ class PurchaseManager {
             }
             if (e.target.classList.contains('edit-purchase-btn')) {
                 const purchaseId = e.target.getAttribute('data-purchase-id');
-                this.showEditOrderModal(purchaseId);
+                this.showPurchaseOrderModal(purchaseId);
             }
         });
 
+        // New purchase order button
+        document.getElementById('newPurchaseOrderBtn').addEventListener('click', () => {
+            this.showPurchaseOrderModal();
+        });
+
         // Mark received button
-        document.getElementById('markReceivedBtn').addEventListener('click', () => {
-            this.markPurchaseReceived();
+        document.getElementById('markReceivedBtn').addEventListener('click', (e) => {
+            runWithButtonLocked(e.currentTarget, () => this.markPurchaseReceived());
         });
 
-        // Update order button
-        document.getElementById('updateOrderBtn').addEventListener('click', () => {
-            this.updateOrder();
+        // Short-close button
+        document.getElementById('shortCloseOrderBtn').addEventListener('click', () => {
+            this.shortCloseOrder();
+        });
+
+        // Save order button
+        document.getElementById('savePurchaseOrderBtn').addEventListener('click', () => {
+            this.savePurchaseOrder();
         });
 
         // Cancel order button
@@ -63,12 +75,27 @@ class PurchaseManager {
             this.cancelOrder();
         });
 
-        // Update total when quantity or unit cost changes in edit order modal
-        document.getElementById('editOrderQuantity').addEventListener('input', () => {
-            this.updateOrderTotal();
+        // Purchase order line management
+        document.getElementById('addPurchaseOrderLineBtn').addEventListener('click', () => {
+            this.addOrderLine();
+        });
+
+        const orderLinesBody = document.getElementById('purchaseOrderLinesBody');
+        orderLinesBody.addEventListener('input', (e) => {
+            this.updateOrderLineFromInput(e.target);
+        });
+        orderLinesBody.addEventListener('change', (e) => {
+            this.updateOrderLineFromInput(e.target);
+        });
+        orderLinesBody.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.remove-order-line-btn');
+            if (removeBtn) {
+                this.removeOrderLine(parseInt(removeBtn.getAttribute('data-index')));
+            }
         });
-        document.getElementById('editOrderUnitCost').addEventListener('input', () => {
-            this.updateOrderTotal();
+
+        document.getElementById('purchaseOrderShipping').addEventListener('input', () => {
+            this.updateOrderTotals();
         });
     }
 
@@ -135,7 +162,8 @@ class PurchaseManager {
         this.filteredPurchases = this.purchases.filter(purchase => {
             const matchesSupplier = !supplierFilter || purchase.supplier === supplierFilter;
             const matchesInvoice = !invoiceFilter || 
-                (purchase.invoiceReference && purchase.invoiceReference.toLowerCase().includes(invoiceFilter));
+                (purchase.invoiceReference && purchase.invoiceReference.toLowerCase().includes(invoiceFilter)) ||
+                (purchase.poNumber && purchase.poNumber.toLowerCase().includes(invoiceFilter));
             const matchesStatus = !statusFilter || purchase.status === statusFilter;
 
             return matchesSupplier && matchesInvoice && matchesStatus;
@@ -173,10 +201,10 @@ class PurchaseManager {
                     <thead class="table-dark">
                         <tr>
                             <th>Order Date</th>
-                            <th>Item</th>
+                            <th>PO Number</th>
+                            <th>Items</th>
                             <th>Supplier</th>
-                            <th>Quantity</th>
-                            <th>Unit Cost</th>
+                            <th>Units</th>
                             <th>Total</th>
                             <th>Invoice Ref</th>
                             <th>Status</th>
@@ -210,15 +238,12 @@ class PurchaseManager {
         const supplierName = supplier ? supplier.name : purchase.supplier || 'Unknown';
         const supplierColor = supplier ? supplier.color : '#6c757d';
 
-        const statusBadgeClass = {
-            'ordered': 'bg-warning text-dark',
-            'received': 'bg-success',
-            'cancelled': 'bg-danger'
-        }[purchase.status] || 'bg-secondary';
+        const expectedDelivery = this.getNextExpectedDelivery(purchase);
+        const isOverdue = expectedDelivery && 
+            new Date(expectedDelivery) < new Date() && 
+            this.isOpenOrder(purchase);
 
-        const isOverdue = purchase.expectedDelivery && 
-            new Date(purchase.expectedDelivery) < new Date() && 
-            purchase.status === 'ordered';
+        const firstLine = purchase.lines[0];
 
         return `
             <tr class="${isOverdue ? 'table-warning' : ''}">
@@ -226,10 +251,14 @@ class PurchaseManager {
                     ${formatDate(purchase.orderDate)}
                     ${isOverdue ? '<br><small class="text-danger"><i class="fas fa-exclamation-triangle"></i> Overdue</small>' : ''}
                 </td>
+                <td>${purchase.poNumber ? `<code>${escapeHtml(purchase.poNumber)}</code>` : '<span class="text-muted">-</span>'}</td>
                 <td>
                     <div>
-                        <strong>${purchase.itemName}</strong>
-                        ${purchase.itemSku ? `<br><small class="text-muted">SKU: ${purchase.itemSku}</small>` : ''}
+                        <strong>${escapeHtml(firstLine ? firstLine.itemName : 'No items')}</strong>
+                        ${purchase.lines.length > 1 ? 
+                            `<br><small class="text-muted">+ ${purchase.lines.length - 1} more item${purchase.lines.length > 2 ? 's' : ''}</small>` : 
+                            (firstLine && firstLine.itemSku ? `<br><small class="text-muted">SKU: ${escapeHtml(firstLine.itemSku)}</small>` : '')
+                        }
                     </div>
                 </td>
                 <td>
@@ -238,9 +267,8 @@ class PurchaseManager {
                     </span>
                 </td>
                 <td>
-                    <span class="badge bg-info">${purchase.quantity}</span>
+                    <span class="badge bg-info">${this.getOrderedUnits(purchase)}</span>
                 </td>
-                <td>${formatCurrency(purchase.unitCost || 0)}</td>
                 <td><strong>${formatCurrency(purchase.totalCost || 0)}</strong></td>
                 <td>
                     ${purchase.invoiceReference ? 
@@ -249,13 +277,14 @@ class PurchaseManager {
                     }
                 </td>
                 <td>
-                    <span class="badge ${statusBadgeClass}">
-                        ${purchase.status.charAt(0).toUpperCase() + purchase.status.slice(1)}
-                    </span>
+                    ${this.getStatusBadge(purchase.status)}
+                    ${purchase.status === 'partial' ? 
+                        `<br><small class="text-muted">${this.getOutstandingUnits(purchase)} on backorder</small>` : ''
+                    }
                 </td>
                 <td>
-                    ${purchase.expectedDelivery ? 
-                        formatDate(purchase.expectedDelivery) : 
+                    ${expectedDelivery ? 
+                        formatDate(expectedDelivery) : 
                         '<span class="text-muted">Not set</span>'
                     }
                 </td>
@@ -277,6 +306,46 @@ class PurchaseManager {
         `;
     }
 
+    getOrderedUnits(purchase) {
+        return purchase.lines.reduce((sum, line) => sum + (line.quantity || 0), 0);
+    }
+
+    getOutstandingUnits(purchase) {
+        return purchase.lines.reduce((sum, line) => sum + inventoryDB.getPurchaseLineOutstanding(line), 0);
+    }
+
+    isOpenOrder(purchase) {
+        return purchase.status === 'ordered' || purchase.status === 'partial';
+    }
+
+    /**
+     * Earliest date still expected on an open order - backorder dates win over the order's date
+     */
+    getNextExpectedDelivery(purchase) {
+        if (!this.isOpenOrder(purchase)) {
+            return purchase.expectedDelivery || null;
+        }
+
+        const dates = purchase.lines
+            .filter(line => inventoryDB.getPurchaseLineOutstanding(line) > 0)
+            .map(line => line.backorderExpectedDelivery || purchase.expectedDelivery)
+            .filter(Boolean)
+            .sort();
+        return dates[0] || null;
+    }
+
+    getStatusBadge(status) {
+        const badges = {
+            'ordered': ['bg-warning text-dark', 'Ordered'],
+            'partial': ['bg-info', 'Partially Received'],
+            'received': ['bg-success', 'Received'],
+            'short_closed': ['bg-secondary', 'Short-closed'],
+            'cancelled': ['bg-danger', 'Cancelled']
+        };
+        const [badgeClass, label] = badges[status] || ['bg-secondary', status];
+        return `<span class="badge ${badgeClass}">${label}</span>`;
+    }
+
     calculateTotalValue() {
         const total = this.filteredPurchases.reduce((sum, purchase) => 
             sum + (purchase.totalCost || 0), 0
@@ -286,79 +355,142 @@ class PurchaseManager {
 
     async showPurchaseDetails(purchaseId) {
         try {
-            const purchase = this.purchases.find(p => p.id === parseInt(purchaseId));
+            const purchase = await inventoryDB.getPurchaseById(parseInt(purchaseId));
             if (!purchase) {
                 showToast('Purchase not found', 'error');
                 return;
             }
 
             const supplier = this.suppliers.find(s => s.code === purchase.supplier);
-            const item = await inventoryDB.getItemById(purchase.itemId);
+            const items = await Promise.all(purchase.lines.map(line => inventoryDB.getItemById(line.itemId)));
+
+            const isOpen = this.isOpenOrder(purchase);
+            const linesHtml = purchase.lines.map((line, index) => {
+                const item = items[index];
+                const outstanding = inventoryDB.getPurchaseLineOutstanding(line);
+                const receiptsHtml = (line.receipts || []).map(receipt => `
+                    <div>${receipt.reversed ? '<s>' : ''}${receipt.quantity} on ${receipt.date ? formatDate(receipt.date) : 'unknown date'}${receipt.lotNumber ? ` (lot ${escapeHtml(receipt.lotNumber)})` : ''}${receipt.expiryDate ? `, exp ${formatDate(receipt.expiryDate)}` : ''}${receipt.reversed ? '</s> reversed' : ''}</div>
+                `).join('');
+
+                return `
+                    <tr>
+                        <td>
+                            <strong>${escapeHtml(line.itemName || 'Unknown item')}</strong>
+                            ${line.itemSku ? `<br><small class="text-muted">SKU: ${escapeHtml(line.itemSku)}</small>` : ''}
+                            <br><small class="text-muted">In stock: ${item ? item.quantity || 0 : 'item deleted'}</small>
+                        </td>
+                        <td><span class="badge bg-info">${line.quantity}</span></td>
+                        <td>
+                            <span class="badge ${(line.quantityReceived || 0) > 0 ? 'bg-success' : 'bg-secondary'}">${line.quantityReceived || 0}</span>
+                            ${receiptsHtml ? `<small class="text-muted">${receiptsHtml}</small>` : ''}
+                        </td>
+                        <td>
+                            ${outstanding > 0 ?
+                                `<span class="badge bg-warning text-dark">${outstanding}</span>
+                                 ${line.backorderExpectedDelivery ? `<br><small class="text-muted">Due ${formatDate(line.backorderExpectedDelivery)}</small>` : ''}` :
+                                (line.shortClosedQuantity ? `<small class="text-muted">${line.shortClosedQuantity} short-closed</small>` : '<i class="fas fa-check text-success"></i>')
+                            }
+                        </td>
+                        <td>
+                            ${formatCurrency(line.unitCost || 0)}
+                            ${line.actualUnitCost != null && line.actualUnitCost !== line.unitCost ?
+                                `<br><small class="text-muted">Actual: ${formatCurrency(line.actualUnitCost)}</small>` : ''}
+                        </td>
+                        <td><strong>${formatCurrency(line.totalCost || 0)}</strong></td>
+                        ${isOpen ? `
+                            <td style="width: 28%">
+                                ${outstanding > 0 ? `
+                                    <div class="input-group input-group-sm mb-1">
+                                        <span class="input-group-text">Qty</span>
+                                        <input type="number" class="form-control receive-line-quantity" data-line-id="${line.lineId}"
+                                               value="${outstanding}" min="0" max="${outstanding}" step="1">
+                                        <span class="input-group-text">Cost</span>
+                                        <input type="number" class="form-control receive-line-cost" data-line-id="${line.lineId}"
+                                               value="${line.actualUnitCost ?? line.unitCost ?? 0}" min="0" step="0.01">
+                                    </div>
+                                    <div class="input-group input-group-sm mb-1">
+                                        <span class="input-group-text">Lot</span>
+                                        <input type="text" class="form-control receive-line-lot" data-line-id="${line.lineId}">
+                                        <span class="input-group-text">Expiry</span>
+                                        <input type="date" class="form-control receive-line-expiry" data-line-id="${line.lineId}">
+                                    </div>
+                                    <div class="input-group input-group-sm">
+                                        <span class="input-group-text">Backorder due</span>
+                                        <input type="date" class="form-control receive-line-backorder" data-line-id="${line.lineId}"
+                                               value="${line.backorderExpectedDelivery || ''}">
+                                    </div>
+                                ` : ''}
+                            </td>
+                        ` : ''}
+                    </tr>
+                `;
+            }).join('');
 
             const detailsHtml = `
                 <div class="row">
                     <div class="col-md-6">
                         <table class="table table-borderless">
-                            <tr><th>Purchase ID:</th><td>#${purchase.id}</td></tr>
+                            <tr><th>PO Number:</th><td>${purchase.poNumber ? `<code>${escapeHtml(purchase.poNumber)}</code>` : `#${purchase.id}`}</td></tr>
                             <tr><th>Order Date:</th><td>${formatDate(purchase.orderDate)}</td></tr>
                             <tr><th>Status:</th><td>
-                                <span class="badge ${purchase.status === 'received' ? 'bg-success' : 
-                                    purchase.status === 'ordered' ? 'bg-warning text-dark' : 'bg-danger'}">
-                                    ${purchase.status.charAt(0).toUpperCase() + purchase.status.slice(1)}
-                                </span>
-                            </td></tr>
-                            <tr><th>Invoice Reference:</th><td>
-                                ${purchase.invoiceReference ? `<code>${purchase.invoiceReference}</code>` : 'Not provided'}
+                                ${this.getStatusBadge(purchase.status)}
+                                ${purchase.shortCloseReason ? `<br><small class="text-muted">${escapeHtml(purchase.shortCloseReason)}</small>` : ''}
                             </td></tr>
                             <tr><th>Expected Delivery:</th><td>
                                 ${purchase.expectedDelivery ? formatDate(purchase.expectedDelivery) : 'Not set'}
                             </td></tr>
                         </table>
+                        ${isOpen ? `
+                            <div class="mb-3">
+                                <input type="text" class="form-control form-control-sm" id="purchaseReceiptNotes"
+                                       placeholder="Delivery notes (optional)">
+                            </div>
+                        ` : ''}
                     </div>
                     <div class="col-md-6">
                         <table class="table table-borderless">
-                            <tr><th>Item:</th><td>${purchase.itemName}</td></tr>
-                            <tr><th>SKU:</th><td>${purchase.itemSku || 'N/A'}</td></tr>
                             <tr><th>Supplier:</th><td>
                                 <span class="badge" style="background-color: ${supplier ? supplier.color : '#6c757d'}; color: white;">
                                     ${supplier ? supplier.name : purchase.supplier || 'Unknown'}
                                 </span>
                             </td></tr>
-                            <tr><th>Quantity:</th><td><span class="badge bg-info">${purchase.quantity}</span></td></tr>
-                            <tr><th>Unit Cost:</th><td>${formatCurrency(purchase.unitCost || 0)}</td></tr>
-                            <tr><th>Total Cost:</th><td><strong>${formatCurrency(purchase.totalCost || 0)}</strong></td></tr>
+                            <tr><th>Invoice Reference:</th><td>
+                                ${purchase.invoiceReference ? `<code>${escapeHtml(purchase.invoiceReference)}</code>` : 'Not provided'}
+                            </td></tr>
+                            <tr><th>Lines:</th><td>${purchase.lines.length} (${this.getOrderedUnits(purchase)} units)</td></tr>
+                            ${purchase.notes ? `<tr><th>Notes:</th><td>${escapeHtml(purchase.notes)}</td></tr>` : ''}
                         </table>
                     </div>
                 </div>
-                
-                ${item ? `
-                    <div class="row mt-3">
-                        <div class="col-12">
-                            <h6>Current Item Status:</h6>
-                            <div class="alert alert-info">
-                                <div class="row">
-                                    <div class="col-md-4">
-                                        <strong>Current Stock:</strong> ${item.quantity || 0}
-                                    </div>
-                                    <div class="col-md-4">
-                                        <strong>Low Stock Threshold:</strong> ${item.lowStockThreshold || 5}
-                                    </div>
-                                    <div class="col-md-4">
-                                        <strong>Item Status:</strong> 
-                                        <span class="badge ${item.orderStatus === 'ordered' ? 'bg-warning text-dark' : 'bg-success'}">
-                                            ${item.orderStatus === 'ordered' ? 'On Order' : 'In Stock'}
-                                        </span>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                ` : ''}
-                
+
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead class="table-dark">
+                            <tr>
+                                <th>Item</th>
+                                <th>Ordered</th>
+                                <th>Received</th>
+                                <th>Outstanding</th>
+                                <th>Unit Cost</th>
+                                <th>Line Total</th>
+                                ${isOpen ? '<th>Receive Now</th>' : ''}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${linesHtml}
+                        </tbody>
+                        <tfoot>
+                            <tr><th colspan="5" class="text-end">Subtotal:</th><td colspan="2">${formatCurrency(purchase.subtotal || 0)}</td></tr>
+                            <tr><th colspan="5" class="text-end">Shipping:</th><td colspan="2">${formatCurrency(purchase.shippingCost || 0)}</td></tr>
+                            <tr><th colspan="5" class="text-end">Total:</th><td colspan="2"><strong>${formatCurrency(purchase.totalCost || 0)}</strong></td></tr>
+                        </tfoot>
+                    </table>
+                </div>
+
                 <div class="row mt-3">
                     <div class="col-12">
                         <small class="text-muted">
-                            Created: ${formatDate(purchase.createdAt)} | 
+                            Created: ${formatDate(purchase.createdAt)} |
                             Last Updated: ${formatDate(purchase.updatedAt)}
                         </small>
                     </div>
@@ -366,18 +498,24 @@ class PurchaseManager {
             `;
 
             document.getElementById('purchaseDetailsContent').innerHTML = detailsHtml;
-            
-            // Show/hide mark received button
+
+            // Show/hide receive and short-close buttons
             const markReceivedBtn = document.getElementById('markReceivedBtn');
-            if (purchase.status === 'ordered') {
+            if (isOpen) {
                 markReceivedBtn.style.display = 'inline-block';
                 markReceivedBtn.setAttribute('data-purchase-id', purchase.id);
-                markReceivedBtn.setAttribute('data-item-id', purchase.itemId);
-                markReceivedBtn.setAttribute('data-quantity', purchase.quantity);
             } else {
                 markReceivedBtn.style.display = 'none';
             }
 
+            const shortCloseBtn = document.getElementById('shortCloseOrderBtn');
+            if (purchase.status === 'partial') {
+                shortCloseBtn.style.display = 'inline-block';
+                shortCloseBtn.setAttribute('data-purchase-id', purchase.id);
+            } else {
+                shortCloseBtn.style.display = 'none';
+            }
+
             const modal = new bootstrap.Modal(document.getElementById('purchaseDetailsModal'));
             modal.show();
 
@@ -391,29 +529,29 @@ class PurchaseManager {
         try {
             const btn = document.getElementById('markReceivedBtn');
             const purchaseId = parseInt(btn.getAttribute('data-purchase-id'));
-            const itemId = parseInt(btn.getAttribute('data-item-id'));
-            const quantity = parseInt(btn.getAttribute('data-quantity'));
-
-            // Update purchase status
-            await inventoryDB.updatePurchaseStatus(purchaseId, 'received', {
-                receivedDate: new Date().toISOString()
-            });
-
-            // Record stock purchase with history tracking
-            const purchase = this.purchases.find(p => p.id === purchaseId);
-            if (purchase) {
-                await inventoryDB.recordStockPurchase(
-                    itemId, 
-                    quantity, 
-                    purchase.unitCost || 0, 
-                    purchase.supplier,
-                    purchase.invoiceReference
-                );
-            } else {
-                // Fallback to old method
-                await inventoryDB.markItemAsReceived(itemId, quantity);
+            const content = document.getElementById('purchaseDetailsContent');
+
+            // Collect what arrived on each line; anything short stays on backorder
+            const receipts = Array.from(content.querySelectorAll('.receive-line-quantity')).map(input => {
+                const lineId = parseInt(input.getAttribute('data-line-id'));
+                return {
+                    lineId: lineId,
+                    quantity: parseInt(input.value) || 0,
+                    unitCost: parseFloat(content.querySelector(`.receive-line-cost[data-line-id="${lineId}"]`).value) || 0,
+                    lotNumber: content.querySelector(`.receive-line-lot[data-line-id="${lineId}"]`).value.trim() || null,
+                    expiryDate: content.querySelector(`.receive-line-expiry[data-line-id="${lineId}"]`).value || null,
+                    backorderExpectedDelivery: content.querySelector(`.receive-line-backorder[data-line-id="${lineId}"]`).value || null
+                };
+            }).filter(receipt => receipt.quantity > 0);
+
+            if (receipts.length === 0) {
+                showToast('Enter the quantity received on at least one line', 'warning');
+                return;
             }
 
+            const notes = document.getElementById('purchaseReceiptNotes').value.trim() || null;
+            const { purchase, stockEntries } = await inventoryDB.receivePurchaseOrder(purchaseId, receipts, notes);
+
             // Close modal
             bootstrap.Modal.getInstance(document.getElementById('purchaseDetailsModal')).hide();
 
@@ -426,7 +564,11 @@ class PurchaseManager {
                 await dashboard.refreshStats();
             }
 
-            showToast('Purchase marked as received and stock updated', 'success');
+            if (purchase.status === 'partial') {
+                showToast(`Delivery received: ${stockEntries.length} line(s) added to stock, ${this.getOutstandingUnits(purchase)} unit(s) still on backorder`, 'info');
+            } else {
+                showToast(`Purchase received: ${stockEntries.length} line(s) added to stock`, 'success');
+            }
 
         } catch (error) {
             console.error('Error marking purchase received:', error);
@@ -434,123 +576,265 @@ class PurchaseManager {
         }
     }
 
-    async showEditOrderModal(purchaseId) {
+    async shortCloseOrder() {
         try {
-            const purchase = this.purchases.find(p => p.id === parseInt(purchaseId));
-            if (!purchase) {
-                showToast('Purchase order not found', 'error');
-                return;
-            }
-
-            if (purchase.status !== 'ordered') {
-                showToast('Only pending orders can be edited', 'warning');
+            const purchaseId = parseInt(document.getElementById('shortCloseOrderBtn').getAttribute('data-purchase-id'));
+            const reason = prompt('Short-close this order? Everything still outstanding will be written off.\n\nReason (optional):');
+            if (reason === null) {
                 return;
             }
 
-            // Populate the edit order form
-            document.getElementById('editOrderId').value = purchase.id;
-            document.getElementById('editOrderItemId').value = purchase.itemId;
-            document.getElementById('editOrderItemName').textContent = purchase.itemName;
-            document.getElementById('editOrderQuantity').value = purchase.quantity;
-            document.getElementById('editOrderUnitCost').value = purchase.unitCost || 0;
-            document.getElementById('editOrderDate').value = purchase.orderDate;
-            document.getElementById('editOrderExpectedDelivery').value = purchase.expectedDelivery || '';
-            document.getElementById('editOrderInvoiceReference').value = purchase.invoiceReference || '';
+            await inventoryDB.shortClosePurchaseOrder(purchaseId, reason.trim() || null);
 
-            // Populate supplier dropdown
-            await this.populateEditOrderSupplierDropdown(purchase.supplier);
+            // Close modal
+            bootstrap.Modal.getInstance(document.getElementById('purchaseDetailsModal')).hide();
 
-            // Update totals
-            document.getElementById('editOrderCurrentTotal').textContent = formatCurrency(purchase.totalCost || 0);
-            this.updateOrderTotal();
+            // Refresh the purchase history
+            await this.loadPurchases();
+            this.filterPurchases();
 
-            // Show cancel order button
-            document.getElementById('cancelOrderBtn').style.display = 'inline-block';
+            // Update dashboard if available
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
 
-            // Show modal
-            const modal = new bootstrap.Modal(document.getElementById('editOrderModal'));
-            modal.show();
+            showToast('Order short-closed', 'warning');
 
         } catch (error) {
-            console.error('Error showing edit order modal:', error);
-            showToast('Error loading order for editing', 'error');
+            console.error('Error short-closing order:', error);
+            showToast('Error short-closing order: ' + error.message, 'error');
         }
     }
 
-    async populateEditOrderSupplierDropdown(selectedSupplier) {
+    async showPurchaseOrderModal(purchaseId = null) {
         try {
-            const dropdown = document.getElementById('editOrderSupplier');
-            dropdown.innerHTML = '<option value="">Select Supplier</option>';
-
-            this.suppliers.forEach(supplier => {
-                const option = document.createElement('option');
-                option.value = supplier.code;
-                option.textContent = supplier.name;
-                option.style.color = supplier.color;
-                
-                if (supplier.code === selectedSupplier) {
-                    option.selected = true;
+            const [items, suppliers] = await Promise.all([
+                inventoryDB.getAllItems(),
+                inventoryDB.getAllSuppliers()
+            ]);
+            this.items = items.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+            this.suppliers = suppliers;
+
+            let purchase = null;
+            if (purchaseId) {
+                purchase = await inventoryDB.getPurchaseById(parseInt(purchaseId));
+                if (!purchase) {
+                    showToast('Purchase order not found', 'error');
+                    return;
                 }
-                
-                dropdown.appendChild(option);
-            });
+
+                if (purchase.status !== 'ordered') {
+                    showToast('Only pending orders with nothing received can be edited', 'warning');
+                    return;
+                }
+            }
+
+            const form = document.getElementById('purchaseOrderForm');
+            form.reset();
+            clearFormValidation(form);
+
+            const orderDate = purchase ? purchase.orderDate : new Date().toISOString().split('T')[0];
+            document.getElementById('purchaseOrderModalTitle').textContent = purchase ? 'Edit Purchase Order' : 'New Purchase Order';
+            document.getElementById('purchaseOrderId').value = purchase ? purchase.id : '';
+            document.getElementById('purchaseOrderDate').value = orderDate;
+            document.getElementById('purchaseOrderNumber').value = purchase ?
+                (purchase.poNumber || '') : await inventoryDB.getNextPurchaseOrderNumber(orderDate);
+            document.getElementById('purchaseOrderExpectedDelivery').value = purchase ? purchase.expectedDelivery || '' : '';
+            document.getElementById('purchaseOrderInvoiceReference').value = purchase ? purchase.invoiceReference || '' : '';
+            document.getElementById('purchaseOrderNotes').value = purchase ? purchase.notes || '' : '';
+            document.getElementById('purchaseOrderShipping').value = purchase ? purchase.shippingCost || 0 : 0;
+
+            this.populateOrderSupplierDropdown(purchase ? purchase.supplier : null);
+
+            this.orderLines = purchase ?
+                purchase.lines.map(line => ({ ...line })) :
+                [this.createEmptyOrderLine()];
+            this.renderOrderLines();
+
+            // Only existing orders can be cancelled
+            document.getElementById('cancelOrderBtn').style.display = purchase ? 'inline-block' : 'none';
+
+            const modal = new bootstrap.Modal(document.getElementById('purchaseOrderModal'));
+            modal.show();
+
         } catch (error) {
-            console.error('Error populating supplier dropdown:', error);
+            console.error('Error showing purchase order modal:', error);
+            showToast('Error loading purchase order', 'error');
         }
     }
 
-    updateOrderTotal() {
-        const quantity = parseInt(document.getElementById('editOrderQuantity').value) || 0;
-        const unitCost = parseFloat(document.getElementById('editOrderUnitCost').value) || 0;
-        const newTotal = quantity * unitCost;
-        
-        document.getElementById('editOrderNewTotal').textContent = formatCurrency(newTotal);
+    populateOrderSupplierDropdown(selectedSupplier) {
+        const dropdown = document.getElementById('purchaseOrderSupplier');
+        dropdown.innerHTML = '<option value="">Select Supplier</option>';
+
+        this.suppliers.forEach(supplier => {
+            const option = document.createElement('option');
+            option.value = supplier.code;
+            option.textContent = supplier.name;
+            option.style.color = supplier.color;
+
+            if (supplier.code === selectedSupplier) {
+                option.selected = true;
+            }
+
+            dropdown.appendChild(option);
+        });
     }
 
-    async updateOrder() {
-        try {
-            const form = document.getElementById('editOrderForm');
-            if (!validateForm(form)) {
-                showToast('Please fill in all required fields', 'error');
+    createEmptyOrderLine() {
+        return {
+            itemId: null,
+            itemName: '',
+            itemSku: null,
+            quantity: 1,
+            unitCost: 0,
+            totalCost: 0
+        };
+    }
+
+    addOrderLine() {
+        this.orderLines.push(this.createEmptyOrderLine());
+        this.renderOrderLines();
+    }
+
+    removeOrderLine(index) {
+        this.orderLines.splice(index, 1);
+        if (this.orderLines.length === 0) {
+            this.orderLines.push(this.createEmptyOrderLine());
+        }
+        this.renderOrderLines();
+    }
+
+    renderOrderLines() {
+        const tbody = document.getElementById('purchaseOrderLinesBody');
+        tbody.innerHTML = this.orderLines.map((line, index) => this.renderOrderLineRow(line, index)).join('');
+        this.updateOrderTotals();
+    }
+
+    renderOrderLineRow(line, index) {
+        const item = this.items.find(i => i.id === line.itemId);
+        const itemOptions = this.items.map(i => `
+            <option value="${i.id}" ${i.id === line.itemId ? 'selected' : ''}>
+                ${escapeHtml(i.name || 'Unnamed item')}${i.sku ? ` (${escapeHtml(i.sku)})` : ''}
+            </option>
+        `).join('');
+
+        return `
+            <tr>
+                <td>
+                    <select class="form-select form-select-sm" data-index="${index}" data-field="itemId">
+                        <option value="">-- Select item --</option>
+                        ${itemOptions}
+                    </select>
+                </td>
+                <td>${item ? `<span class="badge ${(item.quantity || 0) <= (item.lowStockThreshold || 5) ? 'bg-danger' : 'bg-secondary'}">${item.quantity || 0}</span>` : '-'}</td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" data-index="${index}" data-field="quantity"
+                           value="${line.quantity}" min="1" step="1">
+                </td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" data-index="${index}" data-field="unitCost"
+                           value="${line.unitCost}" min="0" step="0.01">
+                </td>
+                <td class="order-line-total" data-index="${index}">${formatCurrency(line.totalCost || 0)}</td>
+                <td class="text-end">
+                    <button type="button" class="btn btn-sm btn-outline-danger remove-order-line-btn" data-index="${index}" title="Remove line">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    updateOrderLineFromInput(input) {
+        const index = parseInt(input.getAttribute('data-index'));
+        const field = input.getAttribute('data-field');
+        if (isNaN(index) || !field || !this.orderLines[index]) return;
+
+        const line = this.orderLines[index];
+
+        switch (field) {
+            case 'itemId': {
+                const item = this.items.find(i => i.id === parseInt(input.value));
+                line.itemId = item ? item.id : null;
+                line.itemName = item ? item.name : '';
+                line.itemSku = item ? item.sku || null : null;
+                line.unitCost = item ? (item.lastPurchaseCost ?? (item.costPrice || item.price || 0)) : 0;
+                line.totalCost = Math.round(line.quantity * line.unitCost * 100) / 100;
+
+                // Default the supplier to the first item's supplier
+                const supplierSelect = document.getElementById('purchaseOrderSupplier');
+                if (item && item.supplier && !supplierSelect.value) {
+                    supplierSelect.value = item.supplier;
+                }
+
+                this.renderOrderLines();
                 return;
             }
+            case 'quantity':
+                line.quantity = parseInt(input.value) || 0;
+                break;
+            case 'unitCost':
+                line.unitCost = parseFloat(input.value) || 0;
+                break;
+        }
 
-            const purchaseId = parseInt(document.getElementById('editOrderId').value);
-            const itemId = parseInt(document.getElementById('editOrderItemId').value);
-            const quantity = parseInt(document.getElementById('editOrderQuantity').value);
-            const unitCost = parseFloat(document.getElementById('editOrderUnitCost').value);
-            const supplier = document.getElementById('editOrderSupplier').value;
-            const orderDate = document.getElementById('editOrderDate').value;
-            const expectedDelivery = document.getElementById('editOrderExpectedDelivery').value || null;
-            const invoiceReference = document.getElementById('editOrderInvoiceReference').value.trim() || null;
-
-            // Update purchase record
-            const updatedPurchaseData = {
-                quantity: quantity,
-                unitCost: unitCost,
-                totalCost: quantity * unitCost,
-                supplier: supplier,
-                orderDate: orderDate,
-                expectedDelivery: expectedDelivery,
-                invoiceReference: invoiceReference
-            };
-
-            await inventoryDB.updatePurchaseStatus(purchaseId, 'ordered', updatedPurchaseData);
-
-            // Update the related item's order information
-            const orderUpdateData = {
-                orderedQuantity: quantity,
-                orderDate: orderDate,
-                expectedDelivery: expectedDelivery,
-                orderStatus: 'ordered',
-                supplier: supplier, // Update supplier if changed
-                lastOrderedAt: new Date().toISOString()
-            };
-
-            await inventoryDB.updateItem(itemId, orderUpdateData);
+        line.totalCost = Math.round(line.quantity * line.unitCost * 100) / 100;
+        const totalCell = document.querySelector(`#purchaseOrderLinesBody .order-line-total[data-index="${index}"]`);
+        if (totalCell) {
+            totalCell.textContent = formatCurrency(line.totalCost);
+        }
+        this.updateOrderTotals();
+    }
+
+    updateOrderTotals() {
+        const subtotal = this.orderLines.reduce((sum, line) => sum + (line.totalCost || 0), 0);
+        const shipping = parseFloat(document.getElementById('purchaseOrderShipping').value) || 0;
+
+        document.getElementById('purchaseOrderSubtotalDisplay').textContent = formatCurrency(subtotal);
+        document.getElementById('purchaseOrderTotalDisplay').textContent = formatCurrency(subtotal + shipping);
+    }
+
+    async savePurchaseOrder() {
+        const form = document.getElementById('purchaseOrderForm');
+        if (!validateForm(form)) {
+            showToast('Please fill in all required fields', 'error');
+            return;
+        }
+
+        const lines = this.orderLines.filter(line => line.itemId);
+        if (lines.length === 0) {
+            showToast('Please add at least one item', 'error');
+            return;
+        }
+
+        const invalidLine = lines.find(line => !(line.quantity > 0));
+        if (invalidLine) {
+            showToast(`Invalid quantity for ${invalidLine.itemName}`, 'error');
+            return;
+        }
+
+        const purchaseId = parseInt(document.getElementById('purchaseOrderId').value) || null;
+        const orderData = {
+            poNumber: document.getElementById('purchaseOrderNumber').value.trim(),
+            supplier: document.getElementById('purchaseOrderSupplier').value,
+            orderDate: document.getElementById('purchaseOrderDate').value,
+            expectedDelivery: document.getElementById('purchaseOrderExpectedDelivery').value || null,
+            invoiceReference: document.getElementById('purchaseOrderInvoiceReference').value.trim() || null,
+            notes: document.getElementById('purchaseOrderNotes').value.trim() || null,
+            shippingCost: parseFloat(document.getElementById('purchaseOrderShipping').value) || 0,
+            lines: lines.map(line => ({ ...line }))
+        };
+
+        try {
+            if (purchaseId) {
+                await inventoryDB.updatePurchaseOrder(purchaseId, orderData);
+            } else {
+                await inventoryDB.createPurchaseOrder(orderData);
+            }
 
             // Close modal
-            bootstrap.Modal.getInstance(document.getElementById('editOrderModal')).hide();
+            bootstrap.Modal.getInstance(document.getElementById('purchaseOrderModal')).hide();
 
             // Refresh purchase history
             await this.loadPurchases();
@@ -561,11 +845,11 @@ class PurchaseManager {
                 await dashboard.refreshStats();
             }
 
-            showToast('Order updated successfully', 'success');
+            showToast(`Purchase order ${orderData.poNumber} ${purchaseId ? 'updated' : 'created'} with ${lines.length} line(s)`, 'success');
 
         } catch (error) {
-            console.error('Error updating order:', error);
-            showToast('Error updating order: ' + error.message, 'error');
+            console.error('Error saving purchase order:', error);
+            showToast('Error saving order: ' + error.message, 'error');
         }
     }
 
@@ -575,27 +859,12 @@ class PurchaseManager {
                 return;
             }
 
-            const purchaseId = parseInt(document.getElementById('editOrderId').value);
-            const itemId = parseInt(document.getElementById('editOrderItemId').value);
+            const purchaseId = parseInt(document.getElementById('purchaseOrderId').value);
 
-            // Update purchase status to cancelled
-            await inventoryDB.updatePurchaseStatus(purchaseId, 'cancelled', {
-                cancelledDate: new Date().toISOString()
-            });
-
-            // Clear item order status
-            const orderUpdateData = {
-                orderedQuantity: 0,
-                orderDate: null,
-                expectedDelivery: null,
-                orderStatus: null,
-                lastOrderedAt: null
-            };
-
-            await inventoryDB.updateItem(itemId, orderUpdateData);
+            await inventoryDB.cancelPurchaseOrder(purchaseId);
 
             // Close modal
-            bootstrap.Modal.getInstance(document.getElementById('editOrderModal')).hide();
+            bootstrap.Modal.getInstance(document.getElementById('purchaseOrderModal')).hide();
 
             // Refresh purchase history
             await this.loadPurchases();
@@ -621,27 +890,32 @@ class PurchaseManager {
                 return;
             }
 
-            // Prepare CSV data
+            // Prepare CSV data - one row per order line
             const headers = [
-                'Purchase ID', 'Order Date', 'Item Name', 'Item SKU', 'Supplier', 
-                'Quantity', 'Unit Cost', 'Total Cost', 'Invoice Reference', 
-                'Status', 'Expected Delivery', 'Created At'
+                'Purchase ID', 'PO Number', 'Order Date', 'Supplier', 'Item Name', 'Item SKU',
+                'Quantity', 'Quantity Received', 'Outstanding', 'Unit Cost', 'Line Total', 'Shipping', 'Order Total',
+                'Invoice Reference', 'Status', 'Expected Delivery', 'Created At'
             ];
 
-            const csvData = this.filteredPurchases.map(purchase => [
+            const csvData = this.filteredPurchases.flatMap(purchase => purchase.lines.map(line => [
                 purchase.id,
+                purchase.poNumber || '',
                 purchase.orderDate,
-                purchase.itemName,
-                purchase.itemSku || '',
                 this.suppliers.find(s => s.code === purchase.supplier)?.name || purchase.supplier || '',
-                purchase.quantity,
-                purchase.unitCost || 0,
+                line.itemName,
+                line.itemSku || '',
+                line.quantity,
+                line.quantityReceived || 0,
+                this.isOpenOrder(purchase) ? inventoryDB.getPurchaseLineOutstanding(line) : 0,
+                line.unitCost || 0,
+                line.totalCost || 0,
+                purchase.shippingCost || 0,
                 purchase.totalCost || 0,
                 purchase.invoiceReference || '',
                 purchase.status,
                 purchase.expectedDelivery || '',
                 purchase.createdAt
-            ]);
+            ]));
 
             const csvContent = [headers, ...csvData]
                 .map(row => row.map(field => `"${field}"`).join(','))
@@ -0,0 +1,362 @@
+/**
+ * Product Recall UI
+ * Looks up where a lot went and quarantines recalled stock
+ */
+
+class RecallManager {
+    constructor() {
+        this.items = [];
+        this.lots = [];
+        this.recalls = [];
+        this.currentTrace = null;
+    }
+
+    async init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Product recalls button (from settings menu)
+        const recallsBtn = document.getElementById('recallsBtn');
+        if (recallsBtn) {
+            recallsBtn.addEventListener('click', () => {
+                this.showRecallsModal();
+            });
+        }
+
+        // Suggest the known lot numbers of the chosen item
+        document.getElementById('recallItemSelect').addEventListener('change', () => {
+            this.populateLotSuggestions();
+        });
+
+        // Look up a lot
+        document.getElementById('traceLotBtn').addEventListener('click', () => {
+            this.traceLot();
+        });
+
+        document.getElementById('recallLotNumber').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.traceLot();
+            }
+        });
+
+        // Open a recall for the traced lot
+        document.getElementById('recallTraceResults').addEventListener('click', (e) => {
+            if (e.target.closest('#createRecallBtn')) {
+                this.createRecall();
+            }
+        });
+
+        // Close a recall as returned or written off
+        document.getElementById('recallsList').addEventListener('click', (e) => {
+            const btn = e.target.closest('.resolve-recall-btn');
+            if (btn) {
+                this.resolveRecall(parseInt(btn.getAttribute('data-recall-id')), btn.getAttribute('data-resolution'));
+            }
+        });
+    }
+
+    async showRecallsModal() {
+        try {
+            const [items, lots] = await Promise.all([
+                inventoryDB.getAllItems(),
+                inventoryDB.getAllLots()
+            ]);
+            this.lots = lots.filter(lot => lot.lotNumber);
+
+            // Only items that have had a numbered lot can be traced
+            const itemIds = new Set(this.lots.map(lot => lot.itemId));
+            this.items = items
+                .filter(item => itemIds.has(item.id))
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            const itemSelect = document.getElementById('recallItemSelect');
+            itemSelect.innerHTML = '<option value="">Select an item...</option>' +
+                this.items.map(item => `
+                    <option value="${item.id}">${escapeHtml(item.name)}${item.sku ? ` (${escapeHtml(item.sku)})` : ''}</option>
+                `).join('');
+
+            document.getElementById('recallLotNumber').value = '';
+            document.getElementById('recallLotSuggestions').innerHTML = '';
+            document.getElementById('recallTraceResults').innerHTML = '';
+            this.currentTrace = null;
+
+            await this.loadRecalls();
+
+            const modal = new bootstrap.Modal(document.getElementById('recallsModal'));
+            modal.show();
+
+        } catch (error) {
+            console.error('Error loading recalls:', error);
+            showToast('Error loading recalls', 'error');
+        }
+    }
+
+    populateLotSuggestions() {
+        const itemId = parseInt(document.getElementById('recallItemSelect').value);
+        const lotNumbers = [...new Set(this.lots
+            .filter(lot => lot.itemId === itemId)
+            .map(lot => lot.lotNumber))];
+
+        document.getElementById('recallLotSuggestions').innerHTML = lotNumbers
+            .map(lotNumber => `<option value="${escapeHtml(lotNumber)}">`)
+            .join('');
+    }
+
+    async traceLot() {
+        const itemId = parseInt(document.getElementById('recallItemSelect').value);
+        const lotNumber = document.getElementById('recallLotNumber').value.trim();
+
+        if (!itemId || !lotNumber) {
+            showToast('Select an item and enter the lot number', 'warning');
+            return;
+        }
+
+        try {
+            this.currentTrace = await inventoryDB.traceLot(itemId, lotNumber);
+            this.renderTrace();
+        } catch (error) {
+            console.error('Error tracing lot:', error);
+            showToast('Error looking up lot: ' + error.message, 'error');
+        }
+    }
+
+    renderTrace() {
+        const trace = this.currentTrace;
+        const container = document.getElementById('recallTraceResults');
+
+        if (trace.lots.length === 0) {
+            container.innerHTML = `
+                <div class="alert alert-success">
+                    <i class="fas fa-check-circle"></i>
+                    Lot <strong>${escapeHtml(trace.lotNumber)}</strong> of ${escapeHtml(trace.item.name)} has never been received.
+                </div>
+            `;
+            return;
+        }
+
+        const openRecall = trace.recalls.find(recall => recall.status === 'open');
+        const consumed = trace.consumption.reduce((sum, entry) => sum + entry.lotQuantity, 0);
+
+        container.innerHTML = `
+            <div class="row mb-3">
+                <div class="col-md-3">
+                    <div class="card"><div class="card-body text-center">
+                        <small class="text-muted">Received</small>
+                        <h4 class="mb-0">${trace.received}</h4>
+                    </div></div>
+                </div>
+                <div class="col-md-3">
+                    <div class="card"><div class="card-body text-center">
+                        <small class="text-muted">Used / Sold</small>
+                        <h4 class="mb-0 ${consumed > 0 ? 'text-danger' : ''}">${consumed}</h4>
+                    </div></div>
+                </div>
+                <div class="col-md-3">
+                    <div class="card"><div class="card-body text-center">
+                        <small class="text-muted">On the Shelf</small>
+                        <h4 class="mb-0">${trace.onShelf}</h4>
+                    </div></div>
+                </div>
+                <div class="col-md-3">
+                    <div class="card"><div class="card-body text-center">
+                        <small class="text-muted">Quarantined</small>
+                        <h4 class="mb-0 ${trace.quarantined > 0 ? 'text-warning' : ''}">${trace.quarantined}</h4>
+                    </div></div>
+                </div>
+            </div>
+
+            <h6><i class="fas fa-truck"></i> Received</h6>
+            <table class="table table-sm mb-3">
+                <thead class="table-light">
+                    <tr><th>Date</th><th>Quantity</th><th>Expiry</th><th>Supplier</th><th>Reference</th></tr>
+                </thead>
+                <tbody>
+                    ${trace.lots.filter(lot => !lot.originLotId).map(lot => {
+                        const receipt = trace.receipts.find(entry => (entry.lots || []).some(l => l.lotId === lot.id));
+                        return `
+                            <tr>
+                                <td>${formatDate(lot.receivedDate)}</td>
+                                <td>${lot.initialQuantity}</td>
+                                <td>${lot.expiryDate ? formatDate(lot.expiryDate) : '-'}</td>
+                                <td>${lot.supplier ? escapeHtml(lot.supplier) : '-'}</td>
+                                <td>${receipt ? escapeHtml(receipt.poNumber || receipt.invoiceReference || '-') : '-'}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+
+            <h6><i class="fas fa-user-injured"></i> Used and Sold</h6>
+            ${trace.consumption.length ? `
+                <table class="table table-sm mb-3">
+                    <thead class="table-light">
+                        <tr><th>Date</th><th>Type</th><th>Quantity</th><th>Reference</th><th>Notes</th></tr>
+                    </thead>
+                    <tbody>
+                        ${trace.consumption.map(entry => `
+                            <tr>
+                                <td>${formatDate(entry.timestamp)}</td>
+                                <td><span class="badge ${entry.type === 'sale' ? 'bg-primary' : 'bg-warning text-dark'}">${entry.type === 'sale' ? 'Sale' : 'Usage'}</span></td>
+                                <td>${entry.lotQuantity}</td>
+                                <td>${entry.invoiceReference ? escapeHtml(entry.invoiceReference) : '-'}</td>
+                                <td>${entry.notes ? escapeHtml(entry.notes) : '<span class="text-muted">No notes</span>'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="text-muted">None of this lot has been used or sold.</p>'}
+
+            ${openRecall ? `
+                <div class="alert alert-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    This lot is under recall${openRecall.reference ? ` <strong>${escapeHtml(openRecall.reference)}</strong>` : ''} since ${formatDate(openRecall.createdAt)}.
+                </div>
+            ` : `
+                <div class="card border-danger">
+                    <div class="card-body">
+                        <h6 class="text-danger"><i class="fas fa-ban"></i> Open a Recall</h6>
+                        <div class="row g-2 align-items-end">
+                            <div class="col-md-4">
+                                <label for="recallReference" class="form-label">Supplier Recall Reference</label>
+                                <input type="text" class="form-control" id="recallReference">
+                            </div>
+                            <div class="col-md-5">
+                                <label for="recallReason" class="form-label">Reason</label>
+                                <input type="text" class="form-control" id="recallReason" placeholder="e.g. Sterility cannot be guaranteed">
+                            </div>
+                            <div class="col-md-3">
+                                <button type="button" class="btn btn-danger w-100" id="createRecallBtn">
+                                    <i class="fas fa-lock"></i> Quarantine ${trace.onShelf} Units
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `}
+        `;
+    }
+
+    async createRecall() {
+        const trace = this.currentTrace;
+        if (!trace) return;
+
+        try {
+            await inventoryDB.createRecall({
+                itemId: trace.item.id,
+                lotNumber: trace.lotNumber,
+                reference: document.getElementById('recallReference').value.trim() || null,
+                reason: document.getElementById('recallReason').value.trim() || null
+            });
+
+            this.currentTrace = await inventoryDB.traceLot(trace.item.id, trace.lotNumber);
+            this.renderTrace();
+            await this.loadRecalls();
+
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+
+            showToast(`Lot ${trace.lotNumber} quarantined: ${trace.onShelf} units can no longer be used or sold`, 'success');
+
+        } catch (error) {
+            console.error('Error creating recall:', error);
+            showToast('Error creating recall: ' + error.message, 'error');
+        }
+    }
+
+    async resolveRecall(recallId, resolution) {
+        const action = resolution === 'returned' ? 'returned to the supplier' : 'written off';
+        const notes = prompt(`Mark the quarantined stock as ${action}? Add a note (e.g. credit note number), or leave empty:`);
+        if (notes === null) return;
+
+        try {
+            await inventoryDB.resolveRecall(recallId, resolution, notes.trim() || null);
+            await this.loadRecalls();
+
+            if (this.currentTrace) {
+                this.currentTrace = await inventoryDB.traceLot(this.currentTrace.item.id, this.currentTrace.lotNumber);
+                this.renderTrace();
+            }
+
+            showToast(`Recall closed: stock ${action}`, 'success');
+
+        } catch (error) {
+            console.error('Error closing recall:', error);
+            showToast('Error closing recall: ' + error.message, 'error');
+        }
+    }
+
+    async loadRecalls() {
+        this.recalls = await inventoryDB.getAllRecalls();
+        const container = document.getElementById('recallsList');
+
+        if (!this.recalls.length) {
+            container.innerHTML = '<p class="text-muted">No recalls recorded.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm table-hover">
+                    <thead class="table-dark">
+                        <tr>
+                            <th>Opened</th>
+                            <th>Item</th>
+                            <th>Lot</th>
+                            <th>Reference</th>
+                            <th>Quarantined</th>
+                            <th>Already Used</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.recalls.map(recall => this.renderRecallRow(recall)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderRecallRow(recall) {
+        const statusBadge = {
+            'open': '<span class="badge bg-danger">Quarantined</span>',
+            'returned': '<span class="badge bg-success">Returned</span>',
+            'written_off': '<span class="badge bg-secondary">Written Off</span>'
+        }[recall.status] || `<span class="badge bg-secondary">${recall.status}</span>`;
+
+        return `
+            <tr>
+                <td>${formatDate(recall.createdAt)}</td>
+                <td>${escapeHtml(recall.itemName)}</td>
+                <td><code>${escapeHtml(recall.lotNumber)}</code></td>
+                <td>
+                    ${recall.reference ? escapeHtml(recall.reference) : '-'}
+                    ${recall.reason ? `<br><small class="text-muted">${escapeHtml(recall.reason)}</small>` : ''}
+                </td>
+                <td>${recall.quarantinedQuantity}</td>
+                <td class="${recall.consumedQuantity > 0 ? 'text-danger' : ''}">${recall.consumedQuantity}</td>
+                <td>
+                    ${statusBadge}
+                    ${recall.resolvedAt ? `<br><small class="text-muted">${formatDate(recall.resolvedAt)}</small>` : ''}
+                    ${recall.resolutionNotes ? `<br><small class="text-muted">${escapeHtml(recall.resolutionNotes)}</small>` : ''}
+                </td>
+                <td>
+                    ${recall.status === 'open' ? `
+                        <button class="btn btn-sm btn-outline-success resolve-recall-btn" data-recall-id="${recall.id}" data-resolution="returned">
+                            <i class="fas fa-undo"></i> Returned
+                        </button>
+                        <button class="btn btn-sm btn-outline-secondary resolve-recall-btn" data-recall-id="${recall.id}" data-resolution="written_off">
+                            <i class="fas fa-trash"></i> Written Off
+                        </button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }
+}
+
+// Create global instance
+const recallManager = new RecallManager();
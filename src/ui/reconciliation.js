@@ -0,0 +1,138 @@
+/**
+ * Quantity Reconciliation UI
+ * Checks that each item's stock history adds up to its quantity
+ */
+
+class QuantityReconciliationManager {
+    constructor() {
+        this.results = null;
+    }
+
+    async init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Check stock quantities button (from settings menu)
+        const reconciliationBtn = document.getElementById('quantityReconciliationBtn');
+        if (reconciliationBtn) {
+            reconciliationBtn.addEventListener('click', () => {
+                this.showReconciliationModal();
+            });
+        }
+
+        document.getElementById('refreshReconciliationBtn').addEventListener('click', () => {
+            this.loadReconciliation();
+        });
+
+        // Book an item's missing changes
+        document.getElementById('quantityReconciliationResults').addEventListener('click', (e) => {
+            const btn = e.target.closest('.post-correction-btn');
+            if (btn) {
+                runWithButtonLocked(btn, () => this.postCorrection(parseInt(btn.getAttribute('data-item-id'))));
+            }
+        });
+    }
+
+    async showReconciliationModal() {
+        const modal = new bootstrap.Modal(document.getElementById('quantityReconciliationModal'));
+        modal.show();
+        await this.loadReconciliation();
+    }
+
+    async loadReconciliation() {
+        try {
+            showLoading('quantityReconciliationResults');
+            this.results = await inventoryDB.getQuantityReconciliation();
+            this.renderResults();
+        } catch (error) {
+            console.error('Error checking quantities:', error);
+            showToast('Error checking quantities: ' + error.message, 'error');
+            document.getElementById('quantityReconciliationResults').innerHTML = '<p class="text-muted">Error checking quantities</p>';
+        }
+    }
+
+    renderResults() {
+        const container = document.getElementById('quantityReconciliationResults');
+        const { checked, items } = this.results;
+
+        if (items.length === 0) {
+            container.innerHTML = `
+                <div class="alert alert-success mb-0">
+                    <i class="fas fa-check-circle"></i>
+                    The stock history of all ${checked} items adds up to the quantity on hand.
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="text-muted">${items.length} of ${checked} items don't add up.</p>
+            <div class="table-responsive">
+                <table class="table table-sm align-middle">
+                    <thead class="table-dark">
+                        <tr>
+                            <th>Item</th>
+                            <th>History Total</th>
+                            <th>On Hand</th>
+                            <th>Difference</th>
+                            <th>Where</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${items.map(row => `
+                            <tr>
+                                <td>
+                                    ${escapeHtml(row.item.name)}
+                                    ${row.item.sku ? `<br><small class="text-muted">${escapeHtml(row.item.sku)}</small>` : ''}
+                                </td>
+                                <td>${row.ledgerQuantity}</td>
+                                <td>${row.quantity}</td>
+                                <td class="${row.difference < 0 ? 'text-danger' : row.difference > 0 ? 'text-success' : ''}">
+                                    ${row.difference > 0 ? '+' : ''}${row.difference}
+                                </td>
+                                <td><small>${row.discrepancies.map(discrepancy => this.describeDiscrepancy(discrepancy)).join('<br>')}</small></td>
+                                <td class="text-end">
+                                    <button class="btn btn-sm btn-outline-primary text-nowrap post-correction-btn" data-item-id="${row.item.id}"
+                                        title="${row.difference ? 'Book the difference in the stock history' : 'The changes cancel out - mark the history as checked'}">
+                                        <i class="fas fa-${row.difference ? 'pen' : 'check'}"></i> ${row.difference ? 'Post Correction' : 'Mark Checked'}
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    describeDiscrepancy(discrepancy) {
+        const change = `${discrepancy.difference > 0 ? '+' : ''}${discrepancy.difference}`;
+        if (!discrepancy.entry) {
+            return `${change} since the last entry (on hand ${discrepancy.recorded}, expected ${discrepancy.expected})`;
+        }
+        return `${change} before "${escapeHtml(discrepancy.entry.description || discrepancy.entry.type)}" on ${formatDate(discrepancy.entry.timestamp)} ` +
+            `(recorded ${discrepancy.recorded}, expected ${discrepancy.expected})`;
+    }
+
+    async postCorrection(itemId) {
+        try {
+            const stockEntry = await inventoryDB.postQuantityCorrection(itemId);
+            showToast(stockEntry.description, 'success');
+
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+
+            await this.loadReconciliation();
+
+        } catch (error) {
+            console.error('Error posting correction:', error);
+            showToast('Error posting correction: ' + error.message, 'error');
+        }
+    }
+}
+
+// Create global instance
+const reconciliationManager = new QuantityReconciliationManager();
@@ -5,6 +5,8 @@
 class ReportsManager {
     constructor() {
         this.items = [];
+        this.valuation = [];
+        this.adjustmentReasons = [];
     }
 
     async init() {
@@ -21,6 +23,397 @@ class ReportsManager {
         document.getElementById('exportFullInventoryBtn').addEventListener('click', () => {
             this.exportFullInventory();
         });
+
+        // Stock valuation
+        const costingMethodSelect = document.getElementById('costingMethodSelect');
+        costingMethodSelect.value = inventoryDB.getCostingMethod();
+        costingMethodSelect.addEventListener('change', (e) => {
+            this.changeCostingMethod(e.target.value);
+        });
+
+        document.getElementById('showStockValuationBtn').addEventListener('click', () => {
+            this.showStockValuation();
+        });
+
+        document.getElementById('exportStockValuationBtn').addEventListener('click', () => {
+            this.exportStockValuation();
+        });
+
+        // Stock adjustments, this month by default
+        const today = new Date();
+        const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+        const toDateInput = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        document.getElementById('adjustmentsFromDate').value = toDateInput(monthStart);
+        document.getElementById('adjustmentsToDate').value = toDateInput(today);
+
+        document.getElementById('showAdjustmentsBtn').addEventListener('click', () => {
+            this.showAdjustments();
+        });
+
+        document.getElementById('exportAdjustmentsBtn').addEventListener('click', () => {
+            this.exportAdjustments();
+        });
+
+        document.getElementById('editAdjustmentReasonsBtn').addEventListener('click', () => {
+            this.toggleAdjustmentReasonsEditor();
+        });
+    }
+
+    async changeCostingMethod(method) {
+        try {
+            showToast('Revaluing stock...', 'info');
+            await inventoryDB.setCostingMethod(method);
+
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+            if (window.itemsManager) {
+                await itemsManager.loadItems();
+            }
+
+            await this.showStockValuation();
+            showToast(`Stock is now costed using ${method === 'fifo' ? 'FIFO' : 'weighted average cost'}`, 'success');
+
+        } catch (error) {
+            console.error('Error changing costing method:', error);
+            showToast('Error changing costing method: ' + error.message, 'error');
+        }
+    }
+
+    async showStockValuation() {
+        try {
+            showLoading('stockValuationReport');
+            this.valuation = (await inventoryDB.getStockValuation()).filter(row => row.quantity !== 0);
+            const method = inventoryDB.getCostingMethod();
+            const container = document.getElementById('stockValuationReport');
+
+            if (!this.valuation.length) {
+                container.innerHTML = '<p class="text-muted">No stock on hand.</p>';
+                return;
+            }
+
+            const totalAverage = this.valuation.reduce((sum, row) => sum + row.averageValue, 0);
+            const totalFifo = this.valuation.reduce((sum, row) => sum + row.fifoValue, 0);
+
+            container.innerHTML = `
+                <div class="table-responsive">
+                    <table class="table table-sm table-striped">
+                        <thead class="table-dark">
+                            <tr>
+                                <th>Item</th>
+                                <th>SKU</th>
+                                <th>Quantity</th>
+                                <th>Last Purchase Cost</th>
+                                <th>Average Cost</th>
+                                <th class="${method === 'average' ? 'table-primary' : ''}">Value (Average)</th>
+                                <th>FIFO Unit Cost</th>
+                                <th class="${method === 'fifo' ? 'table-primary' : ''}">Value (FIFO)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.valuation.map(row => `
+                                <tr>
+                                    <td>${escapeHtml(row.item.name)}</td>
+                                    <td>${row.item.sku ? escapeHtml(row.item.sku) : '-'}</td>
+                                    <td>${row.quantity}</td>
+                                    <td>${row.lastPurchaseCost !== null ? formatCurrency(row.lastPurchaseCost) : '-'}</td>
+                                    <td>${formatCurrency(row.averageCost)}</td>
+                                    <td class="${method === 'average' ? 'fw-bold' : ''}">${formatCurrency(row.averageValue)}</td>
+                                    <td>${formatCurrency(row.fifoUnitCost)}</td>
+                                    <td class="${method === 'fifo' ? 'fw-bold' : ''}">${formatCurrency(row.fifoValue)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                        <tfoot>
+                            <tr class="fw-bold">
+                                <td colspan="5">Total</td>
+                                <td>${formatCurrency(totalAverage)}</td>
+                                <td></td>
+                                <td>${formatCurrency(totalFifo)}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            `;
+
+        } catch (error) {
+            console.error('Error valuing stock:', error);
+            showToast('Error valuing stock: ' + error.message, 'error');
+            document.getElementById('stockValuationReport').innerHTML = '<p class="text-muted">Error valuing stock</p>';
+        }
+    }
+
+    async exportStockValuation() {
+        try {
+            const valuation = (await inventoryDB.getStockValuation()).filter(row => row.quantity !== 0);
+            if (!valuation.length) {
+                showToast('No stock to value', 'warning');
+                return;
+            }
+
+            const method = inventoryDB.getCostingMethod();
+            const exportData = valuation.map(row => ({
+                'Item': row.item.name || '',
+                'SKU': row.item.sku || '',
+                'Category': row.item.category || '',
+                'Quantity': row.quantity,
+                'Last Purchase Cost': row.lastPurchaseCost ?? '',
+                'Average Cost': Math.round(row.averageCost * 100) / 100,
+                'Value (Average)': Math.round(row.averageValue * 100) / 100,
+                'FIFO Unit Cost': Math.round(row.fifoUnitCost * 100) / 100,
+                'Value (FIFO)': Math.round(row.fifoValue * 100) / 100
+            }));
+
+            const worksheet = XLSX.utils.json_to_sheet(exportData);
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, worksheet, 'Stock Valuation');
+
+            const timestamp = new Date().toISOString().split('T')[0];
+            XLSX.writeFile(workbook, `FeetOnFocus_Stock_Valuation_${method}_${timestamp}.xlsx`);
+
+            showToast('Stock valuation exported', 'success');
+
+        } catch (error) {
+            console.error('Error exporting stock valuation:', error);
+            showToast('Error exporting stock valuation: ' + error.message, 'error');
+        }
+    }
+
+    getAdjustmentsPeriod() {
+        return {
+            from: document.getElementById('adjustmentsFromDate').value || null,
+            to: document.getElementById('adjustmentsToDate').value || null
+        };
+    }
+
+    async showAdjustments() {
+        try {
+            showLoading('adjustmentsReport');
+            const period = this.getAdjustmentsPeriod();
+            const report = await inventoryDB.getAdjustmentsReport(period.from, period.to);
+            const container = document.getElementById('adjustmentsReport');
+
+            if (!report.adjustments.length) {
+                container.innerHTML = '<p class="text-muted">No stock adjustments in this period.</p>';
+                return;
+            }
+
+            container.innerHTML = `
+                <div class="table-responsive mb-3">
+                    <table class="table table-sm table-striped">
+                        <thead class="table-dark">
+                            <tr>
+                                <th>Reason</th>
+                                <th>Adjustments</th>
+                                <th>Units Added</th>
+                                <th>Units Removed</th>
+                                <th>Value Added</th>
+                                <th>Value Removed</th>
+                                <th>Net Value</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${report.byReason.map(row => `
+                                <tr>
+                                    <td>${escapeHtml(row.label)}</td>
+                                    <td>${row.count}</td>
+                                    <td>${row.unitsAdded}</td>
+                                    <td>${row.unitsRemoved}</td>
+                                    <td>${formatCurrency(row.valueAdded)}</td>
+                                    <td>${formatCurrency(row.valueRemoved)}</td>
+                                    <td class="${row.netValue < 0 ? 'text-danger' : ''}">${formatCurrency(row.netValue)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                        <tfoot>
+                            <tr class="fw-bold">
+                                <td>Total</td>
+                                <td>${report.totals.count}</td>
+                                <td>${report.totals.unitsAdded}</td>
+                                <td>${report.totals.unitsRemoved}</td>
+                                <td>${formatCurrency(report.totals.valueAdded)}</td>
+                                <td>${formatCurrency(report.totals.valueRemoved)}</td>
+                                <td class="${report.totals.netValue < 0 ? 'text-danger' : ''}">${formatCurrency(report.totals.netValue)}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Item</th>
+                                <th>Reason</th>
+                                <th>Location</th>
+                                <th>Quantity</th>
+                                <th>Value</th>
+                                <th>Notes</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${report.adjustments.map(entry => `
+                                <tr>
+                                    <td>${formatDate(entry.timestamp)}</td>
+                                    <td>${escapeHtml(entry.itemName)}${entry.itemSku ? ` <small class="text-muted">${escapeHtml(entry.itemSku)}</small>` : ''}</td>
+                                    <td>${escapeHtml(entry.reasonLabel)}</td>
+                                    <td>${entry.locationName ? escapeHtml(entry.locationName) : '-'}</td>
+                                    <td class="${entry.quantityChange < 0 ? 'text-danger' : 'text-success'}">${entry.quantityChange > 0 ? '+' : ''}${entry.quantityChange}</td>
+                                    <td>${formatCurrency(entry.totalValue || 0)}</td>
+                                    <td>${entry.notes ? escapeHtml(entry.notes) : ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+
+        } catch (error) {
+            console.error('Error loading adjustments:', error);
+            showToast('Error loading adjustments: ' + error.message, 'error');
+            document.getElementById('adjustmentsReport').innerHTML = '<p class="text-muted">Error loading adjustments</p>';
+        }
+    }
+
+    async exportAdjustments() {
+        try {
+            const period = this.getAdjustmentsPeriod();
+            const report = await inventoryDB.getAdjustmentsReport(period.from, period.to);
+            if (!report.adjustments.length) {
+                showToast('No stock adjustments in this period', 'warning');
+                return;
+            }
+
+            const round = value => Math.round(value * 100) / 100;
+            const summaryData = [...report.byReason, { label: 'Total', ...report.totals }].map(row => ({
+                'Reason': row.label,
+                'Adjustments': row.count,
+                'Units Added': row.unitsAdded,
+                'Units Removed': row.unitsRemoved,
+                'Value Added': round(row.valueAdded),
+                'Value Removed': round(row.valueRemoved),
+                'Net Value': round(row.netValue)
+            }));
+            const detailData = report.adjustments.map(entry => ({
+                'Date': entry.date,
+                'Item': entry.itemName,
+                'SKU': entry.itemSku || '',
+                'Reason': entry.reasonLabel,
+                'Location': entry.locationName || '',
+                'Quantity': entry.quantityChange,
+                'Value': round(entry.totalValue || 0),
+                'Notes': entry.notes || ''
+            }));
+
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryData), 'By Reason');
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(detailData), 'Adjustments');
+
+            XLSX.writeFile(workbook, `FeetOnFocus_Stock_Adjustments_${period.from || 'start'}_${period.to || 'today'}.xlsx`);
+
+            showToast('Stock adjustments exported', 'success');
+
+        } catch (error) {
+            console.error('Error exporting adjustments:', error);
+            showToast('Error exporting adjustments: ' + error.message, 'error');
+        }
+    }
+
+    toggleAdjustmentReasonsEditor() {
+        const editor = document.getElementById('adjustmentReasonsEditor');
+        if (!editor.classList.contains('d-none')) {
+            editor.classList.add('d-none');
+            return;
+        }
+
+        this.adjustmentReasons = inventoryDB.getAdjustmentReasons().map(reason => ({ ...reason }));
+        this.renderAdjustmentReasonsEditor();
+        editor.classList.remove('d-none');
+    }
+
+    renderAdjustmentReasonsEditor() {
+        const editor = document.getElementById('adjustmentReasonsEditor');
+        const directions = { out: 'Removes stock', in: 'Adds stock', both: 'Either way' };
+
+        editor.innerHTML = `
+            <table class="table table-sm align-middle mb-2">
+                <thead>
+                    <tr>
+                        <th>Reason</th>
+                        <th>Direction</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.adjustmentReasons.map((reason, index) => `
+                        <tr>
+                            <td>
+                                <input type="text" class="form-control form-control-sm reason-label" data-index="${index}" value="${escapeHtml(reason.label)}">
+                            </td>
+                            <td>
+                                <select class="form-select form-select-sm reason-direction" data-index="${index}">
+                                    ${Object.entries(directions).map(([value, label]) => `
+                                        <option value="${value}" ${reason.direction === value ? 'selected' : ''}>${label}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                            <td class="text-end">
+                                <button class="btn btn-sm btn-outline-danger remove-reason-btn" data-index="${index}" title="Remove">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="d-flex gap-2">
+                <button class="btn btn-sm btn-outline-secondary" id="addAdjustmentReasonBtn">
+                    <i class="fas fa-plus me-1"></i>Add Reason
+                </button>
+                <button class="btn btn-sm btn-primary" id="saveAdjustmentReasonsBtn">
+                    <i class="fas fa-save me-1"></i>Save Reasons
+                </button>
+            </div>
+            <small class="text-muted d-block mt-1">Renaming a reason also renames it on past adjustments.</small>
+        `;
+
+        editor.querySelectorAll('.reason-label').forEach(input => {
+            input.addEventListener('input', () => {
+                this.adjustmentReasons[parseInt(input.dataset.index)].label = input.value;
+            });
+        });
+        editor.querySelectorAll('.reason-direction').forEach(select => {
+            select.addEventListener('change', () => {
+                this.adjustmentReasons[parseInt(select.dataset.index)].direction = select.value;
+            });
+        });
+        editor.querySelectorAll('.remove-reason-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.adjustmentReasons.splice(parseInt(button.dataset.index), 1);
+                this.renderAdjustmentReasonsEditor();
+            });
+        });
+
+        document.getElementById('addAdjustmentReasonBtn').addEventListener('click', () => {
+            this.adjustmentReasons.push({ label: '', direction: 'out' });
+            this.renderAdjustmentReasonsEditor();
+            const inputs = editor.querySelectorAll('.reason-label');
+            inputs[inputs.length - 1].focus();
+        });
+        document.getElementById('saveAdjustmentReasonsBtn').addEventListener('click', () => {
+            this.saveAdjustmentReasons();
+        });
+    }
+
+    saveAdjustmentReasons() {
+        try {
+            this.adjustmentReasons = inventoryDB.setAdjustmentReasons(this.adjustmentReasons);
+            document.getElementById('adjustmentReasonsEditor').classList.add('d-none');
+            showToast('Adjustment reasons saved', 'success');
+
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
     }
 
     async exportForSimplyBlu() {
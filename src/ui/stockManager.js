@@ -7,6 +7,9 @@ class StockManager {
     constructor() {
         this.currentItem = null;
         this.stockHistory = [];
+        this.stockLots = [];
+        this.locations = [];
+        this.openOrderLines = [];
     }
 
     async init() {
@@ -15,13 +18,13 @@ class StockManager {
 
     setupEventListeners() {
         // Stock sale confirmation
-        document.getElementById('confirmSaleBtn').addEventListener('click', () => {
-            this.confirmStockSale();
+        document.getElementById('confirmSaleBtn').addEventListener('click', (e) => {
+            runWithButtonLocked(e.currentTarget, () => this.confirmStockSale());
         });
 
         // Stock usage confirmation
-        document.getElementById('confirmUsageBtn').addEventListener('click', () => {
-            this.confirmStockUsage();
+        document.getElementById('confirmUsageBtn').addEventListener('click', (e) => {
+            runWithButtonLocked(e.currentTarget, () => this.confirmStockUsage());
         });
 
         // Record sale button from item details
@@ -34,6 +37,38 @@ class StockManager {
             this.showStockUsageModal();
         });
 
+        // Transfer button from item details
+        document.getElementById('transferStockBtn').addEventListener('click', () => {
+            this.showStockTransferModal();
+        });
+
+        // Stock transfer confirmation
+        document.getElementById('confirmTransferBtn').addEventListener('click', (e) => {
+            runWithButtonLocked(e.currentTarget, () => this.confirmStockTransfer());
+        });
+
+        // Adjust button from item details
+        document.getElementById('adjustStockBtn').addEventListener('click', () => {
+            this.showStockAdjustmentModal();
+        });
+
+        // Stock adjustment confirmation
+        document.getElementById('confirmAdjustmentBtn').addEventListener('click', (e) => {
+            runWithButtonLocked(e.currentTarget, () => this.confirmStockAdjustment());
+        });
+
+        document.getElementById('adjustReason').addEventListener('change', () => {
+            this.applyAdjustmentReason();
+        });
+
+        document.getElementById('adjustDirection').addEventListener('change', () => {
+            this.populateAdjustmentLocations();
+        });
+
+        document.getElementById('adjustLocation').addEventListener('change', (e) => {
+            this.populateLotSelect('adjustLot', parseInt(e.target.value) || null);
+        });
+
         // Edit item from details modal
         document.getElementById('editItemFromDetailsBtn').addEventListener('click', () => {
             this.editItemFromDetails();
@@ -45,8 +80,39 @@ class StockManager {
         });
 
         // Confirm received button
-        document.getElementById('confirmReceivedBtn').addEventListener('click', () => {
-            this.confirmItemReceived();
+        document.getElementById('confirmReceivedBtn').addEventListener('click', (e) => {
+            runWithButtonLocked(e.currentTarget, () => this.confirmItemReceived());
+        });
+
+        // Purchase order picked in the received modal
+        document.getElementById('receivedPurchaseLine').addEventListener('change', () => {
+            this.applySelectedOrderLine();
+        });
+
+        // Lots on offer follow the location picked in the sale and usage modals
+        document.getElementById('saleLocation').addEventListener('change', (e) => {
+            this.populateLotSelect('saleLot', parseInt(e.target.value) || null);
+        });
+
+        document.getElementById('usageLocation').addEventListener('change', (e) => {
+            this.populateLotSelect('usageLot', parseInt(e.target.value) || null);
+        });
+
+        document.getElementById('transferFromLocation').addEventListener('change', (e) => {
+            this.populateLotSelect('transferLot', parseInt(e.target.value) || null);
+            this.populateTransferDestinations();
+        });
+
+        // Save per-location thresholds from item details
+        document.getElementById('itemDetailsContent').addEventListener('click', (e) => {
+            if (e.target.closest('#saveLocationThresholdsBtn')) {
+                this.saveLocationThresholds();
+            }
+
+            const reverseBtn = e.target.closest('.reverse-entry-btn');
+            if (reverseBtn) {
+                runWithButtonLocked(reverseBtn, () => this.reverseHistoryEntry(parseInt(reverseBtn.getAttribute('data-entry-id'))));
+            }
         });
 
         // Item name click handlers (will be added dynamically to inventory tables)
@@ -61,10 +127,12 @@ class StockManager {
 
     async showEnhancedItemDetails(itemId) {
         try {
-            // Load item data and stock history
-            const [item, stockHistory] = await Promise.all([
+            // Load item data, stock history, lots and locations
+            const [item, stockHistory, stockLots, locations] = await Promise.all([
                 inventoryDB.getItemById(parseInt(itemId)),
-                inventoryDB.getItemStockHistory(parseInt(itemId))
+                inventoryDB.getItemStockHistory(parseInt(itemId)),
+                inventoryDB.getItemLots(parseInt(itemId)),
+                inventoryDB.getAllLocations()
             ]);
 
             if (!item) {
@@ -74,6 +142,9 @@ class StockManager {
 
             this.currentItem = item;
             this.stockHistory = stockHistory;
+            // Lots still on the shelf or held in quarantine
+            this.stockLots = stockLots.filter(lot => lot.quantity > 0 || lot.quarantinedQuantity > 0);
+            this.locations = locations;
 
             // Set modal title
             document.getElementById('itemDetailsTitle').textContent = item.name;
@@ -159,6 +230,38 @@ class StockManager {
                 </div>
             </div>
 
+            ${itemType !== 'office_equipment' && this.locations.length ? `
+            <!-- Stock by Location -->
+            <div class="row">
+                <div class="col-12 mb-4">
+                    <div class="card">
+                        <div class="card-header">
+                            <h6 class="mb-0"><i class="fas fa-warehouse"></i> Stock by Location</h6>
+                        </div>
+                        <div class="card-body">
+                            ${this.renderLocationStock()}
+                        </div>
+                    </div>
+                </div>
+            </div>
+            ` : ''}
+
+            ${this.stockLots.length ? `
+            <!-- Stock Lots -->
+            <div class="row">
+                <div class="col-12 mb-4">
+                    <div class="card">
+                        <div class="card-header">
+                            <h6 class="mb-0"><i class="fas fa-layer-group"></i> Lots in Stock</h6>
+                        </div>
+                        <div class="card-body">
+                            ${this.renderStockLots()}
+                        </div>
+                    </div>
+                </div>
+            </div>
+            ` : ''}
+
             <!-- Stock History -->
             <div class="row">
                 <div class="col-12">
@@ -179,7 +282,7 @@ class StockManager {
 
     renderCurrentStatus(item, itemType) {
         const orderStatus = item.orderStatus === 'ordered' ? 
-            `<span class="badge bg-warning text-dark">On Order (${item.orderedQuantity || 0} units)</span>` :
+            `<span class="badge bg-warning text-dark">On Order (${item.orderedQuantity || 0} units${item.openOrderCount > 1 ? ` on ${item.openOrderCount} orders` : ''})</span>` :
             `<span class="badge bg-success">In Stock</span>`;
 
         let statusHtml = `
@@ -198,6 +301,14 @@ class StockManager {
                 <tr><th>Cost Price:</th><td>${formatCurrency(item.costPrice || item.price || 0)}</td></tr>
         `;
 
+        if (itemType !== 'office_equipment') {
+            const method = inventoryDB.getCostingMethod() === 'fifo' ? 'FIFO' : 'weighted average';
+            statusHtml += `
+                <tr><th>Costing:</th><td><small class="text-muted">${method}</small></td></tr>
+                ${item.lastPurchaseCost !== undefined ? `<tr><th>Last Purchase Cost:</th><td>${formatCurrency(item.lastPurchaseCost)}</td></tr>` : ''}
+            `;
+        }
+
         if (itemType === 'reselling') {
             const sellingPrice = item.sellingPrice || 0;
             const profit = sellingPrice - (item.costPrice || 0);
@@ -231,14 +342,18 @@ class StockManager {
         let totalUsed = 0;
         let totalPurchaseValue = 0;
         let totalSaleValue = 0;
+        let totalCostOfSales = 0;
 
-        this.stockHistory.forEach(entry => {
+        // Reversed entries and their reversals cancel out
+        this.stockHistory.filter(entry => !inventoryDB.isReversedOrReversal(entry)).forEach(entry => {
             if (entry.type === 'purchase') {
                 totalPurchased += entry.quantityChange;
                 totalPurchaseValue += entry.totalValue || 0;
             } else if (entry.type === 'sale') {
                 totalSold += Math.abs(entry.quantityChange);
                 totalSaleValue += entry.totalValue || 0;
+                // Sales recorded before costing was kept are costed at today's cost price
+                totalCostOfSales += entry.costValue ?? Math.abs(entry.quantityChange) * (item.costPrice || 0);
             } else if (entry.type === 'usage') {
                 totalUsed += Math.abs(entry.quantityChange);
             }
@@ -254,8 +369,9 @@ class StockManager {
                 <tr><th>Total Sold:</th><td>${totalSold}</td></tr>
                 <tr><th>Purchase Value:</th><td>${formatCurrency(totalPurchaseValue)}</td></tr>
                 <tr><th>Sales Revenue:</th><td class="text-success">${formatCurrency(totalSaleValue)}</td></tr>
-                <tr><th>Gross Profit:</th><td class="${totalSaleValue - totalPurchaseValue >= 0 ? 'text-success' : 'text-danger'}">
-                    ${formatCurrency(totalSaleValue - totalPurchaseValue)}
+                <tr><th>Cost of Sales:</th><td>${formatCurrency(totalCostOfSales)}</td></tr>
+                <tr><th>Gross Profit:</th><td class="${totalSaleValue - totalCostOfSales >= 0 ? 'text-success' : 'text-danger'}">
+                    ${formatCurrency(totalSaleValue - totalCostOfSales)}
                 </td></tr>
             `;
         } else if (itemType === 'consumable') {
@@ -278,6 +394,161 @@ class StockManager {
         return statsHtml;
     }
 
+    renderLocationStock() {
+        const thresholds = this.currentItem.locationThresholds || {};
+
+        return `
+            <div class="table-responsive">
+                <table class="table table-sm align-middle">
+                    <thead class="table-light">
+                        <tr>
+                            <th>Location</th>
+                            <th>In Stock</th>
+                            <th style="width: 200px;">Low Stock Alert</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.locations.map(location => {
+                            const quantity = this.stockLots
+                                .filter(lot => lot.locationId === location.id)
+                                .reduce((sum, lot) => sum + lot.quantity, 0);
+                            const threshold = thresholds[location.id];
+                            const isLow = threshold !== undefined && quantity < threshold;
+
+                            return `
+                                <tr>
+                                    <td>${escapeHtml(location.name)}</td>
+                                    <td><span class="badge ${isLow ? 'bg-warning text-dark' : 'bg-info'}">${quantity}</span></td>
+                                    <td>
+                                        <input type="number" class="form-control form-control-sm location-threshold"
+                                               data-location-id="${location.id}" min="0" step="1"
+                                               value="${threshold ?? ''}" placeholder="No alert">
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <button type="button" class="btn btn-sm btn-outline-primary" id="saveLocationThresholdsBtn">
+                <i class="fas fa-save"></i> Save Alerts
+            </button>
+        `;
+    }
+
+    async saveLocationThresholds() {
+        const thresholds = {};
+        document.querySelectorAll('#itemDetailsContent .location-threshold').forEach(input => {
+            if (input.value !== '') {
+                thresholds[input.getAttribute('data-location-id')] = parseInt(input.value) || 0;
+            }
+        });
+
+        try {
+            await inventoryDB.updateItemLocationThresholds(this.currentItem.id, thresholds);
+            this.currentItem.locationThresholds = thresholds;
+            await this.renderItemDetails();
+
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+
+            showToast('Location stock alerts saved', 'success');
+        } catch (error) {
+            console.error('Error saving location thresholds:', error);
+            showToast('Error saving location alerts: ' + error.message, 'error');
+        }
+    }
+
+    getLocationName(locationId) {
+        const location = this.locations.find(l => l.id === locationId);
+        return location ? location.name : '-';
+    }
+
+    /**
+     * Fill a location select with the locations holding stock of the current item,
+     * preferring the main location
+     * @param {string} selectId - Location select element ID
+     * @param {string} lotSelectId - Lot select to fill for the chosen location
+     */
+    populateLocationSelect(selectId, lotSelectId) {
+        const stocked = this.locations
+            .map(location => ({
+                location: location,
+                quantity: this.stockLots
+                    .filter(lot => lot.locationId === location.id)
+                    .reduce((sum, lot) => sum + lot.quantity, 0)
+            }))
+            .filter(entry => entry.quantity > 0);
+
+        const select = document.getElementById(selectId);
+        select.innerHTML = stocked.map(entry => `
+            <option value="${entry.location.id}">${escapeHtml(entry.location.name)} (${entry.quantity} in stock)</option>
+        `).join('');
+
+        const preferred = stocked.find(entry => entry.location.isDefault) || stocked[0];
+        if (preferred) {
+            select.value = preferred.location.id;
+        }
+
+        this.populateLotSelect(lotSelectId, preferred ? preferred.location.id : null);
+    }
+
+    renderStockLots() {
+        return `
+            <div class="table-responsive">
+                <table class="table table-sm">
+                    <thead class="table-light">
+                        <tr>
+                            <th>Lot / Batch</th>
+                            <th>Location</th>
+                            <th>Expiry Date</th>
+                            <th>Received</th>
+                            <th>Supplier</th>
+                            <th>Remaining</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.stockLots.map(lot => `
+                            <tr>
+                                <td>${lot.lotNumber ? escapeHtml(lot.lotNumber) : `<span class="text-muted">${lot.isOpeningBalance ? 'Opening stock' : (lot.isCountGain ? 'Found in count' : 'Not recorded')}</span>`}</td>
+                                <td>${escapeHtml(this.getLocationName(lot.locationId))}</td>
+                                <td>
+                                    ${lot.expiryDate ? formatDate(lot.expiryDate) : '-'}
+                                    ${inventoryDB.getLotDaysToExpiry(lot) < 0 ? ' <span class="badge bg-danger">Expired</span>' : ''}
+                                </td>
+                                <td>${formatDate(lot.receivedDate)}</td>
+                                <td>${lot.supplier ? escapeHtml(lot.supplier) : '-'}</td>
+                                <td>
+                                    <span class="badge bg-info">${lot.quantity}</span> of ${lot.initialQuantity}
+                                    ${lot.quarantinedQuantity > 0 ? `<span class="badge bg-danger">${lot.quarantinedQuantity} quarantined</span>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Fill a lot select with the current item's lots, keeping "automatic" as the default
+     * @param {string} selectId - Select element ID
+     * @param {number} locationId - Only list lots held at this location (optional)
+     */
+    populateLotSelect(selectId, locationId = null) {
+        const lots = this.stockLots.filter(lot => lot.quantity > 0 && (!locationId || lot.locationId === locationId));
+        const select = document.getElementById(selectId);
+        select.innerHTML = '<option value="">Automatic (earliest expiry first)</option>' +
+            inventoryDB.sortLotsForConsumption(lots).map(lot => `
+                <option value="${lot.id}">
+                    ${lot.lotNumber ? escapeHtml(lot.lotNumber) : (lot.isOpeningBalance ? 'Opening stock' : (lot.isCountGain ? 'Found in count' : 'Lot not recorded'))}
+                    ${lot.expiryDate ? ' - exp ' + formatDate(lot.expiryDate) : ''} (${lot.quantity} left)
+                    ${inventoryDB.getLotDaysToExpiry(lot) < 0 ? ' - EXPIRED' : ''}
+                </option>
+            `).join('');
+    }
+
     async renderStockHistory() {
         if (!this.stockHistory.length) {
             return '<p class="text-muted">No stock history available.</p>';
@@ -295,6 +566,7 @@ class StockManager {
                             <th>Unit Price</th>
                             <th>Total Value</th>
                             <th>New Stock</th>
+                            <th></th>
                         </tr>
                     </thead>
                     <tbody>
@@ -312,17 +584,30 @@ class StockManager {
             'purchase': 'bg-success',
             'sale': 'bg-primary', 
             'usage': 'bg-warning text-dark',
-            'adjustment': 'bg-info'
+            'adjustment': 'bg-info',
+            'recall': 'bg-danger',
+            'transfer': 'bg-dark',
+            'reversal': 'bg-secondary'
         }[entry.type] || 'bg-secondary';
 
         const quantityClass = entry.quantityChange > 0 ? 'text-success' : 'text-danger';
+        const reversed = Boolean(entry.reversedAt);
 
         return `
-            <tr>
+            <tr class="${reversed ? 'text-muted' : ''}">
                 <td>${formatDate(entry.timestamp)}</td>
-                <td><span class="badge ${typeClass}">${entry.type.charAt(0).toUpperCase() + entry.type.slice(1)}</span></td>
                 <td>
-                    ${entry.description}
+                    <span class="badge ${typeClass}">${entry.type.charAt(0).toUpperCase() + entry.type.slice(1)}</span>
+                    ${reversed ? '<br><span class="badge bg-light text-dark border">Reversed</span>' : ''}
+                </td>
+                <td>
+                    ${reversed ? `<s>${entry.description}</s>` : entry.description}
+                    ${reversed ? `<br><small class="text-muted"><i class="fas fa-undo"></i> Reversed on ${formatDate(entry.reversedAt)}</small>` : ''}
+                    ${entry.type === 'transfer' ? `<br><small class="text-muted"><i class="fas fa-exchange-alt"></i> ${escapeHtml(entry.fromLocationName)} &rarr; ${escapeHtml(entry.toLocationName)}</small>` : ''}
+                    ${entry.type === 'sale' && entry.costValue !== undefined ? `<br><small class="text-muted">Cost of sales ${formatCurrency(entry.costValue)}</small>` : ''}
+                    ${entry.reason ? `<br><small class="text-muted"><i class="fas fa-tag"></i> ${escapeHtml(entry.reason)}</small>` : ''}
+                    ${entry.purchaseId ? `<br><small class="text-muted">Purchase order ${entry.poNumber || '#' + entry.purchaseId}</small>` : ''}
+                    ${entry.lots && entry.lots.some(lot => lot.lotNumber || lot.expiryDate) ? `<br><small class="text-muted"><i class="fas fa-layer-group"></i> ${escapeHtml(inventoryDB.describeLots(entry.lots))}</small>` : ''}
                     ${entry.notes ? `<br><small class="text-muted">${entry.notes}</small>` : ''}
                 </td>
                 <td class="${quantityClass}">
@@ -331,19 +616,61 @@ class StockManager {
                 <td>${formatCurrency(entry.unitPrice || 0)}</td>
                 <td>${formatCurrency(entry.totalValue || 0)}</td>
                 <td><span class="badge bg-info">${entry.newQuantity}</span></td>
+                <td>
+                    ${entry.id && !inventoryDB.getReverseBlockReason(entry) ? `
+                        <button type="button" class="btn btn-sm btn-outline-secondary reverse-entry-btn" data-entry-id="${entry.id}" title="Reverse this entry">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                    ` : ''}
+                </td>
             </tr>
         `;
     }
 
+    async reverseHistoryEntry(entryId) {
+        try {
+            const entry = this.stockHistory.find(e => e.id === entryId);
+            if (!entry || !this.currentItem) return;
+
+            const reason = prompt(`Reverse "${entry.description}"?\n\nThe entry stays in the history, marked as reversed. Reason for the reversal:`);
+            if (reason === null) return;
+            if (!reason.trim()) {
+                showToast('A reason is required to reverse an entry', 'warning');
+                return;
+            }
+
+            await inventoryDB.reverseStockEntry(this.currentItem.id, entryId, reason.trim());
+
+            await this.showEnhancedItemDetails(this.currentItem.id);
+
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+            if (window.itemsManager) {
+                await itemsManager.loadItems();
+            }
+
+            showToast('Entry reversed', 'success');
+
+        } catch (error) {
+            console.error('Error reversing entry:', error);
+            showToast('Error reversing entry: ' + error.message, 'error');
+        }
+    }
+
     setupActionButtons() {
         const markReceivedBtn = document.getElementById('markReceivedFromItemBtn');
         const recordSaleBtn = document.getElementById('recordSaleBtn');
         const recordUsageBtn = document.getElementById('recordUsageBtn');
+        const transferStockBtn = document.getElementById('transferStockBtn');
+        const adjustStockBtn = document.getElementById('adjustStockBtn');
 
         // Hide all buttons first
         markReceivedBtn.style.display = 'none';
         recordSaleBtn.style.display = 'none';
         recordUsageBtn.style.display = 'none';
+        transferStockBtn.style.display = 'none';
+        adjustStockBtn.style.display = 'none';
 
         if (!this.currentItem) return;
 
@@ -359,6 +686,16 @@ class StockManager {
         } else if (itemType === 'consumable' && (this.currentItem.quantity || 0) > 0) {
             recordUsageBtn.style.display = 'inline-block';
         }
+
+        // Stock on the shelf can be moved whenever there is somewhere to move it to
+        if (this.locations.length > 1 && this.stockLots.some(lot => lot.quantity > 0)) {
+            transferStockBtn.style.display = 'inline-block';
+        }
+
+        // Stock can be written off or found at any time
+        if (itemType !== 'office_equipment') {
+            adjustStockBtn.style.display = 'inline-block';
+        }
     }
 
     showStockSaleModal() {
@@ -373,6 +710,8 @@ class StockManager {
         // Set default sale price to selling price
         document.getElementById('salePrice').value = this.currentItem.sellingPrice || 0;
         
+        this.populateLocationSelect('saleLocation', 'saleLot');
+        
         // Clear other fields
         document.getElementById('saleQuantity').value = '';
         document.getElementById('saleNotes').value = '';
@@ -390,6 +729,8 @@ class StockManager {
         document.getElementById('usageCostPrice').textContent = formatCurrency(this.currentItem.costPrice || 0);
         document.getElementById('usageItemId').value = this.currentItem.id;
         
+        this.populateLocationSelect('usageLocation', 'usageLot');
+        
         // Clear fields
         document.getElementById('usageQuantity').value = '';
         document.getElementById('usageNotes').value = '';
@@ -398,6 +739,41 @@ class StockManager {
         modal.show();
     }
 
+    showStockTransferModal() {
+        if (!this.currentItem) return;
+
+        document.getElementById('transferItemName').textContent = this.currentItem.name;
+        document.getElementById('transferItemId').value = this.currentItem.id;
+
+        this.populateLocationSelect('transferFromLocation', 'transferLot');
+        this.populateTransferDestinations();
+
+        // Clear fields
+        document.getElementById('transferQuantity').value = '';
+        document.getElementById('transferNotes').value = '';
+
+        const modal = new bootstrap.Modal(document.getElementById('stockTransferModal'));
+        modal.show();
+    }
+
+    /**
+     * Fill the destination select with every location except the one stock is leaving
+     */
+    populateTransferDestinations() {
+        const fromLocationId = parseInt(document.getElementById('transferFromLocation').value) || null;
+        const select = document.getElementById('transferToLocation');
+        const previous = parseInt(select.value) || null;
+        const destinations = this.locations.filter(location => location.id !== fromLocationId);
+
+        select.innerHTML = destinations.map(location => `
+            <option value="${location.id}">${escapeHtml(location.name)}</option>
+        `).join('');
+
+        if (destinations.some(location => location.id === previous)) {
+            select.value = previous;
+        }
+    }
+
     async confirmStockSale() {
         try {
             const form = document.getElementById('stockSaleForm');
@@ -410,8 +786,10 @@ class StockManager {
             const quantity = parseInt(document.getElementById('saleQuantity').value);
             const salePrice = parseFloat(document.getElementById('salePrice').value);
             const notes = document.getElementById('saleNotes').value.trim() || null;
+            const lotId = parseInt(document.getElementById('saleLot').value) || null;
+            const locationId = parseInt(document.getElementById('saleLocation').value) || null;
 
-            await inventoryDB.recordStockSale(itemId, quantity, salePrice, notes);
+            await inventoryDB.recordStockSale(itemId, quantity, salePrice, notes, null, lotId, locationId);
 
             // Close modal
             bootstrap.Modal.getInstance(document.getElementById('stockSaleModal')).hide();
@@ -443,8 +821,10 @@ class StockManager {
             const itemId = parseInt(document.getElementById('usageItemId').value);
             const quantity = parseInt(document.getElementById('usageQuantity').value);
             const notes = document.getElementById('usageNotes').value.trim() || null;
+            const lotId = parseInt(document.getElementById('usageLot').value) || null;
+            const locationId = parseInt(document.getElementById('usageLocation').value) || null;
 
-            await inventoryDB.recordStockUsage(itemId, quantity, notes);
+            await inventoryDB.recordStockUsage(itemId, quantity, notes, lotId, locationId);
 
             // Close modal
             bootstrap.Modal.getInstance(document.getElementById('stockUsageModal')).hide();
@@ -465,28 +845,205 @@ class StockManager {
         }
     }
 
-    showMarkReceivedModal() {
+    async confirmStockTransfer() {
+        try {
+            const form = document.getElementById('stockTransferForm');
+            if (!validateForm(form)) {
+                showToast('Please fill in all required fields', 'error');
+                return;
+            }
+
+            const itemId = parseInt(document.getElementById('transferItemId').value);
+            const quantity = parseInt(document.getElementById('transferQuantity').value);
+            const fromLocationId = parseInt(document.getElementById('transferFromLocation').value);
+            const toLocationId = parseInt(document.getElementById('transferToLocation').value);
+            const notes = document.getElementById('transferNotes').value.trim() || null;
+            const lotId = parseInt(document.getElementById('transferLot').value) || null;
+
+            await inventoryDB.transferStock(itemId, quantity, fromLocationId, toLocationId, notes, lotId);
+
+            // Close modal
+            bootstrap.Modal.getInstance(document.getElementById('stockTransferModal')).hide();
+
+            // Refresh item details
+            await this.showEnhancedItemDetails(itemId);
+
+            // Update dashboard if available
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+
+            showToast(`Transferred ${quantity} units to ${this.getLocationName(toLocationId)}`, 'success');
+
+        } catch (error) {
+            console.error('Error transferring stock:', error);
+            showToast('Error transferring stock: ' + error.message, 'error');
+        }
+    }
+
+    showStockAdjustmentModal() {
         if (!this.currentItem) return;
 
+        this.adjustmentReasons = inventoryDB.getAdjustmentReasons();
+
+        document.getElementById('adjustItemName').textContent = this.currentItem.name;
+        document.getElementById('adjustCurrentStock').textContent = this.currentItem.quantity || 0;
+        document.getElementById('adjustItemId').value = this.currentItem.id;
+
+        const directionHint = { out: 'removes stock', in: 'adds stock', both: 'either way' };
+        document.getElementById('adjustReason').innerHTML = '<option value="">Choose a reason...</option>' +
+            this.adjustmentReasons.map(reason => `
+                <option value="${escapeHtml(reason.code)}">${escapeHtml(reason.label)} (${directionHint[reason.direction]})</option>
+            `).join('');
+
+        // Clear fields
+        document.getElementById('adjustQuantity').value = '';
+        document.getElementById('adjustNotes').value = '';
+        clearFormValidation(document.getElementById('stockAdjustmentForm'));
+        this.applyAdjustmentReason();
+
+        const modal = new bootstrap.Modal(document.getElementById('stockAdjustmentModal'));
+        modal.show();
+    }
+
+    /**
+     * Lock the add/remove choice to the direction of the chosen reason
+     */
+    applyAdjustmentReason() {
+        const code = document.getElementById('adjustReason').value;
+        const reason = (this.adjustmentReasons || []).find(r => r.code === code);
+        const direction = document.getElementById('adjustDirection');
+
+        if (reason && reason.direction !== 'both') {
+            direction.value = reason.direction;
+        }
+        direction.disabled = !reason || reason.direction !== 'both';
+
+        this.populateAdjustmentLocations();
+    }
+
+    /**
+     * Stock is removed from a location holding it, but can be added anywhere
+     */
+    populateAdjustmentLocations() {
+        const removing = document.getElementById('adjustDirection').value === 'out';
+        document.getElementById('adjustLotGroup').style.display = removing ? '' : 'none';
+
+        if (removing) {
+            this.populateLocationSelect('adjustLocation', 'adjustLot');
+            return;
+        }
+
+        const select = document.getElementById('adjustLocation');
+        select.innerHTML = this.locations.map(location => `
+            <option value="${location.id}">${escapeHtml(location.name)}</option>
+        `).join('');
+
+        const mainLocation = this.locations.find(location => location.isDefault);
+        if (mainLocation) {
+            select.value = mainLocation.id;
+        }
+    }
+
+    async confirmStockAdjustment() {
+        try {
+            const form = document.getElementById('stockAdjustmentForm');
+            if (!validateForm(form)) {
+                showToast('Please fill in all required fields', 'error');
+                return;
+            }
+
+            const itemId = parseInt(document.getElementById('adjustItemId').value);
+            const reasonCode = document.getElementById('adjustReason').value;
+            const removing = document.getElementById('adjustDirection').value === 'out';
+            const units = parseInt(document.getElementById('adjustQuantity').value);
+            const locationId = parseInt(document.getElementById('adjustLocation').value) || null;
+            const lotId = removing ? parseInt(document.getElementById('adjustLot').value) || null : null;
+            const notes = document.getElementById('adjustNotes').value.trim() || null;
+
+            if (!(units > 0)) {
+                showToast('Enter the number of units', 'error');
+                return;
+            }
+
+            await inventoryDB.recordStockAdjustment(itemId, removing ? -units : units, reasonCode, notes, locationId, lotId);
+
+            // Close modal
+            bootstrap.Modal.getInstance(document.getElementById('stockAdjustmentModal')).hide();
+
+            // Refresh item details
+            await this.showEnhancedItemDetails(itemId);
+
+            // Update dashboard if available
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+            if (window.itemsManager) {
+                await itemsManager.loadItems();
+            }
+
+            showToast(removing ? `Wrote off ${units} units` : `Added ${units} units`, 'success');
+
+        } catch (error) {
+            console.error('Error adjusting stock:', error);
+            showToast('Error adjusting stock: ' + error.message, 'error');
+        }
+    }
+
+    async showMarkReceivedModal() {
+        if (!this.currentItem) return;
+
+        try {
+            this.openOrderLines = await inventoryDB.getOpenPurchaseLines(this.currentItem.id);
+        } catch (error) {
+            console.error('Error loading open orders:', error);
+            this.openOrderLines = [];
+        }
+
         // Populate received modal
         document.getElementById('receivedItemName').textContent = this.currentItem.name;
         document.getElementById('receivedCurrentStock').textContent = this.currentItem.quantity || 0;
-        document.getElementById('receivedOrderedQuantity').textContent = this.currentItem.orderedQuantity || 0;
         document.getElementById('receivedItemId').value = this.currentItem.id;
+
+        // List every open order for this item; the oldest is selected by default
+        const lineSelect = document.getElementById('receivedPurchaseLine');
+        lineSelect.innerHTML = this.openOrderLines.map(line => `
+            <option value="${line.purchaseId}:${line.lineId}">
+                ${escapeHtml(line.poNumber || 'Order #' + line.purchaseId)} - ${line.outstanding} outstanding
+                (ordered ${formatDate(line.orderDate)}${line.expectedDelivery ? ', due ' + formatDate(line.expectedDelivery) : ''})
+            </option>
+        `).join('') + '<option value="">Not linked to a purchase order</option>';
+
+        this.applySelectedOrderLine();
         
-        // Set default received quantity to ordered quantity
-        document.getElementById('receivedQuantity').value = this.currentItem.orderedQuantity || 0;
-        
-        // Set default unit cost (user can change if actual cost was different)
-        document.getElementById('actualUnitCost').value = this.currentItem.costPrice || 0;
-        
-        // Clear notes
+        // Clear notes, backorder date and lot details
         document.getElementById('receivedNotes').value = '';
+        document.getElementById('receivedBackorderDate').value = '';
+        document.getElementById('receivedLotNumber').value = '';
+        document.getElementById('receivedExpiryDate').value = '';
 
         const modal = new bootstrap.Modal(document.getElementById('markItemReceivedModal'));
         modal.show();
     }
 
+    getSelectedOrderLine() {
+        const value = document.getElementById('receivedPurchaseLine').value;
+        if (!value) return null;
+
+        const [purchaseId, lineId] = value.split(':').map(Number);
+        return this.openOrderLines.find(line => line.purchaseId === purchaseId && line.lineId === lineId) || null;
+    }
+
+    applySelectedOrderLine() {
+        const line = this.getSelectedOrderLine();
+
+        // Default the received quantity and cost to what is outstanding on the chosen order
+        document.getElementById('receivedOrderedQuantity').textContent = line ? line.outstanding : 0;
+        document.getElementById('receivedQuantity').value = line ? line.outstanding : '';
+        document.getElementById('actualUnitCost').value = line ? line.unitCost : (this.currentItem.lastPurchaseCost ?? (this.currentItem.costPrice || 0));
+        document.getElementById('receivedBackorderDate').disabled = !line;
+    }
+
     async confirmItemReceived() {
         try {
             const form = document.getElementById('markReceivedForm');
@@ -497,61 +1054,41 @@ class StockManager {
 
             const itemId = parseInt(document.getElementById('receivedItemId').value);
             const receivedQuantity = parseInt(document.getElementById('receivedQuantity').value);
-            const actualUnitCost = parseFloat(document.getElementById('actualUnitCost').value) || this.currentItem.costPrice || 0;
+            const actualUnitCost = parseFloat(document.getElementById('actualUnitCost').value) || this.currentItem.lastPurchaseCost || this.currentItem.costPrice || 0;
             const notes = document.getElementById('receivedNotes').value.trim() || null;
-
-            // Find the related purchase record to get supplier info
-            let supplierCode = this.currentItem.supplier;
-            let invoiceRef = null;
-
-            // Try to find the most recent purchase order for this item
-            try {
-                const purchases = await inventoryDB.getAllPurchases();
-                const relatedPurchase = purchases.find(p => 
-                    p.itemId === itemId && 
-                    p.status === 'ordered' &&
-                    p.quantity === this.currentItem.orderedQuantity
-                );
-                
-                if (relatedPurchase) {
-                    supplierCode = relatedPurchase.supplier;
-                    invoiceRef = relatedPurchase.invoiceReference;
-                    
-                    // Update purchase status to received
-                    await inventoryDB.updatePurchaseStatus(relatedPurchase.id, 'received', {
-                        receivedDate: new Date().toISOString(),
-                        actualQuantityReceived: receivedQuantity,
-                        actualUnitCost: actualUnitCost
-                    });
+            const backorderExpectedDelivery = document.getElementById('receivedBackorderDate').value || null;
+            const lotNumber = document.getElementById('receivedLotNumber').value.trim() || null;
+            const expiryDate = document.getElementById('receivedExpiryDate').value || null;
+            const orderLine = this.getSelectedOrderLine();
+            const outstandingAfter = orderLine ? Math.max(0, orderLine.outstanding - receivedQuantity) : 0;
+
+            if (orderLine) {
+                if (receivedQuantity > orderLine.outstanding) {
+                    showToast(`Only ${orderLine.outstanding} units are outstanding on this order`, 'error');
+                    return;
                 }
-            } catch (error) {
-                console.warn('Could not find related purchase record:', error);
-            }
 
-            // Record the stock receipt with full tracking
-            await inventoryDB.recordStockPurchase(
-                itemId, 
-                receivedQuantity, 
-                actualUnitCost, 
-                supplierCode,
-                invoiceRef
-            );
-
-            // Add a note to the stock history if provided
-            if (notes) {
-                const noteEntry = {
-                    itemId: itemId,
-                    type: 'adjustment',
-                    date: new Date().toISOString().split('T')[0],
-                    quantityChange: 0, // No quantity change, just a note
-                    unitPrice: actualUnitCost,
-                    totalValue: 0,
-                    newQuantity: (this.currentItem.quantity || 0) + receivedQuantity,
-                    notes: notes,
-                    description: 'Delivery notes: ' + notes
-                };
-                
-                await inventoryDB.addStockHistory(noteEntry);
+                // Receive against the chosen order line (records the stock receipt with full tracking)
+                await inventoryDB.receivePurchaseOrder(orderLine.purchaseId, [{
+                    lineId: orderLine.lineId,
+                    quantity: receivedQuantity,
+                    unitCost: actualUnitCost,
+                    lotNumber: lotNumber,
+                    expiryDate: expiryDate,
+                    backorderExpectedDelivery: backorderExpectedDelivery
+                }], notes);
+            } else {
+                // Stock that did not come from a recorded order
+                await inventoryDB.recordStockPurchase(
+                    itemId, 
+                    receivedQuantity, 
+                    actualUnitCost, 
+                    this.currentItem.supplier,
+                    null,
+                    null,
+                    { lotNumber: lotNumber, expiryDate: expiryDate },
+                    notes
+                );
             }
 
             // Close modal
@@ -565,7 +1102,11 @@ class StockManager {
                 await dashboard.refreshStats();
             }
 
-            showToast(`Order received: ${receivedQuantity} units added to stock`, 'success');
+            if (outstandingAfter > 0) {
+                showToast(`Partial delivery: ${receivedQuantity} units added to stock, ${outstandingAfter} still on backorder`, 'info');
+            } else {
+                showToast(`Order received: ${receivedQuantity} units added to stock`, 'success');
+            }
 
         } catch (error) {
             console.error('Error marking item as received:', error);
@@ -0,0 +1,803 @@
+/**
+ * Stocktake UI
+ * Count sessions: freeze the quantities on record, enter counts, review variances and post them
+ */
+
+class StocktakeManager {
+    constructor() {
+        this.stocktakes = [];
+        this.currentStocktake = null;
+        this.items = [];
+        this.locations = [];
+        this.categories = [];
+        this.importedCounts = null;
+    }
+
+    async init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Stocktakes button (from settings menu)
+        const stocktakesBtn = document.getElementById('stocktakesBtn');
+        if (stocktakesBtn) {
+            stocktakesBtn.addEventListener('click', () => {
+                this.showStocktakesModal();
+            });
+        }
+
+        // Scope picked for a new stocktake
+        document.getElementById('stocktakeScope').addEventListener('change', () => {
+            this.populateScopeValues();
+        });
+
+        // Start a new stocktake
+        document.getElementById('startStocktakeBtn').addEventListener('click', () => {
+            this.startStocktake();
+        });
+
+        // Open a stocktake from the list
+        document.getElementById('stocktakesList').addEventListener('click', (e) => {
+            const btn = e.target.closest('.open-stocktake-btn');
+            if (btn) {
+                this.openStocktake(parseInt(btn.getAttribute('data-stocktake-id')));
+            }
+        });
+
+        // Back to the list
+        document.getElementById('backToStocktakesBtn').addEventListener('click', () => {
+            this.showList();
+        });
+
+        // Counts typed in update the variances straight away
+        document.getElementById('stocktakeCountTable').addEventListener('input', (e) => {
+            if (e.target.classList.contains('stocktake-count')) {
+                this.updateCount(e.target);
+            }
+        });
+
+        // Show all lines, uncounted lines or variances only
+        document.getElementById('stocktakeLineFilter').addEventListener('change', () => {
+            this.renderCountTable();
+        });
+
+        // Add an item found where it wasn't expected
+        document.getElementById('addStocktakeLineBtn').addEventListener('click', () => {
+            this.addLine();
+        });
+
+        document.getElementById('saveStocktakeCountsBtn').addEventListener('click', () => {
+            this.saveCounts();
+        });
+
+        document.getElementById('postStocktakeBtn').addEventListener('click', () => {
+            this.postStocktake();
+        });
+
+        document.getElementById('cancelStocktakeBtn').addEventListener('click', () => {
+            this.cancelStocktake();
+        });
+
+        // Count sheets for counting on paper
+        document.getElementById('printCountSheetBtn').addEventListener('click', () => {
+            this.printCountSheet();
+        });
+
+        document.getElementById('exportCountSheetXlsxBtn').addEventListener('click', () => {
+            this.exportCountSheet('xlsx');
+        });
+
+        document.getElementById('exportCountSheetCsvBtn').addEventListener('click', () => {
+            this.exportCountSheet('csv');
+        });
+
+        document.getElementById('importCountSheetFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importCountSheet(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        // Accept or discard counts read from a sheet
+        document.getElementById('countSheetImportPreview').addEventListener('click', (e) => {
+            if (e.target.closest('#applyImportedCountsBtn')) {
+                this.applyImportedCounts();
+            } else if (e.target.closest('#discardImportedCountsBtn')) {
+                this.clearImportPreview();
+            }
+        });
+    }
+
+    async showStocktakesModal() {
+        try {
+            const [items, locations, categories] = await Promise.all([
+                inventoryDB.getAllItems(),
+                inventoryDB.getAllLocations(),
+                inventoryDB.getAllCategories()
+            ]);
+            this.items = items
+                .filter(item => item.itemType !== 'office_equipment')
+                .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+            this.locations = locations;
+            this.categories = categories;
+
+            document.getElementById('stocktakeName').value = '';
+            document.getElementById('stocktakeScope').value = 'full';
+            this.populateScopeValues();
+
+            await this.showList();
+
+            const modal = new bootstrap.Modal(document.getElementById('stocktakesModal'));
+            modal.show();
+
+        } catch (error) {
+            console.error('Error loading stocktakes:', error);
+            showToast('Error loading stocktakes', 'error');
+        }
+    }
+
+    populateScopeValues() {
+        const scope = document.getElementById('stocktakeScope').value;
+        const select = document.getElementById('stocktakeScopeValue');
+        const wrapper = document.getElementById('stocktakeScopeValueGroup');
+
+        if (scope === 'category') {
+            select.innerHTML = this.categories.map(category => `
+                <option value="${escapeHtml(category.code)}">${escapeHtml(category.name)}</option>
+            `).join('');
+        } else if (scope === 'location') {
+            select.innerHTML = this.locations.map(location => `
+                <option value="${location.id}">${escapeHtml(location.name)}</option>
+            `).join('');
+        } else {
+            select.innerHTML = '';
+        }
+
+        wrapper.style.display = scope === 'full' ? 'none' : 'block';
+    }
+
+    async showList() {
+        this.currentStocktake = null;
+        document.getElementById('stocktakeCountPane').style.display = 'none';
+        document.getElementById('stocktakeListPane').style.display = 'block';
+        await this.loadStocktakes();
+    }
+
+    async loadStocktakes() {
+        this.stocktakes = await inventoryDB.getAllStocktakes();
+        const container = document.getElementById('stocktakesList');
+
+        if (!this.stocktakes.length) {
+            container.innerHTML = '<p class="text-muted">No stocktakes yet.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm table-hover">
+                    <thead class="table-dark">
+                        <tr>
+                            <th>Started</th>
+                            <th>Name</th>
+                            <th>Counting</th>
+                            <th>Counted</th>
+                            <th>Variance Value</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.stocktakes.map(stocktake => this.renderStocktakeRow(stocktake)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderStocktakeRow(stocktake) {
+        const summary = inventoryDB.getStocktakeSummary(stocktake);
+        const statusBadge = {
+            'open': '<span class="badge bg-warning text-dark">In Progress</span>',
+            'posted': '<span class="badge bg-success">Posted</span>',
+            'cancelled': '<span class="badge bg-secondary">Cancelled</span>'
+        }[stocktake.status] || `<span class="badge bg-secondary">${stocktake.status}</span>`;
+
+        return `
+            <tr>
+                <td>${formatDate(stocktake.createdAt)}</td>
+                <td>${escapeHtml(stocktake.name)}</td>
+                <td>${escapeHtml(stocktake.scopeLabel)}</td>
+                <td>${summary.counted} of ${summary.lines.length}</td>
+                <td class="${this.getValueClass(summary.netValue)}">${formatCurrency(summary.netValue)}</td>
+                <td>
+                    ${statusBadge}
+                    ${stocktake.postedAt ? `<br><small class="text-muted">${formatDate(stocktake.postedAt)}</small>` : ''}
+                    ${stocktake.reason ? `<br><small class="text-muted">${escapeHtml(stocktake.reason)}</small>` : ''}
+                </td>
+                <td>
+                    <button class="btn btn-sm ${stocktake.status === 'open' ? 'btn-primary' : 'btn-outline-secondary'} open-stocktake-btn" data-stocktake-id="${stocktake.id}">
+                        <i class="fas ${stocktake.status === 'open' ? 'fa-clipboard-check' : 'fa-eye'}"></i> ${stocktake.status === 'open' ? 'Count' : 'View'}
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    getValueClass(value) {
+        if (value > 0) return 'text-success';
+        if (value < 0) return 'text-danger';
+        return '';
+    }
+
+    async startStocktake() {
+        const scope = document.getElementById('stocktakeScope').value;
+        const rawValue = document.getElementById('stocktakeScopeValue').value;
+
+        try {
+            const stocktake = await inventoryDB.createStocktake({
+                name: document.getElementById('stocktakeName').value.trim() || null,
+                scope: scope,
+                scopeValue: scope === 'location' ? parseInt(rawValue) : (scope === 'category' ? rawValue : null)
+            });
+
+            showToast(`Stocktake started: ${stocktake.lines.length} lines to count`, 'success');
+            await this.openStocktake(stocktake.id);
+
+        } catch (error) {
+            console.error('Error starting stocktake:', error);
+            showToast('Error starting stocktake: ' + error.message, 'error');
+        }
+    }
+
+    async openStocktake(stocktakeId) {
+        try {
+            this.currentStocktake = await inventoryDB.getStocktakeById(stocktakeId);
+            if (!this.currentStocktake) {
+                showToast('Stocktake not found', 'error');
+                return;
+            }
+
+            const stocktake = this.currentStocktake;
+            const isOpen = stocktake.status === 'open';
+
+            document.getElementById('stocktakeListPane').style.display = 'none';
+            document.getElementById('stocktakeCountPane').style.display = 'block';
+            document.getElementById('stocktakeCountTitle').textContent = `${stocktake.name} - ${stocktake.scopeLabel}`;
+            document.getElementById('stocktakeLineFilter').value = 'all';
+            document.getElementById('stocktakeOpenActions').style.display = isOpen ? 'block' : 'none';
+            document.getElementById('stocktakeSheetActions').style.display = isOpen ? 'block' : 'none';
+            this.clearImportPreview();
+            document.getElementById('stocktakeReason').value = '';
+
+            if (isOpen) {
+                this.populateAddLineSelects();
+            }
+
+            this.renderCountTable();
+
+        } catch (error) {
+            console.error('Error opening stocktake:', error);
+            showToast('Error opening stocktake: ' + error.message, 'error');
+        }
+    }
+
+    populateAddLineSelects() {
+        const stocktake = this.currentStocktake;
+        const items = stocktake.scope === 'category' ?
+            this.items.filter(item => item.category === stocktake.scopeValue) :
+            this.items;
+        const locations = stocktake.scope === 'location' ?
+            this.locations.filter(location => location.id === stocktake.scopeValue) :
+            this.locations;
+
+        document.getElementById('stocktakeAddItem').innerHTML = '<option value="">Item found...</option>' +
+            items.map(item => `
+                <option value="${item.id}">${escapeHtml(item.name)}${item.sku ? ` (${escapeHtml(item.sku)})` : ''}</option>
+            `).join('');
+        document.getElementById('stocktakeAddLocation').innerHTML = locations.map(location => `
+            <option value="${location.id}">${escapeHtml(location.name)}</option>
+        `).join('');
+    }
+
+    renderCountTable() {
+        const stocktake = this.currentStocktake;
+        const isOpen = stocktake.status === 'open';
+        const filter = document.getElementById('stocktakeLineFilter').value;
+        const summary = inventoryDB.getStocktakeSummary(stocktake);
+
+        const lines = summary.lines
+            .filter(line => filter === 'all' ||
+                (filter === 'uncounted' && line.counted === null) ||
+                (filter === 'variances' && line.variance))
+            .sort((a, b) => a.locationName.localeCompare(b.locationName) || a.itemName.localeCompare(b.itemName));
+
+        const container = document.getElementById('stocktakeCountTable');
+        if (!lines.length) {
+            container.innerHTML = '<p class="text-muted">No lines to show.</p>';
+        } else {
+            container.innerHTML = `
+                <div class="table-responsive">
+                    <table class="table table-sm align-middle">
+                        <thead class="table-light">
+                            <tr>
+                                <th>Location</th>
+                                <th>Item</th>
+                                <th>SKU</th>
+                                <th>On Record</th>
+                                <th style="width: 120px">Counted</th>
+                                <th>Variance</th>
+                                <th>Value</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${lines.map(line => this.renderCountRow(line, isOpen)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        this.renderSummary(summary);
+    }
+
+    renderCountRow(line, isOpen) {
+        return `
+            <tr data-key="${line.key}">
+                <td>${escapeHtml(line.locationName)}</td>
+                <td>${escapeHtml(line.itemName)}</td>
+                <td>${line.sku ? `<code>${escapeHtml(line.sku)}</code>` : '-'}</td>
+                <td>${line.expected}</td>
+                <td>
+                    ${isOpen ?
+                        `<input type="number" class="form-control form-control-sm stocktake-count" data-key="${line.key}" min="0" value="${line.counted ?? ''}">` :
+                        (line.counted ?? '<span class="text-muted">Not counted</span>')}
+                </td>
+                <td class="stocktake-variance">${this.renderVariance(line)}</td>
+                <td class="stocktake-variance-value ${this.getValueClass(line.varianceValue)}">${line.variance ? formatCurrency(line.varianceValue) : '-'}</td>
+            </tr>
+        `;
+    }
+
+    renderVariance(line) {
+        if (line.variance === null) return '<span class="text-muted">-</span>';
+        if (line.variance === 0) return '<span class="badge bg-success">Matches</span>';
+        return `<span class="${this.getValueClass(line.variance)} fw-bold">${line.variance > 0 ? '+' : ''}${line.variance}</span>`;
+    }
+
+    renderSummary(summary) {
+        document.getElementById('stocktakeSummary').innerHTML = `
+            <span class="badge bg-info">${summary.counted} of ${summary.lines.length} counted</span>
+            <span class="badge bg-secondary">${summary.varianceLines.length} variances</span>
+            <span class="ms-2 text-success">Gains ${formatCurrency(summary.gainValue)}</span>
+            <span class="ms-2 text-danger">Losses ${formatCurrency(summary.lossValue)}</span>
+            <span class="ms-2 fw-bold">Net ${formatCurrency(summary.netValue)}</span>
+        `;
+    }
+
+    updateCount(input) {
+        const line = this.currentStocktake.lines.find(l => l.key === input.getAttribute('data-key'));
+        if (!line) return;
+
+        const value = input.value.trim();
+        line.counted = value === '' ? null : Math.max(0, parseInt(value) || 0);
+
+        // Refresh just this row and the totals so the input keeps focus
+        const summary = inventoryDB.getStocktakeSummary(this.currentStocktake);
+        const summaryLine = summary.lines.find(l => l.key === line.key);
+        const row = input.closest('tr');
+        row.querySelector('.stocktake-variance').innerHTML = this.renderVariance(summaryLine);
+        const valueCell = row.querySelector('.stocktake-variance-value');
+        valueCell.className = `stocktake-variance-value ${this.getValueClass(summaryLine.varianceValue)}`;
+        valueCell.textContent = summaryLine.variance ? formatCurrency(summaryLine.varianceValue) : '-';
+
+        this.renderSummary(summary);
+    }
+
+    getCounts() {
+        const counts = {};
+        this.currentStocktake.lines.forEach(line => {
+            counts[line.key] = line.counted;
+        });
+        return counts;
+    }
+
+    async saveCounts(quiet = false) {
+        try {
+            this.currentStocktake = await inventoryDB.saveStocktakeCounts(this.currentStocktake.id, this.getCounts());
+            if (!quiet) {
+                showToast('Counts saved', 'success');
+            }
+            return true;
+        } catch (error) {
+            console.error('Error saving counts:', error);
+            showToast('Error saving counts: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    async addLine() {
+        const itemId = parseInt(document.getElementById('stocktakeAddItem').value);
+        const locationId = parseInt(document.getElementById('stocktakeAddLocation').value);
+
+        if (!itemId || !locationId) {
+            showToast('Select the item and where it was found', 'warning');
+            return;
+        }
+
+        // Keep counts typed in so far
+        if (!await this.saveCounts(true)) return;
+
+        try {
+            this.currentStocktake = await inventoryDB.addStocktakeLine(this.currentStocktake.id, itemId, locationId);
+            document.getElementById('stocktakeAddItem').value = '';
+            this.renderCountTable();
+
+        } catch (error) {
+            console.error('Error adding stocktake line:', error);
+            showToast('Error adding line: ' + error.message, 'error');
+        }
+    }
+
+    async postStocktake() {
+        const reason = document.getElementById('stocktakeReason').value.trim();
+        if (!reason) {
+            showToast('Enter a reason for the adjustments (e.g. Quarterly count)', 'warning');
+            return;
+        }
+
+        if (!await this.saveCounts(true)) return;
+
+        const summary = inventoryDB.getStocktakeSummary(this.currentStocktake);
+        const message = `Post ${summary.varianceLines.length} variances (net ${formatCurrency(summary.netValue)}) as stock adjustments?` +
+            (summary.uncounted ? `\n\n${summary.uncounted} lines have not been counted and will be left unchanged.` : '');
+        if (!confirm(message)) return;
+
+        try {
+            await inventoryDB.postStocktake(this.currentStocktake.id, reason);
+
+            if (window.dashboard) {
+                await dashboard.refreshStats();
+            }
+            if (window.itemsManager) {
+                await itemsManager.loadItems();
+            }
+
+            showToast(`Stocktake posted: ${summary.varianceLines.length} adjustments recorded`, 'success');
+            await this.showList();
+
+        } catch (error) {
+            console.error('Error posting stocktake:', error);
+            showToast('Error posting stocktake: ' + error.message, 'error');
+        }
+    }
+
+    getCategoryName(code) {
+        const category = this.categories.find(c => c.code === code);
+        return category ? category.name : (code || 'Uncategorised');
+    }
+
+    /**
+     * Lines of the current stocktake in count sheet order, with the group each falls under
+     * @param {string} groupBy - 'location' or 'category'
+     */
+    getSheetLines(groupBy) {
+        return this.currentStocktake.lines
+            .map(line => {
+                const item = this.items.find(i => i.id === line.itemId);
+                return {
+                    ...line,
+                    unit: line.unit || (item && item.unit) || '',
+                    group: groupBy === 'category' ? this.getCategoryName(line.category) : line.locationName
+                };
+            })
+            .sort((a, b) => a.group.localeCompare(b.group) ||
+                a.itemName.localeCompare(b.itemName) ||
+                a.locationName.localeCompare(b.locationName));
+    }
+
+    /**
+     * Count sheet as rows of cells. The Line column ties each row back to the stocktake on import.
+     * @param {boolean} blind - Leave out the quantities on record
+     */
+    getSheetRows(blind) {
+        const groupBy = document.getElementById('countSheetGroupBy').value;
+        const headers = ['Line', 'Location', 'Category', 'Item', 'SKU', 'Unit', ...(blind ? [] : ['Expected']), 'Counted'];
+        const rows = this.getSheetLines(groupBy).map(line => [
+            line.key,
+            line.locationName,
+            this.getCategoryName(line.category),
+            line.itemName,
+            line.sku || '',
+            line.unit,
+            ...(blind ? [] : [line.expected]),
+            line.counted ?? ''
+        ]);
+        return [headers, ...rows];
+    }
+
+    getSheetFilename(extension) {
+        const name = this.currentStocktake.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+        return `count-sheet-${name}-${new Date().toISOString().split('T')[0]}.${extension}`;
+    }
+
+    exportCountSheet(format) {
+        try {
+            const rows = this.getSheetRows(document.getElementById('countSheetBlind').checked);
+
+            if (format === 'xlsx') {
+                const worksheet = XLSX.utils.aoa_to_sheet(rows);
+                worksheet['!cols'] = [{ wch: 8 }, { wch: 18 }, { wch: 18 }, { wch: 40 }, { wch: 14 }, { wch: 8 }, { wch: 10 }, { wch: 10 }];
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, worksheet, 'Count Sheet');
+                XLSX.writeFile(workbook, this.getSheetFilename('xlsx'));
+            } else {
+                const csvContent = rows
+                    .map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','))
+                    .join('\n');
+                downloadFile(csvContent, this.getSheetFilename('csv'), 'text/csv');
+            }
+
+            showToast('Count sheet exported', 'success');
+
+        } catch (error) {
+            console.error('Error exporting count sheet:', error);
+            showToast('Error exporting count sheet: ' + error.message, 'error');
+        }
+    }
+
+    printCountSheet() {
+        const stocktake = this.currentStocktake;
+        const groupBy = document.getElementById('countSheetGroupBy').value;
+        const blind = document.getElementById('countSheetBlind').checked;
+        const lines = this.getSheetLines(groupBy);
+        const groups = [...new Set(lines.map(line => line.group))];
+
+        const sheetWindow = window.open('', '_blank');
+        if (!sheetWindow) {
+            showToast('Allow pop-ups to print the count sheet', 'warning');
+            return;
+        }
+
+        sheetWindow.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${escapeHtml(stocktake.name)}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; font-size: 12px; margin: 20px; }
+                    h1 { font-size: 18px; margin-bottom: 4px; }
+                    h2 { font-size: 14px; margin: 18px 0 6px; page-break-after: avoid; }
+                    table { width: 100%; border-collapse: collapse; }
+                    th, td { border: 1px solid #999; padding: 5px 6px; text-align: left; }
+                    th { background: #eee; }
+                    td.count { width: 90px; }
+                    tr { page-break-inside: avoid; }
+                    .meta { color: #555; }
+                </style>
+            </head>
+            <body>
+                <h1>${escapeHtml(stocktake.name)} - ${escapeHtml(stocktake.scopeLabel)}</h1>
+                <div class="meta">
+                    Started ${formatDate(stocktake.createdAt)}. Counted by: ______________________ Date: ____________
+                </div>
+                ${groups.map(group => `
+                    <h2>${escapeHtml(group)}</h2>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Line</th>
+                                ${groupBy === 'category' ? '<th>Location</th>' : ''}
+                                <th>Item</th>
+                                <th>SKU</th>
+                                <th>Unit</th>
+                                ${blind ? '' : '<th>Expected</th>'}
+                                <th>Counted</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${lines.filter(line => line.group === group).map(line => `
+                                <tr>
+                                    <td>${line.key}</td>
+                                    ${groupBy === 'category' ? `<td>${escapeHtml(line.locationName)}</td>` : ''}
+                                    <td>${escapeHtml(line.itemName)}</td>
+                                    <td>${line.sku ? escapeHtml(line.sku) : ''}</td>
+                                    <td>${escapeHtml(line.unit)}</td>
+                                    ${blind ? '' : `<td>${line.expected}</td>`}
+                                    <td class="count"></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `).join('')}
+            </body>
+            </html>
+        `);
+        sheetWindow.document.close();
+        sheetWindow.focus();
+        sheetWindow.print();
+    }
+
+    /**
+     * Read counts from a filled-in count sheet (Excel or CSV) and show them for review
+     * @param {File} file - Sheet file
+     */
+    async importCountSheet(file) {
+        try {
+            const data = new Uint8Array(await file.arrayBuffer());
+            const workbook = XLSX.read(data, { type: 'array' });
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
+
+            const headerIndex = rows.findIndex(row => row.some(cell => String(cell).trim().toLowerCase() === 'counted'));
+            if (headerIndex === -1) {
+                throw new Error('No "Counted" column found - use a count sheet exported from this stocktake');
+            }
+
+            const headers = rows[headerIndex].map(cell => String(cell).trim().toLowerCase());
+            const column = name => headers.indexOf(name);
+            const cell = (row, name) => column(name) === -1 ? '' : String(row[column(name)] ?? '').trim();
+
+            const lots = await inventoryDB.getAllLots();
+            const lines = this.currentStocktake.lines;
+            const matches = [];
+            const problems = [];
+
+            rows.slice(headerIndex + 1).forEach((row, index) => {
+                const countedText = cell(row, 'counted');
+                if (countedText === '') return;
+
+                const rowLabel = cell(row, 'item') || `Row ${headerIndex + index + 2}`;
+                const location = cell(row, 'location').toLowerCase();
+                const sku = cell(row, 'sku').toLowerCase();
+                const itemName = cell(row, 'item').toLowerCase();
+
+                // Match on the line reference, falling back to SKU or name at the location
+                const line = lines.find(l => l.key === cell(row, 'line')) ||
+                    lines.find(l => location && l.locationName.toLowerCase() === location &&
+                        ((sku && (l.sku || '').toLowerCase() === sku) || (!sku && itemName && l.itemName.toLowerCase() === itemName)));
+
+                const counted = Number(countedText);
+                if (!line) {
+                    problems.push(`${rowLabel}: not on this stocktake`);
+                } else if (!Number.isInteger(counted) || counted < 0) {
+                    problems.push(`${rowLabel}: "${countedText}" is not a whole number`);
+                } else if (matches.some(match => match.line.key === line.key)) {
+                    problems.push(`${rowLabel}: counted more than once on the sheet`);
+                } else {
+                    const now = lots
+                        .filter(lot => lot.itemId === line.itemId && lot.locationId === line.locationId)
+                        .reduce((sum, lot) => sum + lot.quantity, 0);
+                    matches.push({
+                        line: line,
+                        counted: counted,
+                        now: now,
+                        variance: counted - line.expected,
+                        varianceValue: (counted - line.expected) * (line.unitCost || 0)
+                    });
+                }
+            });
+
+            if (!matches.length && !problems.length) {
+                throw new Error('The sheet has no counts filled in');
+            }
+
+            this.importedCounts = matches;
+            this.renderImportPreview(problems);
+
+        } catch (error) {
+            console.error('Error importing count sheet:', error);
+            showToast('Error importing count sheet: ' + error.message, 'error');
+        }
+    }
+
+    renderImportPreview(problems) {
+        const matches = this.importedCounts;
+        const moved = matches.some(match => match.now !== match.line.expected);
+
+        document.getElementById('countSheetImportPreview').innerHTML = `
+            <div class="card border-primary mb-3">
+                <div class="card-body">
+                    <h6><i class="fas fa-file-import"></i> Counts from Sheet</h6>
+                    ${moved ? `
+                        <div class="alert alert-warning py-2">
+                            <i class="fas fa-exclamation-triangle"></i>
+                            Some stock has moved since the count started (see <strong>Now</strong>). Variances are worked out against the
+                            quantities on record when the sheet was made, and applied to the stock held now.
+                        </div>
+                    ` : ''}
+                    ${matches.length ? `
+                        <div class="table-responsive">
+                            <table class="table table-sm align-middle">
+                                <thead class="table-light">
+                                    <tr>
+                                        <th>Accept</th>
+                                        <th>Location</th>
+                                        <th>Item</th>
+                                        <th>On Record</th>
+                                        <th>Now</th>
+                                        <th>Counted</th>
+                                        <th>Variance</th>
+                                        <th>Value</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${matches.map(match => `
+                                        <tr>
+                                            <td><input type="checkbox" class="form-check-input import-accept" data-key="${match.line.key}" checked></td>
+                                            <td>${escapeHtml(match.line.locationName)}</td>
+                                            <td>${escapeHtml(match.line.itemName)}</td>
+                                            <td>${match.line.expected}</td>
+                                            <td class="${match.now !== match.line.expected ? 'text-warning fw-bold' : ''}">${match.now}</td>
+                                            <td>${match.counted}</td>
+                                            <td>${this.renderVariance(match)}</td>
+                                            <td class="${this.getValueClass(match.varianceValue)}">${match.variance ? formatCurrency(match.varianceValue) : '-'}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : ''}
+                    ${problems.length ? `
+                        <div class="alert alert-danger py-2">
+                            <strong>${problems.length} rows could not be read:</strong>
+                            <ul class="mb-0">${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>
+                        </div>
+                    ` : ''}
+                    <div class="text-end">
+                        <button type="button" class="btn btn-sm btn-outline-secondary" id="discardImportedCountsBtn">Discard</button>
+                        ${matches.length ? `
+                            <button type="button" class="btn btn-sm btn-primary" id="applyImportedCountsBtn">
+                                <i class="fas fa-check"></i> Use Accepted Counts
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    async applyImportedCounts() {
+        const accepted = [...document.querySelectorAll('#countSheetImportPreview .import-accept:checked')]
+            .map(input => input.getAttribute('data-key'));
+        const matches = this.importedCounts.filter(match => accepted.includes(match.line.key));
+
+        if (!matches.length) {
+            showToast('No counts accepted', 'warning');
+            return;
+        }
+
+        matches.forEach(match => {
+            const line = this.currentStocktake.lines.find(l => l.key === match.line.key);
+            line.counted = match.counted;
+        });
+
+        if (!await this.saveCounts(true)) return;
+
+        this.clearImportPreview();
+        this.renderCountTable();
+        showToast(`${matches.length} counts entered - review the variances and post them`, 'success');
+    }
+
+    clearImportPreview() {
+        this.importedCounts = null;
+        document.getElementById('countSheetImportPreview').innerHTML = '';
+    }
+
+    async cancelStocktake() {
+        if (!confirm(`Cancel the stocktake "${this.currentStocktake.name}"? Counts entered so far are discarded and no stock is changed.`)) {
+            return;
+        }
+
+        try {
+            await inventoryDB.cancelStocktake(this.currentStocktake.id);
+            showToast('Stocktake cancelled', 'success');
+            await this.showList();
+
+        } catch (error) {
+            console.error('Error cancelling stocktake:', error);
+            showToast('Error cancelling stocktake: ' + error.message, 'error');
+        }
+    }
+}
+
+// Create global instance
+const stocktakeManager = new StocktakeManager();
@@ -0,0 +1,266 @@
+/**
+ * FeetOnFocus Backup Archive
+ * Compressed backup files with item images stored once, as binary entries.
+ *
+ * Layout: "FOFBAK", format version (1 byte), header length (4 bytes), header JSON, body.
+ * The header holds the export date and, for encrypted archives, the AES-GCM parameters.
+ * The body is a gzip of the entries - each a 4-byte name length, name, 4-byte data length
+ * and data: "backup.json" with the backup data, then "images/<sha256>" for every distinct
+ * image. Encrypted archives encrypt the gzipped body.
+ *
+ * Runs in the app and in the Electron main process, so it only uses web APIs both have.
+ */
+
+class BackupArchive {
+    static magic = 'FOFBAK';
+    static version = 1;
+    static extension = '.fofbackup';
+    static encryptedFormat = 'feetonfocus-encrypted-backup';
+
+    /**
+     * Whether file bytes are a backup archive (rather than a JSON backup)
+     * @param {Uint8Array} bytes - File contents
+     */
+    static isArchive(bytes) {
+        return bytes.length > 11 && new TextDecoder().decode(bytes.subarray(0, 6)) === this.magic;
+    }
+
+    /**
+     * Pack backup data into an archive
+     * @param {Object} data - Backup from inventoryDB.exportAllData()
+     * @param {Object} encryption - { key, salt, iterations } to encrypt with, or null
+     * @returns {Uint8Array} Archive bytes
+     */
+    static async pack(data, encryption = null) {
+        const images = new Map();
+        const items = [];
+
+        // Move each image out of its item; items sharing an image share one entry
+        for (const item of (data.stores && data.stores.items) || []) {
+            const image = typeof item.imageData === 'string' && item.imageData.match(/^data:([^;,]+);base64,(.*)$/s);
+            if (!image) {
+                items.push(item);
+                continue;
+            }
+
+            const imageBytes = this.base64ToBytes(image[2]);
+            const hash = await this.sha256(imageBytes);
+            images.set(hash, imageBytes);
+
+            const { imageData, ...itemData } = item;
+            items.push({ ...itemData, imageRef: { hash: hash, type: image[1] } });
+        }
+
+        const packed = { ...data, stores: { ...data.stores, items: items } };
+        const entries = [['backup.json', new TextEncoder().encode(JSON.stringify(packed))]];
+        images.forEach((imageBytes, hash) => entries.push([`images/${hash}`, imageBytes]));
+
+        let body = await this.transform(this.joinEntries(entries), new CompressionStream('gzip'));
+        const header = { exportDate: data.exportDate, backupFormat: data.backupFormat, encryption: null };
+
+        if (encryption) {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            body = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, encryption.key, body));
+            header.encryption = {
+                algorithm: 'AES-GCM',
+                kdf: 'PBKDF2',
+                hash: 'SHA-256',
+                iterations: encryption.iterations,
+                salt: encryption.salt,
+                iv: this.bytesToBase64(iv)
+            };
+        }
+
+        const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+        const archive = new Uint8Array(11 + headerBytes.length + body.length);
+        archive.set(new TextEncoder().encode(this.magic), 0);
+        archive[6] = this.version;
+        new DataView(archive.buffer).setUint32(7, headerBytes.length, true);
+        archive.set(headerBytes, 11);
+        archive.set(body, 11 + headerBytes.length);
+        return archive;
+    }
+
+    /**
+     * Read any backup file: an archive or a JSON backup. Encrypted archives can't be
+     * unpacked without the passphrase, so they come back as an encrypted backup
+     * ({ format, exportDate, encryption, archive }) for BackupEncryption.decrypt().
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Backup data, or an encrypted backup
+     */
+    static async read(bytes) {
+        if (!this.isArchive(bytes)) {
+            try {
+                return JSON.parse(new TextDecoder().decode(bytes));
+            } catch (error) {
+                throw new Error('Not a FeetOnFocus backup file');
+            }
+        }
+
+        const { header } = this.readHeader(bytes);
+        if (header.encryption) {
+            return {
+                format: this.encryptedFormat,
+                exportDate: header.exportDate,
+                encryption: header.encryption,
+                archive: bytes
+            };
+        }
+
+        return this.unpack(bytes);
+    }
+
+    /**
+     * Split an archive into its header and body
+     * @param {Uint8Array} bytes - Archive bytes
+     */
+    static readHeader(bytes) {
+        if (bytes[6] > this.version) {
+            throw new Error('This backup was made by a newer version of FeetOnFocus');
+        }
+
+        const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(7, true);
+        const header = JSON.parse(new TextDecoder().decode(bytes.subarray(11, 11 + headerLength)));
+        return { header: header, body: bytes.subarray(11 + headerLength) };
+    }
+
+    /**
+     * Unpack an archive back into backup data, with each item's image back in imageData
+     * @param {Uint8Array} bytes - Archive bytes
+     * @param {CryptoKey} key - Key for an encrypted archive
+     * @returns {Object} Backup data
+     */
+    static async unpack(bytes, key = null) {
+        let { header, body } = this.readHeader(bytes);
+
+        if (header.encryption) {
+            if (!key) {
+                throw new Error('This backup is encrypted - a passphrase is needed');
+            }
+            try {
+                body = new Uint8Array(await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: this.base64ToBytes(header.encryption.iv) }, key, body
+                ));
+            } catch (error) {
+                // AES-GCM can't tell a wrong key from tampered data
+                throw new Error('Wrong passphrase, or the backup file is damaged');
+            }
+        }
+
+        let entries;
+        try {
+            entries = this.splitEntries(await this.transform(body, new DecompressionStream('gzip')));
+        } catch (error) {
+            throw new Error('Backup file is damaged and cannot be read');
+        }
+        if (!entries.has('backup.json')) {
+            throw new Error('Backup file is damaged - its data is missing');
+        }
+
+        const data = JSON.parse(new TextDecoder().decode(entries.get('backup.json')));
+        const images = new Map();
+        data.stores.items = data.stores.items.map(item => {
+            if (!item.imageRef) return item;
+
+            const { imageRef, ...itemData } = item;
+            const imageBytes = entries.get(`images/${imageRef.hash}`);
+            if (!imageBytes) return itemData; // Image missing from a damaged archive
+
+            if (!images.has(imageRef.hash)) {
+                images.set(imageRef.hash, this.bytesToBase64(imageBytes));
+            }
+            return { ...itemData, imageData: `data:${imageRef.type};base64,${images.get(imageRef.hash)}` };
+        });
+        return data;
+    }
+
+    /**
+     * Join named entries into one byte array
+     * @param {Array} entries - [name, bytes] pairs
+     */
+    static joinEntries(entries) {
+        const encoded = entries.map(([name, bytes]) => [new TextEncoder().encode(name), bytes]);
+        const length = encoded.reduce((sum, [name, bytes]) => sum + 8 + name.length + bytes.length, 0);
+        const joined = new Uint8Array(length);
+        const view = new DataView(joined.buffer);
+
+        let offset = 0;
+        for (const [name, bytes] of encoded) {
+            view.setUint32(offset, name.length, true);
+            joined.set(name, offset + 4);
+            offset += 4 + name.length;
+            view.setUint32(offset, bytes.length, true);
+            joined.set(bytes, offset + 4);
+            offset += 4 + bytes.length;
+        }
+        return joined;
+    }
+
+    /**
+     * Split joined entries back out
+     * @param {Uint8Array} joined - Joined entries
+     * @returns {Map} Entry bytes by name
+     */
+    static splitEntries(joined) {
+        const view = new DataView(joined.buffer, joined.byteOffset, joined.byteLength);
+        const entries = new Map();
+
+        let offset = 0;
+        while (offset < joined.length) {
+            const nameLength = view.getUint32(offset, true);
+            const name = new TextDecoder().decode(joined.subarray(offset + 4, offset + 4 + nameLength));
+            offset += 4 + nameLength;
+            const dataLength = view.getUint32(offset, true);
+            if (offset + 4 + dataLength > joined.length) {
+                throw new Error('Truncated archive entry');
+            }
+            entries.set(name, joined.subarray(offset + 4, offset + 4 + dataLength));
+            offset += 4 + dataLength;
+        }
+        return entries;
+    }
+
+    /**
+     * Run bytes through a compression or decompression stream
+     */
+    static async transform(bytes, stream) {
+        const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    /**
+     * Hex SHA-256 of bytes
+     */
+    static async sha256(bytes) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Base64-encode bytes, in chunks so large files don't overflow the call stack
+     */
+    static bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 to bytes
+     */
+    static base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// The Electron main process loads this file with require() to read archives
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupArchive;
+}
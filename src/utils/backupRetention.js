@@ -0,0 +1,104 @@
+/**
+ * FeetOnFocus Backup Retention
+ * Decides which backups to keep: the newest N hours, days, weeks and months each keep
+ * one backup, and the newest backup is always kept.
+ *
+ * Each period keeps its first backup, so a backup doesn't move out of its period as more
+ * are made, and last month's backup is at least a month old.
+ *
+ * Runs in the app and in the Electron main process, like BackupArchive.
+ */
+
+class BackupRetention {
+    static tiers = ['hourly', 'daily', 'weekly', 'monthly'];
+    static defaultPolicy = { hourly: 24, daily: 7, weekly: 4, monthly: 12 };
+    static maximumPerTier = 999;
+
+    /**
+     * Check a retention policy and fill in missing tiers
+     * @param {Object} policy - { hourly, daily, weekly, monthly }: periods kept per tier, 0 to skip a tier
+     * @returns {Object} Complete policy
+     */
+    static normalizePolicy(policy = {}) {
+        const normalized = {};
+        for (const tier of this.tiers) {
+            const value = policy[tier] === undefined || policy[tier] === null || policy[tier] === '' ?
+                this.defaultPolicy[tier] : Number(policy[tier]);
+            if (!Number.isInteger(value) || value < 0 || value > this.maximumPerTier) {
+                throw new Error(`Backups to keep ${tier} must be a whole number from 0 to ${this.maximumPerTier}`);
+            }
+            normalized[tier] = value;
+        }
+        return normalized;
+    }
+
+    /**
+     * Key of the period a date falls in, in local time
+     * @param {Date} date - Backup time
+     * @param {string} tier - 'hourly', 'daily', 'weekly' or 'monthly'
+     */
+    static getPeriodKey(date, tier) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+        switch (tier) {
+            case 'hourly':
+                return `${day}T${pad(date.getHours())}`;
+            case 'daily':
+                return day;
+            case 'weekly': {
+                // Weeks start on Monday
+                const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+                return `W${monday.getFullYear()}-${pad(monday.getMonth() + 1)}-${pad(monday.getDate())}`;
+            }
+            case 'monthly':
+                return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+        }
+        throw new Error(`Unknown retention tier: ${tier}`);
+    }
+
+    /**
+     * Split backups into those the policy keeps and those it removes. Backups without a
+     * known date are always kept.
+     * @param {Array} backups - Backups with a createdAt date
+     * @param {Object} policy - Retention policy
+     * @returns {Object} { keep, remove } arrays of the given backups
+     */
+    static apply(backups, policy) {
+        policy = this.normalizePolicy(policy);
+
+        const dated = backups
+            .map(backup => ({ backup: backup, date: backup.createdAt ? new Date(backup.createdAt) : null }))
+            .filter(entry => entry.date && !isNaN(entry.date.getTime()))
+            .sort((a, b) => a.date - b.date);
+        const kept = new Set(backups.filter(backup => !dated.some(entry => entry.backup === backup)));
+
+        if (dated.length > 0) {
+            kept.add(dated[dated.length - 1].backup);
+        }
+
+        for (const tier of this.tiers) {
+            // First backup of each period, oldest first
+            const firsts = new Map();
+            for (const entry of dated) {
+                const key = this.getPeriodKey(entry.date, tier);
+                if (!firsts.has(key)) {
+                    firsts.set(key, entry.backup);
+                }
+            }
+
+            const periods = Array.from(firsts.values());
+            periods.slice(Math.max(0, periods.length - policy[tier])).forEach(backup => kept.add(backup));
+        }
+
+        return {
+            keep: backups.filter(backup => kept.has(backup)),
+            remove: backups.filter(backup => !kept.has(backup))
+        };
+    }
+}
+
+// The Electron main process loads this file with require() to prune backup files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupRetention;
+}
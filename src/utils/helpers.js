@@ -32,6 +32,19 @@ function formatDate(date) {
     });
 }
 
+/**
+ * Format a size in bytes for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size, e.g. "2.4 MB"
+ */
+function formatFileSize(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+}
+
 /**
  * Debounce function for search inputs
  * @param {Function} func - Function to debounce
@@ -119,6 +132,22 @@ function hideLoading(elementId, content) {
     }
 }
 
+/**
+ * Run an action with its button disabled, so a double-click can't start it twice
+ * @param {HTMLButtonElement} button - Button that starts the action
+ * @param {Function} action - Async action to run
+ */
+async function runWithButtonLocked(button, action) {
+    if (button.disabled) return;
+    
+    button.disabled = true;
+    try {
+        await action();
+    } finally {
+        button.disabled = false;
+    }
+}
+
 /**
  * Validate required form fields
  * @param {HTMLFormElement} form - Form element to validate
@@ -244,6 +273,20 @@ function sanitizeString(str) {
     return str.replace(/[^a-z0-9]/gi, '_').toLowerCase();
 }
 
+/**
+ * Escape a string for safe insertion into HTML markup and attributes
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Parse alternative names from comma-separated string
  * @param {string} altNamesStr - Comma-separated string
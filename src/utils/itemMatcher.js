@@ -0,0 +1,217 @@
+/**
+ * FeetOnFocus Item Matching Engine
+ * Ranks inventory items against free text from supplier invoices and import rows
+ */
+
+const MATCH_STOP_WORDS = ['the', 'and', 'of', 'with', 'for', 'a', 'x', 'per', 'pk', 'ea', 'each'];
+
+/**
+ * Normalise text for matching: lower case, punctuation removed, single spaces
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+function normalizeMatchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/(\d),(\d)/g, '$1.$2')
+        .replace(/[^a-z0-9.]+/g, ' ')
+        .replace(/(?<!\d)\.|\.(?!\d)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Split text into meaningful tokens
+ * @param {string} text - Text to tokenise
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeMatchText(text) {
+    return normalizeMatchText(text)
+        .split(' ')
+        .filter(token => token && !MATCH_STOP_WORDS.includes(token));
+}
+
+/**
+ * Normalise a product code (SKU or NAPPI code) for exact comparison
+ * @param {string} code - Code to normalise
+ * @returns {string} Code without spaces or punctuation, upper case
+ */
+function normalizeProductCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Edit distance between two short strings, counting a swap of neighbouring letters as one edit
+ */
+function matchEditDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        d[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
+/**
+ * Similarity of two tokens between 0 and 1
+ */
+function matchTokenSimilarity(a, b) {
+    if (a === b) return 1;
+
+    // Numbers carry sizes and strengths (10x10, 2ml, 15) and must match exactly
+    if (/\d/.test(a) || /\d/.test(b)) return 0;
+
+    // Abbreviations such as "steril" for "sterile" or "lig" for "lignocaine"
+    if (a.length >= 3 && b.length >= 3 && (a.startsWith(b) || b.startsWith(a))) return 0.8;
+
+    // Typos in longer words
+    if (a.length >= 5 && b.length >= 5 && matchEditDistance(a, b, 1) <= 1) return 0.85;
+
+    return 0;
+}
+
+/**
+ * Token-based similarity between query tokens and candidate text (0 to 1)
+ * @param {Array<string>} queryTokens - Tokens of the text being matched
+ * @param {string} candidate - Item name, listing name or alias
+ * @returns {number} Similarity score
+ */
+function scoreMatchText(queryTokens, candidate) {
+    const candidateTokens = tokenizeMatchText(candidate);
+    if (!queryTokens.length || !candidateTokens.length) return 0;
+
+    if (queryTokens.join(' ') === candidateTokens.join(' ')) return 1;
+
+    const used = new Set();
+    let matched = 0;
+
+    queryTokens.forEach(queryToken => {
+        let best = 0;
+        let bestIndex = -1;
+        candidateTokens.forEach((candidateToken, index) => {
+            if (used.has(index)) return;
+            const similarity = matchTokenSimilarity(queryToken, candidateToken);
+            if (similarity > best) {
+                best = similarity;
+                bestIndex = index;
+            }
+        });
+        if (bestIndex !== -1) {
+            used.add(bestIndex);
+            matched += best;
+        }
+    });
+
+    // Dice coefficient over fuzzy token matches
+    const dice = (2 * matched) / (queryTokens.length + candidateTokens.length);
+
+    // Supplier lines often add pack sizes and codes around the item name,
+    // so a candidate fully contained in the query still scores well
+    const coverage = matched / candidateTokens.length;
+    const containment = candidateTokens.length >= 2 ? coverage * 0.85 : 0;
+
+    return Math.min(1, Math.max(dice, containment));
+}
+
+/**
+ * Rank items against free text from an invoice line or import row
+ * @param {string} text - Supplier wording, e.g. "LID2 Lignocaine 2% 5ml amp"
+ * @param {Array<Object>} items - Items to match against
+ * @param {Object} options - { supplier, limit, minScore }
+ * @returns {Array<Object>} Candidates ({ item, score, matchedOn, matchedText }), best first
+ */
+function matchItems(text, items, options = {}) {
+    const { supplier = null, limit = 5, minScore = 0.35 } = options;
+    const queryTokens = tokenizeMatchText(text);
+    const normalizedQuery = queryTokens.join(' ');
+    const queryCodes = String(text || '').split(/[\s,;|]+/).map(normalizeProductCode).filter(code => code.length >= 3);
+
+    if (!queryTokens.length) return [];
+
+    const candidates = [];
+
+    items.forEach(item => {
+        if (!item || !item.id) return;
+
+        let best = { score: 0, matchedOn: null, matchedText: null };
+        const consider = (score, matchedOn, matchedText) => {
+            if (score > best.score) {
+                best = { score, matchedOn, matchedText };
+            }
+        };
+
+        // Exact product code hits
+        const sku = normalizeProductCode(item.sku);
+        if (sku.length >= 3 && queryCodes.includes(sku)) {
+            consider(0.99, 'sku', item.sku);
+        }
+        const nappi = normalizeProductCode(item.nappiCode);
+        if (nappi.length >= 3 && queryCodes.includes(nappi)) {
+            consider(0.99, 'nappi', item.nappiCode);
+        }
+
+        // Learned aliases are supplier wording confirmed by a user
+        (item.alternativeNames || []).forEach(alias => {
+            if (tokenizeMatchText(alias).join(' ') === normalizedQuery) {
+                consider(1, 'alias', alias);
+            } else {
+                consider(scoreMatchText(queryTokens, alias), 'alias', alias);
+            }
+        });
+
+        consider(scoreMatchText(queryTokens, item.name), 'name', item.name);
+        if (item.listingName) {
+            consider(scoreMatchText(queryTokens, item.listingName), 'listingName', item.listingName);
+        }
+        if (item.description) {
+            consider(scoreMatchText(queryTokens, item.description) * 0.6, 'description', item.description);
+        }
+
+        if (best.score <= 0) return;
+
+        // Small nudges when the line comes from the item's own supplier or seller
+        let score = best.score;
+        if (score < 1 && supplier && item.supplier === supplier) {
+            score = Math.min(0.99, score + 0.05);
+        }
+        if (score < 1 && item.seller && normalizedQuery.includes(normalizeMatchText(item.seller))) {
+            score = Math.min(0.99, score + 0.03);
+        }
+
+        if (score >= minScore) {
+            candidates.push({
+                item,
+                score: Math.round(score * 100) / 100,
+                matchedOn: best.matchedOn,
+                matchedText: best.matchedText
+            });
+        }
+    });
+
+    return candidates
+        .sort((a, b) => b.score - a.score || (a.item.name || '').localeCompare(b.item.name || ''))
+        .slice(0, limit);
+}
+
+/**
+ * Describe a match score for display
+ * @param {number} score - Score from matchItems()
+ * @returns {string} 'high', 'medium' or 'low'
+ */
+function getMatchConfidence(score) {
+    if (score >= 0.85) return 'high';
+    if (score >= 0.6) return 'medium';
+    return 'low';
+}
@@ -0,0 +1,969 @@
+/**
+ * FeetOnFocus PDF Invoice Reader
+ * Extracts text from supplier PDF invoices locally (no network) and parses it into candidate line items
+ */
+
+/**
+ * Extract the text of a PDF file, one visual line per text line
+ * @param {File|Blob|ArrayBuffer} source - PDF file
+ * @returns {Promise<string>} Extracted text
+ */
+async function extractPdfText(source) {
+    const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const raw = pdfBytesToString(bytes);
+
+    const headerIndex = raw.indexOf('%PDF-');
+    if (headerIndex === -1 || headerIndex > 1024) {
+        throw new Error('File is not a PDF document');
+    }
+
+    if (/\/Encrypt\s*\d+\s+\d+\s+R/.test(raw)) {
+        throw new Error('Password-protected PDFs cannot be read');
+    }
+
+    const objects = await readPdfObjects(bytes, raw);
+    const pages = findPdfPages(objects);
+    const lines = [];
+
+    for (const page of pages) {
+        const fonts = await loadPdfPageFonts(page, objects, bytes);
+        const contents = [];
+
+        for (const ref of pdfRefList(pdfDictValue(page.dict, 'Contents'))) {
+            const data = await decodePdfStream(objects.get(ref), bytes);
+            if (data) {
+                contents.push(pdfBytesToString(data));
+            }
+        }
+
+        const runs = readPdfTextRuns(contents.join('\n'), fonts);
+        lines.push(...groupPdfTextRuns(runs));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Convert bytes to a string with one character per byte
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {string} Latin-1 string
+ */
+function pdfBytesToString(bytes) {
+    let result = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        result += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return result;
+}
+
+/**
+ * Index every object in the file, including objects packed into object streams
+ * @param {Uint8Array} bytes - PDF bytes
+ * @param {string} raw - PDF bytes as a Latin-1 string
+ * @returns {Promise<Map>} Objects by object number
+ */
+async function readPdfObjects(bytes, raw) {
+    const objects = new Map();
+    const objectPattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+
+    while ((match = objectPattern.exec(raw)) !== null) {
+        const number = parseInt(match[1]);
+        const bodyStart = objectPattern.lastIndex;
+        const endObj = raw.indexOf('endobj', bodyStart);
+        const streamKeyword = raw.indexOf('stream', bodyStart);
+        const object = { number, dict: '', streamStart: -1, streamEnd: -1 };
+
+        if (streamKeyword !== -1 && (endObj === -1 || streamKeyword < endObj)) {
+            object.dict = raw.substring(bodyStart, streamKeyword);
+
+            let dataStart = streamKeyword + 6;
+            if (raw[dataStart] === '\r') dataStart++;
+            if (raw[dataStart] === '\n') dataStart++;
+
+            const lengthMatch = object.dict.match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/);
+            let dataEnd = lengthMatch ? dataStart + parseInt(lengthMatch[1]) : -1;
+            if (dataEnd === -1 || raw.substr(dataEnd, 20).indexOf('endstream') === -1) {
+                dataEnd = raw.indexOf('endstream', dataStart);
+                // Trim the end-of-line marker that precedes "endstream"
+                if (raw[dataEnd - 1] === '\n') dataEnd--;
+                if (raw[dataEnd - 1] === '\r') dataEnd--;
+            }
+
+            object.streamStart = dataStart;
+            object.streamEnd = dataEnd;
+            objectPattern.lastIndex = Math.max(dataEnd, bodyStart);
+        } else {
+            object.dict = raw.substring(bodyStart, endObj === -1 ? raw.length : endObj);
+        }
+
+        // Later definitions (incremental updates) replace earlier ones
+        objects.set(number, object);
+    }
+
+    // Unpack compressed object streams (PDF 1.5+)
+    for (const object of [...objects.values()]) {
+        if (!/\/Type\s*\/ObjStm/.test(object.dict)) continue;
+
+        const data = await decodePdfStream(object, bytes);
+        if (!data) continue;
+
+        const text = pdfBytesToString(data);
+        const count = parseInt(pdfDictValue(object.dict, 'N')) || 0;
+        const first = parseInt(pdfDictValue(object.dict, 'First')) || 0;
+        const header = text.substring(0, first).trim().split(/\s+/).map(Number);
+
+        for (let i = 0; i < count; i++) {
+            const number = header[i * 2];
+            const offset = header[i * 2 + 1];
+            const nextOffset = i + 1 < count ? header[(i + 1) * 2 + 1] : text.length - first;
+
+            if (!objects.has(number)) {
+                objects.set(number, {
+                    number,
+                    dict: text.substring(first + offset, first + nextOffset),
+                    streamStart: -1,
+                    streamEnd: -1
+                });
+            }
+        }
+    }
+
+    return objects;
+}
+
+/**
+ * Decode the data of a stream object
+ * @param {Object} object - Object from readPdfObjects()
+ * @param {Uint8Array} bytes - PDF bytes
+ * @returns {Promise<Uint8Array|null>} Decoded data, or null for unsupported filters
+ */
+async function decodePdfStream(object, bytes) {
+    if (!object || object.streamStart === -1) return null;
+
+    const data = bytes.subarray(object.streamStart, object.streamEnd);
+    const filter = pdfDictValue(object.dict, 'Filter') || '';
+
+    if (!filter) return data;
+    if (/^\[?\s*\/FlateDecode\s*\]?$/.test(filter)) return inflatePdfData(data);
+
+    // Images (DCT, JBIG2, CCITT) and exotic filters carry no text
+    return null;
+}
+
+/**
+ * Inflate zlib data, keeping whatever was decoded before any trailing garbage
+ * @param {Uint8Array} data - Compressed data
+ * @returns {Promise<Uint8Array|null>} Inflated data
+ */
+async function inflatePdfData(data) {
+    const chunks = [];
+    let length = 0;
+
+    try {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        const reader = stream.getReader();
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            length += value.length;
+        }
+    } catch (error) {
+        // Many generators pad streams; the data read so far is still valid
+        if (length === 0) return null;
+    }
+
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
+
+/**
+ * Read the raw value of a key from a dictionary string
+ * @param {string} dict - Dictionary text
+ * @param {string} key - Key without the leading slash
+ * @returns {string|null} Value text (dictionary, array, reference or single token)
+ */
+function pdfDictValue(dict, key) {
+    if (!dict) return null;
+
+    const keyPattern = new RegExp('\\/' + key + '(?=[\\s\\/\\[<(])', 'g');
+    let match;
+
+    while ((match = keyPattern.exec(dict)) !== null) {
+        // Only accept keys at the top level of the dictionary
+        const before = dict.substring(0, match.index);
+        const depth = (before.match(/<</g) || []).length - (before.match(/>>/g) || []).length;
+        if (depth > 1) continue;
+
+        const rest = dict.substring(keyPattern.lastIndex).replace(/^\s+/, '');
+
+        if (rest.startsWith('<<')) return pdfBalanced(rest, '<<', '>>');
+        if (rest.startsWith('[')) return pdfBalanced(rest, '[', ']');
+
+        const refMatch = rest.match(/^(\d+)\s+(\d+)\s+R\b/);
+        if (refMatch) return refMatch[0];
+
+        const tokenMatch = rest.match(/^(\/[^\s\/<>\[\]()]+|[^\s\/<>\[\]()]+)/);
+        return tokenMatch ? tokenMatch[1] : null;
+    }
+
+    return null;
+}
+
+/**
+ * Extract a balanced dictionary or array from the start of a string
+ */
+function pdfBalanced(text, open, close) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text.startsWith(open, i)) {
+            depth++;
+            i += open.length - 1;
+        } else if (text.startsWith(close, i)) {
+            depth--;
+            i += close.length - 1;
+            if (depth === 0) return text.substring(0, i + 1);
+        }
+    }
+    return text;
+}
+
+/**
+ * List the object numbers referenced by a value ("5 0 R" or "[5 0 R 6 0 R]")
+ * @param {string|null} value - Value text
+ * @returns {Array<number>} Object numbers
+ */
+function pdfRefList(value) {
+    if (!value) return [];
+    return [...value.matchAll(/(\d+)\s+\d+\s+R\b/g)].map(match => parseInt(match[1]));
+}
+
+/**
+ * Resolve a value to a dictionary string, following an indirect reference if needed
+ */
+function pdfResolveDict(value, objects) {
+    if (!value) return null;
+    const refs = pdfRefList(value);
+    if (!value.startsWith('<<') && refs.length === 1) {
+        const object = objects.get(refs[0]);
+        return object ? object.dict : null;
+    }
+    return value;
+}
+
+/**
+ * Find page objects in document order
+ * @param {Map} objects - Objects from readPdfObjects()
+ * @returns {Array<Object>} Page objects
+ */
+function findPdfPages(objects) {
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (number) => {
+        if (visited.has(number)) return;
+        visited.add(number);
+
+        const object = objects.get(number);
+        if (!object) return;
+
+        if (/\/Type\s*\/Pages\b/.test(object.dict)) {
+            pdfRefList(pdfDictValue(object.dict, 'Kids')).forEach(walk);
+        } else if (/\/Type\s*\/Page\b/.test(object.dict)) {
+            pages.push(object);
+        }
+    };
+
+    const catalog = [...objects.values()].find(object => /\/Type\s*\/Catalog\b/.test(object.dict));
+    if (catalog) {
+        pdfRefList(pdfDictValue(catalog.dict, 'Pages')).forEach(walk);
+    }
+
+    // Damaged page tree - fall back to every page object in file order
+    if (pages.length === 0) {
+        return [...objects.values()].filter(object => /\/Type\s*\/Page\b/.test(object.dict));
+    }
+
+    return pages;
+}
+
+/**
+ * Load the fonts used by a page with their Unicode mappings
+ * @param {Object} page - Page object
+ * @param {Map} objects - Objects from readPdfObjects()
+ * @param {Uint8Array} bytes - PDF bytes
+ * @returns {Promise<Object>} Fonts by resource name
+ */
+async function loadPdfPageFonts(page, objects, bytes) {
+    // Resources may be inherited from a parent page tree node
+    let resources = null;
+    let node = page;
+    while (node && !resources) {
+        resources = pdfResolveDict(pdfDictValue(node.dict, 'Resources'), objects);
+        const parentRefs = pdfRefList(pdfDictValue(node.dict, 'Parent'));
+        node = parentRefs.length ? objects.get(parentRefs[0]) : null;
+    }
+
+    const fonts = {};
+    const fontDict = pdfResolveDict(pdfDictValue(resources, 'Font'), objects);
+    if (!fontDict) return fonts;
+
+    for (const match of fontDict.matchAll(/\/([^\s\/<>\[\]()]+)\s+(\d+)\s+\d+\s+R\b/g)) {
+        const fontObject = objects.get(parseInt(match[2]));
+        if (!fontObject) continue;
+
+        const font = {
+            composite: /\/Subtype\s*\/Type0\b/.test(fontObject.dict),
+            codeLength: 1,
+            map: null
+        };
+        if (font.composite) {
+            font.codeLength = 2;
+        }
+
+        const toUnicodeRefs = pdfRefList(pdfDictValue(fontObject.dict, 'ToUnicode'));
+        if (toUnicodeRefs.length) {
+            const data = await decodePdfStream(objects.get(toUnicodeRefs[0]), bytes);
+            if (data) {
+                Object.assign(font, parsePdfToUnicode(pdfBytesToString(data), font.codeLength));
+            }
+        }
+
+        fonts[match[1]] = font;
+    }
+
+    return fonts;
+}
+
+/**
+ * Parse a ToUnicode CMap
+ * @param {string} cmap - CMap program text
+ * @param {number} defaultCodeLength - Code length in bytes when the CMap does not declare one
+ * @returns {Object} { codeLength, map }
+ */
+function parsePdfToUnicode(cmap, defaultCodeLength) {
+    const map = new Map();
+    let codeLength = defaultCodeLength;
+
+    const codespace = cmap.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+    if (codespace) {
+        codeLength = codespace[1].length / 2;
+    }
+
+    for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            map.set(parseInt(entry[1], 16), pdfUtf16Hex(entry[2]));
+        }
+    }
+
+    for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+            const low = parseInt(entry[1], 16);
+            const high = parseInt(entry[2], 16);
+
+            if (entry[3].startsWith('[')) {
+                const targets = [...entry[3].matchAll(/<([0-9a-fA-F]*)>/g)].map(target => pdfUtf16Hex(target[1]));
+                for (let code = low; code <= high && code - low < targets.length; code++) {
+                    map.set(code, targets[code - low]);
+                }
+            } else {
+                const start = entry[3].slice(1, -1);
+                const base = parseInt(start.slice(-4), 16);
+                const prefix = pdfUtf16Hex(start.slice(0, -4));
+                for (let code = low; code <= high && code - low < 0x10000; code++) {
+                    map.set(code, prefix + String.fromCharCode(base + code - low));
+                }
+            }
+        }
+    }
+
+    return { codeLength, map };
+}
+
+/**
+ * Decode a UTF-16BE hex string
+ */
+function pdfUtf16Hex(hex) {
+    let result = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+        result += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+    }
+    if (hex.length === 2) {
+        result += String.fromCharCode(parseInt(hex, 16));
+    }
+    return result;
+}
+
+/**
+ * Tokenise a content stream
+ * @param {string} content - Decoded content stream
+ * @returns {Array<Object>} Tokens ({ type, value })
+ */
+function tokenizePdfContent(content) {
+    const tokens = [];
+    const length = content.length;
+    let i = 0;
+
+    const isWhitespace = (c) => c === ' ' || c === '\n' || c === '\r' || c === '\t' || c === '\f' || c === '\0';
+    const isDelimiter = (c) => '()<>[]{}/%'.includes(c);
+
+    while (i < length) {
+        const c = content[i];
+
+        if (isWhitespace(c)) {
+            i++;
+        } else if (c === '%') {
+            while (i < length && content[i] !== '\n' && content[i] !== '\r') i++;
+        } else if (c === '(') {
+            // Literal string with nesting and escapes
+            let depth = 1;
+            let value = '';
+            i++;
+            while (i < length && depth > 0) {
+                const ch = content[i];
+                if (ch === '\\') {
+                    const next = content[i + 1];
+                    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+                    if (next in escapes) {
+                        value += escapes[next];
+                        i += 2;
+                    } else if (/[0-7]/.test(next)) {
+                        const octal = content.substr(i + 1, 3).match(/^[0-7]{1,3}/)[0];
+                        value += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+                        i += 1 + octal.length;
+                    } else if (next === '\r' || next === '\n') {
+                        i += (next === '\r' && content[i + 2] === '\n') ? 3 : 2;
+                    } else {
+                        i++;
+                    }
+                    continue;
+                }
+                if (ch === '(') depth++;
+                if (ch === ')') depth--;
+                if (depth > 0) value += ch;
+                i++;
+            }
+            tokens.push({ type: 'string', value });
+        } else if (c === '<' && content[i + 1] === '<') {
+            tokens.push({ type: 'dictStart' });
+            i += 2;
+        } else if (c === '>' && content[i + 1] === '>') {
+            tokens.push({ type: 'dictEnd' });
+            i += 2;
+        } else if (c === '<') {
+            const end = content.indexOf('>', i);
+            let hex = content.substring(i + 1, end === -1 ? length : end).replace(/\s+/g, '');
+            if (hex.length % 2) hex += '0';
+            let value = '';
+            for (let j = 0; j < hex.length; j += 2) {
+                value += String.fromCharCode(parseInt(hex.substr(j, 2), 16));
+            }
+            tokens.push({ type: 'string', value });
+            i = end === -1 ? length : end + 1;
+        } else if (c === '[') {
+            tokens.push({ type: 'arrayStart' });
+            i++;
+        } else if (c === ']') {
+            tokens.push({ type: 'arrayEnd' });
+            i++;
+        } else if (c === '/') {
+            let j = i + 1;
+            while (j < length && !isWhitespace(content[j]) && !isDelimiter(content[j])) j++;
+            tokens.push({ type: 'name', value: content.substring(i + 1, j) });
+            i = j;
+        } else {
+            let j = i;
+            while (j < length && !isWhitespace(content[j]) && !isDelimiter(content[j])) j++;
+            if (j === i) j++;
+            const word = content.substring(i, j);
+            i = j;
+
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+                tokens.push({ type: 'number', value: parseFloat(word) });
+            } else {
+                tokens.push({ type: 'operator', value: word });
+
+                // Skip inline image data, which is binary
+                if (word === 'ID') {
+                    const end = content.indexOf('EI', i);
+                    i = end === -1 ? length : end + 2;
+                }
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Multiply two affine matrices [a b c d e f]
+ */
+function pdfMultiplyMatrix(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[1] * m2[2],
+        m1[0] * m2[1] + m1[1] * m2[3],
+        m1[2] * m2[0] + m1[3] * m2[2],
+        m1[2] * m2[1] + m1[3] * m2[3],
+        m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+        m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+    ];
+}
+
+/**
+ * Interpret the text operators of a content stream
+ * @param {string} content - Decoded content stream
+ * @param {Object} fonts - Fonts from loadPdfPageFonts()
+ * @returns {Array<Object>} Positioned text runs ({ text, x, y, size, width })
+ */
+function readPdfTextRuns(content, fonts) {
+    const identity = [1, 0, 0, 1, 0, 0];
+    const runs = [];
+    const stack = [];
+    let operands = [];
+    let arrayItems = null;
+
+    let ctm = identity;
+    let textMatrix = identity;
+    let lineMatrix = identity;
+    let font = null;
+    let fontSize = 10;
+    let leading = 0;
+
+    const decode = (value) => {
+        if (!font || !font.map) {
+            return font && font.composite ? '' : value;
+        }
+        let text = '';
+        for (let i = 0; i < value.length; i += font.codeLength) {
+            let code = 0;
+            for (let j = 0; j < font.codeLength; j++) {
+                code = (code << 8) | (value.charCodeAt(i + j) || 0);
+            }
+            const mapped = font.map.get(code);
+            text += mapped !== undefined ? mapped : (font.codeLength === 1 ? value[i] : '');
+        }
+        return text;
+    };
+
+    const moveLine = (tx, ty) => {
+        lineMatrix = pdfMultiplyMatrix([1, 0, 0, 1, tx, ty], lineMatrix);
+        textMatrix = lineMatrix;
+    };
+
+    const show = (text) => {
+        const matrix = pdfMultiplyMatrix(textMatrix, ctm);
+        const scale = Math.hypot(matrix[0], matrix[1]) || 1;
+        const size = fontSize * scale;
+        // Glyph widths are not loaded; half an em per character is close enough for layout
+        const width = text.length * size * 0.5;
+
+        if (text.trim()) {
+            runs.push({ text, x: matrix[4], y: matrix[5], size: Math.abs(size), width });
+        }
+        textMatrix = pdfMultiplyMatrix([1, 0, 0, 1, text.length * fontSize * 0.5, 0], textMatrix);
+    };
+
+    for (const token of tokenizePdfContent(content)) {
+        if (token.type === 'arrayStart') {
+            arrayItems = [];
+            continue;
+        }
+        if (token.type === 'arrayEnd') {
+            operands.push({ type: 'array', value: arrayItems || [] });
+            arrayItems = null;
+            continue;
+        }
+        if (token.type !== 'operator') {
+            if (arrayItems) {
+                arrayItems.push(token);
+            } else {
+                operands.push(token);
+            }
+            continue;
+        }
+
+        const numbers = operands.filter(operand => operand.type === 'number').map(operand => operand.value);
+
+        switch (token.value) {
+            case 'q':
+                stack.push(ctm);
+                break;
+            case 'Q':
+                ctm = stack.pop() || identity;
+                break;
+            case 'cm':
+                if (numbers.length >= 6) ctm = pdfMultiplyMatrix(numbers.slice(-6), ctm);
+                break;
+            case 'BT':
+                textMatrix = identity;
+                lineMatrix = identity;
+                break;
+            case 'Tf': {
+                const name = operands.find(operand => operand.type === 'name');
+                font = name ? fonts[name.value] || null : null;
+                if (numbers.length) fontSize = numbers[numbers.length - 1];
+                break;
+            }
+            case 'TL':
+                if (numbers.length) leading = numbers[0];
+                break;
+            case 'Td':
+                if (numbers.length >= 2) moveLine(numbers[0], numbers[1]);
+                break;
+            case 'TD':
+                if (numbers.length >= 2) {
+                    leading = -numbers[1];
+                    moveLine(numbers[0], numbers[1]);
+                }
+                break;
+            case 'Tm':
+                if (numbers.length >= 6) {
+                    lineMatrix = numbers.slice(-6);
+                    textMatrix = lineMatrix;
+                }
+                break;
+            case 'T*':
+                moveLine(0, -leading);
+                break;
+            case 'Tj': {
+                const string = operands.find(operand => operand.type === 'string');
+                if (string) show(decode(string.value));
+                break;
+            }
+            case "'":
+            case '"': {
+                moveLine(0, -leading);
+                const string = operands.find(operand => operand.type === 'string');
+                if (string) show(decode(string.value));
+                break;
+            }
+            case 'TJ': {
+                const array = operands.find(operand => operand.type === 'array');
+                if (!array) break;
+                let text = '';
+                for (const item of array.value) {
+                    if (item.type === 'string') {
+                        text += decode(item.value);
+                    } else if (item.type === 'number' && item.value < -200) {
+                        // Large negative kerning is how many generators write a space
+                        text += ' ';
+                    }
+                }
+                show(text);
+                break;
+            }
+        }
+
+        operands = [];
+    }
+
+    return runs;
+}
+
+/**
+ * Group positioned text runs into lines of text, top of the page first
+ * @param {Array<Object>} runs - Runs from readPdfTextRuns()
+ * @returns {Array<string>} Text lines
+ */
+function groupPdfTextRuns(runs) {
+    const lines = [];
+
+    [...runs].sort((a, b) => b.y - a.y).forEach(run => {
+        const tolerance = Math.max(2, run.size * 0.3);
+        const line = lines.find(l => Math.abs(l.y - run.y) <= tolerance);
+        if (line) {
+            line.runs.push(run);
+        } else {
+            lines.push({ y: run.y, runs: [run] });
+        }
+    });
+
+    return lines
+        .sort((a, b) => b.y - a.y)
+        .map(line => {
+            const sorted = line.runs.map((run, index) => ({ ...run, index }))
+                .sort((a, b) => (a.x - b.x) || (a.index - b.index));
+            let text = '';
+            let previousEnd = null;
+
+            sorted.forEach(run => {
+                if (previousEnd !== null) {
+                    const gap = run.x - previousEnd;
+                    if (gap > run.size * 1.5) {
+                        text += '   ';
+                    } else if (gap > run.size * 0.2 && !text.endsWith(' ') && !run.text.startsWith(' ')) {
+                        text += ' ';
+                    }
+                }
+                text += run.text;
+                previousEnd = run.x + run.width;
+            });
+
+            return text.replace(/\s+$/, '');
+        })
+        .filter(text => text.trim());
+}
+
+/**
+ * Parse extracted invoice text into a header and candidate line items
+ * @param {string} text - Extracted invoice text
+ * @returns {Object} { invoiceNumber, date, tax, total, lines: [{ description, quantity, unitPrice, total, totalIncludesVat, confidence, raw }] }
+ */
+function parseInvoiceText(text) {
+    const rawLines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const result = {
+        invoiceNumber: null,
+        date: null,
+        tax: null,
+        total: null,
+        lines: []
+    };
+
+    const numberMatch = text.match(/(?:tax\s+)?invoice\s*(?:no\.?|number|num|#)?\s*[:.]?\s*([A-Z]{0,5}[-\/]?\d[\w\-\/]*)/i);
+    if (numberMatch) {
+        result.invoiceNumber = numberMatch[1];
+    }
+
+    result.date = findInvoiceDate(text);
+
+    for (const line of rawLines) {
+        const summary = line.match(/^(sub\s*-?\s*total|total\s+(?:incl|excl|due)|total|vat|tax|balance|amount\s+due|invoice\s+total)\b[^\d-]*(-?[\d\s.,]+)$/i);
+        if (summary) {
+            const amount = parseInvoiceNumber(summary[2].trim().split(/\s{2,}/).pop());
+            const label = summary[1].toLowerCase();
+            if (amount !== null) {
+                if (label === 'vat' || label === 'tax') {
+                    result.tax = amount;
+                } else if (!label.startsWith('sub')) {
+                    result.total = amount;
+                }
+            }
+            continue;
+        }
+
+        const parsed = parseInvoiceLine(line);
+        if (parsed) {
+            result.lines.push(parsed);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Parse a monetary or quantity value, accepting "R 1 234,56", "1,234.56" and "45.00"
+ * @param {string} value - Value text
+ * @returns {number|null} Parsed number
+ */
+function parseInvoiceNumber(value) {
+    if (!value) return null;
+
+    let cleaned = value.replace(/^R\s*/i, '').replace(/\s/g, '');
+    if (!/^-?[\d.,]+$/.test(cleaned) || !/\d/.test(cleaned)) return null;
+
+    if (/,\d{1,2}$/.test(cleaned) && !/\.\d{1,2}$/.test(cleaned)) {
+        // Decimal comma ("1.234,56" or "45,00")
+        cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+    } else {
+        cleaned = cleaned.replace(/,/g, '');
+    }
+
+    const number = parseFloat(cleaned);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Parse one line of invoice text into a candidate line item
+ * @param {string} line - Text line
+ * @returns {Object|null} Candidate line item
+ */
+function parseInvoiceLine(line) {
+    const tokens = line.split(/\s+/).filter(Boolean);
+
+    // Collect the run of numeric tokens at the end of the line
+    const run = [];
+    let index = tokens.length - 1;
+    while (index >= 0) {
+        const token = tokens[index];
+        if (/^R$/i.test(token) || /%$/.test(token)) {
+            // Currency marks and VAT or discount percentages between the amounts are skipped
+            index--;
+            continue;
+        }
+        if (parseInvoiceNumber(token) === null) break;
+        run.unshift({ text: token, index });
+        index--;
+    }
+
+    if (!/[a-z]{2,}/i.test(tokens.slice(0, index + 1).join(' ')) || run.length < 2) return null;
+
+    // Everything before the first number used keeps its place in the description,
+    // strengths and sizes included ("Lidocaine 2%", "Scalpel blade No 15")
+    const describe = (end, start = 0) => tokens.slice(start, end).join(' ');
+
+    // How quantity x unit price gives the total: 'exact', 'vat' or null if it doesn't
+    const matches = (quantity, unitPrice, total) => {
+        if (!(quantity > 0) || !(unitPrice > 0) || !(total > 0)) return null;
+        const expected = quantity * unitPrice;
+        const tolerance = Math.max(0.05, total * 0.005);
+        if (Math.abs(expected - total) <= tolerance) return 'exact';
+        // Totals are sometimes printed including 15% VAT
+        return Math.abs(expected * 1.15 - total) <= tolerance ? 'vat' : null;
+    };
+
+    // Thousands groups may be written with spaces ("1 234,56"), so one amount can span
+    // several tokens. Each way of grouping them is tried; tokens stay separate numbers
+    // unless grouping them is what makes quantity x unit price = total work out.
+    const groupings = groupInvoiceNumbers(run.slice(-8));
+
+    // Look for quantity x unit price = total among the trailing numbers, preferring the
+    // reading that leaves the fewest numbers after the quantity unaccounted for
+    let best = null;
+    for (const numbers of groupings) {
+        for (let i = 0; i < numbers.length; i++) {
+            if (!numbers[i].isInteger) continue;
+            for (let j = i + 1; j < numbers.length; j++) {
+                for (let k = j + 1; k < numbers.length; k++) {
+                    const match = matches(numbers[i].value, numbers[j].value, numbers[k].value);
+                    if (!match) continue;
+                    const unused = numbers.length - i - 3;
+                    if (!best || unused < best.unused) {
+                        best = { unused, match, quantity: numbers[i], unitPrice: numbers[j], total: numbers[k] };
+                    }
+                }
+            }
+        }
+    }
+
+    if (best) {
+        return {
+            description: describe(best.quantity.start),
+            quantity: best.quantity.value,
+            unitPrice: best.unitPrice.value,
+            total: best.total.value,
+            totalIncludesVat: best.match === 'vat',
+            confidence: 'high',
+            raw: line
+        };
+    }
+
+    // Quantity printed before the description, e.g. "2 x Lidocaine 2% ... 45.00 90.00"
+    const leadingQuantity = describe(index + 1).match(/^(\d{1,4})\s*(?:x\s+)?(?=[a-z])/i);
+    if (leadingQuantity) {
+        const quantity = parseInt(leadingQuantity[1]);
+        for (const numbers of groupings) {
+            if (numbers.length < 2) continue;
+            const unitPrice = numbers[numbers.length - 2];
+            const total = numbers[numbers.length - 1];
+            const match = matches(quantity, unitPrice.value, total.value);
+            if (match) {
+                return {
+                    description: describe(unitPrice.start).substring(leadingQuantity[0].length).trim(),
+                    quantity,
+                    unitPrice: unitPrice.value,
+                    total: total.value,
+                    totalIncludesVat: match === 'vat',
+                    confidence: 'high',
+                    raw: line
+                };
+            }
+        }
+    }
+
+    // Quantity and total only - the unit price has to be inferred from the tokens as printed
+    const numbers = groupings[0];
+    const last = numbers[numbers.length - 1].value;
+    const previous = numbers[numbers.length - 2];
+    if (previous.isInteger && previous.value > 0 && previous.value <= 1000 && last > 0) {
+        return {
+            description: describe(previous.start),
+            quantity: previous.value,
+            unitPrice: Math.round((last / previous.value) * 100) / 100,
+            total: last,
+            totalIncludesVat: false,
+            confidence: 'low',
+            raw: line
+        };
+    }
+
+    return null;
+}
+
+/**
+ * List the ways a run of numeric tokens can be read as numbers, where a token of up to
+ * three digits may be joined with the three-digit groups that follow it ("1 234 567,89").
+ * The reading with every token on its own comes first.
+ * @param {Array} run - [{ text, index }] numeric tokens in line order
+ * @returns {Array} Readings, each [{ value, isInteger, start }]
+ */
+function groupInvoiceNumbers(run) {
+    if (run.length === 0) return [[]];
+
+    const readings = [];
+    let text = run[0].text;
+    let end = 1;
+    while (true) {
+        const value = parseInvoiceNumber(text);
+        const number = { value, isInteger: /^\d+$/.test(text), start: run[0].index };
+        for (const rest of groupInvoiceNumbers(run.slice(end))) {
+            readings.push([number, ...rest]);
+        }
+
+        // A group can only continue after whole digits, with the next token right beside it
+        const next = run[end];
+        if (!/^(?:R)?\d{1,3}(?: \d{3})*$/i.test(text) || !next ||
+            next.index !== run[end - 1].index + 1 || !/^\d{3}(?:[.,]\d{2})?$/.test(next.text)) {
+            break;
+        }
+        text += ' ' + next.text;
+        end++;
+    }
+
+    return readings;
+}
+
+/**
+ * Find the invoice date in extracted text
+ * @param {string} text - Extracted invoice text
+ * @returns {string|null} Date as YYYY-MM-DD
+ */
+function findInvoiceDate(text) {
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const pad = (value) => String(value).padStart(2, '0');
+    const build = (year, month, day) => {
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        return `${year}-${pad(month)}-${pad(day)}`;
+    };
+
+    // Prefer a date on a line that mentions "date"
+    const dateLine = text.split(/\r?\n/).find(line => /date/i.test(line) && /\d/.test(line));
+    const candidates = dateLine ? [dateLine, text] : [text];
+
+    for (const candidate of candidates) {
+        let match = candidate.match(/\b(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})\b/);
+        if (match) return build(match[1], parseInt(match[2]), parseInt(match[3]));
+
+        // South African invoices use day/month/year
+        match = candidate.match(/\b(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2,4})\b/);
+        if (match) {
+            const year = match[3].length === 2 ? '20' + match[3] : match[3];
+            return build(year, parseInt(match[2]), parseInt(match[1]));
+        }
+
+        match = candidate.match(/\b(\d{1,2})\s+([a-z]{3})[a-z]*\.?\s+(\d{4})\b/i);
+        if (match && months.includes(match[2].toLowerCase())) {
+            return build(match[3], months.indexOf(match[2].toLowerCase()) + 1, parseInt(match[1]));
+        }
+    }
+
+    return null;
+}